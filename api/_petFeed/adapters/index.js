@@ -0,0 +1,152 @@
+const { sqlRetryMs } = require('../config');
+const { createPrimaryUnavailableError, createStorageUnavailableError } = require('../errors');
+const { createReconciler } = require('../reconcile');
+const { createRecordStore } = require('../records');
+const { createPostgresAdapter } = require('./postgres');
+const { createRecordsAdapter } = require('./records');
+
+const METHODS = [
+  'ensureSchema',
+  'list',
+  'insert',
+  'delete',
+  'get',
+  'softDelete',
+  'restore',
+  'purge',
+  'listDeleted',
+  'history',
+  'addReaction',
+  'removeReaction',
+  'reactionSummaries',
+  'listComments',
+  'insertComment',
+  'getComment',
+  'softDeleteComment',
+  'commentCounts',
+  'addReport',
+  'listReported',
+  'reportSummaries',
+  'dismissReports',
+  'listPending',
+  'approve',
+  'reject',
+  'hide',
+  'listForModeration',
+  'listHashed'
+];
+
+// Report "not configured" instead of driver-specific connection errors.
+const guardAdapter = (adapter) => {
+  const guarded = { name: adapter.name, isConfigured: adapter.isConfigured };
+  METHODS.forEach((method) => {
+    guarded[method] = async (...args) => {
+      try {
+        return await adapter[method](...args);
+      } catch (error) {
+        if (!adapter.isConfigured()) throw createStorageUnavailableError();
+        throw error;
+      }
+    };
+  });
+  return guarded;
+};
+
+// The primary is disabled when it fails and probed again after retryMs. Before an
+// instance starts (or resumes) using it, posts written to the secondary meanwhile
+// are merged in, so a fresh instance never hides them.
+const createFallbackAdapter = (primary, secondary, { reconciler, retryMs = sqlRetryMs() } = {}) => {
+  let synced = false;
+  let disabledAt = 0;
+  let syncing = null;
+
+  const disable = (error) => {
+    synced = false;
+    disabledAt = Date.now();
+    console.warn(
+      `${primary.name} unavailable for pet feed; falling back to ${secondary.name} metadata store.`,
+      error?.message || error
+    );
+  };
+
+  const sync = () => {
+    if (!syncing) {
+      syncing = (async () => {
+        await primary.probe();
+        try {
+          const report = await reconciler.run();
+          if (report.merged) console.info(`Merged ${report.merged} pet feed posts from ${secondary.name}.`);
+        } catch (error) {
+          console.warn(`Could not reconcile pet feed posts from ${secondary.name}.`, error?.message || error);
+        }
+        synced = true;
+        disabledAt = 0;
+      })().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  };
+
+  const primaryReady = async () => {
+    if (!primary.isConfigured()) return false;
+    if (synced) return true;
+    if (disabledAt && Date.now() - disabledAt < retryMs) return false;
+    try {
+      await sync();
+      return true;
+    } catch (error) {
+      disable(error);
+      return false;
+    }
+  };
+
+  const fallback = { name: `${primary.name}+${secondary.name}`, isConfigured: secondary.isConfigured };
+
+  METHODS.forEach((method) => {
+    fallback[method] = async (...args) => {
+      if (await primaryReady()) {
+        try {
+          return await primary[method](...args);
+        } catch (error) {
+          disable(error);
+        }
+      }
+      return secondary[method](...args);
+    };
+  });
+
+  // Explicit run for the reconcile endpoint; fails with PET_FEED_PRIMARY_UNAVAILABLE
+  // when the primary is still down.
+  fallback.reconcile = async ({ dryRun = false } = {}) => {
+    try {
+      await primary.probe();
+    } catch (error) {
+      console.warn(`${primary.name} is still unavailable for pet feed reconcile.`, error?.message || error);
+      throw createPrimaryUnavailableError();
+    }
+    const report = await reconciler.run({ dryRun });
+    if (!dryRun) {
+      synced = true;
+      disabledAt = 0;
+    }
+    return report;
+  };
+
+  return fallback;
+};
+
+const createAdapter = (driver, options = {}) => {
+  if (driver === 'postgres') return guardAdapter(createPostgresAdapter());
+  if (driver === 'auto') {
+    const primary = createPostgresAdapter();
+    const secondary = createRecordsAdapter(createRecordStore('blob', options));
+    return createFallbackAdapter(primary, guardAdapter(secondary), {
+      reconciler: createReconciler({ primary, secondary }),
+      retryMs: options.retryMs
+    });
+  }
+  return guardAdapter(createRecordsAdapter(createRecordStore(driver, options)));
+};
+
+module.exports = { createAdapter, createFallbackAdapter };
@@ -0,0 +1,684 @@
+const { autoMigrate, hasPostgresConfig } = require('../config');
+const { createSchemaNotReadyError } = require('../errors');
+const { createMigrator } = require('../migrator');
+const { toTsQuery } = require('../search');
+
+// The album's photos in order, as JSON; only valid where pet_photo_posts is in scope.
+const IMAGES = `COALESCE((
+  SELECT json_agg(json_build_object(
+    'image_url', image.image_url, 'image_variants', image.image_variants, 'image_hash', image.image_hash
+  ) ORDER BY image.position)
+  FROM pet_photo_post_images image
+  WHERE image.post_id = pet_photo_posts.id
+), '[]'::json) AS images`;
+
+const COLUMNS = `id, pet_name, pet_type, caption, image_url, image_variants, created_at, reaction_count, ${IMAGES},
+  media_type, video_url, video_mime, video_duration_ms`;
+const ALL_COLUMNS = `${COLUMNS}, deleted_at, deleted_by, delete_reason, report_count, hidden_at, pending_at,
+  pending_reason, image_hash, duplicate_of, owner_token_hash`;
+
+const COMMENT_COLUMNS = 'id, post_id, parent_id, author_name, body, created_at';
+
+const ORDER_BY = {
+  newest: 'created_at DESC, id DESC',
+  oldest: 'created_at ASC, id ASC',
+  relevance: 'rank DESC, created_at DESC, id DESC',
+  loved: 'reaction_count DESC, created_at DESC, id DESC'
+};
+
+const MODERATION_FILTERS = {
+  recent: 'TRUE',
+  flagged: '(report_count > 0 OR hidden_at IS NOT NULL) AND deleted_at IS NULL',
+  pending: 'pending_at IS NOT NULL AND deleted_at IS NULL',
+  deleted: 'deleted_at IS NOT NULL'
+};
+
+const createPostgresAdapter = () => {
+  const { sql } = require('@vercel/postgres');
+
+  const migrator = createMigrator({ sql });
+  let schemaReady = null;
+
+  // Checked once per instance. Pending migrations are applied on the spot unless
+  // PET_FEED_AUTO_MIGRATE=false, in which case `npm run db:migrate` must run first.
+  const ensureSchema = () => {
+    if (!schemaReady) {
+      schemaReady = (async () => {
+        const pending = await migrator.pending();
+        if (!pending.length) return;
+        if (!autoMigrate()) throw createSchemaNotReadyError(pending);
+        await migrator.apply();
+      })().catch((error) => {
+        schemaReady = null;
+        throw error;
+      });
+    }
+    return schemaReady;
+  };
+
+  const list = async ({ limit, sort, search, type, cursor, offset }) => {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const where = ['deleted_at IS NULL', 'hidden_at IS NULL', 'pending_at IS NULL'];
+    if (type) where.push(`pet_type = ${param(type)}`);
+    let rank = '';
+    const tsQuery = toTsQuery(search);
+    if (tsQuery) {
+      const query = `to_tsquery('english', ${param(tsQuery)})`;
+      where.push(`search_vector @@ ${query}`);
+      rank = `, ts_rank_cd(search_vector, ${query}) AS rank`;
+    }
+
+    // Use tuple comparisons for stable pagination.
+    if (cursor) {
+      const op = sort === 'oldest' ? '>' : '<';
+      where.push(`(created_at, id) ${op} (${param(cursor.createdAt)}::timestamptz, ${param(cursor.id)})`);
+    }
+
+    const result = await sql.query(
+      `SELECT ${COLUMNS}${rank}
+       FROM pet_photo_posts
+       WHERE ${where.join(' AND ')}
+       ORDER BY ${ORDER_BY[sort] || ORDER_BY.newest}
+       LIMIT ${param(limit)} OFFSET ${param(offset)};`,
+      params
+    );
+    return result.rows;
+  };
+
+  // The post and its album photos go in with one statement.
+  const insert = async (row) => {
+    const result = await sql`
+      WITH inserted AS (
+        INSERT INTO pet_photo_posts (
+          id, pet_name, pet_type, caption, image_url, image_variants, image_hash, duplicate_of, created_at,
+          media_type, video_url, video_mime, video_duration_ms, pending_at, pending_reason, owner_token_hash
+        )
+        VALUES (
+          ${row.id}, ${row.pet_name}, ${row.pet_type}, ${row.caption}, ${row.image_url},
+          ${JSON.stringify(row.image_variants || [])}::jsonb, ${row.image_hash || null}, ${row.duplicate_of || null},
+          ${row.created_at},
+          ${row.media_type || 'image'}, ${row.video_url || null}, ${row.video_mime || null},
+          ${row.video_duration_ms ?? null}, ${row.pending_at || null}, ${row.pending_reason || null},
+          ${row.owner_token_hash || null}
+        )
+        RETURNING id, pet_name, pet_type, caption, image_url, image_variants, image_hash, duplicate_of, created_at,
+                  media_type, video_url, video_mime, video_duration_ms, pending_at, pending_reason
+      ), album AS (
+        INSERT INTO pet_photo_post_images (post_id, position, image_url, image_variants, image_hash)
+        SELECT inserted.id, image.ordinality - 1, image.value->>'image_url',
+               COALESCE(image.value->'image_variants', '[]'::jsonb), image.value->>'image_hash'
+        FROM inserted, jsonb_array_elements(${JSON.stringify(row.images || [])}::jsonb) WITH ORDINALITY AS image
+      )
+      SELECT * FROM inserted;
+    `;
+    return { ...result.rows[0], images: row.images || [] };
+  };
+
+  const remove = async (id) => {
+    const result = await sql.query(
+      `DELETE FROM pet_photo_posts
+       WHERE id = $1
+       RETURNING id, image_url, image_variants, video_url, ${IMAGES};`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  const get = async (id, { includeDeleted = false } = {}) => {
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE id = $1 ${includeDeleted ? '' : 'AND deleted_at IS NULL'};`,
+      [id]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Soft delete, restore and purge update the post and append its audit event in
+  // one statement, so the history can't miss a change.
+  const softDelete = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET deleted_at = $2, deleted_by = $3, delete_reason = $4
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING ${ALL_COLUMNS}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'delete', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  const restore = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING ${ALL_COLUMNS}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'restore', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  const purge = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH removed AS (
+         DELETE FROM pet_photo_posts
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING id, image_url, image_variants, video_url, ${IMAGES}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'purge', $3, $4, $2 FROM removed
+       )
+       SELECT * FROM removed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  const listDeleted = async ({ before, limit }) => {
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE deleted_at IS NOT NULL AND deleted_at < $1
+       ORDER BY deleted_at ASC
+       LIMIT $2;`,
+      [before, limit]
+    );
+    return result.rows;
+  };
+
+  const history = async (id) => {
+    const result = await sql`
+      SELECT id, post_id, action, actor, reason, created_at
+      FROM pet_photo_post_events
+      WHERE post_id = ${id}
+      ORDER BY created_at ASC, id ASC;
+    `;
+    return result.rows.map((row) => ({ ...row, id: String(row.id) }));
+  };
+
+  // Resolves to true when the reaction is new. Posts that are missing or deleted
+  // never gain reactions.
+  const addReaction = async (postId, reaction, deviceHash) => {
+    const result = await sql`
+      WITH added AS (
+        INSERT INTO pet_photo_post_reactions (post_id, reaction, device_hash)
+        SELECT id, ${reaction}, ${deviceHash} FROM pet_photo_posts WHERE id = ${postId} AND deleted_at IS NULL
+        ON CONFLICT DO NOTHING
+        RETURNING post_id
+      )
+      UPDATE pet_photo_posts
+      SET reaction_count = reaction_count + 1
+      WHERE id IN (SELECT post_id FROM added)
+      RETURNING id;
+    `;
+    return result.rows.length > 0;
+  };
+
+  const removeReaction = async (postId, reaction, deviceHash) => {
+    const result = await sql`
+      WITH removed AS (
+        DELETE FROM pet_photo_post_reactions
+        WHERE post_id = ${postId} AND reaction = ${reaction} AND device_hash = ${deviceHash}
+        RETURNING post_id
+      )
+      UPDATE pet_photo_posts
+      SET reaction_count = GREATEST(reaction_count - 1, 0)
+      WHERE id IN (SELECT post_id FROM removed)
+      RETURNING id;
+    `;
+    return result.rows.length > 0;
+  };
+
+  // Resolves to Map(postId => { counts: { reaction: n }, mine: [reaction] }).
+  const reactionSummaries = async (postIds, deviceHash) => {
+    const summaries = new Map();
+    if (!postIds.length) return summaries;
+    const result = await sql.query(
+      `SELECT post_id, reaction, COUNT(*)::int AS count, BOOL_OR(device_hash = $2) AS mine
+       FROM pet_photo_post_reactions
+       WHERE post_id = ANY($1::text[])
+       GROUP BY post_id, reaction;`,
+      [postIds, deviceHash || '']
+    );
+    result.rows.forEach((row) => {
+      const summary = summaries.get(row.post_id) || { counts: {}, mine: [] };
+      summary.counts[row.reaction] = row.count;
+      if (row.mine) summary.mine.push(row.reaction);
+      summaries.set(row.post_id, summary);
+    });
+    return summaries;
+  };
+
+  // Oldest first, paged by (created_at, id) like the chronological feed sorts.
+  const listComments = async (postId, { cursor, limit }) => {
+    const params = [postId];
+    let after = '';
+    if (cursor) {
+      params.push(cursor.createdAt, cursor.id);
+      after = 'AND (created_at, id) > ($2::timestamptz, $3)';
+    }
+    params.push(limit);
+    const result = await sql.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM pet_photo_post_comments
+       WHERE post_id = $1 AND deleted_at IS NULL ${after}
+       ORDER BY created_at ASC, id ASC
+       LIMIT $${params.length};`,
+      params
+    );
+    return result.rows;
+  };
+
+  // Resolves to null when the post is missing or deleted.
+  const insertComment = async (comment) => {
+    const result = await sql`
+      INSERT INTO pet_photo_post_comments (id, post_id, parent_id, author_name, body, created_at)
+      SELECT ${comment.id}, id, ${comment.parent_id}, ${comment.author_name}, ${comment.body}, ${comment.created_at}
+      FROM pet_photo_posts
+      WHERE id = ${comment.post_id} AND deleted_at IS NULL
+      RETURNING id, post_id, parent_id, author_name, body, created_at;
+    `;
+    return result.rows[0] || null;
+  };
+
+  const getComment = async (id) => {
+    const result = await sql`
+      SELECT id, post_id, parent_id, author_name, body, created_at, deleted_at
+      FROM pet_photo_post_comments
+      WHERE id = ${id};
+    `;
+    return result.rows[0] || null;
+  };
+
+  // Hides the comment and its replies. Resolves to the hidden comment, or null.
+  const softDeleteComment = async (postId, id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `UPDATE pet_photo_post_comments
+       SET deleted_at = $3, deleted_by = $4, delete_reason = $5
+       WHERE post_id = $1 AND (id = $2 OR parent_id = $2) AND deleted_at IS NULL
+       RETURNING ${COMMENT_COLUMNS}, deleted_at;`,
+      [postId, id, at, actor, reason]
+    );
+    return result.rows.find((row) => row.id === id) || null;
+  };
+
+  const commentCounts = async (postIds) => {
+    const counts = new Map();
+    if (!postIds.length) return counts;
+    const result = await sql.query(
+      `SELECT post_id, COUNT(*)::int AS count
+       FROM pet_photo_post_comments
+       WHERE post_id = ANY($1::text[]) AND deleted_at IS NULL
+       GROUP BY post_id;`,
+      [postIds]
+    );
+    result.rows.forEach((row) => counts.set(row.post_id, row.count));
+    return counts;
+  };
+
+  // Resolves to true when the report is new. The post is hidden (and the hide
+  // logged) by the report that reaches the threshold.
+  const addReport = async (postId, { deviceHash, reason, details, at }, threshold) => {
+    const result = await sql.query(
+      `WITH added AS (
+         INSERT INTO pet_photo_post_reports (post_id, device_hash, reason, details, created_at)
+         SELECT id, $2, $3, $4, $5 FROM pet_photo_posts WHERE id = $1 AND deleted_at IS NULL
+         ON CONFLICT DO NOTHING
+         RETURNING post_id
+       ), counted AS (
+         UPDATE pet_photo_posts
+         SET report_count = report_count + 1,
+             hidden_at = CASE WHEN hidden_at IS NULL AND report_count + 1 >= $6 THEN $5::timestamptz ELSE hidden_at END
+         WHERE id IN (SELECT post_id FROM added)
+         RETURNING id, hidden_at
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'hide', 'community', $7, $5 FROM counted WHERE hidden_at = $5::timestamptz
+       )
+       SELECT * FROM counted;`,
+      [postId, deviceHash, reason, details, at, threshold, `Reached ${threshold} reports`]
+    );
+    return result.rows.length > 0;
+  };
+
+  // Hidden posts first, then by number of open reports.
+  const listReported = async ({ limit, offset }) => {
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE report_count > 0 AND deleted_at IS NULL
+       ORDER BY (hidden_at IS NULL), report_count DESC, created_at DESC, id DESC
+       LIMIT $1 OFFSET $2;`,
+      [limit, offset]
+    );
+    return result.rows;
+  };
+
+  // Resolves to Map(postId => { reasons: { reason: n }, recent: [report] }).
+  const reportSummaries = async (postIds, { recent = 5 } = {}) => {
+    const summaries = new Map();
+    if (!postIds.length) return summaries;
+    const result = await sql.query(
+      `SELECT post_id, reason, details, created_at
+       FROM pet_photo_post_reports
+       WHERE post_id = ANY($1::text[])
+       ORDER BY created_at DESC;`,
+      [postIds]
+    );
+    result.rows.forEach((row) => {
+      const summary = summaries.get(row.post_id) || { reasons: {}, recent: [] };
+      summary.reasons[row.reason] = (summary.reasons[row.reason] || 0) + 1;
+      if (summary.recent.length < recent) summary.recent.push(row);
+      summaries.set(row.post_id, summary);
+    });
+    return summaries;
+  };
+
+  // A moderator kept the post: its open reports are dropped and it is shown again.
+  const dismissReports = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET report_count = 0, hidden_at = NULL
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING ${ALL_COLUMNS}
+       ), cleared AS (
+         DELETE FROM pet_photo_post_reports WHERE post_id IN (SELECT id FROM changed)
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'dismiss', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Posts held by pre-moderation, oldest first so they are approved in the order they came in.
+  const listPending = async ({ limit, offset }) => {
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE pending_at IS NOT NULL AND deleted_at IS NULL
+       ORDER BY created_at ASC, id ASC
+       LIMIT $1 OFFSET $2;`,
+      [limit, offset]
+    );
+    return result.rows;
+  };
+
+  // Approve publishes a held post; reject soft-deletes it, so it is purged like
+  // any deleted post and a restore puts it back in the pending list.
+  const approve = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET pending_at = NULL
+         WHERE id = $1 AND pending_at IS NOT NULL AND deleted_at IS NULL
+         RETURNING ${ALL_COLUMNS}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'approve', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  const reject = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET deleted_at = $2, deleted_by = $3, delete_reason = $4
+         WHERE id = $1 AND pending_at IS NOT NULL AND deleted_at IS NULL
+         RETURNING ${ALL_COLUMNS}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'reject', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  // A moderator takes a post out of the feed without deleting it; keeping it
+  // (dismissReports) shows it again.
+  const hide = async (id, { actor, reason, at }) => {
+    const result = await sql.query(
+      `WITH changed AS (
+         UPDATE pet_photo_posts
+         SET hidden_at = $2
+         WHERE id = $1 AND hidden_at IS NULL AND deleted_at IS NULL
+         RETURNING ${ALL_COLUMNS}
+       ), logged AS (
+         INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+         SELECT id, 'hide', $3, $4, $2 FROM changed
+       )
+       SELECT * FROM changed;`,
+      [id, at, actor, reason]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Every post a moderator may need, newest first with keyset paging. filter:
+  // recent (all of them, deleted included), flagged (reported or hidden, not
+  // deleted), pending or deleted. search matches an id exactly, or part of the
+  // caption or pet name.
+  const listForModeration = async ({ filter, search, cursor, limit }) => {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const where = [MODERATION_FILTERS[filter] || 'TRUE'];
+    if (search) {
+      const pattern = param(`%${search.replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+      where.push(`(id = ${param(search)} OR caption ILIKE ${pattern} OR pet_name ILIKE ${pattern})`);
+    }
+    if (cursor) where.push(`(created_at, id) < (${param(cursor.createdAt)}::timestamptz, ${param(cursor.id)})`);
+
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE ${where.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${param(limit)};`,
+      params
+    );
+    return result.rows;
+  };
+
+  // Live posts with a perceptual hash created at or after since, newest first.
+  const listHashed = async ({ since, limit }) => {
+    const result = await sql.query(
+      `SELECT ${ALL_COLUMNS}
+       FROM pet_photo_posts
+       WHERE image_hash IS NOT NULL AND deleted_at IS NULL AND created_at >= $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2;`,
+      [since, limit]
+    );
+    return result.rows;
+  };
+
+  // Health probe used before an instance switches back from the fallback store.
+  const probe = async () => {
+    await ensureSchema();
+    await sql`SELECT 1;`;
+  };
+
+  const findIds = async (ids) => {
+    if (!ids.length) return [];
+    const result = await sql.query('SELECT id FROM pet_photo_posts WHERE id = ANY($1::text[]);', [ids]);
+    return result.rows.map((row) => row.id);
+  };
+
+  // Copies rows written elsewhere, keeping their ids and timestamps. Rows whose id
+  // already exists are skipped, so running it twice is harmless.
+  const importRows = async (rows) => {
+    const imported = [];
+    for (const row of rows) {
+      const result = await sql`
+        WITH inserted AS (
+          INSERT INTO pet_photo_posts (
+            id, pet_name, pet_type, caption, image_url, image_variants, image_hash, duplicate_of, created_at,
+            deleted_at, deleted_by, delete_reason, hidden_at, media_type, video_url, video_mime, video_duration_ms,
+            pending_at, pending_reason, owner_token_hash
+          )
+          VALUES (
+            ${row.id}, ${row.pet_name}, ${row.pet_type}, ${row.caption}, ${row.image_url},
+            ${JSON.stringify(row.image_variants || [])}::jsonb, ${row.image_hash || null}, ${row.duplicate_of || null},
+            ${row.created_at},
+            ${row.deleted_at || null}, ${row.deleted_by || null}, ${row.delete_reason || null}, ${
+        row.hidden_at || null
+      },
+            ${row.media_type || 'image'}, ${row.video_url || null}, ${row.video_mime || null},
+            ${row.video_duration_ms ?? null}, ${row.pending_at || null}, ${row.pending_reason || null},
+            ${row.owner_token_hash || null}
+          )
+          ON CONFLICT (id) DO NOTHING
+          RETURNING id
+        ), album AS (
+          INSERT INTO pet_photo_post_images (post_id, position, image_url, image_variants, image_hash)
+          SELECT inserted.id, image.ordinality - 1, image.value->>'image_url',
+                 COALESCE(image.value->'image_variants', '[]'::jsonb), image.value->>'image_hash'
+          FROM inserted, jsonb_array_elements(${JSON.stringify(row.images || [])}::jsonb) WITH ORDINALITY AS image
+        )
+        SELECT id FROM inserted;
+      `;
+      if (result.rows.length) imported.push(row.id);
+    }
+    return imported;
+  };
+
+  // Copies the comments, reactions, reports and events that belong to imported
+  // posts. Rows that are already here are skipped, and the reaction and report
+  // counts grow with the rows that are new. Events have no id of their own here,
+  // so one with the same post, action, actor and time counts as present.
+  // Resolves to the number of new rows of each kind.
+  const importRelated = async ({ comments = [], reactions = [], reports = [], events = [] }) => {
+    const imported = { comments: 0, reactions: 0, reports: 0, events: 0 };
+    for (const comment of comments) {
+      const result = await sql`
+        INSERT INTO pet_photo_post_comments (
+          id, post_id, parent_id, author_name, body, created_at, deleted_at, deleted_by, delete_reason
+        )
+        SELECT ${comment.id}, id, ${comment.parent_id || null}, ${comment.author_name || ''}, ${comment.body},
+               ${comment.created_at}, ${comment.deleted_at || null}, ${comment.deleted_by || null},
+               ${comment.delete_reason || null}
+        FROM pet_photo_posts
+        WHERE id = ${comment.post_id}
+        ON CONFLICT (id) DO NOTHING
+        RETURNING id;
+      `;
+      imported.comments += result.rows.length;
+    }
+    for (const reaction of reactions) {
+      const result = await sql`
+        WITH added AS (
+          INSERT INTO pet_photo_post_reactions (post_id, reaction, device_hash, created_at)
+          SELECT id, ${reaction.reaction}, ${reaction.device_hash}, ${reaction.created_at}
+          FROM pet_photo_posts
+          WHERE id = ${reaction.post_id}
+          ON CONFLICT DO NOTHING
+          RETURNING post_id
+        )
+        UPDATE pet_photo_posts
+        SET reaction_count = reaction_count + 1
+        WHERE id IN (SELECT post_id FROM added)
+        RETURNING id;
+      `;
+      imported.reactions += result.rows.length;
+    }
+    for (const report of reports) {
+      const result = await sql`
+        WITH added AS (
+          INSERT INTO pet_photo_post_reports (post_id, device_hash, reason, details, created_at)
+          SELECT id, ${report.device_hash}, ${report.reason}, ${report.details || ''}, ${report.created_at}
+          FROM pet_photo_posts
+          WHERE id = ${report.post_id}
+          ON CONFLICT DO NOTHING
+          RETURNING post_id
+        )
+        UPDATE pet_photo_posts
+        SET report_count = report_count + 1
+        WHERE id IN (SELECT post_id FROM added)
+        RETURNING id;
+      `;
+      imported.reports += result.rows.length;
+    }
+    for (const event of events) {
+      const result = await sql`
+        INSERT INTO pet_photo_post_events (post_id, action, actor, reason, created_at)
+        SELECT ${event.post_id}, ${event.action}, ${event.actor || ''}, ${event.reason || ''}, ${event.created_at}
+        WHERE NOT EXISTS (
+          SELECT 1 FROM pet_photo_post_events
+          WHERE post_id = ${event.post_id} AND action = ${event.action} AND actor = ${event.actor || ''}
+            AND created_at = ${event.created_at}
+        )
+        RETURNING id;
+      `;
+      imported.events += result.rows.length;
+    }
+    return imported;
+  };
+
+  return {
+    name: 'postgres',
+    isConfigured: hasPostgresConfig,
+    ensureSchema,
+    list,
+    insert,
+    delete: remove,
+    get,
+    softDelete,
+    restore,
+    purge,
+    listDeleted,
+    history,
+    addReaction,
+    removeReaction,
+    reactionSummaries,
+    listComments,
+    insertComment,
+    getComment,
+    softDeleteComment,
+    commentCounts,
+    addReport,
+    listReported,
+    reportSummaries,
+    dismissReports,
+    listPending,
+    approve,
+    reject,
+    hide,
+    listForModeration,
+    listHashed,
+    probe,
+    findIds,
+    importRows,
+    importRelated
+  };
+};
+
+module.exports = { createPostgresAdapter };
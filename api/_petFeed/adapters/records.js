@@ -0,0 +1,385 @@
+const { reactionKey } = require('../reactions');
+const { reportKey } = require('../reports');
+const { compareRows, normalizeComment, normalizeEvent, normalizeRow, rowPassesCursor, toMs, uid } = require('../rows');
+const { scoreRow } = require('../search');
+
+const COLLECTION = 'posts';
+const EVENTS = 'post_events';
+const REACTIONS = 'post_reactions';
+const COMMENTS = 'post_comments';
+const REPORTS = 'post_reports';
+// Rows that belong to a post, by the name reconcile uses for them.
+const RELATED = { comments: COMMENTS, reactions: REACTIONS, reports: REPORTS, events: EVENTS };
+
+// Feed adapter for record stores that cannot query: rows are filtered, ranked and
+// paginated in process, mirroring the SQL the Postgres adapter runs.
+const createRecordsAdapter = (records) => {
+  const loadRows = async () =>
+    (await records.list(COLLECTION)).map(normalizeRow).filter((row) => row.id && row.image_url);
+
+  const loadReactions = () => records.list(REACTIONS);
+
+  const loadComments = async () => (await records.list(COMMENTS)).map(normalizeComment);
+
+  const loadReports = () => records.list(REPORTS);
+
+  const list = async ({ limit, sort, search, type, cursor, offset }) => {
+    const totals = new Map();
+    (await loadReactions()).forEach((reaction) => {
+      totals.set(reaction.post_id, (totals.get(reaction.post_id) || 0) + 1);
+    });
+    const rows = (await loadRows())
+      .filter((row) => !row.deleted_at && !row.hidden_at && !row.pending_at && (!type || row.pet_type === type))
+      .map((row) => ({ ...row, reaction_count: totals.get(row.id) || 0 }));
+    const scored = rows.map((row) => ({ row, score: scoreRow(row, search) })).filter(({ score }) => score > 0);
+
+    // Ranked sorts page by offset, like the SQL version.
+    if (sort === 'relevance' || sort === 'loved') {
+      const rank = sort === 'loved' ? ({ row }) => row.reaction_count : ({ score }) => score;
+      return scored
+        .sort((a, b) => rank(b) - rank(a) || compareRows(a.row, b.row, 'newest'))
+        .slice(offset, offset + limit)
+        .map(({ row }) => row);
+    }
+
+    return scored
+      .map(({ row }) => row)
+      .sort((a, b) => compareRows(a, b, sort))
+      .filter((row) => rowPassesCursor(row, cursor, sort))
+      .slice(0, limit);
+  };
+
+  const insert = async (row) => {
+    await records.insert(COLLECTION, row);
+    return row;
+  };
+
+  const remove = async (id) => {
+    const removed = await records.remove(COLLECTION, id);
+    if (!removed) return null;
+    const row = normalizeRow(removed);
+    return {
+      id: row.id,
+      image_url: row.image_url,
+      image_variants: row.image_variants,
+      images: row.images,
+      video_url: row.video_url
+    };
+  };
+
+  const get = async (id, { includeDeleted = false } = {}) => {
+    const found = await records.get(COLLECTION, id);
+    const row = found ? normalizeRow(found) : null;
+    return row && (includeDeleted || !row.deleted_at) ? row : null;
+  };
+
+  const logEvent = (postId, action, { actor, reason, at }) =>
+    records.insert(EVENTS, { id: uid(), post_id: postId, action, actor, reason, created_at: at });
+
+  const softDelete = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.deleted_at ? null : { ...row, deleted_at: at, deleted_by: actor, delete_reason: reason }
+    );
+    if (!updated) return null;
+    await logEvent(id, 'delete', { actor, reason, at });
+    return normalizeRow(updated);
+  };
+
+  const restore = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.deleted_at ? { ...row, deleted_at: null, deleted_by: null, delete_reason: null } : null
+    );
+    if (!updated) return null;
+    await logEvent(id, 'restore', { actor, reason, at });
+    return normalizeRow(updated);
+  };
+
+  const purge = async (id, { actor, reason, at }) => {
+    const existing = await get(id, { includeDeleted: true });
+    if (!existing?.deleted_at) return null;
+    const removed = await remove(id);
+    if (!removed) return null;
+    await logEvent(id, 'purge', { actor, reason, at });
+    const reactions = (await loadReactions()).filter((reaction) => reaction.post_id === id);
+    for (const reaction of reactions) await records.remove(REACTIONS, reaction.id);
+    const comments = (await loadComments()).filter((comment) => comment.post_id === id);
+    for (const comment of comments) await records.remove(COMMENTS, comment.id);
+    const reports = (await loadReports()).filter((report) => report.post_id === id);
+    for (const report of reports) await records.remove(REPORTS, report.id);
+    return removed;
+  };
+
+  const listDeleted = async ({ before, limit }) =>
+    (await loadRows())
+      .filter((row) => row.deleted_at && toMs(row.deleted_at) < toMs(before))
+      .sort((a, b) => toMs(a.deleted_at) - toMs(b.deleted_at))
+      .slice(0, limit);
+
+  const history = async (id) =>
+    (await records.list(EVENTS))
+      .map(normalizeEvent)
+      .filter((event) => event.post_id === id)
+      .sort((a, b) => toMs(a.created_at) - toMs(b.created_at));
+
+  const addReaction = async (postId, reaction, deviceHash) => {
+    if (!(await get(postId))) return false;
+    try {
+      await records.insert(REACTIONS, {
+        id: reactionKey(postId, reaction, deviceHash),
+        post_id: postId,
+        reaction,
+        device_hash: deviceHash,
+        created_at: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      if (error?.code === 'PET_FEED_DUPLICATE_ID') return false;
+      throw error;
+    }
+  };
+
+  const removeReaction = async (postId, reaction, deviceHash) =>
+    Boolean(await records.remove(REACTIONS, reactionKey(postId, reaction, deviceHash)));
+
+  const reactionSummaries = async (postIds, deviceHash) => {
+    const summaries = new Map();
+    const wanted = new Set(postIds);
+    (await loadReactions()).forEach((item) => {
+      if (!wanted.has(item.post_id)) return;
+      const summary = summaries.get(item.post_id) || { counts: {}, mine: [] };
+      summary.counts[item.reaction] = (summary.counts[item.reaction] || 0) + 1;
+      if (deviceHash && item.device_hash === deviceHash) summary.mine.push(item.reaction);
+      summaries.set(item.post_id, summary);
+    });
+    return summaries;
+  };
+
+  const listComments = async (postId, { cursor, limit }) =>
+    (await loadComments())
+      .filter((comment) => comment.post_id === postId && !comment.deleted_at)
+      .sort((a, b) => compareRows(a, b, 'oldest'))
+      .filter((comment) => rowPassesCursor(comment, cursor, 'oldest'))
+      .slice(0, limit);
+
+  const insertComment = async (comment) => {
+    if (!(await get(comment.post_id))) return null;
+    await records.insert(COMMENTS, comment);
+    return comment;
+  };
+
+  const getComment = async (id) => {
+    const found = await records.get(COMMENTS, id);
+    return found ? normalizeComment(found) : null;
+  };
+
+  const softDeleteComment = async (postId, id, { actor, reason, at }) => {
+    const hide = (comment) =>
+      comment.post_id !== postId || comment.deleted_at
+        ? null
+        : { ...comment, deleted_at: at, deleted_by: actor, delete_reason: reason };
+    const updated = await records.update(COMMENTS, id, hide);
+    if (!updated) return null;
+    const replies = (await loadComments()).filter((comment) => comment.parent_id === id);
+    for (const reply of replies) await records.update(COMMENTS, reply.id, hide);
+    return normalizeComment(updated);
+  };
+
+  const commentCounts = async (postIds) => {
+    const counts = new Map();
+    const wanted = new Set(postIds);
+    (await loadComments()).forEach((comment) => {
+      if (!wanted.has(comment.post_id) || comment.deleted_at) return;
+      counts.set(comment.post_id, (counts.get(comment.post_id) || 0) + 1);
+    });
+    return counts;
+  };
+
+  const addReport = async (postId, { deviceHash, reason, details, at }, threshold) => {
+    if (!(await get(postId))) return false;
+    try {
+      await records.insert(REPORTS, {
+        id: reportKey(postId, deviceHash),
+        post_id: postId,
+        device_hash: deviceHash,
+        reason,
+        details,
+        created_at: at
+      });
+    } catch (error) {
+      if (error?.code === 'PET_FEED_DUPLICATE_ID') return false;
+      throw error;
+    }
+
+    const open = (await loadReports()).filter((report) => report.post_id === postId).length;
+    if (open >= threshold) {
+      const hidden = await records.update(COLLECTION, postId, (row) =>
+        row.hidden_at || row.deleted_at ? null : { ...row, hidden_at: at }
+      );
+      if (hidden) await logEvent(postId, 'hide', { actor: 'community', reason: `Reached ${threshold} reports`, at });
+    }
+    return true;
+  };
+
+  const countReports = async () => {
+    const counts = new Map();
+    (await loadReports()).forEach((report) => {
+      counts.set(report.post_id, (counts.get(report.post_id) || 0) + 1);
+    });
+    return counts;
+  };
+
+  const listReported = async ({ limit, offset }) => {
+    const counts = await countReports();
+    return (await loadRows())
+      .filter((row) => !row.deleted_at && counts.has(row.id))
+      .map((row) => ({ ...row, report_count: counts.get(row.id) }))
+      .sort(
+        (a, b) =>
+          Number(Boolean(b.hidden_at)) - Number(Boolean(a.hidden_at)) ||
+          b.report_count - a.report_count ||
+          compareRows(a, b, 'newest')
+      )
+      .slice(offset, offset + limit);
+  };
+
+  const reportSummaries = async (postIds, { recent = 5 } = {}) => {
+    const summaries = new Map();
+    const wanted = new Set(postIds);
+    (await loadReports())
+      .filter((report) => wanted.has(report.post_id))
+      .sort((a, b) => toMs(b.created_at) - toMs(a.created_at))
+      .forEach((report) => {
+        const summary = summaries.get(report.post_id) || { reasons: {}, recent: [] };
+        summary.reasons[report.reason] = (summary.reasons[report.reason] || 0) + 1;
+        if (summary.recent.length < recent) summary.recent.push(report);
+        summaries.set(report.post_id, summary);
+      });
+    return summaries;
+  };
+
+  const dismissReports = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.deleted_at ? null : { ...row, hidden_at: null }
+    );
+    if (!updated) return null;
+    const reports = (await loadReports()).filter((report) => report.post_id === id);
+    for (const report of reports) await records.remove(REPORTS, report.id);
+    await logEvent(id, 'dismiss', { actor, reason, at });
+    return { ...normalizeRow(updated), report_count: 0 };
+  };
+
+  const listPending = async ({ limit, offset }) =>
+    (await loadRows())
+      .filter((row) => row.pending_at && !row.deleted_at)
+      .sort((a, b) => compareRows(a, b, 'oldest'))
+      .slice(offset, offset + limit);
+
+  const approve = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.pending_at && !row.deleted_at ? { ...row, pending_at: null } : null
+    );
+    if (!updated) return null;
+    await logEvent(id, 'approve', { actor, reason, at });
+    return normalizeRow(updated);
+  };
+
+  const reject = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.pending_at && !row.deleted_at ? { ...row, deleted_at: at, deleted_by: actor, delete_reason: reason } : null
+    );
+    if (!updated) return null;
+    await logEvent(id, 'reject', { actor, reason, at });
+    return normalizeRow(updated);
+  };
+
+  const hide = async (id, { actor, reason, at }) => {
+    const updated = await records.update(COLLECTION, id, (row) =>
+      row.hidden_at || row.deleted_at ? null : { ...row, hidden_at: at }
+    );
+    if (!updated) return null;
+    await logEvent(id, 'hide', { actor, reason, at });
+    return normalizeRow(updated);
+  };
+
+  const MODERATION_FILTERS = {
+    recent: () => true,
+    flagged: (row) => (row.report_count > 0 || row.hidden_at) && !row.deleted_at,
+    pending: (row) => row.pending_at && !row.deleted_at,
+    deleted: (row) => row.deleted_at
+  };
+
+  const listForModeration = async ({ filter, search, cursor, limit }) => {
+    const counts = await countReports();
+    const keep = MODERATION_FILTERS[filter] || MODERATION_FILTERS.recent;
+    const needle = (search || '').toLowerCase();
+    const matches = (row) =>
+      !needle ||
+      row.id === search ||
+      String(row.caption || '')
+        .toLowerCase()
+        .includes(needle) ||
+      String(row.pet_name || '')
+        .toLowerCase()
+        .includes(needle);
+    return (await loadRows())
+      .map((row) => ({ ...row, report_count: counts.get(row.id) || 0 }))
+      .filter((row) => keep(row) && matches(row))
+      .sort((a, b) => compareRows(a, b, 'newest'))
+      .filter((row) => rowPassesCursor(row, cursor, 'newest'))
+      .slice(0, limit);
+  };
+
+  const listHashed = async ({ since, limit }) =>
+    (await loadRows())
+      .filter((row) => row.image_hash && !row.deleted_at && toMs(row.created_at) >= toMs(since))
+      .sort((a, b) => compareRows(a, b, 'newest'))
+      .slice(0, limit);
+
+  // Everything reconcile merges besides the posts: { comments, reactions, reports, events }.
+  const listRelated = async () => ({
+    comments: await loadComments(),
+    reactions: await loadReactions(),
+    reports: await loadReports(),
+    events: (await records.list(EVENTS)).map(normalizeEvent)
+  });
+
+  const deleteRelated = async (kind, id) => Boolean(await records.remove(RELATED[kind], id));
+
+  return {
+    name: records.name,
+    isConfigured: records.isConfigured,
+    ensureSchema: async () => {},
+    list,
+    insert,
+    delete: remove,
+    get,
+    softDelete,
+    restore,
+    purge,
+    listDeleted,
+    history,
+    addReaction,
+    removeReaction,
+    reactionSummaries,
+    listComments,
+    insertComment,
+    getComment,
+    softDeleteComment,
+    commentCounts,
+    addReport,
+    listReported,
+    reportSummaries,
+    dismissReports,
+    listPending,
+    approve,
+    reject,
+    hide,
+    listForModeration,
+    listHashed,
+    listAll: loadRows,
+    listRelated,
+    deleteRelated
+  };
+};
+
+module.exports = { createRecordsAdapter };
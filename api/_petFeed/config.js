@@ -0,0 +1,183 @@
+const path = require('node:path');
+
+const DRIVERS = ['auto', 'postgres', 'blob', 'fs', 'sqlite', 'memory'];
+
+const hasPostgresConfig = () =>
+  Boolean(
+    process.env.POSTGRES_URL ||
+      process.env.POSTGRES_PRISMA_URL ||
+      process.env.POSTGRES_URL_NON_POOLING ||
+      process.env.POSTGRES_HOST
+  );
+
+const hasBlobConfig = () => Boolean(process.env.BLOB_READ_WRITE_TOKEN);
+
+// PET_FEED_STORE picks the metadata backend. "auto" keeps the Vercel behaviour:
+// Postgres first, Blob JSON once Postgres is unavailable.
+const storeDriver = (fallback = 'auto') => {
+  const raw = String(process.env.PET_FEED_STORE || '')
+    .trim()
+    .toLowerCase();
+  return raw || fallback;
+};
+
+// Soft-deleted posts (and their images) are purged once they are this old.
+const deleteRetentionMs = () => {
+  const days = Number(process.env.PET_FEED_DELETE_RETENTION_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+// Open reports from this many devices hide a post until a moderator reviews it.
+const reportThreshold = () => {
+  const value = Number(process.env.PET_FEED_REPORT_THRESHOLD);
+  return Number.isInteger(value) && value >= 1 ? value : 3;
+};
+
+const positiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Upload size limits in pixels. The default pixel budget fits 48MP phone photos.
+const imageLimits = () => ({
+  minDimension: 16,
+  maxDimension: positiveEnv('PET_FEED_IMAGE_MAX_DIMENSION', 12000),
+  maxPixels: positiveEnv('PET_FEED_IMAGE_MAX_PIXELS', 50000000)
+});
+
+// Direct uploads go straight to storage, so they can be bigger than the
+// multipart limit (MAX_UPLOAD_BYTES) the functions enforce.
+const directUploadMaxBytes = () => positiveEnv('PET_FEED_DIRECT_UPLOAD_MAX_BYTES', 25 * 1024 * 1024);
+
+// Signs upload grants. On Vercel the Blob token doubles as the key when no
+// dedicated secret is set.
+const uploadSecret = () => process.env.PET_FEED_UPLOAD_SECRET || process.env.BLOB_READ_WRITE_TOKEN || '';
+
+// Video clips: bytes and length in seconds. Clips bigger than MAX_UPLOAD_BYTES
+// only fit through direct uploads.
+const videoLimits = () => ({
+  maxBytes: positiveEnv('PET_FEED_VIDEO_MAX_BYTES', 20 * 1024 * 1024),
+  maxSeconds: positiveEnv('PET_FEED_VIDEO_MAX_SECONDS', 15)
+});
+
+// Photos per post; a post with more than one is shown as a swipeable album.
+const maxPhotos = () => Math.floor(positiveEnv('PET_FEED_MAX_PHOTOS', 6));
+
+const DUPLICATE_POLICIES = ['reject', 'flag', 'allow'];
+
+// What POST /api/posts does with a photo that matches one posted within the
+// window: reject it (409), accept it flagged as a duplicate, or allow it.
+const duplicatePolicy = () => {
+  const raw = String(process.env.PET_FEED_DUPLICATES || '')
+    .trim()
+    .toLowerCase();
+  return DUPLICATE_POLICIES.includes(raw) ? raw : 'reject';
+};
+
+const FILTER_ACTIONS = ['reject', 'hold', 'allow'];
+
+const filterAction = (name, fallback) => {
+  const raw = String(process.env[name] || '')
+    .trim()
+    .toLowerCase();
+  return FILTER_ACTIONS.includes(raw) ? raw : fallback;
+};
+
+// Comma- or newline-separated words and phrases.
+const wordList = (name) =>
+  String(process.env[name] || '')
+    .split(/[,\n]/)
+    .map((word) => word.trim())
+    .filter(Boolean);
+
+// Rules for the name, caption and comment filter (api/_petFeed/contentFilter.js).
+const contentFilterRules = () => ({
+  blockedWords: wordList('PET_FEED_BLOCKED_WORDS'),
+  watchedWords: wordList('PET_FEED_WATCHED_WORDS'),
+  links: filterAction('PET_FEED_FILTER_LINKS', 'hold'),
+  phones: filterAction('PET_FEED_FILTER_PHONES', 'hold'),
+  repeats: filterAction('PET_FEED_FILTER_REPEATS', 'hold'),
+  maxRepeat: Math.floor(positiveEnv('PET_FEED_FILTER_MAX_REPEAT', 10))
+});
+
+const duplicateWindowMs = () => positiveEnv('PET_FEED_DUPLICATE_WINDOW_HOURS', 24) * 60 * 60 * 1000;
+
+// Hashes at most this many bits apart count as the same photo. Perceptual hashes
+// are 128 bits, so 0-128.
+const duplicateDistance = () => {
+  const value = Number(process.env.PET_FEED_DUPLICATE_DISTANCE);
+  return Number.isInteger(value) && value >= 0 && value <= 128 ? value : 10;
+};
+
+const dataDir = () => process.env.PET_FEED_DATA_DIR || process.env.DATA_DIR || path.join(process.cwd(), '.data');
+
+// Uploads stored without Blob, served from /media.
+const mediaDir = () => process.env.PET_FEED_MEDIA_DIR || path.join(dataDir(), 'media');
+
+const sqliteFile = () => process.env.PET_FEED_SQLITE_FILE || path.join(dataDir(), 'pet-feed.sqlite');
+
+const envFlag = (name, fallback) => {
+  const raw = String(process.env[name] || '')
+    .trim()
+    .toLowerCase();
+  if (!raw) return fallback;
+  return !['0', 'false', 'no', 'off'].includes(raw);
+};
+
+const autoMigrate = () => envFlag('PET_FEED_AUTO_MIGRATE', true);
+
+// While on, new posts wait for a moderator's approval before they reach the feed.
+const preModeration = () => envFlag('PET_FEED_PREMODERATION', false);
+
+// The old shared MODERATOR_PASSWORD, for deployments still moving to moderator
+// accounts. Off unless PET_FEED_SHARED_MODERATOR_PASSWORD is on and a password is set.
+const sharedModeratorPassword = () =>
+  envFlag('PET_FEED_SHARED_MODERATOR_PASSWORD', false) ? String(process.env.MODERATOR_PASSWORD || '').trim() : '';
+
+// Signs moderator session tokens. There is no fallback: sessions shouldn't hang on
+// a storage credential, and without it logins answer 503.
+const sessionSecret = () => process.env.PET_FEED_SESSION_SECRET || '';
+
+const sessionTtlMs = () => positiveEnv('PET_FEED_SESSION_TTL_HOURS', 12) * 60 * 60 * 1000;
+
+// How long POST /api/posts remembers an Idempotency-Key and the post it created.
+const idempotencyTtlMs = () => positiveEnv('PET_FEED_IDEMPOTENCY_TTL_HOURS', 24) * 60 * 60 * 1000;
+
+// Per-client request budgets and the moderator login lockout (api/_petFeed/rateLimits.js).
+const rateLimitsEnabled = () => envFlag('PET_FEED_RATE_LIMITS', true);
+
+// How long an instance keeps using the fallback store before probing Postgres again.
+const sqlRetryMs = () => {
+  const value = Number(process.env.PET_FEED_SQL_RETRY_MS);
+  return Number.isFinite(value) && value >= 0 ? value : 30000;
+};
+
+module.exports = {
+  DRIVERS,
+  hasPostgresConfig,
+  hasBlobConfig,
+  envFlag,
+  storeDriver,
+  autoMigrate,
+  rateLimitsEnabled,
+  idempotencyTtlMs,
+  sharedModeratorPassword,
+  sessionSecret,
+  sessionTtlMs,
+  sqlRetryMs,
+  deleteRetentionMs,
+  reportThreshold,
+  preModeration,
+  imageLimits,
+  directUploadMaxBytes,
+  uploadSecret,
+  maxPhotos,
+  videoLimits,
+  duplicatePolicy,
+  duplicateWindowMs,
+  duplicateDistance,
+  contentFilterRules,
+  dataDir,
+  mediaDir,
+  sqliteFile
+};
@@ -0,0 +1,102 @@
+// Screens the free text people post (pet names, captions, comments) before it is
+// stored. Each rule allows, holds for review or rejects; the strictest match wins
+// and is reported with a reason code the client can show or act on.
+const ACTIONS = ['allow', 'hold', 'reject'];
+
+const MESSAGES = {
+  'blocked-word': "This uses a word that isn't allowed here.",
+  'watched-word': 'This uses a word a moderator has to look at first.',
+  link: "Links and web addresses aren't allowed here.",
+  'phone-number': "Phone numbers aren't allowed here.",
+  'repeated-text': 'Please cut down on the repeated characters or words.'
+};
+
+// http://, www. and bare domains, including "example dot com" spellings. A real
+// dot has to touch both sides, so "Best day. Me and Rex" is not a domain.
+const LINK_PATTERN =
+  /\b(?:https?:\/\/|www\.)\S|\b[a-z0-9-]{2,}(?:\.|\s*[([]dot[)\]]\s*|\s+dot\s+)(?:com|net|org|info|biz|io|co|me|ly|gg|tv|app|xyz|top|site|online|shop|store|link|click|ru|cn|uk|us)\b/i;
+
+// Nine or more digits with at most a few separators between them, so prices,
+// ages and dates pass but "+1 (555) 010-9999" doesn't.
+const PHONE_PATTERN = /(?:\+?\d[\s().-]{0,3}){9}/;
+
+// The same word six times in a row: "buy buy buy buy buy buy".
+const REPEATED_WORD_PATTERN = /\b(\w+)(?:\W+\1\b){5}/i;
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Lowercase words without accents or look-alike digits, space separated and
+// padded so entries match whole words only.
+const toWords = (text) => {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[013457@$]/g, (char) => LOOKALIKES[char])
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return words ? ` ${words} ` : '';
+};
+
+// "spaaaam" counts as "spam".
+const squeeze = (words) => words.replace(/([a-z0-9])\1+/g, '$1');
+
+const parseWordList = (list) => [...new Set((list || []).map(toWords).filter(Boolean))];
+
+const matchesWord = (text, entries) => {
+  if (!entries.length) return false;
+  const words = toWords(text);
+  const squeezed = squeeze(words);
+  return entries.some((entry) => words.includes(entry) || squeezed.includes(squeeze(entry)));
+};
+
+const parseAction = (value, fallback) => (ACTIONS.includes(value) ? value : fallback);
+
+// blockedWords are rejected and watchedWords held; links, phones and repeats
+// each take 'allow', 'hold' or 'reject'. maxRepeat is the longest run of one
+// character that passes.
+const createContentFilter = ({
+  blockedWords = [],
+  watchedWords = [],
+  links = 'hold',
+  phones = 'hold',
+  repeats = 'hold',
+  maxRepeat = 10
+} = {}) => {
+  const blocked = parseWordList(blockedWords);
+  const watched = parseWordList(watchedWords);
+  const repeatedChar = new RegExp(`(\\S)\\1{${Math.max(1, Math.floor(maxRepeat))},}`, 'u');
+
+  const rules = [
+    { reason: 'blocked-word', action: 'reject', test: (text) => matchesWord(text, blocked) },
+    { reason: 'watched-word', action: 'hold', test: (text) => matchesWord(text, watched) },
+    { reason: 'link', action: parseAction(links, 'hold'), test: (text) => LINK_PATTERN.test(text) },
+    { reason: 'phone-number', action: parseAction(phones, 'hold'), test: (text) => PHONE_PATTERN.test(text) },
+    {
+      reason: 'repeated-text',
+      action: parseAction(repeats, 'hold'),
+      test: (text) => repeatedChar.test(text) || REPEATED_WORD_PATTERN.test(text)
+    }
+  ].filter((rule) => rule.action !== 'allow');
+
+  // fields: { fieldName: text }. Returns { decision, reason, field, message };
+  // reason, field and message are null when everything is allowed.
+  const check = (fields = {}) => {
+    let result = { decision: 'allow', reason: null, field: null, message: null };
+    for (const [field, value] of Object.entries(fields)) {
+      const text = String(value || '');
+      if (!text) continue;
+      for (const rule of rules) {
+        if (ACTIONS.indexOf(rule.action) <= ACTIONS.indexOf(result.decision)) continue;
+        if (rule.test(text)) {
+          result = { decision: rule.action, reason: rule.reason, field, message: MESSAGES[rule.reason] };
+        }
+      }
+    }
+    return result;
+  };
+
+  return { check };
+};
+
+module.exports = { ACTIONS, createContentFilter };
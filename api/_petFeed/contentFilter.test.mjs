@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createContentFilter } = require('./contentFilter.js');
+
+const decide = (filter, text) => {
+  const { decision, reason } = filter.check({ caption: text });
+  return reason ? `${decision}:${reason}` : decision;
+};
+
+test('lets ordinary captions through', () => {
+  const filter = createContentFilter({ blockedWords: ['spam'] });
+  for (const text of [
+    'Happy zoomies after a long walk!',
+    'Best day. Me and Rex at the beach',
+    'Luna turned 3 on 12.05.2023 and weighs 4.5kg',
+    'Soooooo sleepy',
+    'Woof woof woof',
+    'Spammy? Never. He just loves Spamalot.'
+  ]) {
+    assert.equal(decide(filter, text), 'allow', text);
+  }
+});
+
+test('rejects blocked words, including look-alike and stretched spellings', () => {
+  const filter = createContentFilter({ blockedWords: ['spam', 'buy followers'] });
+  assert.equal(decide(filter, 'Total SPAM'), 'reject:blocked-word');
+  assert.equal(decide(filter, 'sp4m here'), 'reject:blocked-word');
+  assert.equal(decide(filter, 'spaaaam'), 'reject:blocked-word');
+  assert.equal(decide(filter, 'Buy   followers!'), 'reject:blocked-word');
+  assert.equal(decide(filter, 'Spåm'), 'reject:blocked-word');
+});
+
+test('holds links, phone numbers, watched words and repeated text by default', () => {
+  const filter = createContentFilter({ watchedWords: ['giveaway'] });
+  assert.equal(decide(filter, 'see https://example.test/x'), 'hold:link');
+  assert.equal(decide(filter, 'www.cheap-pets'), 'hold:link');
+  assert.equal(decide(filter, 'visit cheap-pets.shop'), 'hold:link');
+  assert.equal(decide(filter, 'cheap-pets dot com'), 'hold:link');
+  assert.equal(decide(filter, 'mail me@pets.net'), 'hold:link');
+  assert.equal(decide(filter, 'Call +1 (555) 010-9999'), 'hold:phone-number');
+  assert.equal(decide(filter, 'Huge GIVEAWAY today'), 'hold:watched-word');
+  assert.equal(decide(filter, 'cute!!!!!!!!!!!'), 'hold:repeated-text');
+  assert.equal(decide(filter, 'buy buy buy buy buy buy'), 'hold:repeated-text');
+});
+
+test('each rule can be turned up to reject or off', () => {
+  const strict = createContentFilter({ links: 'reject', phones: 'reject', repeats: 'allow', maxRepeat: 3 });
+  assert.equal(decide(strict, 'example.com'), 'reject:link');
+  assert.equal(decide(strict, '555 010 9999 12'), 'reject:phone-number');
+  assert.equal(decide(strict, 'cute!!!!!!!!!!!'), 'allow');
+
+  const tight = createContentFilter({ maxRepeat: 3 });
+  assert.equal(decide(tight, 'sooo'), 'allow');
+  assert.equal(decide(tight, 'soooo'), 'hold:repeated-text');
+});
+
+test('the strictest match wins and names its field', () => {
+  const filter = createContentFilter({ blockedWords: ['scam'] });
+  assert.deepEqual(filter.check({ petName: 'Rex', caption: 'example.com scam' }), {
+    decision: 'reject',
+    reason: 'blocked-word',
+    field: 'caption',
+    message: "This uses a word that isn't allowed here."
+  });
+  assert.equal(filter.check({ petName: 'example.com', caption: 'scam' }).field, 'caption');
+  assert.deepEqual(filter.check({ petName: '', caption: undefined }), {
+    decision: 'allow',
+    reason: null,
+    field: null,
+    message: null
+  });
+});
@@ -0,0 +1,72 @@
+// Perceptual hashes are 128-bit difference hashes stored as 32 hex digits (see
+// perceptualHash in images.js). Re-encoding, resizing or recompressing a photo
+// flips only a few bits, while different photos differ in about half of them.
+const HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+const parseImageHash = (value) => {
+  const hash = String(value || '')
+    .trim()
+    .toLowerCase();
+  return HASH_PATTERN.test(hash) ? hash : null;
+};
+
+const popcount32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Number of differing bits; Infinity when either hash is missing.
+const hashDistance = (a, b) => {
+  const left = parseImageHash(a);
+  const right = parseImageHash(b);
+  if (!left || !right) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < 32; i += 8) {
+    distance += popcount32(parseInt(left.slice(i, i + 8), 16) ^ parseInt(right.slice(i, i + 8), 16));
+  }
+  return distance;
+};
+
+// The closest row within maxDistance, or null.
+const findNearestHash = (hash, rows, maxDistance) => {
+  let nearest = null;
+  let nearestDistance = maxDistance + 1;
+  rows.forEach((row) => {
+    const distance = hashDistance(hash, row.image_hash);
+    if (distance < nearestDistance) {
+      nearest = row;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+// Groups rows whose hashes are within maxDistance of each other, transitively.
+// Returns only groups of two or more, each in the rows' original order.
+const clusterByHash = (rows, maxDistance) => {
+  const parent = rows.map((_row, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < rows.length; i += 1) {
+    for (let j = i + 1; j < rows.length; j += 1) {
+      if (hashDistance(rows[i].image_hash, rows[j].image_hash) <= maxDistance) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  });
+  return [...groups.values()].filter((group) => group.length > 1);
+};
+
+module.exports = { clusterByHash, findNearestHash, hashDistance, parseImageHash };
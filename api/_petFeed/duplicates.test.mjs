@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { clusterByHash, findNearestHash, hashDistance, parseImageHash } = require('./duplicates.js');
+
+// 32 hex digits ending in `tail`, zero-padded.
+const hash = (tail) => tail.padStart(32, '0');
+
+test('counts differing bits between hashes', () => {
+  assert.equal(hashDistance(hash('0'), hash('0')), 0);
+  assert.equal(hashDistance(hash('0'), 'f'.repeat(32)), 128);
+  assert.equal(hashDistance(`8${'0'.repeat(30)}1`, hash('0')), 2);
+  assert.equal(hashDistance(hash('F0000000000000000'), hash('0')), 4);
+  assert.equal(hashDistance(hash('0'), null), Infinity);
+  assert.equal(parseImageHash(` ${'AB'.repeat(16)} `), 'ab'.repeat(16));
+  assert.equal(parseImageHash('abc'), null);
+});
+
+test('finds the nearest hash within the distance', () => {
+  const rows = [
+    { id: 'far', image_hash: 'f'.repeat(32) },
+    { id: 'close', image_hash: hash('7') },
+    { id: 'closer', image_hash: hash('1') }
+  ];
+  assert.equal(findNearestHash(hash('0'), rows, 3).id, 'closer');
+  assert.equal(findNearestHash(hash('0'), rows.slice(0, 2), 3).id, 'close');
+  assert.equal(findNearestHash(hash('0'), rows.slice(0, 2), 2), null);
+});
+
+test('clusters near-identical hashes transitively', () => {
+  const rows = [
+    { id: 'a', image_hash: hash('0') },
+    { id: 'b', image_hash: 'f'.repeat(32) },
+    { id: 'c', image_hash: hash('3') },
+    { id: 'd', image_hash: hash('f') },
+    { id: 'e', image_hash: `${'f'.repeat(31)}e` },
+    { id: 'f', image_hash: '00ff'.repeat(8) }
+  ];
+  assert.deepEqual(
+    clusterByHash(rows, 2).map((cluster) => cluster.map((row) => row.id)),
+    [
+      ['a', 'c', 'd'],
+      ['b', 'e']
+    ]
+  );
+  assert.deepEqual(clusterByHash(rows, 0), []);
+});
@@ -0,0 +1,99 @@
+const createCodedError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const createStorageUnavailableError = () =>
+  createCodedError('PET_FEED_STORAGE_UNAVAILABLE', 'Public feed storage is not configured.');
+
+const createUnknownDriverError = (driver) =>
+  createCodedError('PET_FEED_UNKNOWN_DRIVER', `Unknown pet feed storage driver "${driver}".`);
+
+const createSchemaNotReadyError = (pending) => {
+  const error = createCodedError(
+    'PET_FEED_SCHEMA_NOT_READY',
+    `Pet feed database has pending migrations: ${pending.join(', ')}. Run npm run db:migrate.`
+  );
+  error.pending = pending;
+  return error;
+};
+
+// Invalid client input detected below the HTTP layer; handlers answer 400 with the message.
+const createBadRequestError = (message) => createCodedError('PET_FEED_BAD_REQUEST', message);
+
+// An upload whose bytes are not a supported image or clip type; handlers answer 415.
+const createUnsupportedMediaError = (message = 'Unsupported image type. Please upload JPG/PNG/WebP/GIF/AVIF.') =>
+  createCodedError('PET_FEED_UNSUPPORTED_MEDIA', message);
+
+// An upload that claims to be an image (or clip) but can't be decoded as one, or
+// breaks a limit only known after decoding; handlers answer 422.
+const createInvalidImageError = (message = 'The photo could not be read. Please upload a different image.') =>
+  createCodedError('PET_FEED_INVALID_IMAGE', message);
+
+// An upload bigger than the server accepts; handlers answer 413.
+const createPayloadTooLargeError = (message = 'File too large.') =>
+  createCodedError('PET_FEED_PAYLOAD_TOO_LARGE', message);
+
+// An upload that matches a recent post's photo; handlers answer 409 with its id,
+// or with null for a photo repeated within its own album.
+const createDuplicatePhotoError = (duplicateOf, message = 'This photo was already shared recently.') => {
+  const error = createCodedError('PET_FEED_DUPLICATE_PHOTO', message);
+  error.duplicateOf = duplicateOf;
+  return error;
+};
+
+// Text the content filter turned away; handlers answer 422 with its reason code
+// and the field it was found in.
+const createContentRejectedError = ({ reason, field, message }) => {
+  const error = createCodedError('PET_FEED_CONTENT_REJECTED', message || 'This text is not allowed.');
+  error.reason = reason;
+  error.field = field;
+  return error;
+};
+
+// An Idempotency-Key whose first request hasn't finished yet; handlers answer 409.
+const createIdempotencyConflictError = () =>
+  createCodedError('PET_FEED_IDEMPOTENCY_CONFLICT', 'A request with this Idempotency-Key is still in progress.');
+
+// An Idempotency-Key reused for a different request; handlers answer 422.
+const createIdempotencyMismatchError = () =>
+  createCodedError('PET_FEED_IDEMPOTENCY_MISMATCH', 'This Idempotency-Key was already used for a different post.');
+
+// A moderator account name that is already taken; handlers answer 409.
+const createModeratorExistsError = (name) =>
+  createCodedError('PET_FEED_MODERATOR_EXISTS', `There is already a moderator called "${name}".`);
+
+// Moderator logins without a secret to sign sessions with; handlers answer 503.
+const createSessionsUnavailableError = () =>
+  createCodedError('PET_FEED_SESSIONS_UNAVAILABLE', 'Moderator logins are not configured on the server.');
+
+// An owner token that doesn't belong to the post; handlers answer 403.
+const createNotOwnerError = () =>
+  createCodedError('PET_FEED_NOT_OWNER', 'This device did not share the post, so it cannot remove it.');
+
+// The reconcile endpoint's probe of the primary store failed; handlers answer 503.
+const createPrimaryUnavailableError = () =>
+  createCodedError('PET_FEED_PRIMARY_UNAVAILABLE', 'Postgres is still unavailable; nothing was merged.');
+
+const createDuplicateIdError = (id) => createCodedError('PET_FEED_DUPLICATE_ID', `Record ${id} already exists.`);
+
+module.exports = {
+  createCodedError,
+  createBadRequestError,
+  createContentRejectedError,
+  createDuplicateIdError,
+  createDuplicatePhotoError,
+  createIdempotencyConflictError,
+  createIdempotencyMismatchError,
+  createInvalidImageError,
+  createModeratorExistsError,
+  createNotOwnerError,
+  createPayloadTooLargeError,
+  createPrimaryUnavailableError,
+  createUnsupportedMediaError,
+  createSessionsUnavailableError,
+  createStorageUnavailableError,
+  createUnknownDriverError,
+  createSchemaNotReadyError
+};
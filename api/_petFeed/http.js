@@ -0,0 +1,80 @@
+const json = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+};
+
+// Dynamic route segments arrive as req.query.<name> on Vercel.
+const queryParam = (req, name) => {
+  const raw = req.query?.[name];
+  return String(Array.isArray(raw) ? raw[0] : raw || '').trim();
+};
+
+// Maps feed store errors to responses; returns false for anything else.
+const sendStoreError = (res, error) => {
+  if (error?.code === 'PET_FEED_BAD_REQUEST') {
+    json(res, 400, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_UNSUPPORTED_MEDIA') {
+    json(res, 415, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_INVALID_IMAGE') {
+    json(res, 422, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_PAYLOAD_TOO_LARGE') {
+    json(res, 413, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_DUPLICATE_PHOTO') {
+    json(res, 409, { error: error.message, duplicateOf: error.duplicateOf });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_CONTENT_REJECTED') {
+    json(res, 422, { error: error.message, reason: error.reason, field: error.field });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_IDEMPOTENCY_CONFLICT') {
+    res.setHeader('Retry-After', '1');
+    json(res, 409, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_IDEMPOTENCY_MISMATCH') {
+    json(res, 422, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_MODERATOR_EXISTS') {
+    json(res, 409, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_NOT_OWNER') {
+    json(res, 403, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_SESSIONS_UNAVAILABLE') {
+    json(res, 503, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_PRIMARY_UNAVAILABLE') {
+    json(res, 503, { error: error.message });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_STORAGE_UNAVAILABLE') {
+    json(res, 503, { error: 'Public feed storage is not configured on the server.' });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_WRITE_CONFLICT') {
+    res.setHeader('Retry-After', '1');
+    json(res, 503, { error: 'Public feed is busy. Please try again.' });
+    return true;
+  }
+  if (error?.code === 'PET_FEED_SCHEMA_NOT_READY') {
+    json(res, 503, { error: 'Public feed database is being upgraded. Please try again shortly.' });
+    return true;
+  }
+  return false;
+};
+
+module.exports = { json, queryParam, sendStoreError };
@@ -0,0 +1,195 @@
+const crypto = require('node:crypto');
+
+const { hasPostgresConfig, idempotencyTtlMs, storeDriver } = require('./config');
+const { createBadRequestError, createIdempotencyConflictError, createIdempotencyMismatchError } = require('./errors');
+
+// A claim that was never finished (the function timed out or crashed) stops
+// blocking retries after this long.
+const PENDING_MS = 2 * 60 * 1000;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// The Idempotency-Key header, plain or as a quoted structured-field string.
+// Empty when the client didn't send one.
+const idempotencyKeyOf = (req) => {
+  const raw = String(req.headers?.['idempotency-key'] || '').trim();
+  if (!raw) return '';
+  const key = /^"(.*)"$/.exec(raw)?.[1] ?? raw;
+  if (!KEY_PATTERN.test(key)) throw createBadRequestError('Idempotency-Key must be 1-255 visible ASCII characters.');
+  return key;
+};
+
+// What a retry has to repeat: the fields, and the files' bytes or the upload
+// tokens of a direct-upload commit. Takes a parsed form or a commit body.
+const postFingerprint = ({ petName, petType, caption, photos, clip, poster, uploads, upload } = {}) => {
+  const fileId = (file) => (!file ? null : typeof file === 'string' ? file : sha256(file.buffer));
+  return sha256(
+    JSON.stringify({
+      petName: String(petName || ''),
+      petType: String(petType || ''),
+      caption: String(caption || ''),
+      photos: (Array.isArray(photos) ? photos : []).map(fileId),
+      uploads: (Array.isArray(uploads) ? uploads : [upload]).filter(Boolean).map(String),
+      clip: fileId(clip),
+      poster: fileId(poster)
+    })
+  );
+};
+
+// Every store answers claim(key, { fingerprint, at, expiredBefore, staleBefore })
+// with { claimed: true } for a new key (or one that expired or was abandoned),
+// otherwise { claimed: false, entry } where entry is { fingerprint, status, body }
+// or null. complete stores the response, release forgets the key and sweep drops
+// keys created before `before`.
+
+// Per instance, like the memory rate limit store.
+const createMemoryIdempotencyStore = () => {
+  const entries = new Map();
+
+  const claim = async (key, { fingerprint, at, expiredBefore, staleBefore }) => {
+    const current = entries.get(key);
+    const reusable =
+      !current || current.createdAt <= expiredBefore || (current.status === null && current.createdAt <= staleBefore);
+    if (!reusable) return { claimed: false, entry: { ...current } };
+    entries.set(key, { fingerprint, status: null, body: null, createdAt: at });
+    return { claimed: true };
+  };
+
+  const complete = async (key, { status, body }) => {
+    const current = entries.get(key);
+    if (current) entries.set(key, { ...current, status, body });
+  };
+
+  const release = async (key) => {
+    entries.delete(key);
+  };
+
+  const sweep = async ({ before }) => {
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (entry.createdAt <= before && entries.delete(key)) removed += 1;
+    });
+    return removed;
+  };
+
+  return { name: 'memory', claim, complete, release, sweep };
+};
+
+// Shared by every instance. The table comes from migration 014.
+const createPostgresIdempotencyStore = ({ sql = require('@vercel/postgres').sql } = {}) => {
+  const toDate = (ms) => new Date(ms).toISOString();
+
+  const claim = async (key, { fingerprint, at, expiredBefore, staleBefore }) => {
+    const { rows } = await sql`
+      INSERT INTO pet_feed_idempotency_keys AS current (key, fingerprint, created_at)
+      VALUES (${key}, ${fingerprint}, ${toDate(at)})
+      ON CONFLICT (key) DO UPDATE SET
+        fingerprint = EXCLUDED.fingerprint,
+        status = NULL,
+        body = NULL,
+        created_at = EXCLUDED.created_at
+      WHERE current.created_at <= ${toDate(expiredBefore)}
+        OR (current.status IS NULL AND current.created_at <= ${toDate(staleBefore)})
+      RETURNING key;
+    `;
+    if (rows.length) return { claimed: true };
+
+    const existing = await sql`
+      SELECT fingerprint, status, body FROM pet_feed_idempotency_keys WHERE key = ${key};
+    `;
+    const row = existing.rows[0];
+    return { claimed: false, entry: row ? { fingerprint: row.fingerprint, status: row.status, body: row.body } : null };
+  };
+
+  const complete = async (key, { status, body }) => {
+    await sql`
+      UPDATE pet_feed_idempotency_keys SET status = ${status}, body = ${JSON.stringify(body)}::jsonb
+      WHERE key = ${key};
+    `;
+  };
+
+  const release = async (key) => {
+    await sql`DELETE FROM pet_feed_idempotency_keys WHERE key = ${key};`;
+  };
+
+  const sweep = async ({ before }) => {
+    const result = await sql`DELETE FROM pet_feed_idempotency_keys WHERE created_at <= ${toDate(before)};`;
+    return result.rowCount || 0;
+  };
+
+  return { name: 'postgres', claim, complete, release, sweep };
+};
+
+const noop = async () => {};
+
+// Falls back to memory when the store can't be reached, like the rate limiter.
+const createIdempotency = ({
+  store = createMemoryIdempotencyStore(),
+  fallback = createMemoryIdempotencyStore(),
+  ttlMs = idempotencyTtlMs(),
+  now = Date.now
+} = {}) => {
+  const run = async (method, ...args) => {
+    try {
+      return await store[method](...args);
+    } catch {
+      return fallback[method](...args);
+    }
+  };
+
+  // Claims the request's Idempotency-Key before any work is done. Resolves to
+  // { replay: { status, body } } when the key already succeeded, otherwise to
+  // finish(status, body), which remembers the response, and abandon(), which
+  // lets a retry run again. Without a key both are no-ops.
+  const begin = async (req, fingerprint) => {
+    const key = idempotencyKeyOf(req);
+    if (!key) return { finish: noop, abandon: noop };
+
+    const at = now();
+    const claim = await run('claim', key, {
+      fingerprint,
+      at,
+      expiredBefore: at - ttlMs,
+      staleBefore: at - PENDING_MS
+    });
+    if (!claim.claimed) {
+      const { entry } = claim;
+      if (entry && entry.fingerprint !== fingerprint) throw createIdempotencyMismatchError();
+      if (!entry || entry.status === null) throw createIdempotencyConflictError();
+      return { replay: { status: entry.status, body: entry.body } };
+    }
+
+    return {
+      finish: (status, body) => run('complete', key, { status, body }),
+      abandon: () => run('release', key)
+    };
+  };
+
+  const sweep = () => run('sweep', { before: now() - ttlMs });
+
+  return { begin, sweep };
+};
+
+// Postgres whenever the feed itself can use it.
+const createIdempotencyStore = () =>
+  hasPostgresConfig() && ['auto', 'postgres'].includes(storeDriver())
+    ? createPostgresIdempotencyStore()
+    : createMemoryIdempotencyStore();
+
+let defaultIdempotency = null;
+const getDefaultIdempotency = () => {
+  if (!defaultIdempotency) defaultIdempotency = createIdempotency({ store: createIdempotencyStore() });
+  return defaultIdempotency;
+};
+
+module.exports = {
+  idempotencyKeyOf,
+  postFingerprint,
+  createMemoryIdempotencyStore,
+  createPostgresIdempotencyStore,
+  createIdempotency,
+  beginIdempotentRequest: (...args) => getDefaultIdempotency().begin(...args),
+  sweepIdempotencyKeys: (...args) => getDefaultIdempotency().sweep(...args)
+};
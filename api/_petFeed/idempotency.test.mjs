@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createIdempotency,
+  createMemoryIdempotencyStore,
+  idempotencyKeyOf,
+  postFingerprint
+} = require('./idempotency.js');
+
+const withKey = (key) => ({ headers: key === undefined ? {} : { 'idempotency-key': key } });
+
+const createClock = (start = Date.UTC(2026, 0, 1)) => {
+  const clock = { at: start, now: () => clock.at };
+  return clock;
+};
+
+test('reads the key plain or quoted and rejects malformed ones', () => {
+  assert.equal(idempotencyKeyOf(withKey()), '');
+  assert.equal(idempotencyKeyOf(withKey(' 0b6c7c1e-6d9e ')), '0b6c7c1e-6d9e');
+  assert.equal(idempotencyKeyOf(withKey('"post_1_ab"')), 'post_1_ab');
+  for (const key of ['has space', 'x'.repeat(256), 'ünïcode', '""']) {
+    assert.throws(() => idempotencyKeyOf(withKey(key)), { code: 'PET_FEED_BAD_REQUEST' }, key);
+  }
+});
+
+test('fingerprints the fields and the files or upload tokens', () => {
+  const photo = { buffer: Buffer.from('photo') };
+  const form = { petName: 'Rex', petType: 'Dog', caption: '', photos: [photo] };
+  assert.equal(postFingerprint(form), postFingerprint({ ...form, photos: [{ buffer: Buffer.from('photo') }] }));
+  assert.notEqual(postFingerprint(form), postFingerprint({ ...form, photos: [{ buffer: Buffer.from('other') }] }));
+  assert.notEqual(postFingerprint(form), postFingerprint({ ...form, caption: 'Zoomies' }));
+  assert.equal(postFingerprint({ upload: 'a' }), postFingerprint({ uploads: ['a'] }));
+  assert.notEqual(postFingerprint({ clip: 'a', poster: 'b' }), postFingerprint({ clip: 'b', poster: 'a' }));
+  assert.equal(postFingerprint(), postFingerprint({}));
+});
+
+test('replays the first response for a retried key', async () => {
+  const idempotency = createIdempotency({ ttlMs: 60 * 60 * 1000 });
+  const body = { post: { id: 'p1' } };
+
+  const first = await idempotency.begin(withKey('k1'), 'fp');
+  assert.equal(first.replay, undefined);
+  await assert.rejects(idempotency.begin(withKey('k1'), 'fp'), { code: 'PET_FEED_IDEMPOTENCY_CONFLICT' });
+  await first.finish(201, body);
+
+  assert.deepEqual((await idempotency.begin(withKey('k1'), 'fp')).replay, { status: 201, body });
+  await assert.rejects(idempotency.begin(withKey('k1'), 'other'), { code: 'PET_FEED_IDEMPOTENCY_MISMATCH' });
+
+  const unkeyed = await idempotency.begin(withKey(), 'fp');
+  assert.equal(unkeyed.replay, undefined);
+  await unkeyed.finish(201, body);
+  assert.equal((await idempotency.begin(withKey(), 'fp')).replay, undefined);
+});
+
+test('a failed or abandoned attempt lets the retry run again', async () => {
+  const clock = createClock();
+  const idempotency = createIdempotency({ ttlMs: 60 * 60 * 1000, now: clock.now });
+
+  const failed = await idempotency.begin(withKey('k1'), 'fp');
+  await failed.abandon();
+  assert.equal((await idempotency.begin(withKey('k1'), 'fp')).replay, undefined);
+
+  // The second attempt never finishes, like a function that timed out.
+  await assert.rejects(idempotency.begin(withKey('k1'), 'fp'), { code: 'PET_FEED_IDEMPOTENCY_CONFLICT' });
+  clock.at += 2 * 60 * 1000;
+  assert.equal((await idempotency.begin(withKey('k1'), 'fp')).replay, undefined);
+});
+
+test('keys expire after the TTL and are swept', async () => {
+  const clock = createClock();
+  const store = createMemoryIdempotencyStore();
+  const idempotency = createIdempotency({ store, ttlMs: 60 * 60 * 1000, now: clock.now });
+
+  await (await idempotency.begin(withKey('k1'), 'fp')).finish(201, { post: { id: 'p1' } });
+  clock.at += 60 * 60 * 1000;
+  const fresh = await idempotency.begin(withKey('k1'), 'other');
+  assert.equal(fresh.replay, undefined);
+
+  await (await idempotency.begin(withKey('k2'), 'fp')).finish(201, {});
+  clock.at += 30 * 60 * 1000;
+  assert.equal(await idempotency.sweep(), 0);
+  clock.at += 31 * 60 * 1000;
+  assert.equal(await idempotency.sweep(), 2);
+});
+
+test('remembers keys in memory when the shared store fails', async () => {
+  const broken = Object.fromEntries(
+    ['claim', 'complete', 'release', 'sweep'].map((method) => [
+      method,
+      async () => {
+        throw new Error('relation "pet_feed_idempotency_keys" does not exist');
+      }
+    ])
+  );
+  const idempotency = createIdempotency({ store: broken });
+  await (await idempotency.begin(withKey('k1'), 'fp')).finish(201, { post: { id: 'p1' } });
+  assert.deepEqual((await idempotency.begin(withKey('k1'), 'fp')).replay, {
+    status: 201,
+    body: { post: { id: 'p1' } }
+  });
+});
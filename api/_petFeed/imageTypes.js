@@ -0,0 +1,176 @@
+// Identifies uploads by their bytes rather than the MIME type the client sends,
+// and finds where the image data ends so anything appended can be inspected.
+const IMAGE_TYPES = {
+  'image/jpeg': { ext: 'jpg', label: 'JPEG' },
+  'image/png': { ext: 'png', label: 'PNG' },
+  'image/gif': { ext: 'gif', label: 'GIF' },
+  'image/webp': { ext: 'webp', label: 'WebP' },
+  'image/avif': { ext: 'avif', label: 'AVIF' }
+};
+
+// Labels some browsers and tools use for the same formats.
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png'
+};
+
+// Declared types that say nothing about the content.
+const GENERIC_MIMES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const isAvifBrand = (brand) => brand === 'avif' || brand === 'avis';
+
+const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  const head = ascii(buffer, 0, 6);
+  if (head === 'GIF87a' || head === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    if (isAvifBrand(ascii(buffer, 8, 12))) return 'image/avif';
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+      if (isAvifBrand(ascii(buffer, offset, offset + 4))) return 'image/avif';
+    }
+  }
+  return null;
+};
+
+// Maps the client's label onto a supported type; '' for a generic label and
+// null for anything that is not a supported image type.
+const normalizeDeclaredMime = (value) => {
+  const mime = String(value || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+  if (GENERIC_MIMES.includes(mime)) return '';
+  const canonical = MIME_ALIASES[mime] || mime;
+  return IMAGE_TYPES[canonical] ? canonical : null;
+};
+
+// Each finder returns the offset just past the image data, or -1 when the
+// structure is broken or truncated.
+// A byte after 0xFF that starts a real marker (not stuffing, fill or a restart).
+const isJpegMarker = (byte) => byte !== 0x00 && byte !== 0xff && !(byte >= 0xd0 && byte <= 0xd7);
+
+const jpegEnd = (buffer) => {
+  let offset = 2;
+  while (offset + 2 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return -1;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd9) return offset + 2;
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (offset + 4 > buffer.length) return -1;
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+    if (marker !== 0xda) continue;
+    // Entropy-coded scan data runs until the next real marker.
+    while (offset + 1 < buffer.length && !(buffer[offset] === 0xff && isJpegMarker(buffer[offset + 1]))) {
+      offset += 1;
+    }
+  }
+  return -1;
+};
+
+const pngEnd = (buffer) => {
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = ascii(buffer, offset + 4, offset + 8);
+    offset += 12 + length;
+    if (type === 'IEND') return offset <= buffer.length ? offset : -1;
+  }
+  return -1;
+};
+
+const skipSubBlocks = (buffer, offset) => {
+  while (offset < buffer.length) {
+    const size = buffer[offset];
+    offset += 1 + size;
+    if (size === 0) return offset;
+  }
+  return -1;
+};
+
+const gifEnd = (buffer) => {
+  const flags = buffer[10];
+  let offset = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  while (offset >= 0 && offset < buffer.length) {
+    const block = buffer[offset];
+    if (block === 0x3b) return offset + 1;
+    if (block === 0x21) {
+      offset = skipSubBlocks(buffer, offset + 2);
+    } else if (block === 0x2c) {
+      if (offset + 10 > buffer.length) return -1;
+      const local = buffer[offset + 9];
+      offset += 10 + (local & 0x80 ? 3 * 2 ** ((local & 0x07) + 1) : 0);
+      offset = skipSubBlocks(buffer, offset + 1);
+    } else {
+      return -1;
+    }
+  }
+  return -1;
+};
+
+const webpEnd = (buffer) => {
+  const end = 8 + buffer.readUInt32LE(4);
+  return end <= buffer.length ? end : -1;
+};
+
+// ISO-BMFF: the file is a run of top-level boxes.
+const avifEnd = (buffer) => {
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    if (size === 1) {
+      if (offset + 16 > buffer.length) return -1;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+    } else if (size === 0) {
+      return buffer.length;
+    }
+    if (size < 8 || !/^[\x20-\x7e]{4}$/.test(ascii(buffer, offset + 4, offset + 8))) return offset;
+    if (offset + size > buffer.length) return -1;
+    offset += size;
+  }
+  return offset;
+};
+
+const END_FINDERS = {
+  'image/jpeg': jpegEnd,
+  'image/png': pngEnd,
+  'image/gif': gifEnd,
+  'image/webp': webpEnd,
+  'image/avif': avifEnd
+};
+
+const findImageEnd = (buffer, mime) => END_FINDERS[mime](buffer);
+
+// Markup a browser could render if the file were ever served as HTML or SVG.
+const MARKUP_PATTERN = /<(?:script|html|svg|iframe|body|object|embed)[\s>/]|<\?php|<!doctype\s+html|javascript:/i;
+
+// Formats that turn an image into a polyglot when appended after it.
+const ARCHIVE_SIGNATURES = ['PK\x03\x04', '%PDF-', '\x7fELF', 'Rar!\x1a\x07', '7z\xbc\xaf\x27\x1c'];
+
+// Resolves the reason a file is unsafe to publish as-is, or null. Trailing
+// bytes on their own are allowed (phones append motion-photo video to JPEGs);
+// markup anywhere or an archive after the image is not.
+const findPolyglot = (buffer, mime) => {
+  const text = ascii(buffer, 0, buffer.length);
+  if (MARKUP_PATTERN.test(text)) return 'markup';
+  const end = findImageEnd(buffer, mime);
+  if (end < 0) return 'truncated';
+  const trailer = ascii(buffer, end, buffer.length);
+  if (ARCHIVE_SIGNATURES.some((signature) => trailer.includes(signature))) return 'archive';
+  return null;
+};
+
+module.exports = { IMAGE_TYPES, sniffImageType, normalizeDeclaredMime, findImageEnd, findPolyglot };
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sharp = require('sharp');
+const { findImageEnd, findPolyglot, normalizeDeclaredMime, sniffImageType } = require('./imageTypes.js');
+
+const FIXTURES = {
+  'image/jpeg': 'gps-orientation-6.jpg',
+  'image/png': 'gps-orientation-6.png',
+  'image/webp': 'gps-orientation-6.webp',
+  'image/avif': 'gps-orientation-6.avif'
+};
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url));
+
+const gif = () =>
+  sharp({ create: { width: 20, height: 20, channels: 3, background: '#00aa00' } })
+    .gif()
+    .toBuffer();
+
+test('identifies each supported format from its bytes', async () => {
+  for (const [mime, name] of Object.entries(FIXTURES)) {
+    assert.equal(sniffImageType(await fixture(name)), mime);
+  }
+  assert.equal(sniffImageType(await gif()), 'image/gif');
+  assert.equal(sniffImageType(Buffer.from('<html><body>hello</body></html>')), null);
+  assert.equal(sniffImageType(Buffer.from('%PDF-1.7 not an image at all')), null);
+  assert.equal(sniffImageType(Buffer.alloc(4)), null);
+});
+
+test('normalizes the client-declared type', () => {
+  assert.equal(normalizeDeclaredMime('image/JPG'), 'image/jpeg');
+  assert.equal(normalizeDeclaredMime('image/png; charset=binary'), 'image/png');
+  assert.equal(normalizeDeclaredMime('application/octet-stream'), '');
+  assert.equal(normalizeDeclaredMime(undefined), '');
+  assert.equal(normalizeDeclaredMime('text/html'), null);
+  assert.equal(normalizeDeclaredMime('image/svg+xml'), null);
+});
+
+test('finds where the image data ends', async () => {
+  for (const [mime, name] of Object.entries(FIXTURES)) {
+    const buffer = await fixture(name);
+    assert.equal(findImageEnd(buffer, mime), buffer.length, mime);
+    assert.equal(findImageEnd(Buffer.concat([buffer, Buffer.from('trailer')]), mime), buffer.length, mime);
+  }
+  const progressive = await sharp(await fixture(FIXTURES['image/png']))
+    .jpeg({ progressive: true })
+    .toBuffer();
+  assert.equal(findImageEnd(progressive, 'image/jpeg'), progressive.length);
+  const animation = await gif();
+  assert.equal(findImageEnd(animation, 'image/gif'), animation.length);
+});
+
+test('accepts plain images and harmless trailers', async () => {
+  const jpeg = await fixture(FIXTURES['image/jpeg']);
+  assert.equal(findPolyglot(jpeg, 'image/jpeg'), null);
+  // Phones append a second JPEG or a motion-photo clip after the main image.
+  assert.equal(findPolyglot(Buffer.concat([jpeg, jpeg]), 'image/jpeg'), null);
+});
+
+test('flags polyglots and truncated files', async () => {
+  const png = await fixture(FIXTURES['image/png']);
+  const zip = Buffer.from('PK\x03\x04\x14\x00\x00\x00payload.html', 'latin1');
+  assert.equal(findPolyglot(Buffer.concat([png, zip]), 'image/png'), 'archive');
+  assert.equal(
+    findPolyglot(Buffer.concat([await gif(), Buffer.from('<script>alert(1)</script>')]), 'image/gif'),
+    'markup'
+  );
+  assert.equal(findPolyglot(png.subarray(0, png.length - 20), 'image/png'), 'truncated');
+  const jpeg = await fixture(FIXTURES['image/jpeg']);
+  assert.equal(findPolyglot(jpeg.subarray(0, jpeg.length - 2), 'image/jpeg'), 'truncated');
+});
@@ -0,0 +1,158 @@
+const { imageLimits } = require('./config');
+const { createInvalidImageError, createUnsupportedMediaError } = require('./errors');
+const { IMAGE_TYPES, findPolyglot, normalizeDeclaredMime, sniffImageType } = require('./imageTypes');
+
+// Re-encoding drops every metadata block (EXIF with GPS, XMP, IPTC, comments);
+// ICC profiles are converted to sRGB instead of being kept.
+const ENCODERS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 90, mozjpeg: true }),
+  'image/png': (image) => image.png({ compressionLevel: 9 }),
+  'image/webp': (image) => image.webp({ quality: 90 }),
+  'image/avif': (image) => image.avif({ quality: 60 })
+};
+
+// sharp's metadata().format for each type; AVIF is read through libheif.
+const SHARP_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'heif'
+};
+
+// Resolves to the bytes to store: EXIF orientation applied to the pixels, then
+// all metadata removed. GIF has no EXIF block and is stored as uploaded.
+// Animated WebP/AVIF keep their frames; they carry no orientation to apply.
+const stripImageMetadata = async ({ buffer, mime }) => {
+  const encode = ENCODERS[mime];
+  if (!encode) return buffer;
+
+  const sharp = require('sharp');
+  try {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    const animated = pages > 1;
+    const image = sharp(buffer, { animated, failOn: 'error' });
+    return await encode(animated ? image : image.rotate()).toBuffer();
+  } catch {
+    throw createInvalidImageError();
+  }
+};
+
+const readMetadata = async (buffer) => {
+  const sharp = require('sharp');
+  try {
+    return await sharp(buffer).metadata();
+  } catch {
+    throw createInvalidImageError();
+  }
+};
+
+// Frames are counted against the pixel budget, so a long animation can't be
+// used to make the server decode gigabytes.
+const checkDimensions = ({ width, height, pages = 1 }, { minDimension, maxDimension, maxPixels }) => {
+  if (!(width >= minDimension && height >= minDimension && width <= maxDimension && height <= maxDimension)) {
+    throw createInvalidImageError(`Photos must be between ${minDimension} and ${maxDimension} pixels on each side.`);
+  }
+  if (width * height * pages > maxPixels) {
+    throw createInvalidImageError(`Photos can be at most ${Math.floor(maxPixels / 1e6)} megapixels.`);
+  }
+};
+
+// Decides what an upload is from its bytes and resolves to { buffer, mime, ext }
+// ready to store. Throws a 415 error for non-images and for files whose bytes
+// contradict the type the client declared, and a 422 error for images that are
+// truncated, polyglots, undecodable or outside the size limits.
+const prepareImageUpload = async ({ buffer, declaredMime, limits = imageLimits() }) => {
+  const mime = sniffImageType(buffer);
+  if (!mime) throw createUnsupportedMediaError();
+
+  const declared = normalizeDeclaredMime(declaredMime);
+  if (declared === null || (declared && declared !== mime)) {
+    throw createUnsupportedMediaError(
+      `The file is a ${IMAGE_TYPES[mime].label} image but was sent as ${declaredMime}.`
+    );
+  }
+
+  const polyglot = findPolyglot(buffer, mime);
+  if (polyglot === 'truncated') {
+    throw createInvalidImageError('The photo looks incomplete. Please try uploading it again.');
+  }
+  if (polyglot) throw createInvalidImageError('The photo contains data that is not part of an image.');
+
+  const meta = await readMetadata(buffer);
+  if (meta.format !== SHARP_FORMATS[mime]) throw createInvalidImageError();
+  checkDimensions(meta, limits);
+
+  if (ENCODERS[mime]) return { buffer: await stripImageMetadata({ buffer, mime }), mime, ext: IMAGE_TYPES[mime].ext };
+
+  // Stored as uploaded, so decode every frame once to make sure it is an image.
+  try {
+    const sharp = require('sharp');
+    await sharp(buffer, { animated: true, failOn: 'error' }).raw().toBuffer();
+  } catch {
+    throw createInvalidImageError();
+  }
+  return { buffer, mime, ext: IMAGE_TYPES[mime].ext };
+};
+
+// Smaller copies for the feed's srcset. Only widths below the original are made,
+// so a small photo may get none and the feed falls back to the original.
+const VARIANT_WIDTHS = [320, 640, 1280];
+
+const VARIANT_ENCODERS = {
+  avif: (image) => image.avif({ quality: 50, effort: 2 }),
+  webp: (image) => image.webp({ quality: 75 })
+};
+
+// Resolves to [{ width, format, mime, ext, buffer }] for an image returned by
+// prepareImageUpload. GIFs and animations are left alone: resizing every frame
+// costs more than the bytes it saves.
+const createImageVariants = async ({ buffer, mime }) => {
+  if (!ENCODERS[mime]) return [];
+
+  const sharp = require('sharp');
+  const { width, pages = 1 } = await sharp(buffer).metadata();
+  if (pages > 1) return [];
+
+  const variants = [];
+  for (const target of VARIANT_WIDTHS.filter((w) => w < width)) {
+    for (const [format, encode] of Object.entries(VARIANT_ENCODERS)) {
+      const output = await encode(sharp(buffer).resize({ width: target })).toBuffer();
+      variants.push({ width: target, format, mime: `image/${format}`, ext: format, buffer: output });
+    }
+  }
+  return variants;
+};
+
+// Difference hash: the first frame is flattened and shrunk to greyscale, and
+// each bit says whether a pixel is brighter than its neighbour. 64 bits compare
+// left to right on a 9x8 grid and 64 more top to bottom on an 8x9 grid, so
+// photos with detail in only one direction still get distinct hashes. Resolves
+// to 32 hex digits; compare them with hashDistance in duplicates.js.
+const perceptualHash = async (buffer) => {
+  const sharp = require('sharp');
+  const grid = (width, height) =>
+    sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  const [wide, tall] = await Promise.all([grid(9, 8), grid(8, 9)]);
+
+  const bits = [];
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) bits.push(wide[y * 9 + x] > wide[y * 9 + x + 1]);
+  }
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) bits.push(tall[y * 8 + x] > tall[(y + 1) * 8 + x]);
+  }
+
+  let hash = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hash += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hash;
+};
+
+module.exports = { createImageVariants, perceptualHash, prepareImageUpload, stripImageMetadata };
@@ -0,0 +1,188 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sharp = require('sharp');
+const { createImageVariants, perceptualHash, prepareImageUpload, stripImageMetadata } = require('./images.js');
+const { hashDistance } = require('./duplicates.js');
+
+// 24x16 photos, left half red and right half blue, tagged EXIF Orientation 6
+// (rotate 90° clockwise) with Make/Model and GPS coordinates.
+const FIXTURES = {
+  'image/jpeg': 'gps-orientation-6.jpg',
+  'image/png': 'gps-orientation-6.png',
+  'image/webp': 'gps-orientation-6.webp',
+  'image/avif': 'gps-orientation-6.avif'
+};
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url));
+
+const pixel = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + 3)];
+};
+
+const isRed = ([r, g, b]) => r > 200 && g < 60 && b < 60;
+const isBlue = ([r, g, b]) => b > 200 && r < 60 && g < 60;
+
+for (const [mime, name] of Object.entries(FIXTURES)) {
+  test(`strips EXIF and GPS from ${mime} after applying the orientation`, async () => {
+    const input = await fixture(name);
+    assert.ok((await sharp(input).metadata()).exif, 'fixture should carry EXIF');
+    assert.ok(input.includes('HomeGPS'), 'fixture should carry the camera model');
+
+    const output = await stripImageMetadata({ buffer: input, mime });
+    const meta = await sharp(output).metadata();
+    assert.equal(meta.format, (await sharp(input).metadata()).format);
+    assert.equal(meta.exif, undefined);
+    assert.equal(meta.xmp, undefined);
+    assert.ok(!meta.orientation || meta.orientation === 1);
+    assert.ok(!output.includes('HomeGPS'));
+    assert.ok(!output.includes('TestCam'));
+
+    assert.deepEqual([meta.width, meta.height], [16, 24]);
+    assert.ok(isRed(await pixel(output, 8, 2)), 'left half should now be on top');
+    assert.ok(isBlue(await pixel(output, 8, 21)), 'right half should now be at the bottom');
+  });
+}
+
+test('keeps every frame of an animated WebP', async () => {
+  const frame = (background) => ({ create: { width: 8, height: 8, channels: 3, background } });
+  const input = await sharp([frame('#ff0000'), frame('#0000ff')], { join: { animated: true } })
+    .webp({ loop: 0, delay: [100, 100] })
+    .withExif({ IFD0: { Model: 'HomeGPS' } })
+    .toBuffer();
+  assert.ok(input.includes('HomeGPS'));
+
+  const output = await stripImageMetadata({ buffer: input, mime: 'image/webp' });
+  const meta = await sharp(output).metadata();
+  assert.equal(meta.pages, 2);
+  assert.equal(meta.exif, undefined);
+});
+
+test('stores GIFs as uploaded', async () => {
+  const input = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#00ff00' } })
+    .gif()
+    .toBuffer();
+  assert.equal(await stripImageMetadata({ buffer: input, mime: 'image/gif' }), input);
+});
+
+test('rejects bytes that do not decode as the declared image type', async () => {
+  await assert.rejects(stripImageMetadata({ buffer: Buffer.from('not really a jpeg'), mime: 'image/jpeg' }), {
+    code: 'PET_FEED_INVALID_IMAGE'
+  });
+});
+
+test('prepares uploads by their bytes, whatever the client calls them', async () => {
+  const jpeg = await fixture(FIXTURES['image/jpeg']);
+  const prepared = await prepareImageUpload({ buffer: jpeg, declaredMime: 'application/octet-stream' });
+  assert.equal(prepared.mime, 'image/jpeg');
+  assert.equal(prepared.ext, 'jpg');
+  assert.equal((await sharp(prepared.buffer).metadata()).exif, undefined);
+
+  const gif = await sharp({ create: { width: 20, height: 20, channels: 3, background: '#00aa00' } })
+    .gif()
+    .toBuffer();
+  assert.deepEqual(await prepareImageUpload({ buffer: gif, declaredMime: 'image/gif' }), {
+    buffer: gif,
+    mime: 'image/gif',
+    ext: 'gif'
+  });
+});
+
+test('rejects non-images and mislabeled files with a 415 error', async () => {
+  const unsupported = { code: 'PET_FEED_UNSUPPORTED_MEDIA' };
+  await assert.rejects(
+    prepareImageUpload({
+      buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'),
+      declaredMime: 'image/png'
+    }),
+    unsupported
+  );
+  const png = await fixture(FIXTURES['image/png']);
+  await assert.rejects(prepareImageUpload({ buffer: png, declaredMime: 'image/jpeg' }), {
+    ...unsupported,
+    message: 'The file is a PNG image but was sent as image/jpeg.'
+  });
+  await assert.rejects(prepareImageUpload({ buffer: png, declaredMime: 'text/html' }), unsupported);
+});
+
+test('rejects polyglots, broken images and out-of-range sizes with a 422 error', async () => {
+  const invalid = { code: 'PET_FEED_INVALID_IMAGE' };
+  const png = await fixture(FIXTURES['image/png']);
+  const zip = Buffer.from('PK\x03\x04\x14\x00\x00\x00evil.php', 'latin1');
+  await assert.rejects(prepareImageUpload({ buffer: Buffer.concat([png, zip]), declaredMime: 'image/png' }), invalid);
+  await assert.rejects(prepareImageUpload({ buffer: png.subarray(0, 60), declaredMime: 'image/png' }), invalid);
+
+  const limits = { minDimension: 16, maxDimension: 20, maxPixels: 1000 };
+  await assert.rejects(prepareImageUpload({ buffer: png, declaredMime: 'image/png', limits }), {
+    ...invalid,
+    message: 'Photos must be between 16 and 20 pixels on each side.'
+  });
+  const tiny = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#fff' } })
+    .png()
+    .toBuffer();
+  await assert.rejects(prepareImageUpload({ buffer: tiny, declaredMime: 'image/png' }), invalid);
+});
+
+test('creates WebP and AVIF copies at each width below the original', async () => {
+  const buffer = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } })
+    .jpeg()
+    .toBuffer();
+  const variants = await createImageVariants({ buffer, mime: 'image/jpeg' });
+  assert.deepEqual(
+    variants.map(({ width, format, mime, ext }) => [width, format, mime, ext]),
+    [
+      [320, 'avif', 'image/avif', 'avif'],
+      [320, 'webp', 'image/webp', 'webp'],
+      [640, 'avif', 'image/avif', 'avif'],
+      [640, 'webp', 'image/webp', 'webp']
+    ]
+  );
+  for (const variant of variants) {
+    const meta = await sharp(variant.buffer).metadata();
+    assert.equal(meta.width, variant.width);
+    assert.equal(meta.height, (variant.width * 3) / 4);
+    assert.ok(variant.buffer.length < buffer.length);
+  }
+});
+
+test('skips variants for small photos, GIFs and animations', async () => {
+  assert.deepEqual(await createImageVariants({ buffer: await fixture(FIXTURES['image/png']), mime: 'image/png' }), []);
+
+  const frame = (background) => ({ create: { width: 400, height: 400, channels: 3, background } });
+  const gif = await sharp(frame('#ff0000')).gif().toBuffer();
+  assert.deepEqual(await createImageVariants({ buffer: gif, mime: 'image/gif' }), []);
+
+  const animated = await sharp([frame('#ff0000'), frame('#0000ff')], { join: { animated: true } })
+    .webp({ loop: 0, delay: [100, 100] })
+    .toBuffer();
+  assert.deepEqual(await createImageVariants({ buffer: animated, mime: 'image/webp' }), []);
+});
+
+test('gives re-encoded copies of a photo nearly the same perceptual hash', async () => {
+  // A diagonal gradient with a dark block, so both halves of the hash vary.
+  const width = 480;
+  const height = 360;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const value = x > 300 && y < 180 ? 20 : Math.round((x / width) * 160 + (y / height) * 90);
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  const photo = await sharp(pixels, { raw: { width, height, channels: 3 } })
+    .png()
+    .toBuffer();
+  const hash = await perceptualHash(photo);
+  assert.match(hash, /^[0-9a-f]{32}$/);
+
+  const smaller = await sharp(photo).resize(200).jpeg({ quality: 60 }).toBuffer();
+  assert.ok(hashDistance(hash, await perceptualHash(smaller)) <= 8);
+
+  const mirrored = await sharp(photo).flop().png().toBuffer();
+  assert.ok(hashDistance(hash, await perceptualHash(mirrored)) > 40);
+});
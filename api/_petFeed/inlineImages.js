@@ -0,0 +1,66 @@
+const crypto = require('node:crypto');
+
+const { IMAGE_TYPES, sniffImageType } = require('./imageTypes');
+const { createObjectStore } = require('./objectStores');
+
+const DATA_URL = /^data:([^;,]*)(;base64)?,/i;
+
+// { buffer, mime, ext } for an inline image, or null when it isn't one.
+const decodeDataUrl = (url) => {
+  const match = DATA_URL.exec(url);
+  if (!match || !match[2]) return null;
+  const buffer = Buffer.from(url.slice(match[0].length), 'base64');
+  const mime = sniffImageType(buffer);
+  return mime ? { buffer, mime, ext: IMAGE_TYPES[mime].ext } : null;
+};
+
+// Named after the content, so a cover and its album copy share a file and a
+// rerun after a failure overwrites instead of duplicating.
+const moveImage = async (store, url) => {
+  const image = decodeDataUrl(url);
+  if (!image) return null;
+  const hash = crypto.createHash('sha256').update(image.buffer).digest('hex').slice(0, 32);
+  return store.put(`inline-${hash}.${image.ext}`, image);
+};
+
+// Without Blob, photos used to be stored as base64 data: URLs in the rows.
+// Moves them to the object store (Blob, or the local media directory) one row at
+// a time, so it can be stopped and rerun. Rows that don't hold a readable image
+// are left as they are. Resolves to { moved, skipped }; a local media directory
+// that can't be written to (a Vercel function without Blob) skips the move.
+const moveInlineImages = async ({ sql, store = createObjectStore(), log = console }) => {
+  if (store.writable && !(await store.writable())) {
+    log.warn(`Inline photos were not moved: ${store.dir} is read-only. Configure Blob and run this again.`);
+    return { moved: 0, skipped: true };
+  }
+
+  let moved = 0;
+  const { rows: posts } = await sql`SELECT id FROM pet_photo_posts WHERE image_url LIKE 'data:%';`;
+  for (const { id } of posts) {
+    const { rows } = await sql`SELECT image_url FROM pet_photo_posts WHERE id = ${id};`;
+    const url = await moveImage(store, rows[0].image_url);
+    if (url) {
+      await sql`UPDATE pet_photo_posts SET image_url = ${url} WHERE id = ${id};`;
+      moved += 1;
+    }
+  }
+
+  const { rows: images } = await sql`
+    SELECT post_id, position FROM pet_photo_post_images WHERE image_url LIKE 'data:%';
+  `;
+  for (const { post_id: postId, position } of images) {
+    const { rows } = await sql`
+      SELECT image_url FROM pet_photo_post_images WHERE post_id = ${postId} AND position = ${position};
+    `;
+    const url = await moveImage(store, rows[0].image_url);
+    if (url) {
+      await sql`
+        UPDATE pet_photo_post_images SET image_url = ${url} WHERE post_id = ${postId} AND position = ${position};
+      `;
+      moved += 1;
+    }
+  }
+  return { moved, skipped: false };
+};
+
+module.exports = { moveInlineImages };
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { moveInlineImages } = require('./inlineImages.js');
+const { createFsObjectStore } = require('./objectStores.js');
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url));
+
+const tempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pet-media-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('moves inline photos into the media store', async (t) => {
+  const dir = await tempDir(t);
+
+  const jpeg = await fixture('gps-orientation-6.jpg');
+  const inline = `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+  const posts = new Map([
+    ['p1', inline],
+    ['p2', 'data:image/jpeg;base64,bm90IGFuIGltYWdl'],
+    ['p3', 'https://blob.test/pet-photos/kept.jpg']
+  ]);
+  const albumImages = new Map([['p1:0', inline]]);
+
+  // Just the statements the migration sends, against two in-memory tables.
+  const sql = async (strings, ...values) => {
+    const text = strings.join('?').replace(/\s+/g, ' ').trim();
+    const inlineOf = (table) => [...table].filter(([, url]) => url.startsWith('data:'));
+    if (text.startsWith('SELECT id FROM pet_photo_posts')) return { rows: inlineOf(posts).map(([id]) => ({ id })) };
+    if (text.startsWith('SELECT image_url FROM pet_photo_posts')) {
+      return { rows: [{ image_url: posts.get(values[0]) }] };
+    }
+    if (text.startsWith('UPDATE pet_photo_posts')) posts.set(values[1], values[0]);
+    if (text.startsWith('SELECT post_id, position')) {
+      return {
+        rows: inlineOf(albumImages).map(([key]) => ({
+          post_id: key.split(':')[0],
+          position: Number(key.split(':')[1])
+        }))
+      };
+    }
+    if (text.startsWith('SELECT image_url FROM pet_photo_post_images')) {
+      return { rows: [{ image_url: albumImages.get(`${values[0]}:${values[1]}`) }] };
+    }
+    if (text.startsWith('UPDATE pet_photo_post_images')) albumImages.set(`${values[1]}:${values[2]}`, values[0]);
+    return { rows: [] };
+  };
+
+  assert.deepEqual(await moveInlineImages({ sql, store: createFsObjectStore({ dir }) }), { moved: 2, skipped: false });
+
+  const moved = posts.get('p1');
+  assert.match(moved, /^\/media\/inline-[0-9a-f]{32}\.jpg$/);
+  assert.equal(albumImages.get('p1:0'), moved);
+  assert.deepEqual(await fs.readdir(dir), [moved.split('/').pop()]);
+  assert.deepEqual(await fs.readFile(path.join(dir, moved.split('/').pop())), jpeg);
+  assert.ok(posts.get('p2').startsWith('data:'));
+  assert.equal(posts.get('p3'), 'https://blob.test/pet-photos/kept.jpg');
+});
+
+test('skips the move when the media directory is read-only', async () => {
+  const warnings = [];
+  const store = {
+    name: 'fs',
+    dir: '/var/task/.data/media',
+    writable: async () => false,
+    put: async () => assert.fail('nothing should be written')
+  };
+  const sql = async () => assert.fail('nothing should be read');
+  const log = { warn: (message) => warnings.push(message) };
+
+  assert.deepEqual(await moveInlineImages({ sql, store, log }), { moved: 0, skipped: true });
+  assert.match(warnings[0], /\/var\/task\/\.data\/media is read-only/);
+});
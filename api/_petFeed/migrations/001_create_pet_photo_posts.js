@@ -0,0 +1,19 @@
+// Baseline table. IF NOT EXISTS keeps this safe on databases created by the old
+// ensureSchema() before migrations were tracked.
+module.exports = {
+  id: '001_create_pet_photo_posts',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_posts (
+        id TEXT PRIMARY KEY,
+        pet_name TEXT NOT NULL DEFAULT '',
+        pet_type TEXT NOT NULL DEFAULT '',
+        caption TEXT NOT NULL DEFAULT '',
+        image_url TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS pet_photo_posts_created_at_id_idx ON pet_photo_posts (created_at DESC, id DESC);`;
+  }
+};
@@ -0,0 +1,16 @@
+// Weighted like the in-process search: name (A) > type (B) > caption (C).
+module.exports = {
+  id: '002_add_search_vector',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(pet_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(pet_type, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(caption, '')), 'C')
+      ) STORED;
+    `;
+
+    await sql`CREATE INDEX IF NOT EXISTS pet_photo_posts_search_idx ON pet_photo_posts USING GIN (search_vector);`;
+  }
+};
@@ -0,0 +1,35 @@
+// Deleted posts stay in place (hidden from the feed) until the purge job removes
+// them. Events are kept without a foreign key so history outlives a purge.
+module.exports = {
+  id: '003_soft_delete_and_events',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS deleted_by TEXT,
+      ADD COLUMN IF NOT EXISTS delete_reason TEXT;
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_deleted_idx
+      ON pet_photo_posts (deleted_at)
+      WHERE deleted_at IS NOT NULL;
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_post_events (
+        id BIGSERIAL PRIMARY KEY,
+        post_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT NOT NULL DEFAULT '',
+        reason TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_post_events_post_idx
+      ON pet_photo_post_events (post_id, created_at);
+    `;
+  }
+};
@@ -0,0 +1,21 @@
+const { normalizePetType } = require('../petTypes');
+
+// Maps free-text pet types onto the taxonomy so `?type=` can use an equality match.
+module.exports = {
+  id: '004_canonical_pet_types',
+  up: async (sql) => {
+    const { rows } = await sql`SELECT DISTINCT pet_type FROM pet_photo_posts;`;
+    for (const { pet_type: current } of rows) {
+      const canonical = normalizePetType(current);
+      if (canonical !== current) {
+        await sql`UPDATE pet_photo_posts SET pet_type = ${canonical} WHERE pet_type = ${current};`;
+      }
+    }
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_type_created_at_idx
+      ON pet_photo_posts (pet_type, created_at DESC, id DESC)
+      WHERE deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,24 @@
+// reaction_count is kept in step with the reactions table by the statements that
+// add or remove a reaction, so the "loved" sort can use an index.
+module.exports = {
+  id: '005_post_reactions',
+  up: async (sql) => {
+    await sql`ALTER TABLE pet_photo_posts ADD COLUMN IF NOT EXISTS reaction_count INTEGER NOT NULL DEFAULT 0;`;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_post_reactions (
+        post_id TEXT NOT NULL REFERENCES pet_photo_posts (id) ON DELETE CASCADE,
+        reaction TEXT NOT NULL,
+        device_hash TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (post_id, reaction, device_hash)
+      );
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_loved_idx
+      ON pet_photo_posts (reaction_count DESC, created_at DESC, id DESC)
+      WHERE deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,26 @@
+// Comments are flat with one level of replies: parent_id always points at a
+// top-level comment on the same post. Deleting a comment hides its replies too.
+module.exports = {
+  id: '006_post_comments',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_post_comments (
+        id TEXT PRIMARY KEY,
+        post_id TEXT NOT NULL REFERENCES pet_photo_posts (id) ON DELETE CASCADE,
+        parent_id TEXT,
+        author_name TEXT NOT NULL DEFAULT '',
+        body TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        deleted_at TIMESTAMPTZ,
+        deleted_by TEXT,
+        delete_reason TEXT
+      );
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_post_comments_post_idx
+      ON pet_photo_post_comments (post_id, created_at ASC, id ASC)
+      WHERE deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,30 @@
+// report_count tracks open reports, like reaction_count, so the moderation queue
+// can use an index. hidden_at is set when the count reaches the report threshold
+// and cleared when a moderator dismisses the reports.
+module.exports = {
+  id: '007_post_reports',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS report_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ;
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_post_reports (
+        post_id TEXT NOT NULL REFERENCES pet_photo_posts (id) ON DELETE CASCADE,
+        device_hash TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        details TEXT NOT NULL DEFAULT '',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (post_id, device_hash)
+      );
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_reported_idx
+      ON pet_photo_posts (report_count DESC, created_at DESC)
+      WHERE report_count > 0 AND deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,11 @@
+// Resized WebP/AVIF copies of each photo as [{ width, format, url }]. Posts from
+// before this migration have none and the feed shows the original.
+module.exports = {
+  id: '008_image_variants',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS image_variants JSONB NOT NULL DEFAULT '[]'::jsonb;
+    `;
+  }
+};
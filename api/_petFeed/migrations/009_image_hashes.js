@@ -0,0 +1,18 @@
+// image_hash is the photo's 128-bit perceptual hash in hex; duplicate_of points at
+// the earlier post it matched when PET_FEED_DUPLICATES=flag let it through.
+module.exports = {
+  id: '009_image_hashes',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS image_hash TEXT,
+      ADD COLUMN IF NOT EXISTS duplicate_of TEXT;
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_hashed_idx
+      ON pet_photo_posts (created_at DESC)
+      WHERE image_hash IS NOT NULL AND deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,18 @@
+// Album photos in display order; position 0 is the cover, which pet_photo_posts
+// keeps in its own image columns. Posts from before albums have no rows here and
+// are read as a one-photo album.
+module.exports = {
+  id: '010_post_images',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_photo_post_images (
+        post_id TEXT NOT NULL REFERENCES pet_photo_posts (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        image_url TEXT NOT NULL,
+        image_variants JSONB NOT NULL DEFAULT '[]'::jsonb,
+        image_hash TEXT,
+        PRIMARY KEY (post_id, position)
+      );
+    `;
+  }
+};
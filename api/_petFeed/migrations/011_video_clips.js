@@ -0,0 +1,14 @@
+// Clip posts: media_type is 'video' and video_url points at the MP4/WebM file;
+// image_url keeps the poster frame so thumbnails and duplicate checks still work.
+module.exports = {
+  id: '011_video_clips',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS media_type TEXT NOT NULL DEFAULT 'image',
+      ADD COLUMN IF NOT EXISTS video_url TEXT,
+      ADD COLUMN IF NOT EXISTS video_mime TEXT,
+      ADD COLUMN IF NOT EXISTS video_duration_ms INTEGER;
+    `;
+  }
+};
@@ -0,0 +1,12 @@
+// Moving inline data: photos into the object store is `npm run media:move-inline`
+// (inlineImages.js), not a migration: migrations run on requests, where the
+// store may be read-only and the time is short. This one only points at it.
+module.exports = {
+  id: '012_move_inline_images',
+  up: async (sql) => {
+    const { rows } = await sql`SELECT COUNT(*)::int AS count FROM pet_photo_posts WHERE image_url LIKE 'data:%';`;
+    if (rows[0]?.count) {
+      console.warn(`${rows[0].count} posts still have inline photos. Run npm run media:move-inline to move them.`);
+    }
+  }
+};
@@ -0,0 +1,22 @@
+// Request counters and failed moderator logins for api/_petFeed/rateLimits.js,
+// keyed by route and hashed client address. The purge deletes stale rows.
+module.exports = {
+  id: '013_rate_limits',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_feed_rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMPTZ NOT NULL
+      );
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_feed_login_failures (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL,
+        last_failed_at TIMESTAMPTZ NOT NULL
+      );
+    `;
+  }
+};
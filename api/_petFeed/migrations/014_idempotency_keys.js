@@ -0,0 +1,17 @@
+// Idempotency-Key values sent with POST /api/posts and the 201 body each one
+// produced, for api/_petFeed/idempotency.js. status is NULL while the first
+// request is still running. The purge deletes expired keys.
+module.exports = {
+  id: '014_idempotency_keys',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_feed_idempotency_keys (
+        key TEXT PRIMARY KEY,
+        fingerprint TEXT NOT NULL,
+        status INTEGER,
+        body JSONB,
+        created_at TIMESTAMPTZ NOT NULL
+      );
+    `;
+  }
+};
@@ -0,0 +1,18 @@
+// Moderator accounts for api/_petFeed/moderatorAccounts.js. password_hash is
+// scrypt; session_version goes up to end an account's sessions.
+module.exports = {
+  id: '015_moderator_accounts',
+  up: async (sql) => {
+    await sql`
+      CREATE TABLE IF NOT EXISTS pet_feed_moderators (
+        name TEXT PRIMARY KEY,
+        role TEXT NOT NULL CHECK (role IN ('viewer', 'moderator', 'admin')),
+        password_hash TEXT NOT NULL,
+        session_version INTEGER NOT NULL DEFAULT 1,
+        disabled_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL
+      );
+    `;
+  }
+};
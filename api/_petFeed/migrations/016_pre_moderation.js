@@ -0,0 +1,17 @@
+// pending_at is set on posts created while PET_FEED_PREMODERATION is on and
+// cleared when a moderator approves them; until then the feed leaves them out.
+module.exports = {
+  id: '016_pre_moderation',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS pending_at TIMESTAMPTZ;
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS pet_photo_posts_pending_idx
+      ON pet_photo_posts (created_at ASC, id ASC)
+      WHERE pending_at IS NOT NULL AND deleted_at IS NULL;
+    `;
+  }
+};
@@ -0,0 +1,11 @@
+// Why a pending post is waiting: 'premoderation', or the content filter's reason
+// code ('link', 'phone-number', ...).
+module.exports = {
+  id: '017_pending_reason',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS pending_reason TEXT;
+    `;
+  }
+};
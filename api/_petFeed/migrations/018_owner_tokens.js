@@ -0,0 +1,11 @@
+// Hash of the one-time token handed to the uploader, which lets them delete
+// their own post. Posts from before this migration have none.
+module.exports = {
+  id: '018_owner_tokens',
+  up: async (sql) => {
+    await sql`
+      ALTER TABLE pet_photo_posts
+      ADD COLUMN IF NOT EXISTS owner_token_hash TEXT;
+    `;
+  }
+};
@@ -0,0 +1,22 @@
+// Ordered list of Postgres migrations. Add new files here explicitly (never
+// readdir) so Vercel's file tracing bundles them with the functions.
+module.exports = [
+  require('./001_create_pet_photo_posts'),
+  require('./002_add_search_vector'),
+  require('./003_soft_delete_and_events'),
+  require('./004_canonical_pet_types'),
+  require('./005_post_reactions'),
+  require('./006_post_comments'),
+  require('./007_post_reports'),
+  require('./008_image_variants'),
+  require('./009_image_hashes'),
+  require('./010_post_images'),
+  require('./011_video_clips'),
+  require('./012_move_inline_images'),
+  require('./013_rate_limits'),
+  require('./014_idempotency_keys'),
+  require('./015_moderator_accounts'),
+  require('./016_pre_moderation'),
+  require('./017_pending_reason'),
+  require('./018_owner_tokens')
+];
@@ -0,0 +1,61 @@
+const MIGRATIONS = require('./migrations');
+
+// Arbitrary constant shared by every instance so only one applies migrations at a time.
+const LOCK_KEY = 7421180301;
+
+const createMigrator = ({ sql, migrations = MIGRATIONS }) => {
+  const appliedIds = async (db) => {
+    const table = await db`SELECT to_regclass('schema_migrations') AS name;`;
+    if (!table.rows[0]?.name) return new Set();
+    const result = await db`SELECT id FROM schema_migrations;`;
+    return new Set(result.rows.map((row) => row.id));
+  };
+
+  const status = async () => {
+    const applied = await appliedIds(sql);
+    return migrations.map((migration) => ({ id: migration.id, applied: applied.has(migration.id) }));
+  };
+
+  const pending = async () => (await status()).filter((entry) => !entry.applied).map((entry) => entry.id);
+
+  // Applies pending migrations in order, each in its own transaction, and
+  // resolves to the ids that ran.
+  const apply = async () => {
+    const client = await sql.connect();
+    const db = (strings, ...values) => client.sql(strings, ...values);
+    try {
+      await db`SELECT pg_advisory_lock(${LOCK_KEY});`;
+      await db`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          id TEXT PRIMARY KEY,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `;
+
+      const applied = await appliedIds(db);
+      const ran = [];
+      for (const migration of migrations) {
+        if (applied.has(migration.id)) continue;
+        await db`BEGIN;`;
+        try {
+          await migration.up(db);
+          await db`INSERT INTO schema_migrations (id) VALUES (${migration.id});`;
+          await db`COMMIT;`;
+        } catch (error) {
+          await db`ROLLBACK;`;
+          error.migrationId = migration.id;
+          throw error;
+        }
+        ran.push(migration.id);
+      }
+      return ran;
+    } finally {
+      await db`SELECT pg_advisory_unlock(${LOCK_KEY});`.catch(() => {});
+      client.release();
+    }
+  };
+
+  return { status, pending, apply };
+};
+
+module.exports = { createMigrator, MIGRATIONS };
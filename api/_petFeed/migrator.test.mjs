@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createMigrator, MIGRATIONS } = require('./migrator.js');
+
+// Just enough of the @vercel/postgres tag for the migrator's own bookkeeping queries.
+const createFakeSql = (appliedIds = []) => {
+  const applied = new Set(appliedIds);
+  const statements = [];
+  const tag = async (strings, ...values) => {
+    const text = strings.join('?').replace(/\s+/g, ' ').trim();
+    statements.push(text);
+    if (text.includes('to_regclass')) return { rows: [{ name: applied.size ? 'schema_migrations' : null }] };
+    if (text.startsWith('SELECT id FROM schema_migrations')) return { rows: [...applied].map((id) => ({ id })) };
+    if (text.startsWith('INSERT INTO schema_migrations')) applied.add(values[0]);
+    return { rows: [] };
+  };
+  tag.connect = async () => ({ sql: tag, release: () => {} });
+  return { tag, statements, applied };
+};
+
+test('migration ids are unique and ordered', () => {
+  const ids = MIGRATIONS.map((migration) => migration.id);
+  assert.deepEqual(ids, [...new Set(ids)].sort());
+});
+
+test('apply runs only pending migrations, each in its own transaction', async () => {
+  const ran = [];
+  const migrations = ['001_a', '002_b', '003_c'].map((id) => ({ id, up: async () => ran.push(id) }));
+  const fake = createFakeSql(['001_a']);
+  const migrator = createMigrator({ sql: fake.tag, migrations });
+
+  assert.deepEqual(await migrator.pending(), ['002_b', '003_c']);
+  assert.deepEqual(await migrator.apply(), ['002_b', '003_c']);
+  assert.deepEqual(ran, ['002_b', '003_c']);
+  assert.equal(fake.statements.filter((text) => text === 'COMMIT;').length, 2);
+  assert.deepEqual(await migrator.pending(), []);
+});
+
+test('a failing migration is rolled back and reported by id', async () => {
+  const migrations = [
+    { id: '001_ok', up: async () => {} },
+    {
+      id: '002_broken',
+      up: async () => {
+        throw new Error('boom');
+      }
+    }
+  ];
+  const fake = createFakeSql();
+  const migrator = createMigrator({ sql: fake.tag, migrations });
+
+  await assert.rejects(migrator.apply(), { migrationId: '002_broken' });
+  assert.ok(fake.statements.includes('ROLLBACK;'));
+  assert.deepEqual([...fake.applied], ['001_ok']);
+});
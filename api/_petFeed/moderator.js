@@ -0,0 +1,103 @@
+const crypto = require('node:crypto');
+
+const { sharedModeratorPassword } = require('./config');
+const { json } = require('./http');
+const { createModeratorAccounts, hasRole } = require('./moderatorAccounts');
+const { guardLogin } = require('./rateLimits');
+
+const getBearerToken = (req) => {
+  const auth = String(req.headers?.authorization || '');
+  if (!auth.startsWith('Bearer ')) return '';
+  return auth.slice('Bearer '.length).trim();
+};
+
+// A session token or, while it is enabled, the shared password.
+const getModeratorPassword = (req) => {
+  const fromHeader = String(req.headers?.['x-moderator-password'] || '').trim();
+  if (fromHeader) return fromHeader;
+  return getBearerToken(req);
+};
+
+// Constant time whatever the lengths; never true for an empty secret.
+const matchesSecret = (credential, secret) => {
+  if (!secret || !credential) return false;
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(credential), hash(secret));
+};
+
+const isSharedPassword = (credential, shared = sharedModeratorPassword()) => matchesSecret(credential, shared);
+
+// Vercel Cron sends `Authorization: Bearer $CRON_SECRET` when CRON_SECRET is set.
+const isCronRequest = (req) => matchesSecret(getBearerToken(req), String(process.env.CRON_SECRET || '').trim());
+
+// Accounts are recorded by name. The shared password can't tell moderators
+// apart, so with it the name is whatever the moderator sends along.
+const getModerationMeta = (req) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const sentName = String(req.headers?.['x-moderator-name'] || body.moderator || '').trim();
+  return {
+    actor: req.moderator?.shared ? sentName || req.moderator.name : req.moderator?.name || '',
+    reason: String(body.reason || req.query?.reason || '').trim()
+  };
+};
+
+// Moderator endpoints on top of the login lockout. authorize(req, res, role)
+// resolves to true and sets req.moderator to { name, role } for a session of
+// an account with at least that role; otherwise it answers 401, 403 or 429.
+// logIn(req, res, { name, password }) answers with a new session.
+const createModeratorAuth = ({
+  accounts = createModeratorAccounts(),
+  guard = guardLogin,
+  sharedPassword = sharedModeratorPassword
+} = {}) => {
+  const authorize = async (req, res, role = 'viewer') => {
+    const credential = getModeratorPassword(req);
+    const moderator = await guard(req, res, {
+      presented: Boolean(credential),
+      attempt: async () => {
+        if (!credential) return null;
+        if (isSharedPassword(credential, sharedPassword())) return { name: 'shared', role: 'admin', shared: true };
+        return accounts.identify(credential);
+      }
+    });
+    if (!moderator) return false;
+
+    if (!hasRole(moderator.role, role)) {
+      json(res, 403, { error: `This needs the ${role} role.` });
+      return false;
+    }
+    req.moderator = moderator;
+    return true;
+  };
+
+  const logIn = async (req, res, { name, password } = {}) => {
+    const session = await guard(req, res, {
+      presented: Boolean(name || password),
+      attempt: () => (name && password ? accounts.logIn(name, password) : null)
+    });
+    if (session) json(res, 200, session);
+  };
+
+  return { accounts, authorize, logIn };
+};
+
+let defaultAuth = null;
+const getDefaultAuth = () => {
+  if (!defaultAuth) {
+    // Accounts live next to the feed, so its migrations have to run first.
+    const ready = () => require('../_petFeedStore').ensureSchema();
+    defaultAuth = createModeratorAuth({ accounts: createModeratorAccounts({ ready }) });
+  }
+  return defaultAuth;
+};
+
+module.exports = {
+  getBearerToken,
+  getModeratorPassword,
+  isCronRequest,
+  getModerationMeta,
+  createModeratorAuth,
+  authorizeModerator: (...args) => getDefaultAuth().authorize(...args),
+  logInModerator: (...args) => getDefaultAuth().logIn(...args),
+  moderatorAccounts: () => getDefaultAuth().accounts
+};
@@ -0,0 +1,345 @@
+const crypto = require('node:crypto');
+const { promisify } = require('node:util');
+
+const { hasPostgresConfig, sessionSecret, sessionTtlMs, storeDriver } = require('./config');
+const {
+  createBadRequestError,
+  createModeratorExistsError,
+  createSessionsUnavailableError,
+  createStorageUnavailableError
+} = require('./errors');
+const { createRecordStore } = require('./records');
+const { toMs } = require('./rows');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the ones before it can: viewers read the queue and
+// history, moderators also delete, restore and review, admins also purge,
+// reconcile and manage accounts.
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+const hasRole = (role, needed) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(needed);
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 1024;
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 32 };
+
+// scrypt$N$r$p$salt$hash, so the cost can be raised later without breaking old hashes.
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(String(password), salt, keylen, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    maxmem: 256 * Number(N) * Number(r)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the name is unknown, so a wrong name takes as long as a wrong password.
+let decoyHash = null;
+const decoy = async () => {
+  if (!decoyHash) decoyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  return decoyHash;
+};
+
+const normalizeName = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+const checkName = (name) => {
+  if (!NAME_PATTERN.test(name)) {
+    throw createBadRequestError('Moderator names are 2-40 lowercase letters, digits, dots, dashes or underscores.');
+  }
+};
+
+const checkRole = (role) => {
+  if (!ROLES.includes(role)) throw createBadRequestError(`role must be one of ${ROLES.join(', ')}.`);
+};
+
+const checkPassword = (password) => {
+  const length = typeof password === 'string' ? password.length : 0;
+  if (length < MIN_PASSWORD_LENGTH || length > MAX_PASSWORD_LENGTH) {
+    throw createBadRequestError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+};
+
+// Every store keeps accounts as { name, role, passwordHash, sessionVersion,
+// disabledAt, createdAt, updatedAt }: get(name) and list() read them,
+// insert(account) resolves to null when the name is taken, replace(account) to
+// null when it is gone, and remove(name) to whether it was there.
+
+// On top of a record store (fs, sqlite or memory), in a "moderators" collection.
+const createRecordModeratorStore = ({ records }) => {
+  const COLLECTION = 'moderators';
+  const toAccount = (record) => {
+    if (!record) return null;
+    const { id, ...account } = record;
+    return { ...account, name: id };
+  };
+  const toRecord = ({ name, ...account }) => ({ id: name, ...account });
+
+  const get = async (name) => toAccount(await records.get(COLLECTION, name));
+
+  const list = async () => (await records.list(COLLECTION)).map(toAccount);
+
+  const insert = async (account) => {
+    try {
+      return toAccount(await records.insert(COLLECTION, toRecord(account)));
+    } catch (error) {
+      if (error?.code === 'PET_FEED_DUPLICATE_ID') return null;
+      throw error;
+    }
+  };
+
+  const replace = async (account) => toAccount(await records.update(COLLECTION, account.name, () => toRecord(account)));
+
+  const remove = async (name) => Boolean(await records.remove(COLLECTION, name));
+
+  return { name: records.name, get, list, insert, replace, remove };
+};
+
+// The table comes from migration 015.
+const createPostgresModeratorStore = ({ sql = require('@vercel/postgres').sql } = {}) => {
+  const toDate = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const toAccount = (row) =>
+    row
+      ? {
+          name: row.name,
+          role: row.role,
+          passwordHash: row.password_hash,
+          sessionVersion: Number(row.session_version),
+          disabledAt: row.disabled_at ? toMs(row.disabled_at) : null,
+          createdAt: toMs(row.created_at),
+          updatedAt: toMs(row.updated_at)
+        }
+      : null;
+
+  const get = async (name) => {
+    const { rows } = await sql`SELECT * FROM pet_feed_moderators WHERE name = ${name};`;
+    return toAccount(rows[0]);
+  };
+
+  const list = async () => {
+    const { rows } = await sql`SELECT * FROM pet_feed_moderators ORDER BY name;`;
+    return rows.map(toAccount);
+  };
+
+  const insert = async (account) => {
+    const { rows } = await sql`
+      INSERT INTO pet_feed_moderators
+        (name, role, password_hash, session_version, disabled_at, created_at, updated_at)
+      VALUES (
+        ${account.name}, ${account.role}, ${account.passwordHash}, ${account.sessionVersion},
+        ${toDate(account.disabledAt)}, ${toDate(account.createdAt)}, ${toDate(account.updatedAt)}
+      )
+      ON CONFLICT (name) DO NOTHING
+      RETURNING *;
+    `;
+    return toAccount(rows[0]);
+  };
+
+  const replace = async (account) => {
+    const { rows } = await sql`
+      UPDATE pet_feed_moderators SET
+        role = ${account.role},
+        password_hash = ${account.passwordHash},
+        session_version = ${account.sessionVersion},
+        disabled_at = ${toDate(account.disabledAt)},
+        updated_at = ${toDate(account.updatedAt)}
+      WHERE name = ${account.name}
+      RETURNING *;
+    `;
+    return toAccount(rows[0]);
+  };
+
+  const remove = async (name) => {
+    const result = await sql`DELETE FROM pet_feed_moderators WHERE name = ${name};`;
+    return (result.rowCount || 0) > 0;
+  };
+
+  return { name: 'postgres', get, list, insert, replace, remove };
+};
+
+// Blob files are public, so password hashes are never kept there: without
+// Postgres, a Blob-backed feed has no accounts and can't add any.
+const createUnavailableModeratorStore = () => {
+  const unavailable = async () => {
+    throw createStorageUnavailableError();
+  };
+  return {
+    name: 'none',
+    get: async () => null,
+    list: async () => [],
+    insert: unavailable,
+    replace: unavailable,
+    remove: unavailable
+  };
+};
+
+// Postgres whenever the feed itself uses it, otherwise the feed's record store.
+const createModeratorStore = (driver = storeDriver(), options = {}) => {
+  if (driver === 'postgres' || (driver === 'auto' && hasPostgresConfig())) return createPostgresModeratorStore();
+  if (driver === 'auto' || driver === 'blob') return createUnavailableModeratorStore();
+  return createRecordModeratorStore({ records: createRecordStore(driver, options) });
+};
+
+// What the API shows of an account.
+const toApiModerator = (account) => ({
+  name: account.name,
+  role: account.role,
+  disabled: Boolean(account.disabledAt),
+  createdAt: account.createdAt,
+  updatedAt: account.updatedAt
+});
+
+const SESSION_PREFIX = 'moderator-session';
+
+// Signed with the same scheme as upload grants, under their own prefix so a
+// shared secret can't turn one into the other.
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(`${SESSION_PREFIX}.${payload}`).digest('base64url');
+
+// Accounts, logins and session tokens. A token names the account and its
+// sessionVersion; changing the password or disabling the account bumps the
+// version, which ends every session it had. Roles are read from the account on
+// each request, so a new role applies at once.
+const createModeratorAccounts = ({
+  store = createModeratorStore(),
+  secret = sessionSecret(),
+  ttlMs = sessionTtlMs(),
+  ready = async () => {},
+  now = Date.now
+} = {}) => {
+  const get = async (name) => {
+    await ready();
+    return store.get(normalizeName(name));
+  };
+
+  const list = async () => {
+    await ready();
+    return (await store.list()).sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const isActiveAdmin = (account) => account.role === 'admin' && !account.disabledAt;
+
+  // Nobody could manage accounts any more once the last admin is gone.
+  const keepAnAdmin = async (leaving) => {
+    if (!isActiveAdmin(leaving)) return;
+    const others = (await store.list()).filter((account) => account.name !== leaving.name && isActiveAdmin(account));
+    if (!others.length) throw createBadRequestError('There has to be at least one active admin.');
+  };
+
+  const create = async ({ name, password, role = 'moderator' } = {}) => {
+    const normalized = normalizeName(name);
+    checkName(normalized);
+    checkRole(role);
+    checkPassword(password);
+    await ready();
+    const at = now();
+    const account = await store.insert({
+      name: normalized,
+      role,
+      passwordHash: await hashPassword(password),
+      sessionVersion: 1,
+      disabledAt: null,
+      createdAt: at,
+      updatedAt: at
+    });
+    if (!account) throw createModeratorExistsError(normalized);
+    return account;
+  };
+
+  // changes: { role, password, disabled }, each optional. Resolves to null for an unknown name.
+  const change = async (name, { role, password, disabled } = {}) => {
+    if (role !== undefined) checkRole(role);
+    if (password !== undefined) checkPassword(password);
+    const current = await get(name);
+    if (!current) return null;
+
+    const disabling = disabled === true && !current.disabledAt;
+    const next = {
+      ...current,
+      role: role ?? current.role,
+      passwordHash: password !== undefined ? await hashPassword(password) : current.passwordHash,
+      disabledAt: disabled === undefined ? current.disabledAt : disabled ? current.disabledAt || now() : null,
+      updatedAt: now()
+    };
+    if (password !== undefined || disabling) next.sessionVersion = current.sessionVersion + 1;
+    if (!isActiveAdmin(next)) await keepAnAdmin(current);
+    return store.replace(next);
+  };
+
+  const remove = async (name) => {
+    const current = await get(name);
+    if (!current) return false;
+    await keepAnAdmin(current);
+    return store.remove(current.name);
+  };
+
+  const issue = (account) => {
+    if (!secret) throw createSessionsUnavailableError();
+    const expiresAt = now() + ttlMs;
+    const payload = Buffer.from(
+      JSON.stringify({ sub: account.name, ver: account.sessionVersion, exp: expiresAt }),
+      'utf8'
+    ).toString('base64url');
+    return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+  };
+
+  // { token, expiresAt, moderator } for the right name and password, otherwise null.
+  const logIn = async (name, password) => {
+    if (!secret) throw createSessionsUnavailableError();
+    const account = await get(name);
+    const matches = await verifyPassword(password, account?.passwordHash || (await decoy()));
+    if (!account || !matches || account.disabledAt) return null;
+    return { ...issue(account), moderator: toApiModerator(account) };
+  };
+
+  // The { name, role } a session token stands for, or null.
+  const identify = async (token) => {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 2 || !secret) return null;
+    const [payload, signature] = parts;
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!(session.exp > now())) return null;
+    const account = await get(session.sub);
+    if (!account || account.disabledAt || account.sessionVersion !== session.ver) return null;
+    return { name: account.name, role: account.role };
+  };
+
+  return { get, list, create, change, remove, logIn, identify };
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  toApiModerator,
+  createRecordModeratorStore,
+  createPostgresModeratorStore,
+  createModeratorStore,
+  createModeratorAccounts
+};
@@ -0,0 +1,203 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createModeratorAccounts,
+  createRecordModeratorStore,
+  hasRole,
+  hashPassword,
+  verifyPassword
+} = require('./moderatorAccounts.js');
+const { createModeratorAuth, getModerationMeta } = require('./moderator.js');
+const { createRateLimiter } = require('./rateLimits.js');
+const { createMemoryRecordStore } = require('./records/memory.js');
+
+const PASSWORD = 'correct horse battery';
+
+// Just enough of a Node response for json().
+const createRes = () => ({
+  statusCode: 200,
+  body: null,
+  setHeader() {},
+  end(body) {
+    this.body = body ? JSON.parse(body) : null;
+  }
+});
+
+const createClock = (start = Date.UTC(2026, 0, 1)) => {
+  const clock = { at: start, now: () => clock.at };
+  return clock;
+};
+
+const createAccounts = (options = {}) =>
+  createModeratorAccounts({
+    store: createRecordModeratorStore({ records: createMemoryRecordStore() }),
+    secret: 'test-secret',
+    ttlMs: 60 * 60 * 1000,
+    ...options
+  });
+
+const bearer = (token, headers = {}) => ({ headers: { authorization: `Bearer ${token}`, ...headers } });
+
+test('hashes passwords with scrypt and a fresh salt', async () => {
+  const hash = await hashPassword(PASSWORD);
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[\w-]+\$[\w-]+$/);
+  assert.notEqual(await hashPassword(PASSWORD), hash);
+  assert.equal(await verifyPassword(PASSWORD, hash), true);
+  assert.equal(await verifyPassword('correct horse battery!', hash), false);
+  assert.equal(await verifyPassword(PASSWORD, 'Remove'), false);
+});
+
+test('ranks roles', () => {
+  assert.ok(hasRole('admin', 'moderator'));
+  assert.ok(hasRole('moderator', 'viewer'));
+  assert.equal(hasRole('viewer', 'moderator'), false);
+  assert.equal(hasRole('owner', 'viewer'), false);
+});
+
+test('logs in with name and password and identifies the session', async () => {
+  const clock = createClock();
+  const accounts = createAccounts({ now: clock.now });
+  await accounts.create({ name: ' Alice ', password: PASSWORD, role: 'moderator' });
+  await assert.rejects(accounts.create({ name: 'alice', password: PASSWORD }), { code: 'PET_FEED_MODERATOR_EXISTS' });
+  await assert.rejects(accounts.create({ name: 'bob', password: 'short' }), { code: 'PET_FEED_BAD_REQUEST' });
+  await assert.rejects(accounts.create({ name: 'bob', password: PASSWORD, role: 'owner' }), {
+    code: 'PET_FEED_BAD_REQUEST'
+  });
+
+  assert.equal(await accounts.logIn('alice', 'wrong password!'), null);
+  assert.equal(await accounts.logIn('nobody', PASSWORD), null);
+  const session = await accounts.logIn('ALICE', PASSWORD);
+  assert.deepEqual(session.moderator, {
+    name: 'alice',
+    role: 'moderator',
+    disabled: false,
+    createdAt: clock.at,
+    updatedAt: clock.at
+  });
+  assert.equal(session.expiresAt, clock.at + 60 * 60 * 1000);
+  assert.deepEqual(await accounts.identify(session.token), { name: 'alice', role: 'moderator' });
+
+  const [payload, signature] = session.token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'alice', ver: 1, exp: clock.at * 2 })).toString('base64url');
+  assert.equal(await accounts.identify(`${forged}.${signature}`), null);
+  assert.equal(await createAccounts().identify(session.token), null);
+  assert.equal(await createAccounts({ secret: 'other-secret' }).identify(`${payload}.${signature}`), null);
+
+  clock.at += 60 * 60 * 1000;
+  assert.equal(await accounts.identify(session.token), null);
+});
+
+test('a new password or disabling the account ends its sessions; a new role applies at once', async () => {
+  const accounts = createAccounts();
+  await accounts.create({ name: 'root', password: PASSWORD, role: 'admin' });
+  await accounts.create({ name: 'alice', password: PASSWORD });
+  const first = await accounts.logIn('alice', PASSWORD);
+
+  await accounts.change('alice', { role: 'viewer' });
+  assert.deepEqual(await accounts.identify(first.token), { name: 'alice', role: 'viewer' });
+
+  await accounts.change('alice', { password: 'another long password' });
+  assert.equal(await accounts.identify(first.token), null);
+  assert.equal(await accounts.logIn('alice', PASSWORD), null);
+
+  const second = await accounts.logIn('alice', 'another long password');
+  await accounts.change('alice', { disabled: true });
+  assert.equal(await accounts.identify(second.token), null);
+  assert.equal(await accounts.logIn('alice', 'another long password'), null);
+  await accounts.change('alice', { disabled: false });
+  assert.ok(await accounts.logIn('alice', 'another long password'));
+
+  assert.equal(await accounts.change('nobody', { role: 'viewer' }), null);
+  assert.equal(await accounts.remove('nobody'), false);
+});
+
+test('keeps at least one active admin', async () => {
+  const accounts = createAccounts();
+  await accounts.create({ name: 'root', password: PASSWORD, role: 'admin' });
+  await assert.rejects(accounts.change('root', { role: 'moderator' }), { code: 'PET_FEED_BAD_REQUEST' });
+  await assert.rejects(accounts.change('root', { disabled: true }), { code: 'PET_FEED_BAD_REQUEST' });
+  await assert.rejects(accounts.remove('root'), { code: 'PET_FEED_BAD_REQUEST' });
+
+  await accounts.create({ name: 'second', password: PASSWORD, role: 'admin' });
+  assert.equal(await accounts.remove('root'), true);
+  assert.deepEqual(
+    (await accounts.list()).map(({ name, role }) => [name, role]),
+    [['second', 'admin']]
+  );
+});
+
+test('logins without a session secret are unavailable', async () => {
+  const accounts = createAccounts({ secret: '' });
+  await accounts.create({ name: 'alice', password: PASSWORD });
+  await assert.rejects(accounts.logIn('alice', PASSWORD), { code: 'PET_FEED_SESSIONS_UNAVAILABLE' });
+});
+
+test('sessions are never signed with the upload or Blob secret', async (t) => {
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+  });
+  delete process.env.PET_FEED_SESSION_SECRET;
+  process.env.PET_FEED_UPLOAD_SECRET = 'upload-secret';
+  process.env.BLOB_READ_WRITE_TOKEN = 'vercel_blob_rw_token';
+
+  const accounts = createAccounts({ secret: undefined });
+  await accounts.create({ name: 'alice', password: PASSWORD });
+  await assert.rejects(accounts.logIn('alice', PASSWORD), { code: 'PET_FEED_SESSIONS_UNAVAILABLE' });
+});
+
+test('authorizes sessions by role and records who acted', async () => {
+  const accounts = createAccounts();
+  await accounts.create({ name: 'vera', password: PASSWORD, role: 'viewer' });
+  await accounts.create({ name: 'mod', password: PASSWORD, role: 'moderator' });
+  const auth = createModeratorAuth({
+    accounts,
+    guard: createRateLimiter().guardLogin,
+    sharedPassword: () => ''
+  });
+
+  const loginRes = createRes();
+  await auth.logIn({ headers: {} }, loginRes, { name: 'mod', password: PASSWORD });
+  assert.equal(loginRes.statusCode, 200);
+  const modToken = loginRes.body.token;
+  const { token: viewerToken } = await accounts.logIn('vera', PASSWORD);
+
+  const req = bearer(modToken, { 'x-moderator-name': 'someone else' });
+  req.body = { reason: 'spam' };
+  assert.equal(await auth.authorize(req, createRes(), 'moderator'), true);
+  assert.deepEqual(getModerationMeta(req), { actor: 'mod', reason: 'spam' });
+
+  const forbidden = createRes();
+  assert.equal(await auth.authorize(bearer(viewerToken), forbidden, 'moderator'), false);
+  assert.equal(forbidden.statusCode, 403);
+  assert.equal(await auth.authorize(bearer(viewerToken), createRes(), 'viewer'), true);
+
+  const denied = createRes();
+  assert.equal(await auth.authorize({ headers: { 'x-moderator-password': 'Remove' } }, denied, 'viewer'), false);
+  assert.equal(denied.statusCode, 401);
+
+  const badLogin = createRes();
+  await auth.logIn({ headers: {} }, badLogin, { name: 'mod', password: 'wrong password!' });
+  assert.equal(badLogin.statusCode, 401);
+});
+
+test('the shared password only works while it is enabled, as an admin', async () => {
+  let shared = 'old shared password';
+  const auth = createModeratorAuth({
+    accounts: createAccounts(),
+    guard: createRateLimiter().guardLogin,
+    sharedPassword: () => shared
+  });
+
+  const req = { headers: { 'x-moderator-password': 'old shared password', 'x-moderator-name': 'Sam' } };
+  assert.equal(await auth.authorize(req, createRes(), 'admin'), true);
+  assert.equal(getModerationMeta(req).actor, 'Sam');
+
+  shared = '';
+  const retired = createRes();
+  assert.equal(await auth.authorize({ headers: req.headers }, retired, 'viewer'), false);
+  assert.equal(retired.statusCode, 401);
+});
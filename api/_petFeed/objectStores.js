@@ -0,0 +1,100 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const fsp = require('node:fs/promises');
+
+const { hasBlobConfig, mediaDir } = require('./config');
+const { createStorageUnavailableError } = require('./errors');
+const { IMAGE_TYPES } = require('./imageTypes');
+const { VIDEO_TYPES } = require('./videos');
+
+// Where posted photos, their resized copies and clips are kept. Every store
+// answers put(name, { buffer, mime }) with the public URL of the stored file and
+// remove(url) deletes a file it stored; URLs from any other store are ignored.
+// Names are flat: <uuid>.jpg, <uuid>-640w.webp, <uuid>.mp4, ...
+
+const MEDIA_NAME = /^[a-z0-9][a-z0-9-]{0,127}\.[a-z0-9]{2,5}$/i;
+const MEDIA_ROUTE = '/media';
+const READ_ONLY_CODES = ['EROFS', 'EACCES', 'EPERM'];
+
+const MIME_BY_EXT = Object.fromEntries(
+  [...Object.entries(IMAGE_TYPES), ...Object.entries(VIDEO_TYPES)].map(([mime, { ext }]) => [ext, mime])
+);
+
+const isMediaName = (name) => typeof name === 'string' && MEDIA_NAME.test(name);
+
+const checkName = (name) => {
+  if (!isMediaName(name)) throw new Error(`Invalid media file name "${name}".`);
+};
+
+// Vercel Blob, under pet-photos/.
+const createBlobObjectStore = ({ blob = require('@vercel/blob'), prefix = 'pet-photos' } = {}) => {
+  const put = async (name, { buffer, mime }) => {
+    checkName(name);
+    const stored = await blob.put(`${prefix}/${name}`, buffer, {
+      access: 'public',
+      contentType: mime,
+      allowOverwrite: true
+    });
+    return stored.url;
+  };
+
+  const remove = async (url) => {
+    if (/^https?:\/\//i.test(url)) await blob.del(url);
+  };
+
+  return { name: 'blob', put, remove };
+};
+
+// Files in dir, served from /media/<name> by api/media/[key].js and
+// backend/server.js. This is what stores uploads when Blob isn't configured.
+const createFsObjectStore = ({ dir = mediaDir() } = {}) => {
+  const put = async (name, { buffer }) => {
+    checkName(name);
+    try {
+      await fsp.mkdir(dir, { recursive: true });
+      await fsp.writeFile(path.join(dir, name), buffer);
+    } catch (error) {
+      // Read-only deployments (Vercel functions without Blob) have nowhere to put files.
+      if (READ_ONLY_CODES.includes(error?.code)) throw createStorageUnavailableError();
+      throw error;
+    }
+    return `${MEDIA_ROUTE}/${name}`;
+  };
+
+  // False when dir can't be created or written to, without writing anything.
+  const writable = async () => {
+    try {
+      await fsp.mkdir(dir, { recursive: true });
+      await fsp.access(dir, fs.constants.W_OK);
+      return true;
+    } catch (error) {
+      if (READ_ONLY_CODES.includes(error?.code)) return false;
+      throw error;
+    }
+  };
+
+  // { buffer, mime } for a stored name, or null.
+  const read = async (name) => {
+    if (!isMediaName(name)) return null;
+    const mime = MIME_BY_EXT[path.extname(name).slice(1).toLowerCase()];
+    if (!mime) return null;
+    try {
+      return { buffer: await fsp.readFile(path.join(dir, name)), mime };
+    } catch (error) {
+      if (error?.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (url) => {
+    if (typeof url !== 'string' || !url.startsWith(`${MEDIA_ROUTE}/`)) return;
+    const name = url.slice(MEDIA_ROUTE.length + 1);
+    if (isMediaName(name)) await fsp.rm(path.join(dir, name), { force: true });
+  };
+
+  return { name: 'fs', dir, put, read, remove, writable };
+};
+
+const createObjectStore = () => (hasBlobConfig() ? createBlobObjectStore() : createFsObjectStore());
+
+module.exports = { MEDIA_ROUTE, isMediaName, createBlobObjectStore, createFsObjectStore, createObjectStore };
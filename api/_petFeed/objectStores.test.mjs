@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createBlobObjectStore, createFsObjectStore, isMediaName } = require('./objectStores.js');
+
+const tempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pet-media-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('fs store serves what it stored from /media', async (t) => {
+  const dir = await tempDir(t);
+  const store = createFsObjectStore({ dir });
+
+  const url = await store.put('abc-640w.webp', { buffer: Buffer.from('webp'), mime: 'image/webp' });
+  assert.equal(url, '/media/abc-640w.webp');
+  const file = await store.read('abc-640w.webp');
+  assert.equal(file.mime, 'image/webp');
+  assert.equal(file.buffer.toString(), 'webp');
+
+  await store.remove('https://blob.test/pet-photos/abc-640w.webp');
+  assert.ok(await store.read('abc-640w.webp'));
+  await store.remove(url);
+  assert.equal(await store.read('abc-640w.webp'), null);
+  await store.remove(url);
+  assert.equal(await store.writable(), true);
+});
+
+test('media names are single flat file names', async (t) => {
+  const store = createFsObjectStore({ dir: await tempDir(t) });
+  assert.ok(isMediaName('0b6c7c1e-6d9e-4b59-9a55-3a2e1b7d1f00.jpg'));
+  for (const name of ['../secret.jpg', 'a/b.jpg', '.hidden.jpg', 'noext', '', 'x.jpg/']) {
+    assert.equal(isMediaName(name), false, name);
+    assert.equal(await store.read(name), null);
+  }
+  await assert.rejects(store.put('../escape.jpg', { buffer: Buffer.from('x') }));
+  await store.put('notes.txt', { buffer: Buffer.from('x') });
+  assert.equal(await store.read('notes.txt'), null);
+});
+
+test('blob store puts under pet-photos/ and deletes only Blob URLs', async () => {
+  const calls = [];
+  const blob = {
+    put: async (pathname, buffer, options) => {
+      calls.push(['put', pathname, options]);
+      return { url: `https://blob.test/${pathname}` };
+    },
+    del: async (url) => calls.push(['del', url])
+  };
+  const store = createBlobObjectStore({ blob });
+
+  const url = await store.put('abc.jpg', { buffer: Buffer.from('jpg'), mime: 'image/jpeg' });
+  assert.equal(url, 'https://blob.test/pet-photos/abc.jpg');
+  await store.remove('/media/abc.jpg');
+  await store.remove(url);
+  assert.deepEqual(calls, [
+    ['put', 'pet-photos/abc.jpg', { access: 'public', contentType: 'image/jpeg', allowOverwrite: true }],
+    ['del', url]
+  ]);
+});
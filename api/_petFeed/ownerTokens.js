@@ -0,0 +1,53 @@
+const crypto = require('node:crypto');
+
+const OWNER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Owner tokens are handed to the uploader once, in the response to their post.
+// Only the hash is stored on the row, so neither the database nor a public
+// metadata blob holds a value that could delete the post.
+const hashOwnerToken = (token) => {
+  const value = String(token || '').trim();
+  if (!OWNER_TOKEN_PATTERN.test(value)) return null;
+  return crypto.createHash('sha256').update(`pet-feed-owner:${value}`).digest('hex');
+};
+
+const createOwnerToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashOwnerToken(token) };
+};
+
+const ownerTokenMatches = (token, hash) => {
+  const given = hashOwnerToken(token);
+  if (!given || typeof hash !== 'string' || hash.length !== given.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(hash));
+};
+
+const sealKey = (secret) => crypto.createHash('sha256').update(`pet-feed-owner-seal:${secret}`).digest();
+
+// The token as kept in an Idempotency-Key record, so a retry of a post whose
+// response was lost still gets it. AES-GCM under the server's secret; null
+// without a secret, and then a replay goes without the token.
+const sealOwnerToken = (token, secret) => {
+  if (!secret || !hashOwnerToken(token)) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(secret), iv);
+  const sealed = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [iv, sealed, cipher.getAuthTag()].map((part) => part.toString('base64url')).join('.');
+};
+
+// The token from sealOwnerToken, or null when it can't be opened with secret.
+const openOwnerToken = (sealed, secret) => {
+  const parts = String(sealed || '').split('.');
+  if (!secret || parts.length !== 3) return null;
+  try {
+    const [iv, data, tag] = parts.map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(secret), iv);
+    decipher.setAuthTag(tag);
+    const token = Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    return hashOwnerToken(token) ? token : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { createOwnerToken, hashOwnerToken, ownerTokenMatches, sealOwnerToken, openOwnerToken };
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createOwnerToken,
+  hashOwnerToken,
+  openOwnerToken,
+  ownerTokenMatches,
+  sealOwnerToken
+} = require('./ownerTokens.js');
+
+test('creates a fresh token with a matching hash each time', () => {
+  const first = createOwnerToken();
+  const second = createOwnerToken();
+  assert.match(first.token, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(first.token, second.token);
+  assert.equal(first.hash, hashOwnerToken(first.token));
+  assert.notEqual(first.hash, first.token);
+  assert.equal(ownerTokenMatches(first.token, first.hash), true);
+  assert.equal(ownerTokenMatches(second.token, first.hash), false);
+});
+
+test('refuses malformed tokens and missing hashes', () => {
+  const { token, hash } = createOwnerToken();
+  for (const value of ['', 'short', `${token}x`, token.replace(/.$/, '!'), null, undefined]) {
+    assert.equal(hashOwnerToken(value), null);
+    assert.equal(ownerTokenMatches(value, hash), false);
+  }
+  assert.equal(ownerTokenMatches(token, null), false);
+  assert.equal(ownerTokenMatches(token, ''), false);
+});
+
+test('seals a token so only the same secret opens it', () => {
+  const { token } = createOwnerToken();
+  const sealed = sealOwnerToken(token, 'secret');
+  assert.ok(!sealed.includes(token));
+  assert.notEqual(sealOwnerToken(token, 'secret'), sealed);
+  assert.equal(openOwnerToken(sealed, 'secret'), token);
+  assert.equal(openOwnerToken(sealed, 'other secret'), null);
+  assert.equal(
+    openOwnerToken(
+      sealed.replace(/^./, (c) => (c === 'A' ? 'B' : 'A')),
+      'secret'
+    ),
+    null
+  );
+  assert.equal(openOwnerToken(null, 'secret'), null);
+  assert.equal(sealOwnerToken(token, ''), null);
+  assert.equal(sealOwnerToken('short', 'secret'), null);
+});
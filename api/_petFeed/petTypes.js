@@ -0,0 +1,54 @@
+// Canonical pet types. Labels match the <select id="pet-type"> options in
+// pet-photos-app.html; aliases cover what people type into older clients.
+const PET_TYPES = [
+  { id: 'dog', label: 'Dog', aliases: ['dogs', 'puppy', 'puppies', 'pup', 'doggo', 'doggy', 'canine', 'hound'] },
+  { id: 'cat', label: 'Cat', aliases: ['cats', 'kitten', 'kittens', 'kitty', 'feline'] },
+  {
+    id: 'chicken',
+    label: 'Chicken',
+    aliases: ['chickens', 'hen', 'hens', 'rooster', 'chick', 'chicks', 'chook', 'bantam', 'poultry', 'flock']
+  },
+  {
+    id: 'bird',
+    label: 'Bird',
+    aliases: ['birds', 'parrot', 'budgie', 'parakeet', 'cockatiel', 'canary', 'finch', 'duck', 'goose', 'pigeon']
+  },
+  { id: 'rabbit', label: 'Rabbit', aliases: ['rabbits', 'bunny', 'bunnies'] },
+  {
+    id: 'small-pet',
+    label: 'Small pet',
+    aliases: ['hamster', 'guinea pig', 'gerbil', 'mouse', 'mice', 'rat', 'ferret', 'chinchilla', 'hedgehog', 'rodent']
+  },
+  { id: 'horse', label: 'Horse', aliases: ['horses', 'pony', 'ponies', 'foal', 'mare', 'stallion', 'donkey', 'mule'] },
+  { id: 'livestock', label: 'Livestock', aliases: ['goat', 'goats', 'sheep', 'lamb', 'pig', 'pigs', 'cow', 'cows'] },
+  {
+    id: 'reptile',
+    label: 'Reptile',
+    aliases: ['reptiles', 'lizard', 'gecko', 'snake', 'turtle', 'tortoise', 'iguana', 'bearded dragon', 'beardie']
+  },
+  { id: 'fish', label: 'Fish', aliases: ['fishes', 'goldfish', 'betta', 'koi', 'guppy', 'aquarium'] },
+  { id: 'other', label: 'Other', aliases: [] }
+];
+
+const OTHER = PET_TYPES[PET_TYPES.length - 1];
+
+const keyOf = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ');
+
+const LOOKUP = new Map();
+PET_TYPES.forEach((type) => {
+  [type.id, type.label, ...type.aliases].forEach((name) => LOOKUP.set(keyOf(name), type));
+});
+
+// Unknown or empty input maps to Other, so every stored post has a browsable type.
+const findPetType = (value) => LOOKUP.get(keyOf(value)) || OTHER;
+
+const normalizePetType = (value) => findPetType(value).label;
+
+// For ?type= filters: empty means "all types".
+const parsePetTypeFilter = (value) => (keyOf(value) ? normalizePetType(value) : null);
+
+module.exports = { PET_TYPES, findPetType, normalizePetType, parsePetTypeFilter };
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { PET_TYPES, normalizePetType, parsePetTypeFilter } = require('./petTypes.js');
+
+test('aliases, ids and labels map onto canonical types', () => {
+  assert.equal(normalizePetType('puppy'), 'Dog');
+  assert.equal(normalizePetType('  KITTEN '), 'Cat');
+  assert.equal(normalizePetType('Guinea_Pig'), 'Small pet');
+  assert.equal(normalizePetType('small-pet'), 'Small pet');
+  assert.equal(normalizePetType('bearded dragon'), 'Reptile');
+  assert.equal(normalizePetType('Hen'), 'Chicken');
+  assert.equal(normalizePetType('axolotl'), 'Other');
+  assert.equal(normalizePetType(''), 'Other');
+});
+
+test('every label normalizes to itself and filters treat empty as all', () => {
+  PET_TYPES.forEach(({ label }) => assert.equal(normalizePetType(label), label));
+  assert.equal(parsePetTypeFilter(''), null);
+  assert.equal(parsePetTypeFilter('dog'), 'Dog');
+});
@@ -0,0 +1,263 @@
+const crypto = require('node:crypto');
+
+const { hasPostgresConfig, rateLimitsEnabled, storeDriver } = require('./config');
+const { json } = require('./http');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Requests per client and route within a fixed window. post and upload match
+// the limits backend/server.js sets with express-rate-limit.
+const BUDGETS = {
+  feed: { limit: 300, windowMs: 15 * MINUTE },
+  post: { limit: 20, windowMs: HOUR },
+  upload: { limit: 40, windowMs: HOUR },
+  react: { limit: 120, windowMs: 15 * MINUTE },
+  comment: { limit: 30, windowMs: HOUR },
+  report: { limit: 20, windowMs: HOUR }
+};
+
+// Failed moderator logins: the first few are free, then every failure doubles
+// the lockout, up to an hour. Failures are forgotten after a quiet day.
+const FREE_FAILURES = 4;
+const LOCKOUT_BASE_MS = 30 * 1000;
+const LOCKOUT_MAX_MS = HOUR;
+const FAILURE_MEMORY_MS = 24 * HOUR;
+
+const lockoutMs = (failures) =>
+  failures <= FREE_FAILURES ? 0 : Math.min(LOCKOUT_MAX_MS, LOCKOUT_BASE_MS * 2 ** (failures - FREE_FAILURES - 1));
+
+// Express sets req.ip from its trusted proxies; on Vercel the edge overwrites
+// x-forwarded-for. Addresses are only kept hashed.
+const clientKey = (req) => {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '')
+    .split(',')[0]
+    .trim();
+  const ip = req.ip || forwarded || req.socket?.remoteAddress || 'unknown';
+  return crypto.createHash('sha256').update(`pet-feed-client:${ip}`).digest('hex').slice(0, 32);
+};
+
+// Every store counts hits in a window (hit resolves to { count, resetAt }) and
+// failed logins (failures resolves to { count, lastFailedAt } or null). fail
+// records a failure in one step, unless the key is locked out, and resolves to
+// the new { count, lastFailedAt }, or to null when it is locked out.
+// sweep({ before }) drops windows that ended and failures old enough to forget.
+
+// Per instance: each Vercel function instance counts on its own.
+const createMemoryRateLimitStore = () => {
+  const windows = new Map();
+  const logins = new Map();
+
+  const hit = async (key, { windowMs, at }) => {
+    const current = windows.get(key);
+    const entry = current && current.resetAt > at ? current : { count: 0, resetAt: at + windowMs };
+    entry.count += 1;
+    windows.set(key, entry);
+    return { ...entry };
+  };
+
+  const failures = async (key, { since }) => {
+    const entry = logins.get(key);
+    return entry && entry.lastFailedAt > since ? { ...entry } : null;
+  };
+
+  // No await between the check and the write, so concurrent calls can't both
+  // see the same count.
+  const fail = async (key, { at, since }) => {
+    const current = logins.get(key);
+    const previous = current && current.lastFailedAt > since ? current : null;
+    if (previous && previous.lastFailedAt + lockoutMs(previous.count) > at) return null;
+    const entry = { count: (previous?.count || 0) + 1, lastFailedAt: at };
+    logins.set(key, entry);
+    return { ...entry };
+  };
+
+  const clear = async (key) => {
+    logins.delete(key);
+  };
+
+  const sweep = async ({ before }) => {
+    let removed = 0;
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= before && windows.delete(key)) removed += 1;
+    });
+    logins.forEach((entry, key) => {
+      if (entry.lastFailedAt <= before - FAILURE_MEMORY_MS && logins.delete(key)) removed += 1;
+    });
+    return removed;
+  };
+
+  return { name: 'memory', hit, failures, fail, clear, sweep };
+};
+
+// Shared by every instance. The tables come from migration 013.
+const createPostgresRateLimitStore = ({ sql = require('@vercel/postgres').sql } = {}) => {
+  const toDate = (ms) => new Date(ms).toISOString();
+
+  const hit = async (key, { windowMs, at }) => {
+    const { rows } = await sql`
+      INSERT INTO pet_feed_rate_limits AS current (key, count, reset_at)
+      VALUES (${key}, 1, ${toDate(at + windowMs)})
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN current.reset_at <= ${toDate(at)} THEN 1 ELSE current.count + 1 END,
+        reset_at = CASE WHEN current.reset_at <= ${toDate(at)} THEN EXCLUDED.reset_at ELSE current.reset_at END
+      RETURNING count, reset_at;
+    `;
+    return { count: Number(rows[0].count), resetAt: new Date(rows[0].reset_at).getTime() };
+  };
+
+  const toFailures = (row) =>
+    row ? { count: Number(row.failures), lastFailedAt: new Date(row.last_failed_at).getTime() } : null;
+
+  const failures = async (key, { since }) => {
+    const { rows } = await sql`
+      SELECT failures, last_failed_at FROM pet_feed_login_failures
+      WHERE key = ${key} AND last_failed_at > ${toDate(since)};
+    `;
+    return toFailures(rows[0]);
+  };
+
+  // The row lock serializes concurrent calls. A locked-out key fails the WHERE,
+  // so nothing is updated or returned. The lockout is lockoutMs in SQL.
+  const fail = async (key, { at, since }) => {
+    const { rows } = await sql`
+      INSERT INTO pet_feed_login_failures AS current (key, failures, last_failed_at)
+      VALUES (${key}, 1, ${toDate(at)})
+      ON CONFLICT (key) DO UPDATE SET
+        failures = CASE WHEN current.last_failed_at <= ${toDate(since)} THEN 1 ELSE current.failures + 1 END,
+        last_failed_at = EXCLUDED.last_failed_at
+      WHERE current.last_failed_at <= ${toDate(since)}
+        OR current.failures <= ${FREE_FAILURES}
+        OR current.last_failed_at + LEAST(
+          ${LOCKOUT_MAX_MS}::float8,
+          ${LOCKOUT_BASE_MS}::float8 * power(2, LEAST(current.failures - ${FREE_FAILURES} - 1, 30))
+        ) * interval '1 millisecond' <= ${toDate(at)}
+      RETURNING failures, last_failed_at;
+    `;
+    return toFailures(rows[0]);
+  };
+
+  const clear = async (key) => {
+    await sql`DELETE FROM pet_feed_login_failures WHERE key = ${key};`;
+  };
+
+  const sweep = async ({ before }) => {
+    const windows = await sql`DELETE FROM pet_feed_rate_limits WHERE reset_at <= ${toDate(before)};`;
+    const logins = await sql`
+      DELETE FROM pet_feed_login_failures WHERE last_failed_at <= ${toDate(before - FAILURE_MEMORY_MS)};
+    `;
+    return (windows.rowCount || 0) + (logins.rowCount || 0);
+  };
+
+  return { name: 'postgres', hit, failures, fail, clear, sweep };
+};
+
+const tooManyRequests = (res, waitMs, message) => {
+  res.setHeader('Retry-After', String(Math.max(1, Math.ceil(waitMs / 1000))));
+  json(res, 429, { error: message });
+};
+
+// When the store can't be reached (Postgres down, migration not applied yet)
+// the limiter counts in memory instead of failing the request.
+const createRateLimiter = ({
+  store = createMemoryRateLimitStore(),
+  fallback = createMemoryRateLimitStore(),
+  budgets = BUDGETS,
+  enabled = true,
+  now = Date.now
+} = {}) => {
+  const run = async (method, ...args) => {
+    try {
+      return await store[method](...args);
+    } catch {
+      return fallback[method](...args);
+    }
+  };
+
+  // Counts the request against this client's budget for the route and sets the
+  // RateLimit headers. Answers 429 and resolves to false once it is spent.
+  const limit = async (req, res, name) => {
+    const budget = budgets[name];
+    if (!enabled || !budget) return true;
+
+    const at = now();
+    const { count, resetAt } = await run('hit', `${name}:${clientKey(req)}`, { windowMs: budget.windowMs, at });
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - at) / 1000));
+    res.setHeader('RateLimit-Policy', `"${name}";q=${budget.limit};w=${Math.round(budget.windowMs / 1000)}`);
+    res.setHeader('RateLimit', `"${name}";r=${Math.max(0, budget.limit - count)};t=${resetSeconds}`);
+    if (count <= budget.limit) return true;
+
+    tooManyRequests(res, resetAt - at, 'Too many requests. Try again later.');
+    return false;
+  };
+
+  // Moderator logins and credentials: runs attempt() unless this client is
+  // locked out (429) and resolves to what it returns. When that is nothing it
+  // answers 401 and resolves to null; only requests that presented a credential
+  // count as failed logins.
+  const guardLogin = async (req, res, { presented, attempt }) => {
+    const unauthorized = () => {
+      json(res, 401, { error: 'Unauthorized.' });
+      return null;
+    };
+    if (!enabled) return (await attempt()) || unauthorized();
+
+    const key = `moderator:${clientKey(req)}`;
+    const at = now();
+    const since = at - FAILURE_MEMORY_MS;
+    const lockedOut = (recent) => {
+      const lockedUntil = recent ? recent.lastFailedAt + lockoutMs(recent.count) : 0;
+      return lockedUntil > at ? lockedUntil - at : 0;
+    };
+    const refuse = (waitMs) => {
+      tooManyRequests(res, waitMs, 'Too many failed moderator logins. Try again later.');
+      return null;
+    };
+
+    const recent = await run('failures', key, { since });
+    const waitMs = lockedOut(recent);
+    if (waitMs) return refuse(waitMs);
+
+    const result = await attempt();
+    if (result) {
+      if (recent) await run('clear', key);
+      return result;
+    }
+    if (!presented) return unauthorized();
+    // fail is atomic, so parallel guesses are each counted; one that lands after
+    // the others have locked the client out is refused like a locked-out guess.
+    if (!(await run('fail', key, { at, since }))) {
+      return refuse(lockedOut(await run('failures', key, { since })) || 1000);
+    }
+    return unauthorized();
+  };
+
+  const sweep = () => run('sweep', { before: now() });
+
+  return { limit, guardLogin, sweep };
+};
+
+// Postgres whenever the feed itself can use it.
+const createRateLimitStore = () =>
+  hasPostgresConfig() && ['auto', 'postgres'].includes(storeDriver())
+    ? createPostgresRateLimitStore()
+    : createMemoryRateLimitStore();
+
+let defaultLimiter = null;
+const getDefaultLimiter = () => {
+  if (!defaultLimiter)
+    defaultLimiter = createRateLimiter({ store: createRateLimitStore(), enabled: rateLimitsEnabled() });
+  return defaultLimiter;
+};
+
+module.exports = {
+  BUDGETS,
+  lockoutMs,
+  clientKey,
+  createMemoryRateLimitStore,
+  createPostgresRateLimitStore,
+  createRateLimiter,
+  rateLimit: (...args) => getDefaultLimiter().limit(...args),
+  guardLogin: (...args) => getDefaultLimiter().guardLogin(...args),
+  sweepRateLimits: (...args) => getDefaultLimiter().sweep(...args)
+};
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { clientKey, createMemoryRateLimitStore, createRateLimiter, lockoutMs } = require('./rateLimits.js');
+
+// Just enough of a Node response for json() and the headers.
+const createRes = () => {
+  const headers = {};
+  return {
+    headers,
+    statusCode: 200,
+    body: null,
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body ? JSON.parse(body) : null;
+    }
+  };
+};
+
+const request = (ip, headers = {}) => ({ headers: { 'x-forwarded-for': `${ip}, 10.0.0.1`, ...headers } });
+
+const createClock = (start = Date.UTC(2026, 0, 1)) => {
+  const clock = { at: start, now: () => clock.at };
+  return clock;
+};
+
+test('counts each client against the route budget and answers 429 once it is spent', async () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ budgets: { post: { limit: 2, windowMs: 60 * 1000 } }, now: clock.now });
+
+  const first = createRes();
+  assert.equal(await limiter.limit(request('203.0.113.5'), first, 'post'), true);
+  assert.equal(first.headers['ratelimit-policy'], '"post";q=2;w=60');
+  assert.equal(first.headers.ratelimit, '"post";r=1;t=60');
+
+  clock.at += 15 * 1000;
+  assert.equal(await limiter.limit(request('203.0.113.5'), createRes(), 'post'), true);
+  const blocked = createRes();
+  assert.equal(await limiter.limit(request('203.0.113.5'), blocked, 'post'), false);
+  assert.equal(blocked.statusCode, 429);
+  assert.equal(blocked.headers['retry-after'], '45');
+  assert.equal(blocked.headers.ratelimit, '"post";r=0;t=45');
+  assert.equal(blocked.body.error, 'Too many requests. Try again later.');
+
+  assert.equal(await limiter.limit(request('198.51.100.7'), createRes(), 'post'), true);
+  clock.at += 45 * 1000;
+  assert.equal(await limiter.limit(request('203.0.113.5'), createRes(), 'post'), true);
+});
+
+test('failed moderator logins lock the client out for longer each time', async () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ now: clock.now });
+  const logIn = (req, res) => {
+    const password = req.headers['x-moderator-password'];
+    return limiter.guardLogin(req, res, {
+      presented: Boolean(password),
+      attempt: async () => (password === 'right' ? { name: 'alice' } : null)
+    });
+  };
+  const wrong = () => request('203.0.113.5', { 'x-moderator-password': 'wrong' });
+  const right = () => request('203.0.113.5', { 'x-moderator-password': 'right' });
+
+  assert.deepEqual([1, 4, 5, 6, 7, 20].map(lockoutMs), [0, 0, 30000, 60000, 120000, 3600000]);
+
+  for (let attempt = 1; attempt <= 5; attempt += 1) {
+    const res = createRes();
+    assert.equal(await logIn(wrong(), res), null);
+    assert.equal(res.statusCode, 401);
+  }
+
+  const locked = createRes();
+  assert.equal(await logIn(right(), locked), null);
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.headers['retry-after'], '30');
+  assert.deepEqual(await logIn(request('198.51.100.7', { 'x-moderator-password': 'right' }), createRes()), {
+    name: 'alice'
+  });
+
+  clock.at += 30 * 1000;
+  await logIn(wrong(), createRes());
+  const longer = createRes();
+  await logIn(right(), longer);
+  assert.equal(longer.headers['retry-after'], '60');
+
+  clock.at += 60 * 1000;
+  assert.ok(await logIn(right(), createRes()));
+  for (let attempt = 1; attempt <= 4; attempt += 1) await logIn(wrong(), createRes());
+  assert.ok(await logIn(right(), createRes()));
+
+  const anonymous = createRes();
+  for (let attempt = 1; attempt <= 10; attempt += 1) await logIn(request('203.0.113.5'), anonymous);
+  assert.equal(anonymous.statusCode, 401);
+});
+
+test('parallel bad logins are all counted towards the lockout', async () => {
+  const limiter = createRateLimiter({ now: createClock().now });
+  const guesses = Array.from({ length: 10 }, async () => {
+    const res = createRes();
+    await limiter.guardLogin(request('203.0.113.5', { 'x-moderator-password': 'guess' }), res, {
+      presented: true,
+      attempt: async () => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return null;
+      }
+    });
+    return res.statusCode;
+  });
+  const statuses = await Promise.all(guesses);
+  assert.deepEqual(
+    statuses.filter((status) => status === 401),
+    [401, 401, 401, 401, 401]
+  );
+  assert.deepEqual(
+    statuses.filter((status) => status === 429),
+    [429, 429, 429, 429, 429]
+  );
+});
+
+test('parallel requests with a working credential are never locked out', async () => {
+  const limiter = createRateLimiter({ now: createClock().now });
+  const requests = Array.from({ length: 20 }, async () => {
+    const res = createRes();
+    const result = await limiter.guardLogin(request('203.0.113.5', { authorization: 'Bearer session' }), res, {
+      presented: true,
+      attempt: async () => {
+        await new Promise((resolve) => setImmediate(resolve));
+        return { name: 'alice' };
+      }
+    });
+    return result ? 'ok' : res.statusCode;
+  });
+  assert.deepEqual(new Set(await Promise.all(requests)), new Set(['ok']));
+});
+
+test('keeps counting in memory when the shared store fails', async () => {
+  const broken = Object.fromEntries(
+    ['hit', 'failures', 'fail', 'clear', 'sweep'].map((method) => [
+      method,
+      async () => {
+        throw new Error('relation "pet_feed_rate_limits" does not exist');
+      }
+    ])
+  );
+  const limiter = createRateLimiter({ store: broken, budgets: { feed: { limit: 1, windowMs: 1000 } } });
+  assert.equal(await limiter.limit(request('203.0.113.5'), createRes(), 'feed'), true);
+  assert.equal(await limiter.limit(request('203.0.113.5'), createRes(), 'feed'), false);
+});
+
+test('sweeps ended windows and forgotten failures', async () => {
+  const store = createMemoryRateLimitStore();
+  const at = Date.UTC(2026, 0, 1);
+  await store.hit('feed:a', { windowMs: 1000, at });
+  await store.hit('feed:b', { windowMs: 60 * 1000, at });
+  await store.fail('moderator:a', { at, since: at - 1 });
+  assert.equal(await store.sweep({ before: at + 1000 }), 1);
+  assert.equal(await store.sweep({ before: at + 2 * 24 * 60 * 60 * 1000 }), 2);
+});
+
+test('hashes the client address', () => {
+  const key = clientKey(request('203.0.113.5'));
+  assert.match(key, /^[0-9a-f]{32}$/);
+  assert.equal(clientKey({ ip: '203.0.113.5', headers: {} }), key);
+  assert.notEqual(clientKey(request('198.51.100.7')), key);
+});
@@ -0,0 +1,39 @@
+const crypto = require('node:crypto');
+
+const { createBadRequestError } = require('./errors');
+
+const REACTIONS = [
+  { id: 'love', emoji: '❤️', label: 'Love' },
+  { id: 'paw', emoji: '🐾', label: 'Paws up' },
+  { id: 'haha', emoji: '😂', label: 'Haha' },
+  { id: 'wow', emoji: '😮', label: 'Wow' }
+];
+
+const REACTION_IDS = REACTIONS.map((reaction) => reaction.id);
+
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const emptyCounts = () => Object.fromEntries(REACTION_IDS.map((id) => [id, 0]));
+
+const parseReaction = (value) => {
+  const reaction = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!REACTION_IDS.includes(reaction)) {
+    throw createBadRequestError(`Unknown reaction. Use one of: ${REACTION_IDS.join(', ')}.`);
+  }
+  return reaction;
+};
+
+// Device tokens are random per browser. Only a hash is stored, so the reactions
+// table never holds a value that could be replayed as someone's token.
+const hashDeviceToken = (token) => {
+  const value = String(token || '').trim();
+  if (!DEVICE_TOKEN_PATTERN.test(value)) return null;
+  return crypto.createHash('sha256').update(`pet-feed-device:${value}`).digest('hex');
+};
+
+// One reaction of each kind per device and post; the key doubles as the record id.
+const reactionKey = (postId, reaction, deviceHash) => `${postId}:${reaction}:${deviceHash}`;
+
+module.exports = { REACTIONS, REACTION_IDS, emptyCounts, parseReaction, hashDeviceToken, reactionKey };
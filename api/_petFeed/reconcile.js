@@ -0,0 +1,65 @@
+const RELATED_KINDS = ['comments', 'reactions', 'reports', 'events'];
+
+// Merges posts that landed in the fallback store while the primary was down back
+// into the primary, with their comments, reactions, reports and events. Ids are
+// UUIDs, so a post present in both stores is the same post.
+const createReconciler = ({ primary, secondary }) => {
+  const diff = async () => {
+    const rows = await secondary.listAll();
+    const existing = new Set(await primary.findIds(rows.map((row) => row.id)));
+    return {
+      missing: rows.filter((row) => !existing.has(row.id)),
+      duplicates: rows.filter((row) => existing.has(row.id)),
+      related: await secondary.listRelated()
+    };
+  };
+
+  const countRelated = (related) => Object.fromEntries(RELATED_KINDS.map((kind) => [kind, related[kind].length]));
+
+  // Resolves to a report. With dryRun nothing is written; otherwise missing rows are
+  // imported and every row the primary now has is removed from the fallback store.
+  // Related rows go in after their posts and are only removed once their post is
+  // in the primary; events have no foreign key and always go in.
+  const run = async ({ dryRun = false } = {}) => {
+    const { missing, duplicates, related } = await diff();
+    const report = {
+      primary: primary.name,
+      secondary: secondary.name,
+      dryRun,
+      missingFromPrimary: missing.map((row) => row.id),
+      inBoth: duplicates.map((row) => row.id),
+      related: countRelated(related),
+      merged: 0,
+      pruned: 0,
+      mergedRelated: { comments: 0, reactions: 0, reports: 0, events: 0 },
+      prunedRelated: 0
+    };
+    if (dryRun) return report;
+
+    report.merged = (await primary.importRows(missing)).length;
+
+    const postIds = [...new Set(RELATED_KINDS.flatMap((kind) => related[kind].map((item) => item.post_id)))];
+    const inPrimary = new Set(await primary.findIds(postIds));
+    const mergeable = Object.fromEntries(
+      RELATED_KINDS.map((kind) => [
+        kind,
+        related[kind].filter((item) => kind === 'events' || inPrimary.has(item.post_id))
+      ])
+    );
+    report.mergedRelated = await primary.importRelated(mergeable);
+    for (const kind of RELATED_KINDS) {
+      for (const item of mergeable[kind]) {
+        if (await secondary.deleteRelated(kind, item.id)) report.prunedRelated += 1;
+      }
+    }
+
+    for (const row of [...missing, ...duplicates]) {
+      if (await secondary.delete(row.id)) report.pruned += 1;
+    }
+    return report;
+  };
+
+  return { diff, run };
+};
+
+module.exports = { createReconciler };
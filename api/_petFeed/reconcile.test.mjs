@@ -0,0 +1,221 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createReconciler } = require('./reconcile.js');
+const { createFallbackAdapter } = require('./adapters/index.js');
+const { createRecordsAdapter } = require('./adapters/records.js');
+const { createMemoryRecordStore } = require('./records/memory.js');
+
+const row = (id, minute = 0) => ({
+  id,
+  pet_name: `Pet ${id}`,
+  pet_type: 'Dog',
+  caption: '',
+  image_url: `/${id}.jpg`,
+  created_at: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString()
+});
+
+// A records adapter dressed up with the extra methods the Postgres adapter has,
+// plus a switch to simulate an outage.
+const createFakePrimary = () => {
+  const store = createMemoryRecordStore();
+  const adapter = createRecordsAdapter(store);
+  const primary = { ...adapter, name: 'primary', down: false };
+  const guard =
+    (fn) =>
+    async (...args) => {
+      if (primary.down) throw new Error('connection refused');
+      return fn(...args);
+    };
+
+  ['ensureSchema', 'list', 'insert', 'delete', 'get'].forEach((method) => {
+    primary[method] = guard(adapter[method]);
+  });
+  primary.probe = guard(async () => {});
+  primary.findIds = guard(async (ids) => {
+    const rows = await adapter.listAll();
+    return rows.map((item) => item.id).filter((id) => ids.includes(id));
+  });
+  primary.importRows = guard(async (rows) => {
+    const existing = new Set((await adapter.listAll()).map((item) => item.id));
+    const fresh = rows.filter((item) => !existing.has(item.id));
+    for (const item of fresh) await adapter.insert(item);
+    return fresh.map((item) => item.id);
+  });
+  const collections = { comments: 'post_comments', reactions: 'post_reactions', reports: 'post_reports' };
+  primary.importRelated = guard(async (related) => {
+    const imported = { comments: 0, reactions: 0, reports: 0, events: 0 };
+    for (const [kind, collection] of Object.entries(collections)) {
+      for (const item of related[kind]) {
+        if (await store.get(collection, item.id)) continue;
+        await store.insert(collection, item);
+        imported[kind] += 1;
+      }
+    }
+    const logged = await store.list('post_events');
+    for (const event of related.events) {
+      if (logged.some((item) => item.post_id === event.post_id && item.created_at === event.created_at)) continue;
+      await store.insert('post_events', event);
+      imported.events += 1;
+    }
+    return imported;
+  });
+  return primary;
+};
+
+const setup = () => {
+  const primary = createFakePrimary();
+  const secondary = createRecordsAdapter(createMemoryRecordStore());
+  const reconciler = createReconciler({ primary, secondary });
+  return { primary, secondary, reconciler };
+};
+
+test('reports the difference without writing on a dry run', async () => {
+  const { primary, secondary, reconciler } = setup();
+  await primary.insert(row('shared'));
+  await secondary.insert(row('shared'));
+  await secondary.insert(row('orphan', 5));
+
+  const report = await reconciler.run({ dryRun: true });
+  assert.deepEqual(report.missingFromPrimary, ['orphan']);
+  assert.deepEqual(report.inBoth, ['shared']);
+  assert.equal(report.merged, 0);
+  assert.equal((await secondary.listAll()).length, 2);
+});
+
+test('merges fallback-only posts once and empties the fallback store', async () => {
+  const { primary, secondary, reconciler } = setup();
+  await primary.insert(row('shared'));
+  await secondary.insert(row('shared'));
+  await secondary.insert(row('orphan', 5));
+
+  const report = await reconciler.run();
+  assert.equal(report.merged, 1);
+  assert.equal(report.pruned, 2);
+  assert.deepEqual(await secondary.listAll(), []);
+
+  const merged = await primary.get('orphan');
+  assert.equal(merged.created_at, row('orphan', 5).created_at);
+
+  const again = await reconciler.run();
+  assert.equal(again.merged, 0);
+  assert.equal((await primary.listAll()).length, 2);
+});
+
+test('merges comments, reactions, reports and history with their posts', async () => {
+  const { primary, secondary, reconciler } = setup();
+  await primary.insert(row('old'));
+  await secondary.insert(row('during', 5));
+  const at = new Date(Date.UTC(2024, 0, 1, 0, 6)).toISOString();
+  const comment = { id: 'c1', post_id: 'during', parent_id: null, author_name: 'Sam', body: 'Cute!', created_at: at };
+  assert.ok(await secondary.insertComment(comment));
+  assert.equal(await secondary.addReaction('during', 'love', 'device-a'), true);
+  assert.equal(
+    await secondary.addReport('during', { deviceHash: 'device-b', reason: 'spam', details: '', at }, 3),
+    true
+  );
+  await secondary.hide('during', { actor: 'sam', reason: 'Checking', at });
+
+  const dryRun = await reconciler.run({ dryRun: true });
+  assert.deepEqual(dryRun.related, { comments: 1, reactions: 1, reports: 1, events: 1 });
+
+  const report = await reconciler.run();
+  assert.deepEqual(report.mergedRelated, { comments: 1, reactions: 1, reports: 1, events: 1 });
+  assert.equal(report.prunedRelated, 4);
+  assert.deepEqual(await secondary.listRelated(), { comments: [], reactions: [], reports: [], events: [] });
+
+  assert.deepEqual(
+    (await primary.listComments('during', { limit: 10 })).map((item) => item.body),
+    ['Cute!']
+  );
+  assert.deepEqual((await primary.reactionSummaries(['during'])).get('during').counts, { love: 1 });
+  assert.equal((await primary.listReported({ limit: 10, offset: 0 }))[0].id, 'during');
+  assert.deepEqual(
+    (await primary.history('during')).map((event) => event.action),
+    ['hide']
+  );
+});
+
+test('keeps the fallback rows when the merge fails', async () => {
+  const { primary, secondary, reconciler } = setup();
+  await secondary.insert(row('during'));
+  await secondary.insertComment({ id: 'c1', post_id: 'during', body: 'Hi', created_at: row('during').created_at });
+  primary.importRelated = async () => {
+    throw new Error('connection reset');
+  };
+
+  await assert.rejects(reconciler.run(), /connection reset/);
+  assert.equal((await secondary.listAll()).length, 1);
+  assert.equal((await secondary.listRelated()).comments.length, 1);
+});
+
+test('fallback adapter probes the primary again and merges before using it', async () => {
+  const { primary, secondary, reconciler } = setup();
+  const adapter = createFallbackAdapter(primary, secondary, { reconciler, retryMs: 0 });
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    await adapter.insert(row('before'));
+    primary.down = true;
+    await adapter.insert(row('during', 1));
+    assert.equal(await primary.get('during').catch(() => null), null);
+    assert.ok(await secondary.get('during'));
+
+    primary.down = false;
+    const rows = await adapter.list({ limit: 10, sort: 'newest', search: null, cursor: null, offset: 0 });
+    assert.deepEqual(
+      rows.map((item) => item.id),
+      ['during', 'before']
+    );
+    assert.deepEqual(await secondary.listAll(), []);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('fallback adapter waits retryMs before probing a failed primary', async () => {
+  const { primary, secondary, reconciler } = setup();
+  const adapter = createFallbackAdapter(primary, secondary, { reconciler, retryMs: 60000 });
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    primary.down = true;
+    await adapter.insert(row('during'));
+    primary.down = false;
+    await adapter.insert(row('still-fallback', 1));
+    assert.ok(await secondary.get('still-fallback'));
+
+    const report = await adapter.reconcile();
+    assert.equal(report.merged, 2);
+    await adapter.insert(row('after', 2));
+    assert.ok(await primary.get('after'));
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('fallback adapter tells a primary that is still down from a failed merge', async () => {
+  const { primary, secondary, reconciler } = setup();
+  const adapter = createFallbackAdapter(primary, secondary, { reconciler, retryMs: 60000 });
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    primary.down = true;
+    await adapter.insert(row('during'));
+    await assert.rejects(adapter.reconcile(), { code: 'PET_FEED_PRIMARY_UNAVAILABLE' });
+
+    primary.down = false;
+    primary.importRows = async () => {
+      throw new Error('column "owner_token_hash" does not exist');
+    };
+    await assert.rejects(adapter.reconcile(), (error) => error.code === undefined);
+    assert.ok(await secondary.get('during'));
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,230 @@
+const { hasBlobConfig } = require('../config');
+const { createCodedError, createDuplicateIdError, createStorageUnavailableError } = require('../errors');
+
+const DEFAULT_PREFIX = 'pet-photos/store';
+const SEQ_DIGITS = 12;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const backoff = (attempt) => Math.min(1000, 25 * 2 ** attempt);
+
+const defaultFetchJson = async (url) => {
+  const response = await fetch(url, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`Could not read ${url} (${response.status}).`);
+  return response.json();
+};
+
+// Blob has no conditional writes, but put() without allowOverwrite refuses to
+// replace an existing pathname. Log entries use that as compare-and-swap.
+const isConflictError = (error) => /already exists/i.test(String(error?.message || ''));
+
+const seqName = (seq) => String(seq).padStart(SEQ_DIGITS, '0');
+
+const seqOf = (pathname) => {
+  const match = /(\d+)\.json$/.exec(pathname || '');
+  return match ? Number(match[1]) : NaN;
+};
+
+// Each collection is an append-only log of immutable entries
+// (<prefix>/<collection>/log/000000000042.json) plus periodic snapshots. Writers
+// claim the next sequence number and retry on conflict, so concurrent uploads from
+// different function instances never overwrite each other. Readers keep the
+// materialized rows in memory and only fetch entries they have not seen yet.
+const createBlobRecordStore = ({
+  prefix = DEFAULT_PREFIX,
+  snapshotEvery = 50,
+  maxAttempts = 10,
+  blob = require('@vercel/blob'),
+  fetchJson = defaultFetchJson,
+  isConfigured = hasBlobConfig
+} = {}) => {
+  const states = new Map();
+
+  const logPrefix = (collection) => `${prefix}/${collection}/log/`;
+  const snapshotPrefix = (collection) => `${prefix}/${collection}/snapshots/`;
+  // Single-file store written before the log existed; seeds the first snapshot.
+  const legacyPath = (collection) => `${prefix}/${collection}.json`;
+
+  const listAll = async (pathPrefix) => {
+    const blobs = [];
+    let cursor;
+    do {
+      const page = await blob.list({ prefix: pathPrefix, cursor, limit: 1000 });
+      blobs.push(...(page.blobs || []));
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+    return blobs;
+  };
+
+  const listSeqBlobs = async (pathPrefix) =>
+    (await listAll(pathPrefix))
+      .map((item) => ({ ...item, seq: seqOf(item.pathname) }))
+      .filter((item) => Number.isInteger(item.seq))
+      .sort((a, b) => a.seq - b.seq);
+
+  const loadLegacyRows = async (collection) => {
+    const pathname = legacyPath(collection);
+    const { blobs = [] } = await blob.list({ prefix: pathname });
+    const latest = blobs.find((item) => item.pathname === pathname);
+    if (!latest) return [];
+    const payload = await fetchJson(latest.url).catch(() => ({}));
+    return Array.isArray(payload[collection]) ? payload[collection] : [];
+  };
+
+  const loadBase = async (collection) => {
+    const snapshots = await listSeqBlobs(snapshotPrefix(collection));
+    const latest = snapshots[snapshots.length - 1];
+    const rows = latest ? (await fetchJson(latest.url)).rows || [] : await loadLegacyRows(collection);
+    return {
+      seq: latest ? latest.seq : 0,
+      head: latest ? latest.seq : 0,
+      rows: new Map(rows.map((row) => [row.id, row]))
+    };
+  };
+
+  const applyEntry = (rows, entry) => {
+    if (entry.op === 'put' && entry.row?.id) rows.set(entry.row.id, entry.row);
+    if (entry.op === 'remove') rows.delete(entry.id);
+  };
+
+  const refresh = async (collection) => {
+    let state = states.get(collection) || (await loadBase(collection));
+    const entries = await listSeqBlobs(logPrefix(collection));
+    let fresh = entries.filter((item) => item.seq > state.seq);
+
+    // Entries we never saw were compacted away: restart from the newest snapshot.
+    if (fresh.length && fresh[0].seq !== state.seq + 1) {
+      const base = await loadBase(collection);
+      if (base.seq > state.seq) {
+        state = base;
+        fresh = entries.filter((item) => item.seq > state.seq);
+      }
+    }
+
+    state.head = Math.max(state.head, state.seq, ...entries.map((item) => item.seq));
+    // Apply only the contiguous run; a later entry that is listed before an earlier
+    // one becomes visible is picked up on the next refresh.
+    const contiguous = [];
+    for (const item of fresh) {
+      if (item.seq !== state.seq + contiguous.length + 1) break;
+      contiguous.push(item);
+    }
+    const payloads = await Promise.all(contiguous.map((item) => fetchJson(item.url)));
+    payloads.forEach((entry, idx) => {
+      // A concurrent write on this instance may already have applied it.
+      if (contiguous[idx].seq !== state.seq + 1) return;
+      applyEntry(state.rows, entry);
+      state.seq = contiguous[idx].seq;
+    });
+
+    states.set(collection, state);
+    return state;
+  };
+
+  const compact = async (collection, state) => {
+    const rows = [...state.rows.values()];
+    try {
+      await blob.put(`${snapshotPrefix(collection)}${seqName(state.seq)}.json`, JSON.stringify({ rows }), {
+        access: 'public',
+        contentType: 'application/json',
+        addRandomSuffix: false
+      });
+    } catch (error) {
+      if (!isConflictError(error)) throw error;
+    }
+
+    // Keep one window of entries behind the snapshot so slightly stale instances can
+    // still catch up from the log instead of reloading the snapshot.
+    const cutoff = state.seq - snapshotEvery;
+    const staleEntries = (await listSeqBlobs(logPrefix(collection))).filter((item) => item.seq <= cutoff);
+    const staleSnapshots = (await listSeqBlobs(snapshotPrefix(collection))).slice(0, -2);
+    const urls = [...staleEntries, ...staleSnapshots].map((item) => item.url);
+    if (urls.length) await blob.del(urls);
+  };
+
+  // mutate(rows) returns { entry, value }; entry null means nothing to write.
+  const append = async (collection, mutate) => {
+    if (!isConfigured()) {
+      throw createStorageUnavailableError();
+    }
+
+    for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+      const state = await refresh(collection);
+      if (state.seq < state.head) {
+        // Another writer's entry is listed but not readable yet; never build on stale rows.
+        await sleep(backoff(attempt));
+        continue;
+      }
+
+      const { entry, value } = mutate(state.rows);
+      if (!entry) return value;
+
+      const seq = state.seq + 1;
+      try {
+        await blob.put(`${logPrefix(collection)}${seqName(seq)}.json`, JSON.stringify(entry), {
+          access: 'public',
+          contentType: 'application/json',
+          addRandomSuffix: false
+        });
+      } catch (error) {
+        if (!isConflictError(error)) throw error;
+        await sleep(Math.random() * backoff(attempt));
+        continue;
+      }
+
+      if (state.seq === seq - 1) {
+        applyEntry(state.rows, entry);
+        state.seq = seq;
+      }
+      state.head = Math.max(state.head, seq);
+      if (seq % snapshotEvery === 0) {
+        await compact(collection, state).catch((error) => {
+          console.warn('Could not compact pet feed blob log.', error?.message || error);
+        });
+      }
+      return value;
+    }
+
+    throw createCodedError('PET_FEED_WRITE_CONFLICT', 'Too many concurrent writes to the pet feed store.');
+  };
+
+  const list = async (collection) => {
+    if (!isConfigured()) return [];
+    const state = await refresh(collection);
+    return [...state.rows.values()];
+  };
+
+  const get = async (collection, id) => {
+    if (!isConfigured()) return null;
+    const state = await refresh(collection);
+    return state.rows.get(id) || null;
+  };
+
+  const insert = (collection, row) =>
+    append(collection, (rows) => {
+      if (rows.has(row.id)) {
+        throw createDuplicateIdError(row.id);
+      }
+      return { entry: { op: 'put', row, at: new Date().toISOString() }, value: row };
+    });
+
+  // fn may run more than once when a write conflicts, so it must not have side effects.
+  const update = (collection, id, fn) =>
+    append(collection, (rows) => {
+      const existing = rows.get(id);
+      const next = existing ? fn(existing) : null;
+      if (!next) return { entry: null, value: null };
+      return { entry: { op: 'put', row: next, at: new Date().toISOString() }, value: next };
+    });
+
+  const remove = (collection, id) =>
+    append(collection, (rows) => {
+      const existing = rows.get(id);
+      if (!existing) return { entry: null, value: null };
+      return { entry: { op: 'remove', id, at: new Date().toISOString() }, value: existing };
+    });
+
+  return { name: 'blob', isConfigured, list, get, insert, update, remove };
+};
+
+module.exports = { createBlobRecordStore, isConflictError };
@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createBlobRecordStore } = require('./blob.js');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// In-memory stand-in for @vercel/blob with the same create-only put semantics.
+const createFakeBlob = () => {
+  const objects = new Map();
+  const urlFor = (pathname) => `https://blob.test/${pathname}`;
+
+  const blob = {
+    put: async (pathname, body, { allowOverwrite = false } = {}) => {
+      await tick();
+      if (objects.has(pathname) && !allowOverwrite) {
+        throw new Error(
+          'Vercel Blob: This blob already exists, use `allowOverwrite: true` if you want to overwrite it.'
+        );
+      }
+      objects.set(pathname, String(body));
+      return { pathname, url: urlFor(pathname) };
+    },
+    list: async ({ prefix = '' } = {}) => {
+      await tick();
+      const blobs = [...objects.keys()]
+        .filter((pathname) => pathname.startsWith(prefix))
+        .sort()
+        .map((pathname) => ({ pathname, url: urlFor(pathname) }));
+      return { blobs, hasMore: false };
+    },
+    del: async (urls) => {
+      [].concat(urls).forEach((url) => objects.delete(url.replace('https://blob.test/', '')));
+    }
+  };
+
+  const fetchJson = async (url) => {
+    await tick();
+    const body = objects.get(url.replace('https://blob.test/', ''));
+    if (body === undefined) throw new Error(`Could not read ${url} (404).`);
+    return JSON.parse(body);
+  };
+
+  return { objects, blob, fetchJson };
+};
+
+const storeFor = (fake, options = {}) =>
+  createBlobRecordStore({ blob: fake.blob, fetchJson: fake.fetchJson, isConfigured: () => true, ...options });
+
+const row = (id) => ({ id, pet_name: `Pet ${id}`, image_url: `/${id}.jpg` });
+
+test('concurrent inserts from separate instances are all kept', async () => {
+  const fake = createFakeBlob();
+  const a = storeFor(fake, { maxAttempts: 30 });
+  const b = storeFor(fake, { maxAttempts: 30 });
+
+  const ids = Array.from({ length: 12 }, (_, i) => `p${i}`);
+  await Promise.all(ids.map((id, i) => (i % 2 ? a : b).insert('posts', row(id))));
+
+  const listed = (await storeFor(fake).list('posts')).map((item) => item.id).sort();
+  assert.deepEqual(listed, ids.slice().sort());
+  assert.equal((await a.list('posts')).length, 12);
+});
+
+test('removals are seen by other instances and are idempotent', async () => {
+  const fake = createFakeBlob();
+  const a = storeFor(fake);
+  const b = storeFor(fake);
+  await a.insert('posts', row('one'));
+  await a.insert('posts', row('two'));
+
+  const removed = await b.remove('posts', 'one');
+  assert.equal(removed.id, 'one');
+  assert.equal(await a.get('posts', 'one'), null);
+  assert.equal(await a.remove('posts', 'one'), null);
+  assert.deepEqual(
+    (await a.list('posts')).map((item) => item.id),
+    ['two']
+  );
+});
+
+test('snapshots compact the log without losing rows', async () => {
+  const fake = createFakeBlob();
+  const stale = storeFor(fake, { snapshotEvery: 4 });
+  await stale.insert('posts', row('first'));
+
+  const writer = storeFor(fake, { snapshotEvery: 4 });
+  for (let i = 0; i < 14; i += 1) await writer.insert('posts', row(`r${i}`));
+  await writer.remove('posts', 'r3');
+
+  const paths = [...fake.objects.keys()];
+  assert.ok(paths.some((pathname) => pathname.includes('/snapshots/')));
+  assert.ok(paths.filter((pathname) => pathname.includes('/log/')).length < 8);
+
+  assert.equal((await storeFor(fake).list('posts')).length, 14);
+  assert.equal((await stale.list('posts')).length, 14);
+  assert.equal(await stale.get('posts', 'r3'), null);
+});
+
+test('rows from the single-file posts.json seed the log', async () => {
+  const fake = createFakeBlob();
+  await fake.blob.put('pet-photos/store/posts.json', JSON.stringify({ posts: [row('legacy')] }));
+
+  const store = storeFor(fake);
+  await store.insert('posts', row('new'));
+  assert.deepEqual(
+    (await store.list('posts')).map((item) => item.id),
+    ['legacy', 'new']
+  );
+});
+
+test('gives up with a conflict error when every attempt loses', async () => {
+  const fake = createFakeBlob();
+  const put = fake.blob.put;
+  fake.blob.put = async (pathname, body, options) => {
+    await put(pathname, '{"op":"noop"}', options);
+    return put(pathname, body, options);
+  };
+
+  const store = storeFor(fake, { maxAttempts: 3 });
+  await assert.rejects(store.insert('posts', row('x')), { code: 'PET_FEED_WRITE_CONFLICT' });
+});
+
+test('reads are empty and writes fail clearly without a Blob token', async () => {
+  const fake = createFakeBlob();
+  const store = storeFor(fake, { isConfigured: () => false });
+  assert.deepEqual(await store.list('posts'), []);
+  await assert.rejects(store.insert('posts', row('x')), { code: 'PET_FEED_STORAGE_UNAVAILABLE' });
+});
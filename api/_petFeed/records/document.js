@@ -0,0 +1,58 @@
+const { createDuplicateIdError } = require('../errors');
+
+// Shared list/get/insert/update/remove logic for drivers that keep each collection as a
+// single JSON document ({ "<collection>": [...] }).
+const createDocumentStore = ({ name, isConfigured, read, write }) => {
+  const chains = new Map();
+
+  // Serialize read-modify-write cycles per collection within this process.
+  const mutate = (collection, fn) => {
+    const previous = chains.get(collection) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const rows = await read(collection);
+        const result = await fn(rows);
+        if (result?.changed) await write(collection, rows);
+        return result?.value ?? null;
+      });
+    chains.set(collection, next);
+    return next;
+  };
+
+  const list = async (collection) => read(collection);
+
+  const get = async (collection, id) => {
+    const rows = await read(collection);
+    return rows.find((row) => row?.id === id) || null;
+  };
+
+  const insert = (collection, row) =>
+    mutate(collection, (rows) => {
+      if (rows.some((existing) => existing?.id === row.id)) throw createDuplicateIdError(row.id);
+      rows.push(row);
+      return { changed: true, value: row };
+    });
+
+  // fn(row) returns the replacement row, or null to leave the record untouched.
+  const update = (collection, id, fn) =>
+    mutate(collection, (rows) => {
+      const idx = rows.findIndex((row) => row?.id === id);
+      const next = idx === -1 ? null : fn(rows[idx]);
+      if (!next) return { changed: false, value: null };
+      rows[idx] = next;
+      return { changed: true, value: next };
+    });
+
+  const remove = (collection, id) =>
+    mutate(collection, (rows) => {
+      const idx = rows.findIndex((row) => row?.id === id);
+      if (idx === -1) return { changed: false, value: null };
+      const [removed] = rows.splice(idx, 1);
+      return { changed: true, value: removed };
+    });
+
+  return { name, isConfigured, list, get, insert, update, remove };
+};
+
+module.exports = { createDocumentStore };
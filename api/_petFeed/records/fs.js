@@ -0,0 +1,33 @@
+const path = require('node:path');
+const fsp = require('node:fs/promises');
+
+const { createDocumentStore } = require('./document');
+
+const createFsRecordStore = ({ dir, files = {} } = {}) => {
+  const fileFor = (collection) => files[collection] || path.join(dir, `${collection}.json`);
+
+  const read = async (collection) => {
+    let raw = '';
+    try {
+      raw = await fsp.readFile(fileFor(collection), 'utf8');
+    } catch (error) {
+      if (error?.code === 'ENOENT') return [];
+      throw error;
+    }
+    const data = JSON.parse(raw || '{}');
+    return Array.isArray(data[collection]) ? data[collection] : [];
+  };
+
+  const write = async (collection, rows) => {
+    const file = fileFor(collection);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    // Write to a temp file first so a crash mid-write never leaves truncated JSON.
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ [collection]: rows }, null, 2), 'utf8');
+    await fsp.rename(tmp, file);
+  };
+
+  return createDocumentStore({ name: 'fs', isConfigured: () => true, read, write });
+};
+
+module.exports = { createFsRecordStore };
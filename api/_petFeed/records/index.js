@@ -0,0 +1,23 @@
+const { dataDir, sqliteFile } = require('../config');
+const { createUnknownDriverError } = require('../errors');
+const { createBlobRecordStore } = require('./blob');
+const { createFsRecordStore } = require('./fs');
+const { createMemoryRecordStore } = require('./memory');
+const { createSqliteRecordStore } = require('./sqlite');
+
+const createRecordStore = (driver, options = {}) => {
+  switch (driver) {
+    case 'blob':
+      return createBlobRecordStore(options);
+    case 'fs':
+      return createFsRecordStore({ dir: options.dir || dataDir(), files: options.files });
+    case 'sqlite':
+      return createSqliteRecordStore({ file: options.file || sqliteFile() });
+    case 'memory':
+      return createMemoryRecordStore();
+    default:
+      throw createUnknownDriverError(driver);
+  }
+};
+
+module.exports = { createRecordStore };
@@ -0,0 +1,19 @@
+const { createDocumentStore } = require('./document');
+
+const createMemoryRecordStore = () => {
+  const collections = new Map();
+
+  return createDocumentStore({
+    name: 'memory',
+    isConfigured: () => true,
+    read: async (collection) => (collections.get(collection) || []).map((row) => ({ ...row })),
+    write: async (collection, rows) => {
+      collections.set(
+        collection,
+        rows.map((row) => ({ ...row }))
+      );
+    }
+  });
+};
+
+module.exports = { createMemoryRecordStore };
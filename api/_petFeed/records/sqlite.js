@@ -0,0 +1,95 @@
+const path = require('node:path');
+const fs = require('node:fs');
+
+const { createCodedError, createDuplicateIdError } = require('../errors');
+
+const loadSqlite = () => {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw createCodedError(
+      'PET_FEED_DRIVER_UNAVAILABLE',
+      'The SQLite pet feed store needs a Node.js build with node:sqlite (22.5 or newer).'
+    );
+  }
+};
+
+// Checked up front, so PET_FEED_STORE=sqlite on an older Node.js fails when the
+// store is created rather than on its first query.
+const createSqliteRecordStore = ({ file }) => {
+  const { DatabaseSync } = loadSqlite();
+  let db = null;
+
+  const open = () => {
+    if (db) return db;
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new DatabaseSync(file);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+    `);
+    return db;
+  };
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  const list = async (collection) =>
+    open().prepare('SELECT data FROM records WHERE collection = ? ORDER BY seq').all(collection).map(parse);
+
+  const get = async (collection, id) =>
+    parse(open().prepare('SELECT data FROM records WHERE collection = ? AND id = ?').get(collection, id));
+
+  const insert = async (collection, row) => {
+    try {
+      open()
+        .prepare(
+          `INSERT INTO records (collection, id, seq, data)
+           VALUES (?, ?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM records), ?)`
+        )
+        .run(collection, row.id, JSON.stringify(row));
+    } catch (error) {
+      if (/UNIQUE constraint/i.test(String(error?.message || ''))) throw createDuplicateIdError(row.id);
+      throw error;
+    }
+    return row;
+  };
+
+  // DatabaseSync is synchronous, so the read and write below cannot interleave with
+  // another call in this process; the transaction guards other processes.
+  const update = async (collection, id, fn) => {
+    const database = open();
+    database.exec('BEGIN IMMEDIATE');
+    try {
+      const existing = parse(
+        database.prepare('SELECT data FROM records WHERE collection = ? AND id = ?').get(collection, id)
+      );
+      const next = existing ? fn(existing) : null;
+      if (next) {
+        database
+          .prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?')
+          .run(JSON.stringify(next), collection, id);
+      }
+      database.exec('COMMIT');
+      return next || null;
+    } catch (error) {
+      database.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const remove = async (collection, id) => {
+    const removed = open()
+      .prepare('DELETE FROM records WHERE collection = ? AND id = ? RETURNING data')
+      .get(collection, id);
+    return parse(removed);
+  };
+
+  return { name: 'sqlite', isConfigured: () => true, list, get, insert, update, remove };
+};
+
+module.exports = { createSqliteRecordStore };
@@ -0,0 +1,26 @@
+const { createBadRequestError } = require('./errors');
+
+const REPORT_REASONS = [
+  { id: 'spam', label: 'Spam or advertising' },
+  { id: 'inappropriate', label: 'Inappropriate or offensive' },
+  { id: 'not-a-pet', label: 'Not a pet photo' },
+  { id: 'privacy', label: 'Shares personal information' },
+  { id: 'other', label: 'Something else' }
+];
+
+const REPORT_REASON_IDS = REPORT_REASONS.map((reason) => reason.id);
+
+const parseReportReason = (value) => {
+  const reason = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!REPORT_REASON_IDS.includes(reason)) {
+    throw createBadRequestError(`Unknown report reason. Use one of: ${REPORT_REASON_IDS.join(', ')}.`);
+  }
+  return reason;
+};
+
+// One open report per device and post; the key doubles as the record id.
+const reportKey = (postId, deviceHash) => `${postId}:${deviceHash}`;
+
+module.exports = { REPORT_REASONS, REPORT_REASON_IDS, parseReportReason, reportKey };
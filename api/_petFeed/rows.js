@@ -0,0 +1,313 @@
+const crypto = require('node:crypto');
+
+const { parseImageHash } = require('./duplicates');
+const { normalizePetType } = require('./petTypes');
+const { emptyCounts } = require('./reactions');
+
+const safeText = (value, maxLen) => {
+  if (typeof value !== 'string') return '';
+  const trimmed = value.trim();
+  if (!maxLen) return trimmed;
+  return trimmed.slice(0, maxLen);
+};
+
+// safeText for free text that may span lines: keeps single blank lines, drops
+// other control characters.
+const safeMultilineText = (value, maxLen) => {
+  if (typeof value !== 'string') return '';
+  const cleaned = value
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+  return safeText(cleaned, maxLen);
+};
+
+const uid = () => (crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex'));
+
+const toMs = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  const ms = Date.parse(value || '');
+  return Number.isFinite(ms) ? ms : 0;
+};
+
+const toIso = (value) => {
+  const ms = toMs(value);
+  return ms ? new Date(ms).toISOString() : null;
+};
+
+// Chronological sorts page by (createdAt, id); ranked sorts page by offset.
+const parseCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const json = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed !== 'object') return null;
+    if (Number.isInteger(parsed.offset) && parsed.offset >= 0) return { offset: parsed.offset };
+    if (typeof parsed.createdAt !== 'string' || typeof parsed.id !== 'string') return null;
+    // createdAt stored as ISO string
+    if (Number.isNaN(Date.parse(parsed.createdAt))) return null;
+    return { createdAt: parsed.createdAt, id: parsed.id };
+  } catch {
+    return null;
+  }
+};
+
+const makeCursor = ({ createdAt, id, offset }) => {
+  const payload = Number.isInteger(offset) ? { offset } : { createdAt: toIso(createdAt), id };
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+};
+
+const VARIANT_FORMATS = ['avif', 'webp'];
+
+// Resized copies of the image as [{ width, format, url }]. Postgres hands JSONB
+// back parsed; record stores may hold older rows without the field.
+const normalizeVariants = (value) => {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((variant) => ({
+      width: Number(variant?.width),
+      format: safeText(variant?.format, 8),
+      url: safeText(variant?.url)
+    }))
+    .filter(
+      ({ width, format, url }) => Number.isInteger(width) && width > 0 && VARIANT_FORMATS.includes(format) && url
+    );
+};
+
+// An album's photos in order as [{ image_url, image_variants, image_hash }].
+// Postgres hands them back as JSON; record stores keep them on the row.
+const normalizeImages = (value) => {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((image) => ({
+      image_url: safeText(image?.image_url),
+      image_variants: normalizeVariants(image?.image_variants),
+      image_hash: parseImageHash(image?.image_hash)
+    }))
+    .filter(({ image_url }) => image_url);
+};
+
+// The row's photos, cover first. Posts from before albums only have the cover
+// columns and read as a one-photo album.
+const imagesOf = (row) => {
+  const images = normalizeImages(row.images);
+  if (images.length || !row.image_url) return images;
+  return normalizeImages([row]);
+};
+
+// Clip posts keep the clip in video_url and its poster frame as the cover photo.
+const isClip = (row) => row?.media_type === 'video' && Boolean(row?.video_url);
+
+// Every stored file behind a row: each photo and its variants, and the clip.
+const imageUrlsOf = (row) => {
+  const urls = [row, ...imagesOf(row)].flatMap((image) => [
+    image.image_url,
+    ...normalizeVariants(image.image_variants).map(({ url }) => url)
+  ]);
+  return [...new Set([...urls, row.video_url].filter(Boolean))];
+};
+
+// Accepts both the snake_case rows written by the API and the camelCase records
+// the original Express backend kept in posts.json. Free-text pet types from older
+// clients are mapped onto the canonical taxonomy.
+const normalizeRow = (row) => ({
+  id: safeText(row?.id),
+  pet_name: safeText(row?.pet_name || row?.petName, 40),
+  pet_type: normalizePetType(row?.pet_type || row?.petType),
+  caption: safeText(row?.caption, 240),
+  image_url: safeText(row?.image_url || row?.imageUrl || row?.imagePath),
+  image_variants: normalizeVariants(row?.image_variants),
+  image_hash: parseImageHash(row?.image_hash),
+  images: normalizeImages(row?.images),
+  media_type: isClip(row) ? 'video' : 'image',
+  video_url: isClip(row) ? safeText(row.video_url) : null,
+  video_mime: isClip(row) ? safeText(row.video_mime, 40) : null,
+  video_duration_ms: isClip(row) ? Math.max(0, Math.round(Number(row.video_duration_ms) || 0)) : null,
+  duplicate_of: safeText(row?.duplicate_of) || null,
+  created_at: toIso(row?.created_at ?? row?.createdAt) || new Date().toISOString(),
+  deleted_at: toIso(row?.deleted_at),
+  deleted_by: safeText(row?.deleted_by, 80) || null,
+  delete_reason: safeText(row?.delete_reason, 240) || null,
+  hidden_at: toIso(row?.hidden_at),
+  pending_at: toIso(row?.pending_at),
+  pending_reason: safeText(row?.pending_reason, 40) || null,
+  owner_token_hash: safeText(row?.owner_token_hash, 64) || null
+});
+
+const normalizeEvent = (event) => ({
+  id: String(event?.id ?? ''),
+  post_id: safeText(event?.post_id),
+  action: safeText(event?.action, 24),
+  actor: safeText(event?.actor, 80),
+  reason: safeText(event?.reason, 240),
+  created_at: toIso(event?.created_at) || new Date().toISOString()
+});
+
+const normalizeComment = (comment) => ({
+  id: safeText(comment?.id),
+  post_id: safeText(comment?.post_id),
+  parent_id: safeText(comment?.parent_id) || null,
+  author_name: safeText(comment?.author_name, 40),
+  body: safeMultilineText(comment?.body, 500),
+  created_at: toIso(comment?.created_at) || new Date().toISOString(),
+  deleted_at: toIso(comment?.deleted_at),
+  deleted_by: safeText(comment?.deleted_by, 80) || null,
+  delete_reason: safeText(comment?.delete_reason, 240) || null
+});
+
+const compareRows = (a, b, sort) => {
+  const aMs = toMs(a.created_at);
+  const bMs = toMs(b.created_at);
+  if (sort === 'oldest') {
+    return aMs - bMs || String(a.id || '').localeCompare(String(b.id || ''));
+  }
+  return bMs - aMs || String(b.id || '').localeCompare(String(a.id || ''));
+};
+
+const rowPassesCursor = (row, parsedCursor, sort) => {
+  if (!parsedCursor) return true;
+  const rowMs = toMs(row.created_at);
+  const cursorMs = toMs(parsedCursor.createdAt);
+  if (sort === 'oldest') {
+    return rowMs > cursorMs || (rowMs === cursorMs && String(row.id || '') > parsedCursor.id);
+  }
+  return rowMs < cursorMs || (rowMs === cursorMs && String(row.id || '') < parsedCursor.id);
+};
+
+// { avif: [{ width, url }], webp: [...] }, narrowest first, ready for srcset.
+const toApiVariants = (value, resolveUrl) => {
+  const variants = {};
+  normalizeVariants(value)
+    .sort((a, b) => a.width - b.width)
+    .forEach(({ width, format, url }) => {
+      if (!variants[format]) variants[format] = [];
+      variants[format].push({ width, url: resolveUrl(url) });
+    });
+  return variants;
+};
+
+const toApiPost = (row, { resolveUrl = (url) => url } = {}) => ({
+  id: row.id,
+  petName: row.pet_name,
+  petType: row.pet_type,
+  caption: row.caption,
+  createdAt: toMs(row.created_at),
+  imageUrl: resolveUrl(row.image_url),
+  imageVariants: toApiVariants(row.image_variants, resolveUrl),
+  images: imagesOf(row).map((image) => ({
+    imageUrl: resolveUrl(image.image_url),
+    imageVariants: toApiVariants(image.image_variants, resolveUrl)
+  })),
+  // 'video' posts play video.url; imageUrl and images hold its poster frame.
+  mediaType: isClip(row) ? 'video' : 'image',
+  video: isClip(row)
+    ? {
+        url: resolveUrl(row.video_url),
+        mimeType: row.video_mime || null,
+        durationMs: Number(row.video_duration_ms) || 0
+      }
+    : null,
+  reactions: { ...emptyCounts(), ...row.reactions },
+  myReactions: row.my_reactions || [],
+  commentCount: Number(row.comment_count) || 0,
+  // 'pending' until a moderator approves a held post; heldFor says why it was
+  // held ('premoderation' or the content filter's reason code).
+  status: row.pending_at ? 'pending' : 'live',
+  heldFor: row.pending_at ? row.pending_reason || 'premoderation' : null
+});
+
+const toApiEvent = (event) => ({
+  action: event.action,
+  actor: event.actor,
+  reason: event.reason,
+  createdAt: toMs(event.created_at)
+});
+
+// Moderation queue entry: the public fields plus why the post was flagged.
+const toApiReportedPost = (row, options) => ({
+  ...toApiPost(row, options),
+  hiddenAt: row.hidden_at ? toMs(row.hidden_at) : null,
+  reportCount: Number(row.report_count) || 0,
+  reportReasons: row.report_reasons || {},
+  recentReports: (row.recent_reports || []).map((report) => ({
+    reason: report.reason,
+    details: report.details || '',
+    createdAt: toMs(report.created_at)
+  }))
+});
+
+// A group of near-identical photos for moderators; duplicateOf is set on posts
+// that were let through under PET_FEED_DUPLICATES=flag.
+const toApiDuplicateCluster = (rows, options) => ({
+  size: rows.length,
+  posts: rows.map((row) => ({
+    ...toApiPost(row, options),
+    imageHash: row.image_hash,
+    duplicateOf: row.duplicate_of || null,
+    hiddenAt: row.hidden_at ? toMs(row.hidden_at) : null
+  }))
+});
+
+// Moderator dashboard card: the public fields plus the post's moderation state.
+const toApiModeratedPost = (row, options) => ({
+  ...toApiPost(row, options),
+  hiddenAt: row.hidden_at ? toMs(row.hidden_at) : null,
+  deletedAt: row.deleted_at ? toMs(row.deleted_at) : null,
+  deletedBy: row.deleted_by || null,
+  deleteReason: row.delete_reason || null,
+  reportCount: Number(row.report_count) || 0,
+  duplicateOf: row.duplicate_of || null
+});
+
+const toApiComment = (comment) => ({
+  id: comment.id,
+  postId: comment.post_id,
+  parentId: comment.parent_id || null,
+  authorName: comment.author_name,
+  body: comment.body,
+  createdAt: toMs(comment.created_at)
+});
+
+module.exports = {
+  safeText,
+  safeMultilineText,
+  uid,
+  toMs,
+  toIso,
+  parseCursor,
+  makeCursor,
+  normalizeRow,
+  normalizeVariants,
+  normalizeImages,
+  imagesOf,
+  imageUrlsOf,
+  isClip,
+  normalizeEvent,
+  normalizeComment,
+  compareRows,
+  rowPassesCursor,
+  toApiPost,
+  toApiEvent,
+  toApiComment,
+  toApiReportedPost,
+  toApiModeratedPost,
+  toApiDuplicateCluster
+};
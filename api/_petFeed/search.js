@@ -0,0 +1,161 @@
+// In-process full-text search used by the record-store drivers. It mirrors the
+// Postgres setup (weighted name/type/caption vectors, prefix terms, phrases) closely
+// enough that results and ordering stay consistent across backends.
+
+// Postgres' english.stop list, so both sides ignore the same words.
+const STOP_WORDS = new Set(
+  `i me my myself we our ours ourselves you your yours yourself yourselves he him his himself she her
+   hers herself it its itself they them their theirs themselves what which who whom this that these
+   those am is are was were be been being have has had having do does did doing a an the and but if or
+   because as until while of at by for with about against between into through during before after
+   above below to from up down in out on off over under again further then once here there when where
+   why how all any both each few more most other some such no nor not only own same so than too very s
+   t can will just don should now`.split(/\s+/)
+);
+
+// Same relative weights Postgres uses for A (name), B (type) and C (caption).
+const FIELD_WEIGHTS = [
+  ['pet_name', 1.0],
+  ['pet_type', 0.4],
+  ['caption', 0.2]
+];
+
+const MAX_TERMS = 8;
+
+const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+const hasVowel = (value) => /[aeiouy]/.test(value);
+
+// A deliberately small suffix stripper: both documents and queries go through it,
+// so it only has to be consistent, not linguistically complete.
+const stem = (token) => {
+  let word = token;
+  if (word.length <= 3) return word;
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = `${word.slice(0, -3)}i`;
+  else if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) word = word.slice(0, -1);
+
+  for (const suffix of ['ing', 'ed']) {
+    const base = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+      word = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+  if (word.endsWith('y') && word.length > 3 && !hasVowel(word.slice(-2, -1))) word = `${word.slice(0, -1)}i`;
+  return word;
+};
+
+const searchTokens = (text) =>
+  tokenize(text)
+    .filter((token) => !STOP_WORDS.has(token))
+    .map(stem);
+
+// Like searchTokens, but a stop word leaves null in its place, so phrases can
+// count positions the way tsvector does.
+const positionedTokens = (text) => tokenize(text).map((token) => (STOP_WORDS.has(token) ? null : stem(token)));
+
+// Supports bare terms (AND-ed, prefix matched), "quoted phrases" and -exclusions.
+// Stop words inside a phrase are kept: they hold its words apart, and to_tsquery
+// turns them into <N> distances. Stop words at either end are dropped.
+const parseSearchQuery = (input) => {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+  const rest = String(input || '').replace(/"([^"]*)"/g, (_match, phrase) => {
+    const words = tokenize(phrase);
+    const content = words.filter((word) => !STOP_WORDS.has(word));
+    const first = words.indexOf(content[0]);
+    const last = words.lastIndexOf(content[content.length - 1]);
+    if (content.length > 1) phrases.push(words.slice(first, last + 1));
+    else if (content.length === 1) terms.push(content[0]);
+    return ' ';
+  });
+
+  rest
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((chunk) => {
+      const negate = chunk.startsWith('-') && chunk.length > 1;
+      tokenize(chunk)
+        .filter((word) => !STOP_WORDS.has(word))
+        .forEach((word) => (negate ? excluded : terms).push(word));
+    });
+
+  return {
+    terms: terms.slice(0, MAX_TERMS),
+    phrases: phrases.slice(0, MAX_TERMS),
+    excluded: excluded.slice(0, MAX_TERMS)
+  };
+};
+
+const isEmptySearch = (parsed) => !parsed || (!parsed.terms.length && !parsed.phrases.length);
+
+// Builds to_tsquery() input from the parsed query. Tokens are already reduced to
+// letters and digits, so nothing here can inject tsquery operators.
+const toTsQuery = (parsed) => {
+  if (isEmptySearch(parsed)) return '';
+  const parts = [
+    ...parsed.terms.map((term) => `${term}:*`),
+    ...parsed.phrases.map((words) => `(${words.join(' <-> ')})`),
+    ...parsed.excluded.map((term) => `!${term}`)
+  ];
+  return parts.join(' & ');
+};
+
+const indexRow = (row) => FIELD_WEIGHTS.map(([field, weight]) => ({ weight, tokens: positionedTokens(row[field]) }));
+
+// A null in the sequence is a stop word, which any token can stand in for.
+const containsSequence = (tokens, sequence) => {
+  for (let i = 0; i + sequence.length <= tokens.length; i += 1) {
+    if (sequence.every((word, offset) => word === null || tokens[i + offset] === word)) return true;
+  }
+  return false;
+};
+
+// Returns 0 when the row does not match, otherwise a positive relevance score.
+const scoreRow = (row, parsed) => {
+  if (isEmptySearch(parsed)) return 1;
+  const fields = indexRow(row);
+
+  const excluded = parsed.excluded.map(stem);
+  if (fields.some(({ tokens }) => tokens.some((token) => excluded.includes(token)))) return 0;
+
+  let score = 0;
+  for (const term of parsed.terms.map(stem)) {
+    let best = 0;
+    fields.forEach(({ weight, tokens }) => {
+      tokens.forEach((token) => {
+        if (token === term) best = Math.max(best, weight);
+        else if (token?.startsWith(term)) best = Math.max(best, weight * 0.8);
+      });
+    });
+    if (!best) return 0;
+    score += best;
+  }
+
+  for (const phrase of parsed.phrases) {
+    const words = phrase.map((word) => (STOP_WORDS.has(word) ? null : stem(word)));
+    const field = fields.find(({ tokens }) => containsSequence(tokens, words));
+    if (!field) return 0;
+    score += field.weight * words.filter(Boolean).length;
+  }
+
+  return score;
+};
+
+module.exports = {
+  tokenize,
+  stem,
+  searchTokens,
+  parseSearchQuery,
+  isEmptySearch,
+  toTsQuery,
+  scoreRow
+};
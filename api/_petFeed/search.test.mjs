@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { parseSearchQuery, scoreRow, stem, toTsQuery } = require('./search.js');
+
+const row = { pet_name: 'Luna', pet_type: 'Dog', caption: 'Happy zoomies after a long walk.' };
+
+test('stemming folds common English suffixes', () => {
+  assert.equal(stem('puppies'), stem('puppy'));
+  assert.equal(stem('walking'), stem('walked'));
+  assert.equal(stem('dogs'), 'dog');
+});
+
+test('query parser splits terms, phrases and exclusions', () => {
+  assert.deepEqual(parseSearchQuery('happy "long walk" -cat'), {
+    terms: ['happy'],
+    phrases: [['long', 'walk']],
+    excluded: ['cat']
+  });
+});
+
+test('tsquery output only contains sanitized lexemes', () => {
+  const parsed = parseSearchQuery('lun & "long walk" -cat):*|');
+  assert.equal(toTsQuery(parsed), 'lun:* & (long <-> walk) & !cat');
+});
+
+test('scores require every term and prefer name matches', () => {
+  assert.equal(scoreRow(row, parseSearchQuery('luna cat')), 0);
+  assert.equal(scoreRow(row, parseSearchQuery('dog -walk')), 0);
+  assert.ok(scoreRow(row, parseSearchQuery('lun')) > scoreRow(row, parseSearchQuery('walk')));
+  assert.ok(scoreRow(row, parseSearchQuery('"long walk"')) > 0);
+  assert.equal(scoreRow(row, parseSearchQuery('"walk long"')), 0);
+});
+
+test('phrases keep the stop words between their words', () => {
+  const parsed = parseSearchQuery('"the king of the hill"');
+  assert.deepEqual(parsed.phrases, [['king', 'of', 'the', 'hill']]);
+  assert.equal(toTsQuery(parsed), '(king <-> of <-> the <-> hill)');
+  assert.deepEqual(parseSearchQuery('"the king"').terms, ['king']);
+
+  const hill = { pet_name: 'Rex', pet_type: 'Dog', caption: 'King of the hill again' };
+  assert.ok(scoreRow(hill, parsed) > 0);
+  assert.ok(scoreRow(hill, parseSearchQuery('"king on a hill"')) > 0);
+  assert.equal(scoreRow({ ...hill, caption: 'King hill' }, parsed), 0);
+  assert.equal(scoreRow({ ...hill, caption: 'King of hill' }, parsed), 0);
+});
@@ -0,0 +1,72 @@
+const crypto = require('node:crypto');
+
+const { videoLimits } = require('./config');
+const { createBadRequestError, createPayloadTooLargeError, createUnsupportedMediaError } = require('./errors');
+const { IMAGE_TYPES, normalizeDeclaredMime } = require('./imageTypes');
+const { uid } = require('./rows');
+const { VIDEO_TYPES, normalizeDeclaredVideoMime } = require('./videos');
+
+// A grant allows one upload for this long; the post can be committed for as
+// long again afterwards.
+const UPLOAD_TTL_MS = 5 * 60 * 1000;
+
+// Direct uploads land here until their post is committed.
+const STAGING_PREFIX = 'pet-photos/uploads';
+
+// The photo or clip type an upload may have, or a falsy value for anything else.
+const normalizeUploadMime = (value) => normalizeDeclaredMime(value) || normalizeDeclaredVideoMime(value);
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// Turns a client's { contentType, size } into a grant for one upload of exactly
+// that image or clip type and at most that many bytes. Photos are limited to
+// maxBytes, clips to maxVideoBytes. The token carries the grant signed with the
+// server's secret, so nothing is stored between the steps.
+const createUploadGrant = (
+  { contentType, size } = {},
+  { secret, maxBytes, maxVideoBytes = videoLimits().maxBytes, now = Date.now() }
+) => {
+  const mime = normalizeUploadMime(contentType);
+  if (!mime) throw createUnsupportedMediaError('Unsupported file type. Please upload a photo or an MP4/WebM clip.');
+  const video = VIDEO_TYPES[mime];
+
+  const bytes = Number(size);
+  if (!Number.isInteger(bytes) || bytes <= 0) throw createBadRequestError('size must be the file size in bytes.');
+  const limit = video ? maxVideoBytes : maxBytes;
+  if (bytes > limit) {
+    throw createPayloadTooLargeError(
+      `${video ? 'Clips' : 'Photos'} can be at most ${Math.floor(limit / (1024 * 1024))}MB.`
+    );
+  }
+
+  const id = uid();
+  const grant = {
+    id,
+    key: `${STAGING_PREFIX}/${id}.${(video || IMAGE_TYPES[mime]).ext}`,
+    contentType: mime,
+    maxBytes: bytes,
+    expiresAt: now + UPLOAD_TTL_MS
+  };
+  const payload = Buffer.from(JSON.stringify(grant), 'utf8').toString('base64url');
+  return { ...grant, token: `${payload}.${sign(payload, secret)}` };
+};
+
+// The grant a token carries, or null when it was not signed with secret or
+// expired more than graceMs ago.
+const verifyUploadGrant = (token, { secret, now = Date.now(), graceMs = 0 }) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2 || !secret) return null;
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const grant = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return grant.expiresAt + graceMs >= now ? grant : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { STAGING_PREFIX, UPLOAD_TTL_MS, createUploadGrant, normalizeUploadMime, verifyUploadGrant };
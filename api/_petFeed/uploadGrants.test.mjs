@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { STAGING_PREFIX, UPLOAD_TTL_MS, createUploadGrant, verifyUploadGrant } = require('./uploadGrants.js');
+
+const options = { secret: 'test-secret', maxBytes: 1000, now: 1_000_000 };
+
+test('grants one upload of the declared type and size', () => {
+  const grant = createUploadGrant({ contentType: 'image/jpg', size: 500 }, options);
+  assert.equal(grant.contentType, 'image/jpeg');
+  assert.equal(grant.maxBytes, 500);
+  assert.equal(grant.key, `${STAGING_PREFIX}/${grant.id}.jpg`);
+  assert.equal(grant.expiresAt, options.now + UPLOAD_TTL_MS);
+
+  const { token, ...rest } = grant;
+  assert.deepEqual(verifyUploadGrant(token, { secret: 'test-secret', now: options.now }), rest);
+});
+
+test('rejects unsupported types, bad sizes and oversized photos', () => {
+  assert.throws(() => createUploadGrant({ contentType: 'text/html', size: 10 }, options), {
+    code: 'PET_FEED_UNSUPPORTED_MEDIA'
+  });
+  for (const size of [0, -1, 1.5, 'abc', undefined]) {
+    assert.throws(() => createUploadGrant({ contentType: 'image/png', size }, options), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+  }
+  assert.throws(() => createUploadGrant({ contentType: 'image/png', size: 1001 }, options), {
+    code: 'PET_FEED_PAYLOAD_TOO_LARGE'
+  });
+});
+
+test('refuses tampered, foreign and expired tokens', () => {
+  const { token } = createUploadGrant({ contentType: 'image/webp', size: 100 }, options);
+  const [payload, signature] = token.split('.');
+  const grown = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), maxBytes: 1e9 })
+  ).toString('base64url');
+
+  assert.equal(verifyUploadGrant(`${grown}.${signature}`, { secret: 'test-secret', now: options.now }), null);
+  assert.equal(verifyUploadGrant(token, { secret: 'other-secret', now: options.now }), null);
+  assert.equal(verifyUploadGrant(token, { secret: '', now: options.now }), null);
+  assert.equal(verifyUploadGrant('garbage', { secret: 'test-secret', now: options.now }), null);
+
+  const later = options.now + UPLOAD_TTL_MS + 1;
+  assert.equal(verifyUploadGrant(token, { secret: 'test-secret', now: later }), null);
+  assert.ok(verifyUploadGrant(token, { secret: 'test-secret', now: later, graceMs: UPLOAD_TTL_MS }));
+});
+
+test('grants clips against the clip size limit', () => {
+  const grant = createUploadGrant({ contentType: 'video/mp4', size: 5000 }, { ...options, maxVideoBytes: 8000 });
+  assert.equal(grant.contentType, 'video/mp4');
+  assert.equal(grant.key, `${STAGING_PREFIX}/${grant.id}.mp4`);
+
+  assert.throws(
+    () => createUploadGrant({ contentType: 'video/webm', size: 8001 }, { ...options, maxVideoBytes: 8000 }),
+    {
+      code: 'PET_FEED_PAYLOAD_TOO_LARGE'
+    }
+  );
+  assert.throws(() => createUploadGrant({ contentType: 'video/quicktime', size: 10 }, options), {
+    code: 'PET_FEED_UNSUPPORTED_MEDIA'
+  });
+});
@@ -0,0 +1,162 @@
+const path = require('node:path');
+const fsp = require('node:fs/promises');
+
+const { createBadRequestError, createPayloadTooLargeError } = require('./errors');
+const { STAGING_PREFIX, UPLOAD_TTL_MS, verifyUploadGrant } = require('./uploadGrants');
+
+// Where direct uploads wait for their post to be committed. Every store answers
+// target(grant) with how the client sends the file, reads the bytes back on
+// commit, and removes them afterwards. sweep({ before }) deletes uploads that were
+// never committed.
+
+// Vercel Blob. The target is { via: 'blob', pathname, token, contentType } for
+// put() from @vercel/blob/client, which the app loads from the bundle `npm run
+// build` makes. The client token limits the upload to the grant's pathname, type
+// and size, and expires with the grant.
+const createBlobUploadStore = ({ blob = require('@vercel/blob'), client = require('@vercel/blob/client') } = {}) => {
+  const target = async (grant) => ({
+    via: 'blob',
+    pathname: grant.key,
+    contentType: grant.contentType,
+    token: await client.generateClientTokenFromReadWriteToken({
+      pathname: grant.key,
+      allowedContentTypes: [grant.contentType],
+      maximumSizeInBytes: grant.maxBytes,
+      validUntil: grant.expiresAt
+    })
+  });
+
+  const find = (grant) => blob.head(grant.key).catch(() => null);
+
+  const read = async (grant) => {
+    const found = await find(grant);
+    if (!found) return null;
+    const response = await fetch(found.url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Could not read upload ${grant.id} (${response.status}).`);
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  const remove = async (grant) => {
+    const found = await find(grant);
+    if (found) await blob.del(found.url);
+  };
+
+  const sweep = async ({ before }) => {
+    const stale = [];
+    let cursor;
+    do {
+      const page = await blob.list({ prefix: `${STAGING_PREFIX}/`, cursor, limit: 1000 });
+      (page.blobs || []).forEach((item) => {
+        if (new Date(item.uploadedAt).getTime() < before) stale.push(item.url);
+      });
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+    if (stale.length) await blob.del(stale);
+    return stale.length;
+  };
+
+  return { name: 'blob', target, read, remove, sweep };
+};
+
+// Local stand-in for backend/server.js: files in dir, uploaded with the
+// { url, method, headers } request of a PUT to urlFor(grant) that carries the
+// grant token. Keep dir out of any static route so
+// unchecked uploads are never served.
+const createFsUploadStore = ({ dir, urlFor }) => {
+  const fileFor = (grant) => path.join(dir, path.basename(grant.key));
+
+  const target = async (grant) => ({
+    url: urlFor(grant),
+    method: 'PUT',
+    headers: {
+      authorization: `Bearer ${grant.token}`,
+      'content-type': grant.contentType
+    }
+  });
+
+  const write = async (grant, buffer) => {
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(fileFor(grant), buffer);
+  };
+
+  const read = async (grant) => {
+    try {
+      return await fsp.readFile(fileFor(grant));
+    } catch (error) {
+      if (error?.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = (grant) => fsp.rm(fileFor(grant), { force: true });
+
+  const sweep = async ({ before }) => {
+    let names = [];
+    try {
+      names = await fsp.readdir(dir);
+    } catch (error) {
+      if (error?.code === 'ENOENT') return 0;
+      throw error;
+    }
+    let removed = 0;
+    for (const name of names) {
+      const file = path.join(dir, name);
+      const stats = await fsp.stat(file).catch(() => null);
+      if (!stats?.isFile() || stats.mtimeMs >= before) continue;
+      await fsp.rm(file, { force: true });
+      removed += 1;
+    }
+    return removed;
+  };
+
+  return { name: 'fs', target, write, read, remove, sweep };
+};
+
+// Best effort: whatever can't be removed is left for the purge.
+const removeStaged = async (store, grants) => {
+  for (const grant of grants) {
+    await store
+      .remove(grant)
+      .catch((error) => console.warn(`Could not remove direct upload ${grant.id}.`, error?.message || error));
+  }
+};
+
+// Resolves to { grant, buffer } for the direct upload a commit names. Throws a
+// 400 error when the token is invalid or expired or nothing was uploaded, and a
+// 413 error, after removing it, when the stored file is bigger than the grant
+// allowed.
+const readGrantedUpload = async (store, token, { secret, now = Date.now() }) => {
+  const grant = verifyUploadGrant(token, { secret, now, graceMs: UPLOAD_TTL_MS });
+  if (!grant) throw createBadRequestError('The upload has expired or is not valid. Please share the photo again.');
+  const buffer = await store.read(grant);
+  if (!buffer) throw createBadRequestError('The photo has not been uploaded yet.');
+  if (buffer.length > grant.maxBytes) {
+    await removeStaged(store, [grant]);
+    throw createPayloadTooLargeError();
+  }
+  return { grant, buffer };
+};
+
+// Errors that reject a post for what its files or text hold; a retry would be
+// rejected the same way.
+const REJECTED_CODES = [
+  'PET_FEED_UNSUPPORTED_MEDIA',
+  'PET_FEED_INVALID_IMAGE',
+  'PET_FEED_PAYLOAD_TOO_LARGE',
+  'PET_FEED_DUPLICATE_PHOTO',
+  'PET_FEED_CONTENT_REJECTED'
+];
+
+// Resolves to what check() does. When it rejects the post, the staged uploads
+// are removed before the error is passed on: on Blob they are public until then.
+// Other failures keep them, so the commit can be retried.
+const discardIfRejected = async (store, grants, check) => {
+  try {
+    return await check();
+  } catch (error) {
+    if (REJECTED_CODES.includes(error?.code)) await removeStaged(store, grants);
+    throw error;
+  }
+};
+
+module.exports = { createBlobUploadStore, createFsUploadStore, discardIfRejected, readGrantedUpload, removeStaged };
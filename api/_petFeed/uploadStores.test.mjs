@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createUploadGrant } = require('./uploadGrants.js');
+const { createUnsupportedMediaError } = require('./errors.js');
+const {
+  createBlobUploadStore,
+  createFsUploadStore,
+  discardIfRejected,
+  readGrantedUpload
+} = require('./uploadStores.js');
+
+const secret = 'test-secret';
+const grantFor = (size = 4) => createUploadGrant({ contentType: 'image/png', size }, { secret, maxBytes: 1000 });
+
+test('fs store keeps uploads until they are committed or swept', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pet-uploads-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createFsUploadStore({ dir, urlFor: (grant) => `/api/uploads/${grant.id}` });
+  const grant = grantFor();
+
+  const target = await store.target(grant);
+  assert.equal(target.url, `/api/uploads/${grant.id}`);
+  assert.equal(target.method, 'PUT');
+  assert.equal(target.headers.authorization, `Bearer ${grant.token}`);
+
+  assert.equal(await store.read(grant), null);
+  await store.write(grant, Buffer.from('data'));
+  assert.equal((await store.read(grant)).toString(), 'data');
+  await store.remove(grant);
+  assert.equal(await store.read(grant), null);
+
+  const stale = grantFor();
+  await store.write(stale, Buffer.from('old'));
+  await store.write(grant, Buffer.from('new'));
+  const past = new Date(Date.now() - 60 * 60 * 1000);
+  await fs.utimes(path.join(dir, `${stale.id}.png`), past, past);
+  assert.equal(await store.sweep({ before: Date.now() - 60 * 1000 }), 1);
+  assert.equal(await store.read(stale), null);
+  assert.ok(await store.read(grant));
+});
+
+test('reads the upload a commit names', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pet-uploads-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createFsUploadStore({ dir, urlFor: () => '' });
+  const grant = grantFor(4);
+
+  await assert.rejects(readGrantedUpload(store, 'nope', { secret }), { code: 'PET_FEED_BAD_REQUEST' });
+  await assert.rejects(readGrantedUpload(store, grant.token, { secret }), {
+    code: 'PET_FEED_BAD_REQUEST',
+    message: 'The photo has not been uploaded yet.'
+  });
+
+  await store.write(grant, Buffer.from('data'));
+  const found = await readGrantedUpload(store, grant.token, { secret });
+  assert.equal(found.grant.id, grant.id);
+  assert.equal(found.buffer.toString(), 'data');
+
+  await store.write(grant, Buffer.from('too much'));
+  await assert.rejects(readGrantedUpload(store, grant.token, { secret }), { code: 'PET_FEED_PAYLOAD_TOO_LARGE' });
+  assert.equal(await store.read(grant), null);
+});
+
+test('blob store targets put() from the Blob client with a scoped token', async () => {
+  const calls = [];
+  const client = {
+    generateClientTokenFromReadWriteToken: async (options) => {
+      calls.push(options);
+      return 'client-token';
+    }
+  };
+  const store = createBlobUploadStore({ blob: {}, client });
+  const grant = grantFor(10);
+
+  assert.deepEqual(await store.target(grant), {
+    via: 'blob',
+    pathname: grant.key,
+    contentType: 'image/png',
+    token: 'client-token'
+  });
+  assert.deepEqual(calls, [
+    { pathname: grant.key, allowedContentTypes: ['image/png'], maximumSizeInBytes: 10, validUntil: grant.expiresAt }
+  ]);
+});
+
+test('removes the staged uploads of a post that is rejected for its content', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pet-uploads-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createFsUploadStore({ dir, urlFor: () => '' });
+  const first = grantFor();
+  const second = grantFor();
+  await store.write(first, Buffer.from('data'));
+  await store.write(second, Buffer.from('data'));
+
+  const busy = Object.assign(new Error('busy'), { code: 'PET_FEED_WRITE_CONFLICT' });
+  await assert.rejects(
+    discardIfRejected(store, [first, second], async () => {
+      throw busy;
+    }),
+    busy
+  );
+  assert.ok(await store.read(first));
+
+  assert.equal(await discardIfRejected(store, [first, second], async () => 'checked'), 'checked');
+  assert.ok(await store.read(first));
+
+  await assert.rejects(
+    discardIfRejected(store, [first, second], async () => {
+      throw createUnsupportedMediaError();
+    }),
+    { code: 'PET_FEED_UNSUPPORTED_MEDIA' }
+  );
+  assert.equal(await store.read(first), null);
+  assert.equal(await store.read(second), null);
+});
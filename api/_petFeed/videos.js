@@ -0,0 +1,373 @@
+const { videoLimits } = require('./config');
+const {
+  createBadRequestError,
+  createInvalidImageError,
+  createPayloadTooLargeError,
+  createUnsupportedMediaError
+} = require('./errors');
+
+// Short clips are stored as uploaded: there is no transcoder on the server, so
+// the container is only parsed far enough to check it and read its length.
+const VIDEO_TYPES = {
+  'video/mp4': { ext: 'mp4', label: 'MP4' },
+  'video/webm': { ext: 'webm', label: 'WebM' }
+};
+
+// Declared types that say nothing about the content.
+const GENERIC_MIMES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// ISO base media brands players treat as MP4. QuickTime (qt) and the image
+// brands (AVIF, HEIF) are left out.
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'mmp4', 'M4V '];
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const EBML_HEADER = 0x1a45dfa3;
+const EBML = {
+  docType: 0x4282,
+  segment: 0x18538067,
+  seekHead: 0x114d9b74,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackType: 0x83,
+  cues: 0x1c53bb6b,
+  chapters: 0x1043a770,
+  attachments: 0x1941a469,
+  tags: 0x1254c367,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  simpleBlock: 0xa3,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  void: 0xec
+};
+
+// Elements that only appear directly in a Segment; one of them ends a Cluster
+// written without a size.
+const SEGMENT_LEVEL = [
+  EBML.seekHead,
+  EBML.info,
+  EBML.tracks,
+  EBML.cues,
+  EBML.chapters,
+  EBML.attachments,
+  EBML.tags,
+  EBML.cluster
+];
+
+// A variable-length integer: { value, length }, with unknown set when every
+// value bit is 1 (a size the muxer didn't know). keepMarker keeps the length
+// bits, which is how element IDs are written.
+const readVint = (buffer, offset, keepMarker = false) => {
+  const first = buffer[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+  const mask = 0xff >> length;
+  let value = keepMarker ? first : first & mask;
+  let unknown = (first & mask) === mask;
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + buffer[offset + i];
+    unknown = unknown && buffer[offset + i] === 0xff;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+};
+
+const readUint = (buffer, start, end) => {
+  let value = 0;
+  for (let i = start; i < end; i += 1) value = value * 256 + buffer[i];
+  return value;
+};
+
+const readFloat = (buffer, start, end) => {
+  if (end - start === 4) return buffer.readFloatBE(start);
+  if (end - start === 8) return buffer.readDoubleBE(start);
+  return 0;
+};
+
+// { id, start, body, end }; end is null for an element of unknown size.
+const readElementHeader = (buffer, offset, limit) => {
+  const id = readVint(buffer, offset, true);
+  if (!id) return null;
+  const size = readVint(buffer, offset + id.length);
+  if (!size) return null;
+  const body = offset + id.length + size.length;
+  if (size.unknown) return { id: id.value, start: offset, body, end: null };
+  const end = body + size.value;
+  return end <= limit ? { id: id.value, start: offset, body, end } : null;
+};
+
+// Where a Cluster of unknown size stops: at the next Segment-level element.
+const clusterEnd = (buffer, start, limit) => {
+  let offset = start;
+  while (offset < limit) {
+    const child = readElementHeader(buffer, offset, limit);
+    if (child && SEGMENT_LEVEL.includes(child.id)) return offset;
+    if (!child || child.end === null) return -1;
+    offset = child.end;
+  }
+  return limit;
+};
+
+// The elements between start and limit, or null when one is truncated. Live
+// recordings (MediaRecorder) write the Segment and its Clusters without sizes.
+const readElements = (buffer, start, limit) => {
+  const elements = [];
+  let offset = start;
+  while (offset < limit) {
+    const element = readElementHeader(buffer, offset, limit);
+    if (!element) return null;
+    if (element.end === null) {
+      element.end = element.id === EBML.cluster ? clusterEnd(buffer, element.body, limit) : limit;
+      if (element.end < 0) return null;
+    }
+    elements.push(element);
+    offset = element.end;
+  }
+  return elements;
+};
+
+const childrenOf = (buffer, element) => readElements(buffer, element.body, element.end) || [];
+
+const findChild = (buffer, element, id) => childrenOf(buffer, element).find((child) => child.id === id);
+
+// A block's timecode is relative to its cluster; it follows the track number.
+const blockTimecode = (buffer, block) => {
+  const track = readVint(buffer, block.body);
+  if (!track || block.body + track.length + 2 > block.end) return 0;
+  return buffer.readInt16BE(block.body + track.length);
+};
+
+// Recordings without a Duration are measured by their last block.
+const lastBlockTime = (buffer, clusters) => {
+  let last = 0;
+  clusters.forEach((cluster) => {
+    const children = childrenOf(buffer, cluster);
+    const timecode = children.find((child) => child.id === EBML.timecode);
+    const base = timecode ? readUint(buffer, timecode.body, timecode.end) : 0;
+    children.forEach((child) => {
+      const block = child.id === EBML.blockGroup ? findChild(buffer, child, EBML.block) : child;
+      if (block && (block.id === EBML.simpleBlock || block.id === EBML.block)) {
+        last = Math.max(last, base + blockTimecode(buffer, block));
+      }
+    });
+  });
+  return last;
+};
+
+// Rewrites an element in place as a Void of the same length, keeping every
+// offset in the file valid.
+const voidElement = (buffer, element) => {
+  const span = element.end - element.start;
+  const sizeLength = Math.min(8, span - 1);
+  let size = span - 1 - sizeLength;
+  buffer[element.start] = EBML.void;
+  for (let i = sizeLength; i >= 1; i -= 1) {
+    buffer[element.start + i] = size % 256;
+    size = Math.floor(size / 256);
+  }
+  buffer[element.start + 1] |= 0x80 >> (sizeLength - 1);
+  buffer.fill(0, element.start + 1 + sizeLength, element.end);
+};
+
+// { durationMs, hasVideo, strip(buffer) } for a WebM file, or null when it is
+// truncated or has data after the Segment.
+const probeWebm = (buffer) => {
+  const top = readElements(buffer, 0, buffer.length);
+  if (!top || top[0]?.id !== EBML_HEADER) return null;
+  if (!top.slice(1).every((element) => element.id === EBML.segment || element.id === EBML.void)) return null;
+  const segment = top.find((element) => element.id === EBML.segment);
+  if (!segment) return null;
+  const elements = readElements(buffer, segment.body, segment.end);
+  if (!elements) return null;
+
+  const info = elements.find((element) => element.id === EBML.info);
+  const infoChildren = info ? childrenOf(buffer, info) : [];
+  const scale = infoChildren.find((child) => child.id === EBML.timecodeScale);
+  const nsPerTick = scale ? readUint(buffer, scale.body, scale.end) : 1000000;
+  const duration = infoChildren.find((child) => child.id === EBML.duration);
+  const ticks = duration
+    ? readFloat(buffer, duration.body, duration.end)
+    : lastBlockTime(
+        buffer,
+        elements.filter((element) => element.id === EBML.cluster)
+      );
+
+  const hasVideo = elements
+    .filter((element) => element.id === EBML.tracks)
+    .flatMap((tracks) => childrenOf(buffer, tracks))
+    .some((entry) => {
+      const type = entry.id === EBML.trackEntry && findChild(buffer, entry, EBML.trackType);
+      return Boolean(type) && readUint(buffer, type.body, type.end) === 1;
+    });
+
+  // Tags carry titles, dates and sometimes where the clip was recorded.
+  const tags = elements.filter((element) => element.id === EBML.tags);
+  return {
+    durationMs: (ticks * nsPerTick) / 1e6,
+    hasVideo,
+    strip: (copy) => tags.forEach((element) => voidElement(copy, element))
+  };
+};
+
+// { type, start, body, end } for each box between start and limit, or null when
+// the boxes don't fill the range exactly.
+const readBoxes = (buffer, start, limit) => {
+  const boxes = [];
+  let offset = start;
+  while (offset < limit) {
+    if (offset + 8 > limit) return null;
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > limit) return null;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = limit - offset;
+    }
+    if (size < header || offset + size > limit) return null;
+    boxes.push({
+      type: ascii(buffer, offset + 4, offset + 8),
+      start: offset,
+      body: offset + header,
+      end: offset + size
+    });
+    offset += size;
+  }
+  return boxes;
+};
+
+const MP4_CONTAINERS = ['moov', 'trak', 'mdia', 'mvex'];
+
+// User data, metadata and vendor boxes hold titles, device names and the
+// recording location (udta/©xyz, Apple's meta keys, XMP in uuid boxes).
+const MP4_METADATA = ['udta', 'meta', 'uuid'];
+
+// Duration in timescale units from an mvhd or mehd box (version 1 uses 64 bits).
+const readMp4Duration = (buffer, box, offset) => {
+  const wide = buffer[box.body] === 1;
+  const end = box.body + offset + (wide ? 8 : 4);
+  if (end > box.end) return 0;
+  if (wide) return Number(buffer.readBigUInt64BE(end - 8));
+  const value = buffer.readUInt32BE(end - 4);
+  return value === 0xffffffff ? 0 : value;
+};
+
+// { durationMs, hasVideo, strip(buffer) } for an MP4 file, or null when it is
+// truncated or has data after the last box.
+const probeMp4 = (buffer) => {
+  const top = readBoxes(buffer, 0, buffer.length);
+  if (!top || top[0]?.type !== 'ftyp') return null;
+
+  let timescale = 0;
+  let duration = 0;
+  let fragmentDuration = 0;
+  let hasVideo = false;
+  const metadata = [];
+  const walk = (boxes) =>
+    boxes.every((box) => {
+      if (MP4_METADATA.includes(box.type)) {
+        metadata.push(box);
+      } else if (MP4_CONTAINERS.includes(box.type)) {
+        const children = readBoxes(buffer, box.body, box.end);
+        return Boolean(children) && walk(children);
+      } else if (box.type === 'mvhd' && box.body + 4 <= box.end) {
+        const wide = buffer[box.body] === 1;
+        const scaleAt = box.body + (wide ? 20 : 12);
+        if (scaleAt + 4 <= box.end) timescale = buffer.readUInt32BE(scaleAt);
+        duration = readMp4Duration(buffer, box, wide ? 24 : 16);
+      } else if (box.type === 'mehd') {
+        fragmentDuration = readMp4Duration(buffer, box, 4);
+      } else if (box.type === 'hdlr' && box.body + 12 <= box.end) {
+        hasVideo = hasVideo || ascii(buffer, box.body + 8, box.body + 12) === 'vide';
+      }
+      return true;
+    });
+  if (!walk(top)) return null;
+
+  return {
+    durationMs: timescale ? ((duration || fragmentDuration) / timescale) * 1000 : 0,
+    hasVideo,
+    strip: (copy) =>
+      metadata.forEach((box) => {
+        copy.write('free', box.start + 4, 'latin1');
+        copy.fill(0, box.body, box.end);
+      })
+  };
+};
+
+const sniffVideoType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [ascii(buffer, 8, 12)];
+    for (let offset = 16; offset + 4 <= boxEnd; offset += 4) brands.push(ascii(buffer, offset, offset + 4));
+    return brands.some((brand) => MP4_BRANDS.includes(brand)) ? 'video/mp4' : null;
+  }
+  if (buffer.readUInt32BE(0) === EBML_HEADER) {
+    const header = readElementHeader(buffer, 0, buffer.length);
+    const docType = header && readElements(buffer, header.body, header.end)?.find((el) => el.id === EBML.docType);
+    return docType && ascii(buffer, docType.body, docType.end).replace(/\0+$/, '') === 'webm' ? 'video/webm' : null;
+  }
+  return null;
+};
+
+// Like normalizeDeclaredMime in imageTypes.js: '' for a generic label and null
+// for anything that is not a supported clip type.
+const normalizeDeclaredVideoMime = (value) => {
+  const mime = String(value || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+  if (GENERIC_MIMES.includes(mime)) return '';
+  return VIDEO_TYPES[mime] ? mime : null;
+};
+
+// Decides what a clip upload is from its bytes and resolves to { buffer, mime,
+// ext, durationMs } ready to store, with the container's metadata blanked out.
+// Throws a 415 error for anything but MP4/WebM or a mismatched label, a 413
+// error above the size limit and a 422 error for clips that are damaged, have
+// no video track or run too long.
+const prepareVideoUpload = async ({ buffer, declaredMime, limits = videoLimits() }) => {
+  const mime = sniffVideoType(buffer);
+  if (!mime) throw createUnsupportedMediaError('Unsupported clip type. Please upload an MP4 or WebM video.');
+
+  const declared = normalizeDeclaredVideoMime(declaredMime);
+  if (declared === null || (declared && declared !== mime)) {
+    throw createUnsupportedMediaError(
+      `The file is a ${VIDEO_TYPES[mime].label} video but was sent as ${declaredMime}.`
+    );
+  }
+  if (buffer.length > limits.maxBytes) {
+    throw createPayloadTooLargeError(`Clips can be at most ${Math.floor(limits.maxBytes / (1024 * 1024))}MB.`);
+  }
+
+  const probe = mime === 'video/mp4' ? probeMp4(buffer) : probeWebm(buffer);
+  if (!probe) throw createInvalidImageError('The clip looks incomplete. Please try uploading it again.');
+  if (!probe.hasVideo) throw createInvalidImageError('The clip has no video track.');
+  if (!(probe.durationMs > 0)) throw createInvalidImageError('The length of the clip could not be read.');
+  // Rounded the way phones show clip lengths, so a "0:15" clip is accepted.
+  if (Math.round(probe.durationMs / 1000) > limits.maxSeconds) {
+    throw createInvalidImageError(`Clips can be at most ${limits.maxSeconds} seconds long.`);
+  }
+
+  const stripped = Buffer.from(buffer);
+  probe.strip(stripped);
+  return { buffer: stripped, mime, ext: VIDEO_TYPES[mime].ext, durationMs: Math.round(probe.durationMs) };
+};
+
+// The photos a post stores: its album, or for a clip only the poster frame the
+// client captured, which becomes the cover used by thumbnails, moderation and
+// duplicate checks.
+const postStills = ({ photos, clip, poster }) => {
+  if (!clip) return photos;
+  if (photos.length) throw createBadRequestError('A post can have photos or a clip, not both.');
+  if (!poster) throw createBadRequestError('A clip needs a poster image (field name "poster").');
+  return [poster];
+};
+
+module.exports = { VIDEO_TYPES, normalizeDeclaredVideoMime, postStills, prepareVideoUpload, sniffVideoType };
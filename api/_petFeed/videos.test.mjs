@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { postStills, prepareVideoUpload, sniffVideoType } = require('./videos.js');
+
+const limits = { maxBytes: 1024 * 1024, maxSeconds: 15 };
+const LOCATION = '+52.3700+004.8900/';
+
+const u16 = (value) => Buffer.from([value >> 8, value & 0xff]);
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+
+// Just enough ISO BMFF for the parser: ftyp, moov (mvhd, one track with its
+// handler, user data with a location) and mdat.
+const box = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([u32(8 + body.length), Buffer.from(type, 'latin1'), body]);
+};
+
+const mp4 = ({ seconds = 8, handler = 'vide', brands = ['isom', 'iso2', 'mp41'] } = {}) =>
+  Buffer.concat([
+    box('ftyp', Buffer.from(brands[0], 'latin1'), u32(512), Buffer.from(brands.join(''), 'latin1')),
+    box(
+      'moov',
+      box('mvhd', u32(0), u32(0), u32(0), u32(1000), u32(seconds * 1000), Buffer.alloc(80)),
+      box('trak', box('tkhd', Buffer.alloc(84)), box('mdia', box('hdlr', u32(0), u32(0), Buffer.from(handler)))),
+      box('udta', box('©xyz', u16(LOCATION.length), u16(0), Buffer.from(LOCATION)))
+    ),
+    box('mdat', Buffer.alloc(64, 7))
+  ]);
+
+// The same for Matroska/WebM. Sizes are one or two bytes; unknown sizes are
+// written the way MediaRecorder does.
+const UNKNOWN_SIZE = Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+const vintSize = (length) =>
+  length < 0x7f ? Buffer.from([0x80 | length]) : Buffer.from([0x40 | (length >> 8), length & 0xff]);
+const el = (id, ...parts) => {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from(id, 'hex'), vintSize(body.length), body]);
+};
+const openEl = (id, ...parts) => Buffer.concat([Buffer.from(id, 'hex'), UNKNOWN_SIZE, ...parts]);
+
+const f64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return buffer;
+};
+const simpleBlock = (timecode) => el('a3', Buffer.from([0x81]), u16(timecode), Buffer.from([0x80]), Buffer.alloc(16));
+
+const webm = ({ durationMs = 8000, live = false, trackType = 1 } = {}) => {
+  const wrap = live ? openEl : el;
+  return Buffer.concat([
+    el('1a45dfa3', el('4282', Buffer.from('webm'))),
+    wrap(
+      '18538067',
+      el('1549a966', el('2ad7b1', Buffer.from([0x0f, 0x42, 0x40])), ...(live ? [] : [el('4489', f64(durationMs))])),
+      el('1654ae6b', el('ae', el('d7', Buffer.from([1])), el('83', Buffer.from([trackType])))),
+      el('1254c367', el('7373', el('67c8', el('45a3', Buffer.from('LOCATION')), el('4487', Buffer.from(LOCATION))))),
+      wrap('1f43b675', el('e7', u16(0)), simpleBlock(0), simpleBlock(33)),
+      wrap('1f43b675', el('e7', u16(5000)), simpleBlock(0), simpleBlock(durationMs - 5000))
+    )
+  ]);
+};
+
+const prepare = (buffer, declaredMime = '') => prepareVideoUpload({ buffer, declaredMime, limits });
+
+test('sniffs MP4 and WebM from their bytes', () => {
+  assert.equal(sniffVideoType(mp4()), 'video/mp4');
+  assert.equal(sniffVideoType(webm()), 'video/webm');
+  assert.equal(sniffVideoType(mp4({ brands: ['qt  '] })), null);
+  assert.equal(sniffVideoType(mp4({ brands: ['avif', 'mif1', 'miaf'] })), null);
+  assert.equal(sniffVideoType(Buffer.from('not a video at all')), null);
+});
+
+test('reads the length of an MP4 clip and blanks its user data', async () => {
+  const input = mp4();
+  assert.ok(input.includes(LOCATION));
+
+  const clip = await prepare(input, 'video/mp4');
+  assert.equal(clip.mime, 'video/mp4');
+  assert.equal(clip.ext, 'mp4');
+  assert.equal(clip.durationMs, 8000);
+  assert.equal(clip.buffer.length, input.length);
+  assert.ok(!clip.buffer.includes(LOCATION));
+  assert.deepEqual(clip.buffer.subarray(-64), input.subarray(-64));
+  assert.equal((await prepare(clip.buffer)).durationMs, 8000);
+});
+
+test('reads the length of a WebM clip and blanks its tags', async () => {
+  const input = webm();
+  const clip = await prepare(input, 'video/webm; codecs="vp9"');
+  assert.equal(clip.mime, 'video/webm');
+  assert.equal(clip.durationMs, 8000);
+  assert.equal(clip.buffer.length, input.length);
+  assert.ok(!clip.buffer.includes(LOCATION));
+  assert.equal((await prepare(clip.buffer)).durationMs, 8000);
+});
+
+test('measures live WebM recordings without a duration by their last block', async () => {
+  const clip = await prepare(webm({ live: true, durationMs: 12000 }));
+  assert.equal(clip.durationMs, 12000);
+  assert.ok(!clip.buffer.includes(LOCATION));
+});
+
+test('rejects clips that are too long, silent-only, damaged or mislabelled', async () => {
+  await assert.rejects(prepare(mp4({ seconds: 20 })), {
+    code: 'PET_FEED_INVALID_IMAGE',
+    message: 'Clips can be at most 15 seconds long.'
+  });
+  assert.equal((await prepare(webm({ durationMs: 15400 }))).durationMs, 15400);
+  await assert.rejects(prepare(webm({ durationMs: 15600 })), { code: 'PET_FEED_INVALID_IMAGE' });
+
+  await assert.rejects(prepare(mp4({ handler: 'soun' })), { message: 'The clip has no video track.' });
+  await assert.rejects(prepare(webm({ trackType: 2 })), { message: 'The clip has no video track.' });
+
+  for (const input of [mp4(), webm()]) {
+    await assert.rejects(prepare(input.subarray(0, -10)), { code: 'PET_FEED_INVALID_IMAGE' });
+    await assert.rejects(prepare(Buffer.concat([input, Buffer.from('<?php echo 1; ?>')])), {
+      code: 'PET_FEED_INVALID_IMAGE'
+    });
+  }
+
+  await assert.rejects(prepare(webm(), 'video/mp4'), { code: 'PET_FEED_UNSUPPORTED_MEDIA' });
+  await assert.rejects(prepare(mp4(), 'image/jpeg'), { code: 'PET_FEED_UNSUPPORTED_MEDIA' });
+  await assert.rejects(prepare(mp4({ brands: ['qt  '] })), { code: 'PET_FEED_UNSUPPORTED_MEDIA' });
+  await assert.rejects(prepareVideoUpload({ buffer: mp4(), limits: { ...limits, maxBytes: 100 } }), {
+    code: 'PET_FEED_PAYLOAD_TOO_LARGE'
+  });
+});
+
+test('a clip post keeps only its poster as a photo', () => {
+  const poster = { buffer: Buffer.from('poster') };
+  const photo = { buffer: Buffer.from('photo') };
+  const clip = { buffer: mp4() };
+  assert.deepEqual(postStills({ photos: [photo] }), [photo]);
+  assert.deepEqual(postStills({ photos: [], clip, poster }), [poster]);
+  assert.throws(() => postStills({ photos: [photo], clip, poster }), { code: 'PET_FEED_BAD_REQUEST' });
+  assert.throws(() => postStills({ photos: [], clip }), { code: 'PET_FEED_BAD_REQUEST' });
+});
@@ -1,272 +1,499 @@
-const crypto = require('node:crypto');
-const { put, list } = require('@vercel/blob');
-const { sql } = require('@vercel/postgres');
-
-const safeText = (value, maxLen) => {
-  if (typeof value !== 'string') return '';
-  const trimmed = value.trim();
-  if (!maxLen) return trimmed;
-  return trimmed.slice(0, maxLen);
-};
+const { createAdapter } = require('./_petFeed/adapters');
+const {
+  contentFilterRules,
+  deleteRetentionMs,
+  duplicateDistance,
+  duplicatePolicy,
+  duplicateWindowMs,
+  preModeration,
+  reportThreshold,
+  storeDriver
+} = require('./_petFeed/config');
+const { createContentFilter } = require('./_petFeed/contentFilter');
+const { clusterByHash, findNearestHash, hashDistance, parseImageHash } = require('./_petFeed/duplicates');
+const {
+  createBadRequestError,
+  createContentRejectedError,
+  createDuplicatePhotoError,
+  createNotOwnerError
+} = require('./_petFeed/errors');
+const {
+  imageUrlsOf,
+  makeCursor,
+  normalizeVariants,
+  parseCursor,
+  safeMultilineText,
+  safeText,
+  uid
+} = require('./_petFeed/rows');
+const { createOwnerToken, ownerTokenMatches } = require('./_petFeed/ownerTokens');
+const { normalizePetType, parsePetTypeFilter } = require('./_petFeed/petTypes');
+const { emptyCounts, hashDeviceToken, parseReaction } = require('./_petFeed/reactions');
+const { parseReportReason } = require('./_petFeed/reports');
+const { isEmptySearch, parseSearchQuery } = require('./_petFeed/search');
 
-const uid = () => (crypto.randomUUID ? crypto.randomUUID() : crypto.randomBytes(16).toString('hex'));
-const BLOB_STORE_PATH = 'pet-photos/store/posts.json';
-let sqlEnabled = true;
+const SORTS = ['newest', 'oldest', 'relevance', 'loved'];
+// Sorts whose order shifts as posts are liked or matched page by offset.
+const RANKED_SORTS = ['relevance', 'loved'];
+// Hashed posts compared per upload, and per duplicate-cluster scan.
+const SCREEN_LIMIT = 500;
+const CLUSTER_SCAN_LIMIT = 2000;
+const MODERATION_FILTERS = ['recent', 'flagged', 'pending', 'deleted'];
+// Bulk actions and the adapter method each one runs per post.
+const BULK_ACTIONS = {
+  delete: 'softDelete',
+  restore: 'restore',
+  hide: 'hide',
+  keep: 'dismissReports',
+  approve: 'approve',
+  reject: 'reject'
+};
+const BULK_LIMIT = 50;
 
-const hasPostgresConfig = () =>
-  Boolean(
-    process.env.POSTGRES_URL ||
-      process.env.POSTGRES_PRISMA_URL ||
-      process.env.POSTGRES_URL_NON_POOLING ||
-      process.env.POSTGRES_HOST
-  );
+const nextCursorFor = (rows, { sort, offset }) => {
+  if (!rows.length) return null;
+  if (RANKED_SORTS.includes(sort)) return makeCursor({ offset: offset + rows.length });
+  const last = rows[rows.length - 1];
+  return makeCursor({ createdAt: last.created_at, id: last.id });
+};
 
-const hasBlobConfig = () => Boolean(process.env.BLOB_READ_WRITE_TOKEN);
+// One feed store shared by the Vercel functions and backend/server.js. The driver
+// decides where metadata lives; every caller gets the same sanitizing and paging.
+const createPetFeedStore = ({
+  driver = storeDriver(),
+  reportThreshold: hideAfter = reportThreshold(),
+  preModeration: holdNewPosts = preModeration(),
+  duplicates = { policy: duplicatePolicy(), windowMs: duplicateWindowMs(), distance: duplicateDistance() },
+  contentFilter = contentFilterRules(),
+  ...options
+} = {}) => {
+  const adapter = createAdapter(driver, options);
+  const filter = createContentFilter(contentFilter);
 
-const createStorageUnavailableError = () => {
-  const error = new Error('Public feed storage is not configured.');
-  error.code = 'PET_FEED_STORAGE_UNAVAILABLE';
-  return error;
-};
+  const ensureSchema = () => adapter.ensureSchema();
 
-const parseCursor = (cursor) => {
-  if (!cursor) return null;
-  try {
-    const json = Buffer.from(String(cursor), 'base64url').toString('utf8');
-    const parsed = JSON.parse(json);
-    if (!parsed || typeof parsed !== 'object') return null;
-    if (typeof parsed.createdAt !== 'string' || typeof parsed.id !== 'string') return null;
-    // createdAt stored as ISO string
-    if (Number.isNaN(Date.parse(parsed.createdAt))) return null;
-    return { createdAt: parsed.createdAt, id: parsed.id };
-  } catch {
-    return null;
-  }
-};
+  // Attaches { reactions, my_reactions, comment_count } to each row; my_reactions
+  // needs the caller's device token.
+  const withEngagement = async (rows, deviceToken) => {
+    if (!rows.length) return rows;
+    const ids = rows.map((row) => row.id);
+    const [summaries, commentCounts] = await Promise.all([
+      adapter.reactionSummaries(ids, hashDeviceToken(deviceToken)),
+      adapter.commentCounts(ids)
+    ]);
+    return rows.map((row) => {
+      const summary = summaries.get(row.id);
+      return {
+        ...row,
+        reactions: summary?.counts || {},
+        my_reactions: summary?.mine || [],
+        comment_count: commentCounts.get(row.id) || 0
+      };
+    });
+  };
 
-const makeCursor = ({ createdAt, id }) =>
-  Buffer.from(JSON.stringify({ createdAt, id }), 'utf8').toString('base64url');
+  // Resolves to { posts, nextCursor }. sort=relevance needs a search query and
+  // otherwise behaves like newest; sort=loved orders by total reactions. type
+  // accepts a pet type id, label or alias.
+  const listPosts = async ({ limit, sort, q, type, cursor, deviceToken }) => {
+    const safeLimit = Math.max(1, Math.min(50, Number(limit) || 20));
+    const search = parseSearchQuery(safeText(q, 80));
+    let safeSort = SORTS.includes(sort) ? sort : 'newest';
+    if (safeSort === 'relevance' && isEmptySearch(search)) safeSort = 'newest';
 
-const compareRows = (a, b, sort) => {
-  const aMs = Date.parse(a.created_at || '') || 0;
-  const bMs = Date.parse(b.created_at || '') || 0;
-  if (sort === 'oldest') {
-    return aMs - bMs || String(a.id || '').localeCompare(String(b.id || ''));
-  }
-  return bMs - aMs || String(b.id || '').localeCompare(String(a.id || ''));
-};
+    const ranked = RANKED_SORTS.includes(safeSort);
+    const parsedCursor = parseCursor(cursor);
+    const offset = ranked ? parsedCursor?.offset || 0 : 0;
+    const keyset = !ranked && parsedCursor?.createdAt ? parsedCursor : null;
 
-const rowMatchesQuery = (row, query) => {
-  if (!query) return true;
-  const haystack = `${row.pet_name || ''} ${row.pet_type || ''} ${row.caption || ''}`.toLowerCase();
-  return haystack.includes(query);
-};
+    const rows = await adapter.list({
+      limit: safeLimit,
+      sort: safeSort,
+      search,
+      type: parsePetTypeFilter(safeText(type, 40)),
+      cursor: keyset,
+      offset
+    });
+    return {
+      posts: await withEngagement(rows, deviceToken),
+      nextCursor: nextCursorFor(rows, { sort: safeSort, offset })
+    };
+  };
 
-const rowPassesCursor = (row, parsedCursor, sort) => {
-  if (!parsedCursor) return true;
-  const rowMs = Date.parse(row.created_at || '') || 0;
-  const cursorMs = Date.parse(parsedCursor.createdAt || '') || 0;
-  if (sort === 'oldest') {
-    return rowMs > cursorMs || (rowMs === cursorMs && String(row.id || '') > parsedCursor.id);
-  }
-  return rowMs < cursorMs || (rowMs === cursorMs && String(row.id || '') < parsedCursor.id);
-};
+  // images: the album's photos in order as [{ imageUrl, imageVariants, imageHash }];
+  // a single photo can be passed as imageUrl, imageVariants and imageHash instead.
+  // imageVariants: [{ width, format, url }] for the resized copies, if any.
+  // imageHash and duplicateOf come from screenDuplicate.
+  // video: { videoUrl, mimeType, durationMs } makes it a clip post; images then
+  // holds only the clip's poster frame.
+  // heldFor comes from screenContent. A held post, or any post under
+  // pre-moderation, comes back pending and stays out of the feed until approvePost.
+  // The row comes back with owner_token, the only copy of the token deleteOwnPost
+  // accepts; just its hash is stored.
+  const insertPost = async ({
+    petName,
+    petType,
+    caption,
+    images,
+    imageUrl,
+    imageVariants,
+    imageHash,
+    video,
+    duplicateOf,
+    heldFor
+  }) => {
+    const album = (images || [{ imageUrl, imageVariants, imageHash }]).map((image) => ({
+      image_url: image.imageUrl,
+      image_variants: normalizeVariants(image.imageVariants),
+      image_hash: parseImageHash(image.imageHash)
+    }));
+    const [cover] = album;
+    const createdAt = new Date().toISOString();
+    const owner = createOwnerToken();
+    const row = await adapter.insert({
+      id: uid(),
+      pet_name: safeText(petName, 40),
+      pet_type: normalizePetType(safeText(petType, 40)),
+      caption: safeText(caption, 240),
+      image_url: cover.image_url,
+      image_variants: cover.image_variants,
+      image_hash: cover.image_hash,
+      images: album,
+      media_type: video ? 'video' : 'image',
+      video_url: video?.videoUrl || null,
+      video_mime: video?.mimeType || null,
+      video_duration_ms: video ? Math.round(Number(video.durationMs) || 0) : null,
+      duplicate_of: safeText(duplicateOf) || null,
+      created_at: createdAt,
+      pending_at: heldFor || holdNewPosts ? createdAt : null,
+      pending_reason: safeText(heldFor, 40) || (holdNewPosts ? 'premoderation' : null),
+      owner_token_hash: owner.hash
+    });
+    return { ...row, owner_token: owner.token };
+  };
 
-const listStoreBlobs = async () => {
-  if (!hasBlobConfig()) return [];
-  const { blobs = [] } = await list({ prefix: BLOB_STORE_PATH });
-  return blobs
-    .filter((blob) => blob.pathname === BLOB_STORE_PATH)
-    .sort((a, b) => new Date(b.uploadedAt || 0).getTime() - new Date(a.uploadedAt || 0).getTime());
-};
+  // Checks an upload's perceptual hash against posts from the duplicate window
+  // before its image is stored. Throws a duplicate-photo error under the reject
+  // policy; otherwise resolves to { duplicateOf } (an id under flag, else null).
+  // album holds the hashes of the post's earlier photos: a repeat among them is
+  // rejected too, but there is no post to flag it against.
+  const screenDuplicate = async (imageHash, { album = [] } = {}) => {
+    const hash = parseImageHash(imageHash);
+    if (!hash || duplicates.policy === 'allow') return { duplicateOf: null };
+    const repeated = album.some((earlier) => hashDistance(hash, earlier) <= duplicates.distance);
+    if (repeated && duplicates.policy === 'reject') {
+      throw createDuplicatePhotoError(null, 'This album has the same photo more than once.');
+    }
+    const since = new Date(Date.now() - duplicates.windowMs).toISOString();
+    const recent = await adapter.listHashed({ since, limit: SCREEN_LIMIT });
+    const match = findNearestHash(hash, recent, duplicates.distance);
+    if (!match) return { duplicateOf: null };
+    if (duplicates.policy === 'reject') throw createDuplicatePhotoError(match.id);
+    return { duplicateOf: match.id };
+  };
 
-const loadBlobRows = async () => {
-  const blobs = await listStoreBlobs();
-  const latest = blobs[0];
-  if (!latest) return [];
-
-  const response = await fetch(latest.url, { cache: 'no-store' });
-  if (!response.ok) return [];
-
-  const payload = await response.json().catch(() => ({}));
-  const rows = Array.isArray(payload.posts) ? payload.posts : [];
-  return rows
-    .map((row) => ({
-      id: safeText(row?.id),
-      pet_name: safeText(row?.pet_name || row?.petName, 40),
-      pet_type: safeText(row?.pet_type || row?.petType, 24) || 'Other',
-      caption: safeText(row?.caption, 240),
-      image_url: safeText(row?.image_url || row?.imageUrl),
-      created_at:
-        typeof row?.created_at === 'string' && !Number.isNaN(Date.parse(row.created_at))
-          ? row.created_at
-          : new Date().toISOString()
-    }))
-    .filter((row) => row.id && row.image_url);
-};
+  // Runs the pet name and caption through the content filter before anything is
+  // stored. Throws a content-rejected error; otherwise returns { heldFor }, the
+  // reason code when the post has to wait for a moderator (else null).
+  const screenContent = ({ petName, caption } = {}) => {
+    const result = filter.check({ petName: safeText(petName, 40), caption: safeText(caption, 240) });
+    if (result.decision === 'reject') throw createContentRejectedError(result);
+    return { heldFor: result.decision === 'hold' ? result.reason : null };
+  };
 
-const saveBlobRows = async (rows) => {
-  if (!hasBlobConfig()) {
-    throw createStorageUnavailableError();
-  }
-  const payload = JSON.stringify({ posts: rows }, null, 2);
-  await put(BLOB_STORE_PATH, payload, {
-    access: 'public',
-    contentType: 'application/json',
-    addRandomSuffix: false
+  const moderation = ({ actor, reason } = {}) => ({
+    actor: safeText(actor, 80) || 'moderator',
+    reason: safeText(reason, 240),
+    at: new Date().toISOString()
   });
-};
 
-const withSqlFallback = async (sqlAction, blobAction) => {
-  if (sqlEnabled && hasPostgresConfig()) {
-    try {
-      return await sqlAction();
-    } catch (error) {
-      sqlEnabled = false;
-      console.warn('Postgres unavailable for pet feed; falling back to Blob metadata store.', error?.message || error);
-    }
-  }
+  // Hides the post and records who deleted it and why. The row and its image stay
+  // until purgeDeletedPosts runs after the retention window.
+  const deletePostById = (id, meta) => adapter.softDelete(id, moderation(meta));
 
-  try {
-    return await blobAction();
-  } catch (error) {
-    if (!hasBlobConfig()) {
-      throw createStorageUnavailableError();
-    }
-    throw error;
-  }
-};
+  const restorePostById = (id, meta) => adapter.restore(id, moderation(meta));
 
-const ensureSchema = async () => {
-  await withSqlFallback(
-    async () => {
-      await sql`
-        CREATE TABLE IF NOT EXISTS pet_photo_posts (
-          id TEXT PRIMARY KEY,
-          pet_name TEXT NOT NULL DEFAULT '',
-          pet_type TEXT NOT NULL DEFAULT '',
-          caption TEXT NOT NULL DEFAULT '',
-          image_url TEXT NOT NULL,
-          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-        );
-      `;
-
-      await sql`CREATE INDEX IF NOT EXISTS pet_photo_posts_created_at_id_idx ON pet_photo_posts (created_at DESC, id DESC);`;
-    },
-    async () => {}
-  );
-};
+  // Soft-deletes a post for the uploader holding its owner token, the same way a
+  // moderator would. Resolves to null when the post is missing or already deleted;
+  // throws a not-owner error for a wrong token or a post shared before tokens.
+  const deleteOwnPost = async (id, ownerToken) => {
+    const row = await adapter.get(id);
+    if (!row) return null;
+    if (!ownerTokenMatches(ownerToken, row.owner_token_hash)) throw createNotOwnerError();
+    return adapter.softDelete(id, moderation({ actor: 'owner', reason: 'Removed by the uploader' }));
+  };
 
-const listPosts = async ({ limit, sort, q, cursor }) => {
-  const safeLimit = Math.max(1, Math.min(50, Number(limit) || 20));
-  const safeSort = sort === 'oldest' ? 'oldest' : 'newest';
-  const query = safeText(q, 80).toLowerCase();
-  const parsedCursor = parseCursor(cursor);
-
-  return withSqlFallback(
-    async () => {
-      // Use tuple comparisons for stable pagination.
-      if (safeSort === 'oldest') {
-        const rows = await sql`
-          SELECT id, pet_name, pet_type, caption, image_url, created_at
-          FROM pet_photo_posts
-          WHERE
-            (${query} = '' OR (LOWER(pet_name || ' ' || pet_type || ' ' || caption) LIKE ${'%' + query + '%'}))
-            AND (
-              ${parsedCursor === null} OR
-              (created_at, id) > (${parsedCursor?.createdAt || '1970-01-01T00:00:00.000Z'}::timestamptz, ${parsedCursor?.id || ''})
-            )
-          ORDER BY created_at ASC, id ASC
-          LIMIT ${safeLimit};
-        `;
-        return rows.rows;
-      }
+  // Deleted posts are only returned with includeDeleted. Pending posts are
+  // returned too; check pending_at before showing one to the public.
+  const getPostById = (id, options) => adapter.get(id, options);
 
-      const rows = await sql`
-        SELECT id, pet_name, pet_type, caption, image_url, created_at
-        FROM pet_photo_posts
-        WHERE
-          (${query} = '' OR (LOWER(pet_name || ' ' || pet_type || ' ' || caption) LIKE ${'%' + query + '%'}))
-          AND (
-            ${parsedCursor === null} OR
-            (created_at, id) < (${parsedCursor?.createdAt || '9999-12-31T23:59:59.999Z'}::timestamptz, ${parsedCursor?.id || 'zzzzzzzz'})
-          )
-        ORDER BY created_at DESC, id DESC
-        LIMIT ${safeLimit};
-      `;
-      return rows.rows;
-    },
-    async () => {
-      const rows = await loadBlobRows();
-      return rows
-        .filter((row) => rowMatchesQuery(row, query))
-        .sort((a, b) => compareRows(a, b, safeSort))
-        .filter((row) => rowPassesCursor(row, parsedCursor, safeSort))
-        .slice(0, safeLimit);
+  // Posts waiting for approval, hidden after reports or deleted can't be reacted
+  // to, commented on or reported.
+  const getLivePost = async (id) => {
+    const post = await adapter.get(id);
+    return post && !post.pending_at && !post.hidden_at && !post.deleted_at ? post : null;
+  };
+
+  const getPostHistory = (id) => adapter.history(id);
+
+  // removeImage(url) is called for every photo of the album and each of its
+  // variants after the row is gone; a failure only leaks the file.
+  const purgeDeletedPosts = async ({ retentionMs = deleteRetentionMs(), limit = 50, removeImage } = {}) => {
+    const before = new Date(Date.now() - retentionMs).toISOString();
+    const rows = await adapter.listDeleted({ before, limit });
+    const purged = [];
+    for (const row of rows) {
+      const removed = await adapter.purge(row.id, moderation({ actor: 'purge', reason: 'Retention window elapsed' }));
+      if (!removed) continue;
+      purged.push(removed.id);
+      if (!removeImage) continue;
+      for (const url of imageUrlsOf(removed)) {
+        await Promise.resolve(removeImage(url)).catch((error) => {
+          console.warn(`Could not remove image for purged post ${removed.id}.`, error?.message || error);
+        });
+      }
     }
-  );
-};
+    return { before, purged };
+  };
 
-const insertPost = async ({ petName, petType, caption, imageUrl }) => {
-  const id = uid();
-  const safePetName = safeText(petName, 40);
-  const safePetType = safeText(petType, 24) || 'Other';
-  const safeCaption = safeText(caption, 240);
-  const createdAtIso = new Date().toISOString();
-
-  return withSqlFallback(
-    async () => {
-      const result = await sql`
-        INSERT INTO pet_photo_posts (id, pet_name, pet_type, caption, image_url)
-        VALUES (${id}, ${safePetName}, ${safePetType}, ${safeCaption}, ${imageUrl})
-        RETURNING id, pet_name, pet_type, caption, image_url, created_at;
-      `;
-
-      return result.rows[0];
-    },
-    async () => {
-      const rows = await loadBlobRows();
-      const row = {
-        id,
-        pet_name: safePetName,
-        pet_type: safePetType,
-        caption: safeCaption,
-        image_url: imageUrl,
-        created_at: createdAtIso
-      };
-      rows.push(row);
-      await saveBlobRows(rows);
-      return row;
+  // Adds (or with remove: true, withdraws) one reaction for this device. Resolves
+  // to the post's updated { reactions, my_reactions }, or null if the post is gone.
+  const reactToPost = async (id, { reaction, deviceToken, remove = false }) => {
+    const kind = parseReaction(reaction);
+    const deviceHash = hashDeviceToken(deviceToken);
+    if (!deviceHash) throw createBadRequestError('A device token (x-device-token header) is required to react.');
+
+    const post = await getLivePost(id);
+    if (!post) return null;
+    if (remove) await adapter.removeReaction(id, kind, deviceHash);
+    else await adapter.addReaction(id, kind, deviceHash);
+
+    const [row] = await withEngagement([post], deviceToken);
+    return { reactions: { ...emptyCounts(), ...row.reactions }, my_reactions: row.my_reactions };
+  };
+
+  // Resolves to { comments, nextCursor } oldest first, or null if the post is gone.
+  const listComments = async (postId, { limit, cursor } = {}) => {
+    if (!(await getLivePost(postId))) return null;
+    const safeLimit = Math.max(1, Math.min(100, Number(limit) || 50));
+    const parsedCursor = parseCursor(cursor);
+    const comments = await adapter.listComments(postId, {
+      cursor: parsedCursor?.createdAt ? parsedCursor : null,
+      limit: safeLimit
+    });
+    const last = comments[comments.length - 1];
+    return {
+      comments,
+      nextCursor: comments.length === safeLimit ? makeCursor({ createdAt: last.created_at, id: last.id }) : null
+    };
+  };
+
+  // Replies stay one level deep: answering a reply attaches to its top-level
+  // comment. Resolves to null if the post is gone. Comments have no review queue,
+  // so one the content filter would hold is turned away like a rejected one.
+  const addComment = async (postId, { authorName, body, parentId }) => {
+    const text = safeMultilineText(body, 500);
+    if (!text) throw createBadRequestError('Comment text is required.');
+    const screened = filter.check({ authorName: safeText(authorName, 40), body: text });
+    if (screened.decision !== 'allow') throw createContentRejectedError(screened);
+    if (!(await getLivePost(postId))) return null;
+
+    let parent = null;
+    const safeParentId = safeText(parentId, 64);
+    if (safeParentId) {
+      parent = await adapter.getComment(safeParentId);
+      if (!parent || parent.deleted_at || parent.post_id !== postId) {
+        throw createBadRequestError('The comment you replied to no longer exists.');
+      }
     }
-  );
+
+    return adapter.insertComment({
+      id: uid(),
+      post_id: postId,
+      parent_id: parent ? parent.parent_id || parent.id : null,
+      author_name: safeText(authorName, 40),
+      body: text,
+      created_at: new Date().toISOString()
+    });
+  };
+
+  // Moderator action; also hides the comment's replies.
+  const deleteComment = (postId, commentId, meta) => adapter.softDeleteComment(postId, commentId, moderation(meta));
+
+  // One open report per device. The report that reaches the threshold hides the
+  // post from the feed until a moderator reviews it. Resolves to { added }, or
+  // null if the post is gone.
+  const reportPost = async (id, { reason, details, deviceToken }) => {
+    const kind = parseReportReason(reason);
+    const deviceHash = hashDeviceToken(deviceToken);
+    if (!deviceHash) throw createBadRequestError('A device token (x-device-token header) is required to report.');
+
+    if (!(await getLivePost(id))) return null;
+    const added = await adapter.addReport(
+      id,
+      { deviceHash, reason: kind, details: safeText(details, 240), at: new Date().toISOString() },
+      hideAfter
+    );
+    return { added };
+  };
+
+  // Reported posts that are not deleted, hidden ones first. Resolves to
+  // { posts, nextCursor }; each row carries report_reasons and recent_reports.
+  const listModerationQueue = async ({ limit, cursor } = {}) => {
+    const safeLimit = Math.max(1, Math.min(50, Number(limit) || 20));
+    const offset = parseCursor(cursor)?.offset || 0;
+    const rows = await adapter.listReported({ limit: safeLimit, offset });
+    const summaries = await adapter.reportSummaries(rows.map((row) => row.id));
+    return {
+      posts: rows.map((row) => ({
+        ...row,
+        report_reasons: summaries.get(row.id)?.reasons || {},
+        recent_reports: summaries.get(row.id)?.recent || []
+      })),
+      nextCursor: rows.length === safeLimit ? makeCursor({ offset: offset + rows.length }) : null
+    };
+  };
+
+  // Groups of near-identical photos among live posts from the last `days` days
+  // (default 30), newest group first. Each group lists its posts newest first.
+  const listDuplicateClusters = async ({ days, limit } = {}) => {
+    const safeDays = Math.max(1, Math.min(365, Number(days) || 30));
+    const safeLimit = Math.max(1, Math.min(100, Number(limit) || 20));
+    const since = new Date(Date.now() - safeDays * 24 * 60 * 60 * 1000).toISOString();
+    const rows = await adapter.listHashed({ since, limit: CLUSTER_SCAN_LIMIT });
+    return { since, clusters: clusterByHash(rows, duplicates.distance).slice(0, safeLimit) };
+  };
+
+  // keep: drop the reports and show the post again. remove: soft-delete it. The
+  // reports stay with a removed post, so restoring it returns it to the queue
+  // (still hidden if it was).
+  const reviewPost = async (id, { action, ...meta }) => {
+    if (action === 'keep') return adapter.dismissReports(id, moderation(meta));
+    if (action === 'remove') return adapter.softDelete(id, moderation(meta));
+    throw createBadRequestError('Unknown review action. Use keep or remove.');
+  };
+
+  // Posts held by pre-moderation, oldest first. Resolves to { posts, nextCursor }.
+  const listPendingPosts = async ({ limit, cursor } = {}) => {
+    const safeLimit = Math.max(1, Math.min(50, Number(limit) || 20));
+    const offset = parseCursor(cursor)?.offset || 0;
+    const posts = await adapter.listPending({ limit: safeLimit, offset });
+    return {
+      posts,
+      nextCursor: posts.length === safeLimit ? makeCursor({ offset: offset + posts.length }) : null
+    };
+  };
+
+  // Publishes a pending post. Resolves to null if no pending post has that id.
+  const approvePost = (id, meta) => adapter.approve(id, moderation(meta));
+
+  // Soft-deletes a pending post, so it is purged after the retention window like
+  // any deleted post; restoring it puts it back in the pending list.
+  const rejectPost = (id, meta) => adapter.reject(id, moderation(meta));
+
+  // The moderator dashboard's grid, newest first: filter is recent (everything,
+  // deleted posts included), flagged, pending or deleted, and q an exact post id
+  // or part of a caption or pet name. Resolves to { posts, nextCursor }; rows
+  // carry report_count.
+  const listModeratedPosts = async ({ filter, q, limit, cursor } = {}) => {
+    const safeLimit = Math.max(1, Math.min(50, Number(limit) || 24));
+    const parsedCursor = parseCursor(cursor);
+    const posts = await adapter.listForModeration({
+      filter: MODERATION_FILTERS.includes(filter) ? filter : 'recent',
+      search: safeText(q, 80),
+      cursor: parsedCursor?.createdAt ? parsedCursor : null,
+      limit: safeLimit
+    });
+    const last = posts[posts.length - 1];
+    return {
+      posts,
+      nextCursor: posts.length === safeLimit ? makeCursor({ createdAt: last.created_at, id: last.id }) : null
+    };
+  };
+
+  // Runs one action on up to 50 posts in order: delete, restore, hide (out of the
+  // feed without deleting), keep (see reviewPost), approve or reject. Every post
+  // gets the same moderator, reason and time. Resolves to [{ id, post }], with
+  // post null where the action didn't apply.
+  const moderatePosts = async (ids, { action, ...meta } = {}) => {
+    const method = BULK_ACTIONS[action];
+    if (!method) throw createBadRequestError(`Unknown action. Use ${Object.keys(BULK_ACTIONS).join(', ')}.`);
+    const safeIds = [...new Set((Array.isArray(ids) ? ids : []).map((id) => safeText(id, 64)).filter(Boolean))];
+    if (!safeIds.length) throw createBadRequestError('Pick at least one post.');
+    if (safeIds.length > BULK_LIMIT) throw createBadRequestError(`Pick at most ${BULK_LIMIT} posts at a time.`);
+
+    const change = moderation(meta);
+    const results = [];
+    for (const id of safeIds) results.push({ id, post: await adapter[method](id, change) });
+    return results;
+  };
+
+  // Only the auto driver has a fallback store to reconcile.
+  const reconcile = async (options) =>
+    adapter.reconcile ? adapter.reconcile(options) : { driver: adapter.name, skipped: true };
+
+  return {
+    driver: adapter.name,
+    ensureSchema,
+    listPosts,
+    screenDuplicate,
+    screenContent,
+    insertPost,
+    deletePostById,
+    restorePostById,
+    deleteOwnPost,
+    getPostById,
+    getPostHistory,
+    purgeDeletedPosts,
+    reactToPost,
+    listComments,
+    addComment,
+    deleteComment,
+    reportPost,
+    listModerationQueue,
+    reviewPost,
+    listPendingPosts,
+    approvePost,
+    rejectPost,
+    listModeratedPosts,
+    moderatePosts,
+    listDuplicateClusters,
+    reconcile
+  };
 };
 
-const deletePostById = async (id) => {
-  return withSqlFallback(
-    async () => {
-      const result = await sql`
-        DELETE FROM pet_photo_posts
-        WHERE id = ${id}
-        RETURNING id, image_url;
-      `;
-      return result.rows[0] || null;
-    },
-    async () => {
-      const rows = await loadBlobRows();
-      const idx = rows.findIndex((row) => row.id === id);
-      if (idx === -1) return null;
-      const [removed] = rows.splice(idx, 1);
-      await saveBlobRows(rows);
-      return { id: removed.id, image_url: removed.image_url };
-    }
-  );
+let defaultStore = null;
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createPetFeedStore();
+  return defaultStore;
 };
 
 module.exports = {
-  ensureSchema,
-  listPosts,
-  insertPost,
-  deletePostById,
+  createPetFeedStore,
+  ensureSchema: (...args) => getDefaultStore().ensureSchema(...args),
+  listPosts: (...args) => getDefaultStore().listPosts(...args),
+  screenDuplicate: (...args) => getDefaultStore().screenDuplicate(...args),
+  screenContent: (...args) => getDefaultStore().screenContent(...args),
+  insertPost: (...args) => getDefaultStore().insertPost(...args),
+  deletePostById: (...args) => getDefaultStore().deletePostById(...args),
+  restorePostById: (...args) => getDefaultStore().restorePostById(...args),
+  deleteOwnPost: (...args) => getDefaultStore().deleteOwnPost(...args),
+  getPostById: (...args) => getDefaultStore().getPostById(...args),
+  getPostHistory: (...args) => getDefaultStore().getPostHistory(...args),
+  purgeDeletedPosts: (...args) => getDefaultStore().purgeDeletedPosts(...args),
+  reactToPost: (...args) => getDefaultStore().reactToPost(...args),
+  listComments: (...args) => getDefaultStore().listComments(...args),
+  addComment: (...args) => getDefaultStore().addComment(...args),
+  deleteComment: (...args) => getDefaultStore().deleteComment(...args),
+  reportPost: (...args) => getDefaultStore().reportPost(...args),
+  listModerationQueue: (...args) => getDefaultStore().listModerationQueue(...args),
+  reviewPost: (...args) => getDefaultStore().reviewPost(...args),
+  listPendingPosts: (...args) => getDefaultStore().listPendingPosts(...args),
+  approvePost: (...args) => getDefaultStore().approvePost(...args),
+  rejectPost: (...args) => getDefaultStore().rejectPost(...args),
+  listModeratedPosts: (...args) => getDefaultStore().listModeratedPosts(...args),
+  moderatePosts: (...args) => getDefaultStore().moderatePosts(...args),
+  listDuplicateClusters: (...args) => getDefaultStore().listDuplicateClusters(...args),
+  reconcile: (...args) => getDefaultStore().reconcile(...args),
   makeCursor
 };
-
@@ -0,0 +1,726 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createPetFeedStore, makeCursor } = require('./_petFeedStore.js');
+const { toApiDuplicateCluster, toApiPost } = require('./_petFeed/rows.js');
+
+const hasNodeSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), 'pet-feed-'));
+
+const seed = async (store, count) => {
+  const rows = [];
+  for (let i = 0; i < count; i += 1) {
+    rows.push(
+      await store.insertPost({
+        petName: `Pet ${i}`,
+        petType: i % 2 ? 'Cat' : 'Dog',
+        caption: `caption ${i}`,
+        imageUrl: `/uploads/${i}.jpg`
+      })
+    );
+  }
+  return rows;
+};
+
+const drivers = [
+  ['memory', async () => ({ driver: 'memory' })],
+  ['fs', async () => ({ driver: 'fs', dir: await tempDir() })],
+  [
+    'sqlite',
+    async () => ({ driver: 'sqlite', file: path.join(await tempDir(), 'feed.sqlite') }),
+    !hasNodeSqlite && `node:sqlite needs Node.js 22.5 or newer; this is ${process.version}`
+  ]
+];
+
+drivers.forEach(([name, options, skip]) => {
+  test(`${name} driver inserts, lists, gets and deletes posts`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    await store.ensureSchema();
+
+    const [first] = await seed(store, 3);
+    assert.equal(first.pet_name, 'Pet 0');
+
+    const { posts: listed } = await store.listPosts({ limit: 10 });
+    assert.equal(listed.length, 3);
+
+    const fetched = await store.getPostById(first.id);
+    assert.equal(fetched.image_url, '/uploads/0.jpg');
+
+    const removed = await store.deletePostById(first.id, { actor: 'Sam', reason: 'Spam' });
+    assert.equal(removed.id, first.id);
+    assert.equal(removed.deleted_by, 'Sam');
+    assert.equal(await store.getPostById(first.id), null);
+    assert.equal(await store.deletePostById(first.id), null);
+    assert.equal((await store.listPosts({ limit: 10 })).posts.length, 2);
+  });
+
+  test(`${name} driver restores soft-deleted posts and keeps their history`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [post] = await seed(store, 2);
+
+    await store.deletePostById(post.id, { actor: 'Sam', reason: 'Wrong photo' });
+    const hidden = await store.getPostById(post.id, { includeDeleted: true });
+    assert.equal(hidden.delete_reason, 'Wrong photo');
+    assert.ok(hidden.deleted_at);
+
+    const restored = await store.restorePostById(post.id, { actor: 'Alex' });
+    assert.equal(restored.deleted_at, null);
+    assert.equal(await store.restorePostById(post.id), null);
+    assert.equal((await store.listPosts({ limit: 10 })).posts.length, 2);
+
+    const history = await store.getPostHistory(post.id);
+    assert.deepEqual(
+      history.map((event) => [event.action, event.actor]),
+      [
+        ['delete', 'Sam'],
+        ['restore', 'Alex']
+      ]
+    );
+  });
+
+  test(`${name} driver lets the uploader delete their own post with its owner token`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [post, other] = await seed(store, 2);
+    assert.match(post.owner_token, /^[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(post.owner_token, other.owner_token);
+
+    const stored = await store.getPostById(post.id);
+    assert.ok(stored.owner_token_hash);
+    assert.equal(stored.owner_token, undefined);
+    assert.ok(!JSON.stringify(stored).includes(post.owner_token));
+    assert.equal(toApiPost(stored).ownerTokenHash, undefined);
+
+    await assert.rejects(store.deleteOwnPost(post.id, other.owner_token), { code: 'PET_FEED_NOT_OWNER' });
+    await assert.rejects(store.deleteOwnPost(post.id, 'not a token'), { code: 'PET_FEED_NOT_OWNER' });
+    assert.equal(await store.deleteOwnPost('missing', post.owner_token), null);
+
+    const removed = await store.deleteOwnPost(post.id, post.owner_token);
+    assert.equal(removed.deleted_by, 'owner');
+    assert.equal(await store.deleteOwnPost(post.id, post.owner_token), null);
+    assert.deepEqual(
+      (await store.getPostHistory(post.id)).map((event) => [event.action, event.actor]),
+      [['delete', 'owner']]
+    );
+  });
+
+  test(`${name} driver purges deleted posts after the retention window`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [kept] = await seed(store, 1);
+    const deleted = await store.insertPost({
+      petName: 'Pet 1',
+      imageUrl: '/uploads/1.jpg',
+      imageVariants: [{ width: 320, format: 'webp', url: '/uploads/1-320w.webp' }]
+    });
+    await store.deletePostById(deleted.id);
+
+    const early = await store.purgeDeletedPosts({ retentionMs: 60 * 60 * 1000 });
+    assert.deepEqual(early.purged, []);
+
+    const removedImages = [];
+    const { purged } = await store.purgeDeletedPosts({
+      retentionMs: -1000,
+      removeImage: (url) => removedImages.push(url)
+    });
+    assert.deepEqual(purged, [deleted.id]);
+    assert.deepEqual(removedImages, ['/uploads/1.jpg', '/uploads/1-320w.webp']);
+    assert.equal(await store.getPostById(deleted.id, { includeDeleted: true }), null);
+    assert.ok(await store.getPostById(kept.id));
+
+    const history = await store.getPostHistory(deleted.id);
+    assert.deepEqual(
+      history.map((event) => event.action),
+      ['delete', 'purge']
+    );
+  });
+
+  test(`${name} driver keeps the resized copies of a photo`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const post = await store.insertPost({
+      petName: 'Rex',
+      imageUrl: '/uploads/rex.jpg',
+      imageVariants: [
+        { width: 640, format: 'webp', url: '/uploads/rex-640w.webp' },
+        { width: 320, format: 'avif', url: '/uploads/rex-320w.avif' },
+        { width: 320, format: 'webp', url: '/uploads/rex-320w.webp' },
+        { width: 640, format: 'gif', url: '/uploads/rex-640w.gif' }
+      ]
+    });
+    const [listed] = (await store.listPosts({ limit: 10 })).posts;
+    assert.equal(listed.id, post.id);
+    assert.deepEqual(toApiPost(listed).imageVariants, {
+      avif: [{ width: 320, url: '/uploads/rex-320w.avif' }],
+      webp: [
+        { width: 320, url: '/uploads/rex-320w.webp' },
+        { width: 640, url: '/uploads/rex-640w.webp' }
+      ]
+    });
+
+    const [plain] = await seed(store, 1);
+    assert.deepEqual(toApiPost(await store.getPostById(plain.id)).imageVariants, {});
+  });
+
+  test(`${name} driver keeps album photos in order`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const album = await store.insertPost({
+      petName: 'Rex',
+      images: [
+        { imageUrl: '/uploads/a.jpg', imageVariants: [{ width: 320, format: 'webp', url: '/uploads/a-320w.webp' }] },
+        { imageUrl: '/uploads/b.jpg' },
+        { imageUrl: '/uploads/c.jpg' }
+      ]
+    });
+    const [single] = await seed(store, 1);
+
+    const listed = (await store.listPosts({ limit: 10 })).posts.find((post) => post.id === album.id);
+    const api = toApiPost(listed);
+    assert.equal(api.imageUrl, '/uploads/a.jpg');
+    assert.deepEqual(
+      api.images.map((image) => image.imageUrl),
+      ['/uploads/a.jpg', '/uploads/b.jpg', '/uploads/c.jpg']
+    );
+    assert.deepEqual(api.images[0].imageVariants, { webp: [{ width: 320, url: '/uploads/a-320w.webp' }] });
+    assert.deepEqual(toApiPost(await store.getPostById(single.id)).images, [
+      { imageUrl: '/uploads/0.jpg', imageVariants: {} }
+    ]);
+
+    await store.deletePostById(album.id);
+    const removedImages = [];
+    await store.purgeDeletedPosts({ retentionMs: -1000, removeImage: (url) => removedImages.push(url) });
+    assert.deepEqual(removedImages, ['/uploads/a.jpg', '/uploads/a-320w.webp', '/uploads/b.jpg', '/uploads/c.jpg']);
+  });
+
+  test(`${name} driver stores clip posts with their poster`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const clip = await store.insertPost({
+      petName: 'Rex',
+      images: [{ imageUrl: '/uploads/poster.jpg' }],
+      video: { videoUrl: '/uploads/zoomies.mp4', mimeType: 'video/mp4', durationMs: 8400 }
+    });
+    const [still] = await seed(store, 1);
+
+    const { posts } = await store.listPosts({ limit: 10 });
+    const api = toApiPost(posts.find((post) => post.id === clip.id));
+    assert.equal(api.mediaType, 'video');
+    assert.deepEqual(api.video, { url: '/uploads/zoomies.mp4', mimeType: 'video/mp4', durationMs: 8400 });
+    assert.equal(api.imageUrl, '/uploads/poster.jpg');
+    const stillApi = toApiPost(posts.find((post) => post.id === still.id));
+    assert.equal(stillApi.mediaType, 'image');
+    assert.equal(stillApi.video, null);
+
+    await store.deletePostById(clip.id);
+    const removed = [];
+    await store.purgeDeletedPosts({ retentionMs: -1000, removeImage: (url) => removed.push(url) });
+    assert.deepEqual(removed, ['/uploads/poster.jpg', '/uploads/zoomies.mp4']);
+  });
+
+  test(`${name} driver screens uploads for recent duplicates`, { skip }, async () => {
+    const duplicates = { policy: 'reject', windowMs: 60 * 60 * 1000, distance: 8 };
+    const store = createPetFeedStore({ ...(await options()), duplicates });
+    const first = await store.insertPost({
+      petName: 'Rex',
+      imageUrl: '/a.jpg',
+      imageHash: '00000000ffffffff00000000ffffffff'
+    });
+
+    assert.deepEqual(await store.screenDuplicate('ffffffff00000000ffffffff00000000'), { duplicateOf: null });
+    assert.deepEqual(await store.screenDuplicate(undefined), { duplicateOf: null });
+    await assert.rejects(store.screenDuplicate('00000000fffffff000000000fffffff0'), {
+      code: 'PET_FEED_DUPLICATE_PHOTO',
+      duplicateOf: first.id
+    });
+
+    duplicates.policy = 'flag';
+    const { duplicateOf } = await store.screenDuplicate('00000000fffffff000000000fffffff0');
+    assert.equal(duplicateOf, first.id);
+    const second = await store.insertPost({
+      petName: 'Rex again',
+      imageUrl: '/b.jpg',
+      imageHash: '00000000fffffff000000000fffffff0',
+      duplicateOf
+    });
+    assert.equal((await store.getPostById(second.id)).duplicate_of, first.id);
+
+    duplicates.policy = 'allow';
+    assert.deepEqual(await store.screenDuplicate('00000000ffffffff00000000ffffffff'), { duplicateOf: null });
+
+    // Deleted posts and posts older than the window don't count.
+    duplicates.policy = 'reject';
+    await store.deletePostById(first.id);
+    await store.deletePostById(second.id);
+    assert.deepEqual(await store.screenDuplicate('00000000ffffffff00000000ffffffff'), { duplicateOf: null });
+    await store.insertPost({ petName: 'Rex', imageUrl: '/c.jpg', imageHash: '00000000ffffffff00000000ffffffff' });
+    duplicates.windowMs = -1000;
+    assert.deepEqual(await store.screenDuplicate('00000000ffffffff00000000ffffffff'), { duplicateOf: null });
+  });
+
+  test(`${name} driver screens an album for the same photo twice`, { skip }, async () => {
+    const duplicates = { policy: 'reject', windowMs: 60 * 60 * 1000, distance: 8 };
+    const store = createPetFeedStore({ ...(await options()), duplicates });
+    const album = ['00000000ffffffff00000000ffffffff', 'ffffffff00000000ffffffff00000000'];
+
+    assert.deepEqual(await store.screenDuplicate('0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f', { album }), {
+      duplicateOf: null
+    });
+    await assert.rejects(store.screenDuplicate('00000000fffffff000000000fffffff0', { album }), {
+      code: 'PET_FEED_DUPLICATE_PHOTO',
+      message: 'This album has the same photo more than once.',
+      duplicateOf: null
+    });
+
+    duplicates.policy = 'flag';
+    assert.deepEqual(await store.screenDuplicate(album[0], { album }), { duplicateOf: null });
+  });
+
+  test(`${name} driver lists clusters of near-identical photos`, { skip }, async () => {
+    const store = createPetFeedStore({
+      ...(await options()),
+      duplicates: { policy: 'allow', windowMs: 60 * 60 * 1000, distance: 2 }
+    });
+    const insert = (petName, imageHash) => store.insertPost({ petName, imageUrl: `/${petName}.jpg`, imageHash });
+    await insert('A1', '00000000000000000000000000000000');
+    await insert('B1', 'ffffffffffffffffffffffffffffffff');
+    await insert('C', '00ff00ff00ff00ff00ff00ff00ff00ff');
+    await insert('A2', '00000000000000010000000000000001');
+    await insert('B2', 'fffffffffffffffefffffffffffffffe');
+    const removed = await insert('A3', '00000000000000030000000000000003');
+    await insert('Unhashed', undefined);
+
+    const { clusters } = await store.listDuplicateClusters();
+    const names = clusters.map((rows) => rows.map((row) => row.pet_name).sort());
+    assert.deepEqual(names.sort(), [
+      ['A1', 'A2', 'A3'],
+      ['B1', 'B2']
+    ]);
+    const cluster = toApiDuplicateCluster(clusters.find((rows) => rows.length === 2));
+    assert.equal(cluster.size, 2);
+    assert.deepEqual(cluster.posts.map((post) => post.imageHash).sort(), [
+      'fffffffffffffffefffffffffffffffe',
+      'ffffffffffffffffffffffffffffffff'
+    ]);
+
+    await store.deletePostById(removed.id);
+    const after = await store.listDuplicateClusters({ limit: 1 });
+    assert.equal(after.clusters.length, 1);
+  });
+
+  test(`${name} driver pages with cursors and filters by query`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    await seed(store, 5);
+
+    const { posts: all } = await store.listPosts({ limit: 10, sort: 'oldest' });
+    const firstPage = await store.listPosts({ limit: 2, sort: 'oldest' });
+    assert.deepEqual(firstPage.posts, all.slice(0, 2));
+
+    const secondPage = await store.listPosts({ limit: 2, sort: 'oldest', cursor: firstPage.nextCursor });
+    assert.deepEqual(secondPage.posts, all.slice(2, 4));
+
+    const newest = await store.listPosts({ limit: 10, sort: 'newest' });
+    assert.deepEqual(newest.posts, all.slice().reverse());
+
+    const cats = await store.listPosts({ limit: 10, q: 'CAT' });
+    assert.equal(cats.posts.length, 2);
+  });
+
+  test(`${name} driver filters by canonical pet type`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const insert = (petName, petType) => store.insertPost({ petName, petType, caption: '', imageUrl: '/x.jpg' });
+    const puppy = await insert('Biscuit', 'puppy');
+    await insert('Mochi', 'Cat');
+    await insert('Nugget', 'hen');
+    assert.equal(puppy.pet_type, 'Dog');
+
+    const dogs = await store.listPosts({ type: 'dog', limit: 10 });
+    assert.deepEqual(
+      dogs.posts.map((row) => row.pet_name),
+      ['Biscuit']
+    );
+    const chickens = await store.listPosts({ type: 'Chicken', q: 'nug', limit: 10 });
+    assert.deepEqual(
+      chickens.posts.map((row) => row.pet_name),
+      ['Nugget']
+    );
+    assert.equal((await store.listPosts({ type: '', limit: 10 })).posts.length, 3);
+  });
+
+  test(`${name} driver counts one reaction per device and sorts by most loved`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [quiet, loved, liked] = await seed(store, 3);
+    const alice = 'device-token-alice-0001';
+    const bob = 'device-token-bob-00000001';
+
+    await store.reactToPost(loved.id, { reaction: 'love', deviceToken: alice });
+    await store.reactToPost(loved.id, { reaction: 'love', deviceToken: alice });
+    await store.reactToPost(loved.id, { reaction: 'paw', deviceToken: alice });
+    const summary = await store.reactToPost(loved.id, { reaction: 'love', deviceToken: bob });
+    assert.deepEqual(summary.reactions, { love: 2, paw: 1, haha: 0, wow: 0 });
+    assert.deepEqual(summary.my_reactions, ['love']);
+    await store.reactToPost(liked.id, { reaction: 'wow', deviceToken: bob });
+
+    const first = await store.listPosts({ sort: 'loved', limit: 2, deviceToken: alice });
+    assert.deepEqual(
+      first.posts.map((row) => row.id),
+      [loved.id, liked.id]
+    );
+    assert.deepEqual(first.posts[0].my_reactions.sort(), ['love', 'paw']);
+    const rest = await store.listPosts({ sort: 'loved', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(
+      rest.posts.map((row) => row.id),
+      [quiet.id]
+    );
+
+    const withdrawn = await store.reactToPost(loved.id, { reaction: 'love', deviceToken: bob, remove: true });
+    assert.deepEqual(withdrawn.reactions, { love: 1, paw: 1, haha: 0, wow: 0 });
+    assert.equal(await store.reactToPost('missing', { reaction: 'love', deviceToken: bob }), null);
+    await assert.rejects(store.reactToPost(loved.id, { reaction: 'angry', deviceToken: bob }), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+    await assert.rejects(store.reactToPost(loved.id, { reaction: 'love', deviceToken: 'x' }), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+  });
+
+  test(`${name} driver adds, pages and moderates comments`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [post, other] = await seed(store, 2);
+
+    const question = await store.addComment(post.id, {
+      authorName: ' Jo ',
+      body: '  Who is this\r\n\n\n\ngood boy?  '
+    });
+    assert.equal(question.author_name, 'Jo');
+    assert.equal(question.body, 'Who is this\n\ngood boy?');
+    const answer = await store.addComment(post.id, { body: 'Rex!', parentId: question.id });
+    const nested = await store.addComment(post.id, { body: 'Hi Rex', parentId: answer.id });
+    assert.equal(answer.parent_id, question.id);
+    assert.equal(nested.parent_id, question.id);
+    const aside = await store.addComment(post.id, { body: 'Cute' });
+
+    const first = await store.listComments(post.id, { limit: 3 });
+    assert.equal(first.comments.length, 3);
+    const rest = await store.listComments(post.id, { limit: 3, cursor: first.nextCursor });
+    assert.deepEqual(
+      [...first.comments, ...rest.comments].map((comment) => comment.id).sort(),
+      [question.id, answer.id, nested.id, aside.id].sort()
+    );
+    assert.equal(rest.nextCursor, null);
+
+    const feed = await store.listPosts({ limit: 10 });
+    assert.equal(feed.posts.find((row) => row.id === post.id).comment_count, 4);
+    assert.equal(feed.posts.find((row) => row.id === other.id).comment_count, 0);
+
+    await assert.rejects(store.addComment(post.id, { body: '   ' }), { code: 'PET_FEED_BAD_REQUEST' });
+    await assert.rejects(store.addComment(other.id, { body: 'Wrong post', parentId: question.id }), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+    assert.equal(await store.addComment('missing', { body: 'Hello' }), null);
+    assert.equal(await store.listComments('missing'), null);
+
+    assert.equal(await store.deleteComment(other.id, question.id, { actor: 'Sam' }), null);
+    const removed = await store.deleteComment(post.id, question.id, { actor: 'Sam', reason: 'Rude' });
+    assert.equal(removed.id, question.id);
+    const remaining = await store.listComments(post.id);
+    assert.deepEqual(
+      remaining.comments.map((comment) => comment.id),
+      [aside.id]
+    );
+    await assert.rejects(store.addComment(post.id, { body: 'Too late', parentId: question.id }), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+
+    await store.deletePostById(post.id);
+    assert.equal(await store.addComment(post.id, { body: 'Gone?' }), null);
+  });
+
+  test(`${name} driver hides reported posts and queues them for review`, { skip }, async () => {
+    const store = createPetFeedStore({ ...(await options()), reportThreshold: 2 });
+    const [calm, flagged, doomed] = await seed(store, 3);
+    const alice = 'device-token-alice-0001';
+    const bob = 'device-token-bob-00000001';
+    const visibleIds = async () => (await store.listPosts({ limit: 10 })).posts.map((row) => row.id).sort();
+
+    assert.deepEqual(await store.reportPost(flagged.id, { reason: 'spam', deviceToken: alice }), { added: true });
+    assert.deepEqual(await store.reportPost(flagged.id, { reason: 'Spam', deviceToken: alice }), { added: false });
+    assert.deepEqual(await visibleIds(), [calm.id, flagged.id, doomed.id].sort());
+    await store.reportPost(flagged.id, { reason: 'not-a-pet', details: 'A toaster', deviceToken: bob });
+    await store.reportPost(doomed.id, { reason: 'privacy', deviceToken: bob });
+    assert.deepEqual(await visibleIds(), [calm.id, doomed.id].sort());
+
+    const queue = await store.listModerationQueue();
+    assert.deepEqual(
+      queue.posts.map((row) => row.id),
+      [flagged.id, doomed.id]
+    );
+    assert.ok(queue.posts[0].hidden_at);
+    assert.equal(Number(queue.posts[0].report_count), 2);
+    assert.deepEqual(queue.posts[0].report_reasons, { spam: 1, 'not-a-pet': 1 });
+    assert.deepEqual(queue.posts[0].recent_reports.map((report) => report.details).sort(), ['', 'A toaster']);
+    assert.equal(queue.posts[1].hidden_at, null);
+
+    const kept = await store.reviewPost(flagged.id, { action: 'keep', actor: 'Sam', reason: 'Fine' });
+    assert.equal(kept.hidden_at, null);
+    await store.reviewPost(doomed.id, { action: 'remove', actor: 'Sam' });
+    assert.deepEqual(await visibleIds(), [calm.id, flagged.id].sort());
+    assert.deepEqual((await store.listModerationQueue()).posts, []);
+    assert.deepEqual(
+      (await store.getPostHistory(flagged.id)).map((event) => event.action),
+      ['hide', 'dismiss']
+    );
+
+    assert.equal(await store.reportPost('missing', { reason: 'spam', deviceToken: alice }), null);
+    await assert.rejects(store.reportPost(calm.id, { reason: 'boring', deviceToken: alice }), {
+      code: 'PET_FEED_BAD_REQUEST'
+    });
+    await assert.rejects(store.reportPost(calm.id, { reason: 'spam' }), { code: 'PET_FEED_BAD_REQUEST' });
+    await assert.rejects(store.reviewPost(calm.id, { action: 'ignore' }), { code: 'PET_FEED_BAD_REQUEST' });
+  });
+
+  test(`${name} driver takes no reactions, comments or reports on hidden or deleted posts`, { skip }, async () => {
+    const store = createPetFeedStore({ ...(await options()), reportThreshold: 1 });
+    const [hidden, deleted] = await seed(store, 2);
+    const alice = 'device-token-alice-0001';
+    const bob = 'device-token-bob-00000001';
+    await store.addComment(hidden.id, { authorName: 'Ann', body: 'Before' });
+    await store.reportPost(hidden.id, { reason: 'spam', deviceToken: alice });
+    await store.deletePostById(deleted.id, { actor: 'Sam' });
+
+    for (const id of [hidden.id, deleted.id]) {
+      assert.equal(await store.reactToPost(id, { reaction: 'love', deviceToken: bob }), null);
+      assert.equal(await store.addComment(id, { authorName: 'Bob', body: 'Still here?' }), null);
+      assert.equal(await store.listComments(id), null);
+      assert.equal(await store.reportPost(id, { reason: 'privacy', deviceToken: bob }), null);
+    }
+    const [queued] = (await store.listModerationQueue()).posts;
+    assert.equal(Number(queued.report_count), 1);
+
+    await store.reviewPost(hidden.id, { action: 'keep', actor: 'Sam' });
+    assert.ok(await store.reactToPost(hidden.id, { reaction: 'love', deviceToken: bob }));
+    assert.ok(await store.addComment(hidden.id, { authorName: 'Bob', body: 'Welcome back' }));
+    assert.deepEqual(
+      (await store.listComments(hidden.id)).comments.map((comment) => comment.body),
+      ['Before', 'Welcome back']
+    );
+  });
+
+  test(`${name} driver holds new posts for approval under pre-moderation`, { skip }, async () => {
+    const store = createPetFeedStore({ ...(await options()), preModeration: true });
+    const [early, late, spam] = await seed(store, 3);
+    const device = 'device-token-alice-0001';
+    assert.ok(early.pending_at);
+    assert.deepEqual([toApiPost(early).status, toApiPost(early).heldFor], ['pending', 'premoderation']);
+    assert.deepEqual((await store.listPosts({ limit: 10 })).posts, []);
+    assert.equal(await store.reactToPost(early.id, { reaction: 'love', deviceToken: device }), null);
+    assert.equal(await store.addComment(early.id, { body: 'Cute!' }), null);
+    assert.equal(await store.reportPost(early.id, { reason: 'spam', deviceToken: device }), null);
+
+    const pendingIds = async (page) => (await store.listPendingPosts(page)).posts.map((row) => row.id);
+    const all = await pendingIds();
+    assert.deepEqual(all.slice().sort(), [early.id, late.id, spam.id].sort());
+    const firstPage = await store.listPendingPosts({ limit: 2 });
+    assert.deepEqual(
+      firstPage.posts.map((row) => row.id),
+      all.slice(0, 2)
+    );
+    assert.deepEqual(await pendingIds({ cursor: firstPage.nextCursor }), all.slice(2));
+
+    const approved = await store.approvePost(early.id, { actor: 'Sam' });
+    assert.equal(toApiPost(approved).status, 'live');
+    assert.equal(await store.approvePost(early.id), null);
+    const rejected = await store.rejectPost(spam.id, { actor: 'Sam', reason: 'Spam' });
+    assert.equal(rejected.delete_reason, 'Spam');
+    assert.equal(await store.approvePost(spam.id), null);
+    assert.equal(await store.rejectPost(early.id), null);
+
+    assert.deepEqual(
+      (await store.listPosts({ limit: 10 })).posts.map((row) => row.id),
+      [early.id]
+    );
+    assert.ok(await store.reactToPost(early.id, { reaction: 'love', deviceToken: device }));
+    assert.deepEqual(await pendingIds(), [late.id]);
+
+    // A rejected post that is restored goes back to waiting.
+    await store.restorePostById(spam.id, { actor: 'Alex' });
+    assert.deepEqual((await pendingIds()).sort(), [late.id, spam.id].sort());
+    assert.deepEqual(
+      (await store.getPostHistory(spam.id)).map((event) => [event.action, event.actor]),
+      [
+        ['reject', 'Sam'],
+        ['restore', 'Alex']
+      ]
+    );
+    assert.deepEqual(
+      (await store.getPostHistory(early.id)).map((event) => event.action),
+      ['approve']
+    );
+  });
+
+  test(`${name} driver screens names, captions and comments with the content filter`, { skip }, async () => {
+    const store = createPetFeedStore({ ...(await options()), contentFilter: { blockedWords: ['scam'] } });
+    assert.deepEqual(store.screenContent({ petName: 'Rex', caption: 'Zoomies' }), { heldFor: null });
+    assert.throws(() => store.screenContent({ petName: 'Scam Rex' }), {
+      code: 'PET_FEED_CONTENT_REJECTED',
+      reason: 'blocked-word',
+      field: 'petName'
+    });
+
+    const { heldFor } = store.screenContent({ caption: 'Adopt me at cheap-pets.shop' });
+    assert.equal(heldFor, 'link');
+    const held = await store.insertPost({ petName: 'Rex', caption: 'cheap-pets.shop', imageUrl: '/x.jpg', heldFor });
+    assert.deepEqual([toApiPost(held).status, toApiPost(held).heldFor], ['pending', 'link']);
+    const [live] = await seed(store, 1);
+    assert.equal(toApiPost(live).heldFor, null);
+    assert.deepEqual(
+      (await store.listPosts({ limit: 10 })).posts.map((row) => row.id),
+      [live.id]
+    );
+    assert.equal(toApiPost((await store.listPendingPosts()).posts[0]).heldFor, 'link');
+
+    await assert.rejects(store.addComment(live.id, { body: 'Text me on 555 010 9999 1' }), {
+      code: 'PET_FEED_CONTENT_REJECTED',
+      reason: 'phone-number',
+      field: 'body'
+    });
+    await assert.rejects(store.addComment(live.id, { authorName: 'scam', body: 'Cute' }), {
+      reason: 'blocked-word'
+    });
+    assert.ok(await store.addComment(live.id, { authorName: 'Sam', body: 'Cute!' }));
+  });
+
+  test(`${name} driver lists posts for the moderator dashboard and acts on them in bulk`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const [calm, reported, deleted, hidden] = await seed(store, 4);
+    await store.reportPost(reported.id, { reason: 'spam', deviceToken: 'device-token-alice-0001' });
+    await store.deletePostById(deleted.id, { actor: 'Sam' });
+    const ids = async (page) => (await store.listModeratedPosts(page)).posts.map((row) => row.id);
+
+    const recent = await ids();
+    assert.deepEqual(recent.slice().sort(), [calm.id, reported.id, deleted.id, hidden.id].sort());
+    const firstPage = await store.listModeratedPosts({ limit: 3 });
+    assert.deepEqual(await ids({ limit: 3, cursor: firstPage.nextCursor }), recent.slice(3));
+
+    const hiddenNow = await store.moderatePosts([hidden.id, hidden.id, deleted.id], { action: 'hide', actor: 'Sam' });
+    assert.deepEqual(
+      hiddenNow.map(({ id, post }) => [id, Boolean(post?.hidden_at)]),
+      [
+        [hidden.id, true],
+        [deleted.id, false]
+      ]
+    );
+    assert.deepEqual((await ids({ filter: 'flagged' })).sort(), [reported.id, hidden.id].sort());
+    assert.deepEqual(await ids({ filter: 'deleted' }), [deleted.id]);
+    assert.equal((await store.listModeratedPosts({ filter: 'flagged', q: reported.id })).posts[0].report_count, 1);
+    assert.deepEqual(await ids({ q: 'CAPTION 3' }), [hidden.id]);
+    assert.deepEqual(await ids({ q: 'pet 0' }), [calm.id]);
+    assert.deepEqual(await ids({ q: '100%' }), []);
+    assert.deepEqual(
+      (await store.listPosts({ limit: 10 })).posts.map((row) => row.id).sort(),
+      [calm.id, reported.id].sort()
+    );
+
+    const restored = await store.moderatePosts([deleted.id, calm.id], { action: 'restore', reason: 'Oops' });
+    assert.deepEqual(
+      restored.map(({ post }) => Boolean(post)),
+      [true, false]
+    );
+    await store.moderatePosts([hidden.id, reported.id], { action: 'keep' });
+    assert.deepEqual(await ids({ filter: 'flagged' }), []);
+    assert.deepEqual(
+      (await store.getPostHistory(hidden.id)).map((event) => [event.action, event.actor]),
+      [
+        ['hide', 'Sam'],
+        ['dismiss', 'moderator']
+      ]
+    );
+
+    await assert.rejects(store.moderatePosts([calm.id], { action: 'purge' }), { code: 'PET_FEED_BAD_REQUEST' });
+    await assert.rejects(store.moderatePosts([], { action: 'delete' }), { code: 'PET_FEED_BAD_REQUEST' });
+    const tooMany = Array.from({ length: 51 }, (_, i) => `post-${i}`);
+    await assert.rejects(store.moderatePosts(tooMany, { action: 'delete' }), { code: 'PET_FEED_BAD_REQUEST' });
+  });
+
+  test(`${name} driver ranks search results by relevance`, { skip }, async () => {
+    const store = createPetFeedStore(await options());
+    const insert = (petName, petType, caption) => store.insertPost({ petName, petType, caption, imageUrl: '/x.jpg' });
+    await insert('Biscuit', 'Dog', 'Sleeping on warm beach sand');
+    await insert('Beach', 'Dog', 'Zoomies in the yard');
+    await insert('Mochi', 'Cat', 'Watching birds');
+
+    const ranked = await store.listPosts({ q: 'beach', sort: 'relevance', limit: 1 });
+    assert.deepEqual(
+      ranked.posts.map((row) => row.pet_name),
+      ['Beach']
+    );
+    const rest = await store.listPosts({ q: 'beach', sort: 'relevance', limit: 1, cursor: ranked.nextCursor });
+    assert.deepEqual(
+      rest.posts.map((row) => row.pet_name),
+      ['Biscuit']
+    );
+
+    const phrase = await store.listPosts({ q: '"warm beach"', limit: 10 });
+    assert.deepEqual(
+      phrase.posts.map((row) => row.pet_name),
+      ['Biscuit']
+    );
+    const reversed = await store.listPosts({ q: '"beach warm"', limit: 10 });
+    assert.deepEqual(reversed.posts, []);
+
+    const stemmed = await store.listPosts({ q: 'dogs sleep', limit: 10 });
+    assert.deepEqual(
+      stemmed.posts.map((row) => row.pet_name),
+      ['Biscuit']
+    );
+  });
+});
+
+test('fs driver reads posts.json written by the original Express backend', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'legacy-posts.json');
+  await fs.writeFile(
+    file,
+    JSON.stringify({
+      posts: [
+        {
+          id: 'legacy',
+          petName: 'Rex',
+          petType: 'pup',
+          caption: '',
+          createdAt: 1700000000000,
+          imagePath: '/uploads/legacy.jpg'
+        }
+      ]
+    })
+  );
+
+  const store = createPetFeedStore({ driver: 'fs', dir, files: { posts: file } });
+  const {
+    posts: [row]
+  } = await store.listPosts({ limit: 5 });
+  assert.equal(row.pet_name, 'Rex');
+  assert.equal(row.pet_type, 'Dog');
+  assert.equal((await store.listPosts({ type: 'dog' })).posts.length, 1);
+  assert.equal(row.image_url, '/uploads/legacy.jpg');
+  assert.equal(row.created_at, new Date(1700000000000).toISOString());
+});
+
+test('the sqlite driver says which Node.js it needs', { skip: hasNodeSqlite && 'node:sqlite is available' }, () => {
+  assert.throws(() => createPetFeedStore({ driver: 'sqlite', file: ':memory:' }), {
+    code: 'PET_FEED_DRIVER_UNAVAILABLE',
+    message: /22\.5 or newer/
+  });
+});
+
+test('unknown drivers are rejected up front', () => {
+  assert.throws(() => createPetFeedStore({ driver: 'mongo' }), { code: 'PET_FEED_UNKNOWN_DRIVER' });
+});
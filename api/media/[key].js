@@ -0,0 +1,49 @@
+const { json, queryParam } = require('../_petFeed/http');
+const { createFsObjectStore } = require('../_petFeed/objectStores');
+
+// A single "bytes=" range as [start, end], null for the whole file, or false
+// when it can't be satisfied. Video elements ask for ranges while seeking.
+const byteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  const start = match[1] ? Number(match[1]) : Math.max(0, size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  return start <= end && start < size ? [start, end] : false;
+};
+
+// Serves uploads kept in the local media store (no Blob configured). Names are
+// random or content-derived, so a file never changes once it is served.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    const file = await createFsObjectStore().read(queryParam(req, 'key'));
+    if (!file) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    const size = file.buffer.length;
+    const range = byteRange(req.headers?.range, size);
+    res.setHeader('Content-Type', file.mime);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (range === false) {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.end();
+      return;
+    }
+
+    const [start, end] = range || [0, size - 1];
+    res.statusCode = range ? 206 : 200;
+    if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', String(end - start + 1));
+    res.end(req.method === 'HEAD' ? undefined : file.buffer.subarray(start, end + 1));
+  } catch {
+    json(res, 500, { error: 'Server error.' });
+  }
+};
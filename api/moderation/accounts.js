@@ -0,0 +1,27 @@
+const { json, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator, moderatorAccounts } = require('../_petFeed/moderator');
+const { toApiModerator } = require('../_petFeed/moderatorAccounts');
+
+// Admins only. GET lists the accounts; POST { name, password, role } adds one.
+module.exports = async function handler(req, res) {
+  try {
+    if (!['GET', 'POST'].includes(req.method)) {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'admin'))) return;
+
+    if (req.method === 'GET') {
+      json(res, 200, { moderators: (await moderatorAccounts().list()).map(toApiModerator) });
+      return;
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const account = await moderatorAccounts().create({ name: body.name, password: body.password, role: body.role });
+    json(res, 201, { moderator: toApiModerator(account) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
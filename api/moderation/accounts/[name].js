@@ -0,0 +1,41 @@
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { authorizeModerator, moderatorAccounts } = require('../../_petFeed/moderator');
+const { toApiModerator } = require('../../_petFeed/moderatorAccounts');
+
+// Admins only. PATCH { role, password, disabled } changes an account; a new
+// password or disabling it ends its sessions. DELETE removes it.
+module.exports = async function handler(req, res) {
+  try {
+    if (!['PATCH', 'DELETE'].includes(req.method)) {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'admin'))) return;
+
+    const name = queryParam(req, 'name');
+    if (req.method === 'DELETE') {
+      if (!(await moderatorAccounts().remove(name))) {
+        json(res, 404, { error: 'Not found.' });
+        return;
+      }
+      json(res, 200, { ok: true });
+      return;
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const account = await moderatorAccounts().change(name, {
+      role: body.role,
+      password: body.password,
+      disabled: typeof body.disabled === 'boolean' ? body.disabled : undefined
+    });
+    if (!account) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+    json(res, 200, { moderator: toApiModerator(account) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,29 @@
+const { ensureSchema, moderatePosts } = require('../_petFeedStore');
+const { json, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator, getModerationMeta } = require('../_petFeed/moderator');
+const { toApiModeratedPost } = require('../_petFeed/rows');
+
+// POST { ids, action, reason } runs delete, restore, hide, keep, approve or
+// reject on up to 50 posts. Each result says whether the action applied to that
+// post (ok) and, if so, how the post looks now.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'moderator'))) return;
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    await ensureSchema();
+    const results = await moderatePosts(body.ids, { action: body.action, ...getModerationMeta(req) });
+    json(res, 200, {
+      action: body.action,
+      results: results.map(({ id, post }) => ({ id, ok: Boolean(post), post: post ? toApiModeratedPost(post) : null }))
+    });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,26 @@
+const { ensureSchema, listDuplicateClusters } = require('../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator } = require('../_petFeed/moderator');
+const { toApiDuplicateCluster } = require('../_petFeed/rows');
+
+// Groups of near-identical photos among recent posts (?days=&limit=).
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'viewer'))) return;
+
+    await ensureSchema();
+    const { since, clusters } = await listDuplicateClusters({
+      days: queryParam(req, 'days'),
+      limit: queryParam(req, 'limit')
+    });
+    json(res, 200, { since, clusters: clusters.map((rows) => toApiDuplicateCluster(rows)) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,26 @@
+const { json, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator, logInModerator } = require('../_petFeed/moderator');
+
+// POST { name, password } answers with a session token to send as
+// `Authorization: Bearer <token>`. GET tells who a token belongs to.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      if (!(await authorizeModerator(req, res, 'viewer'))) return;
+      const { name, role } = req.moderator;
+      json(res, 200, { moderator: { name, role } });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    await logInModerator(req, res, { name: String(body.name || ''), password: String(body.password || '') });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,29 @@
+const { ensureSchema, listPendingPosts } = require('../_petFeedStore');
+const { preModeration } = require('../_petFeed/config');
+const { json, queryParam, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator } = require('../_petFeed/moderator');
+const { toApiPost } = require('../_petFeed/rows');
+
+// Posts waiting for approval, oldest first (?limit=&cursor=). preModeration says
+// whether new posts are being held right now.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'viewer'))) return;
+
+    await ensureSchema();
+    const page = await listPendingPosts({ limit: queryParam(req, 'limit'), cursor: queryParam(req, 'cursor') });
+    json(res, 200, {
+      preModeration: preModeration(),
+      posts: page.posts.map((row) => toApiPost(row)),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
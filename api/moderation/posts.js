@@ -0,0 +1,30 @@
+const { ensureSchema, listModeratedPosts } = require('../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator } = require('../_petFeed/moderator');
+const { toApiModeratedPost } = require('../_petFeed/rows');
+
+// The moderator dashboard's grid, newest first
+// (?filter=recent|flagged|pending|deleted&q=&limit=&cursor=). q is an exact post
+// id or part of a caption or pet name.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'viewer'))) return;
+
+    await ensureSchema();
+    const page = await listModeratedPosts({
+      filter: queryParam(req, 'filter'),
+      q: queryParam(req, 'q'),
+      limit: queryParam(req, 'limit'),
+      cursor: queryParam(req, 'cursor')
+    });
+    json(res, 200, { posts: page.posts.map((row) => toApiModeratedPost(row)), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
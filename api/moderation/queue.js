@@ -0,0 +1,23 @@
+const { ensureSchema, listModerationQueue } = require('../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator } = require('../_petFeed/moderator');
+const { toApiReportedPost } = require('../_petFeed/rows');
+
+// Reported posts for review, hidden ones first (?limit=&cursor=).
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'viewer'))) return;
+
+    await ensureSchema();
+    const page = await listModerationQueue({ limit: queryParam(req, 'limit'), cursor: queryParam(req, 'cursor') });
+    json(res, 200, { posts: page.posts.map((row) => toApiReportedPost(row)), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
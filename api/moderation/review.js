@@ -0,0 +1,35 @@
+const { ensureSchema, reviewPost } = require('../_petFeedStore');
+const { json, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator, getModerationMeta } = require('../_petFeed/moderator');
+const { toApiPost } = require('../_petFeed/rows');
+
+// POST { id, action: 'keep' | 'remove', reason } settles a reported post.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'moderator'))) return;
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const id = String(body.id || '').trim();
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    await ensureSchema();
+    const post = await reviewPost(id, { action: body.action, ...getModerationMeta(req) });
+    if (!post) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    json(res, 200, { ok: true, action: body.action, post: toApiPost(post) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
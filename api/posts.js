@@ -2,70 +2,70 @@ const path = require('node:path');
 const fs = require('node:fs/promises');
 const crypto = require('node:crypto');
 
-const formidable = require('formidable');
-const { put } = require('@vercel/blob');
+const { formidable } = require('formidable');
 
-const { ensureSchema, listPosts, insertPost, makeCursor } = require('./_petFeedStore');
-
-const json = (res, status, body) => {
-  res.statusCode = status;
-  res.setHeader('Content-Type', 'application/json; charset=utf-8');
-  res.end(JSON.stringify(body));
-};
+const { ensureSchema, listPosts, insertPost, screenContent, screenDuplicate } = require('./_petFeedStore');
+const { hasBlobConfig, maxPhotos, sessionSecret, uploadSecret } = require('./_petFeed/config');
+const { createBadRequestError } = require('./_petFeed/errors');
+const { json, sendStoreError } = require('./_petFeed/http');
+const { beginIdempotentRequest, postFingerprint } = require('./_petFeed/idempotency');
+const { createImageVariants, perceptualHash, prepareImageUpload } = require('./_petFeed/images');
+const { createBlobObjectStore, createFsObjectStore } = require('./_petFeed/objectStores');
+const { openOwnerToken, sealOwnerToken } = require('./_petFeed/ownerTokens');
+const { rateLimit } = require('./_petFeed/rateLimits');
+const { toApiPost } = require('./_petFeed/rows');
+const {
+  createBlobUploadStore,
+  discardIfRejected,
+  readGrantedUpload,
+  removeStaged
+} = require('./_petFeed/uploadStores');
+const { postStills, prepareVideoUpload } = require('./_petFeed/videos');
 
 const badMethod = (res) => json(res, 405, { error: 'Method not allowed.' });
 
-const isoToMs = (iso) => {
-  const ms = Date.parse(iso);
-  return Number.isFinite(ms) ? ms : 0;
-};
-
-const extForMime = (mime) => {
-  switch (mime) {
-    case 'image/jpeg':
-      return 'jpg';
-    case 'image/png':
-      return 'png';
-    case 'image/webp':
-      return 'webp';
-    case 'image/gif':
-      return 'gif';
-    case 'image/avif':
-      return 'avif';
-    default:
-      return '';
-  }
-};
-
-const hasBlobConfig = () => Boolean(process.env.BLOB_READ_WRITE_TOKEN);
-
 const isBlobTokenError = (error) => String(error?.message || '').includes('Vercel Blob: No token found');
 
-const toDataUrl = (buffer, mime) => `data:${mime};base64,${buffer.toString('base64')}`;
-
-const persistImage = async ({ buffer, mime, ext }) => {
-  const fileName = `pet-photos/${crypto.randomUUID()}.${ext}`;
+// Blob when it's configured and takes the token; the local media store otherwise.
+const withObjectStore = async (save) => {
   if (hasBlobConfig()) {
     try {
-      const blob = await put(fileName, buffer, {
-        access: 'public',
-        contentType: mime
-      });
-      return blob.url;
+      return await save(createBlobObjectStore());
     } catch (error) {
       if (!isBlobTokenError(error)) throw error;
     }
   }
-
-  // Blob token is unavailable: keep the upload usable by storing the image inline.
-  return toDataUrl(buffer, mime);
+  return save(createFsObjectStore());
 };
 
+// Stores the photo and its resized copies side by side:
+// <uuid>.jpg, <uuid>-640w.webp, ...
+const persistImage = (image) =>
+  withObjectStore(async (store) => {
+    const base = crypto.randomUUID();
+    const imageUrl = await store.put(`${base}.${image.ext}`, image);
+    const imageVariants = [];
+    for (const variant of await createImageVariants(image)) {
+      const url = await store.put(`${base}-${variant.width}w.${variant.ext}`, variant);
+      imageVariants.push({ width: variant.width, format: variant.format, url });
+    }
+    return { imageUrl, imageVariants };
+  });
+
+const persistVideo = (video) =>
+  withObjectStore(async (store) => ({
+    videoUrl: await store.put(`${crypto.randomUUID()}.${video.ext}`, video),
+    mimeType: video.mime,
+    durationMs: video.durationMs
+  }));
+
 const parseMultipart = async (req) => {
+  const maxFileSize = Number(process.env.MAX_UPLOAD_BYTES || 6 * 1024 * 1024);
   const form = formidable({
-    multiples: false,
-    maxFiles: 1,
-    maxFileSize: Number(process.env.MAX_UPLOAD_BYTES || 6 * 1024 * 1024),
+    multiples: true,
+    maxFiles: maxPhotos(),
+    maxFileSize,
+    maxTotalFileSize: maxFileSize * maxPhotos(),
     allowEmptyFiles: false
   });
 
@@ -77,73 +77,163 @@ const parseMultipart = async (req) => {
   });
 };
 
+const isJson = (req) => String(req.headers?.['content-type'] || '').includes('application/json');
+
+const tooManyPhotos = () => createBadRequestError(`A post can have at most ${maxPhotos()} photos.`);
+
+const readFiles = async (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  const uploads = [];
+  for (const file of list.filter(Boolean)) {
+    uploads.push({ buffer: await fs.readFile(file.filepath), declaredMime: file.mimetype });
+  }
+  return uploads;
+};
+
+// Each "photo" field is one album photo, in form order. A clip post sends a
+// "clip" file and its "poster" frame instead.
+const readForm = async (req) => {
+  const { fields, files } = await parseMultipart(req);
+  const [clip] = await readFiles(files?.clip);
+  const [poster] = await readFiles(files?.poster);
+  return {
+    petName: fields?.petName?.toString?.() || '',
+    petType: fields?.petType?.toString?.() || '',
+    caption: fields?.caption?.toString?.() || '',
+    photos: await readFiles(files?.photo),
+    clip,
+    poster,
+    grants: []
+  };
+};
+
+// { uploads: [<grant token>, ...], petName, petType, caption }, or a single
+// { upload }; a clip post sends { clip, poster } tokens instead. The files were
+// sent straight to Blob with the grants, so they never pass through this function.
+const readCommit = async (body) => {
+  const fields = body && typeof body === 'object' ? body : {};
+  const tokens = Array.isArray(fields.uploads) ? fields.uploads : [fields.upload].filter(Boolean);
+  if (tokens.length > maxPhotos()) throw tooManyPhotos();
+  const store = createBlobUploadStore();
+  const grants = [];
+  const read = async (token) => {
+    const { grant, buffer } = await readGrantedUpload(store, token, { secret: uploadSecret() });
+    grants.push(grant);
+    return { buffer, declaredMime: grant.contentType };
+  };
+  const photos = [];
+  for (const token of tokens) photos.push(await read(token));
+  return {
+    petName: String(fields.petName || ''),
+    petType: String(fields.petType || ''),
+    caption: String(fields.caption || ''),
+    photos,
+    clip: fields.clip ? await read(fields.clip) : undefined,
+    poster: fields.poster ? await read(fields.poster) : undefined,
+    grants
+  };
+};
+
+// Checks and stores the files, then inserts the post. Resolves to the 201 body,
+// { post, ownerToken }, or null when there is no photo.
+const createPost = async ({ petName, petType, caption, photos, clip, poster, grants }) => {
+  const stills = postStills({ photos, clip, poster });
+  if (!stills.length) return null;
+
+  // The text and every photo and the clip are checked before any of them is stored.
+  // Direct uploads of a post they reject are removed right away.
+  const uploads = createBlobUploadStore();
+  const { heldFor, video, prepared, duplicateOf } = await discardIfRejected(uploads, grants, async () => {
+    const checked = { ...screenContent({ petName, caption }), prepared: [], duplicateOf: null };
+    checked.video = clip ? await prepareVideoUpload(clip) : null;
+    for (const photo of stills) {
+      // The type comes from the bytes, not the client's label. EXIF (GPS, camera
+      // serials) is stripped after the orientation is baked in.
+      const image = await prepareImageUpload(photo);
+      // Repeats are caught before anything is stored; see PET_FEED_DUPLICATES.
+      const imageHash = await perceptualHash(image.buffer);
+      const screened = await screenDuplicate(imageHash, { album: checked.prepared.map((item) => item.imageHash) });
+      checked.duplicateOf = checked.duplicateOf || screened.duplicateOf;
+      checked.prepared.push({ image, imageHash });
+    }
+    return checked;
+  });
+
+  const stored = video ? await persistVideo(video) : null;
+  const images = [];
+  for (const { image, imageHash } of prepared) {
+    images.push({ ...(await persistImage(image)), imageHash });
+  }
+  const row = await insertPost({ petName, petType, caption, images, video: stored, duplicateOf, heldFor });
+
+  await removeStaged(uploads, grants);
+
+  return { post: toApiPost(row), ownerToken: row.owner_token };
+};
+
 module.exports = async function handler(req, res) {
   try {
     if (req.method === 'GET') {
+      if (!(await rateLimit(req, res, 'feed'))) return;
       await ensureSchema();
 
       const limit = req.query?.limit;
       const sort = req.query?.sort;
       const q = req.query?.q;
+      const type = req.query?.type;
       const cursor = req.query?.cursor;
 
-      const rows = await listPosts({ limit, sort, q, cursor });
-      const next = rows.length ? rows[rows.length - 1] : null;
+      const { posts, nextCursor } = await listPosts({
+        limit,
+        sort,
+        q,
+        type,
+        cursor,
+        deviceToken: req.headers?.['x-device-token']
+      });
 
       json(res, 200, {
-        posts: rows.map((r) => ({
-          id: r.id,
-          petName: r.pet_name,
-          petType: r.pet_type,
-          caption: r.caption,
-          createdAt: isoToMs(r.created_at),
-          imageUrl: r.image_url
-        })),
-        nextCursor: next ? makeCursor({ createdAt: next.created_at, id: next.id }) : null
+        posts: posts.map((r) => toApiPost(r)),
+        nextCursor
       });
       return;
     }
 
     if (req.method === 'POST') {
+      if (!(await rateLimit(req, res, 'post'))) return;
       await ensureSchema();
 
-      const { fields, files } = await parseMultipart(req);
-      const petName = fields?.petName?.toString?.() || '';
-      const petType = fields?.petType?.toString?.() || '';
-      const caption = fields?.caption?.toString?.() || '';
-
-      const photo = files?.photo;
-      const file = Array.isArray(photo) ? photo[0] : photo;
-      if (!file) {
-        json(res, 400, { error: 'Missing photo file (field name must be "photo").' });
+      // A form is parsed up front so its files count towards the fingerprint; a
+      // JSON commit is fingerprinted by its upload tokens before they are read.
+      const form = isJson(req) ? null : await readForm(req);
+      const attempt = await beginIdempotentRequest(req, postFingerprint(form || req.body));
+      if (attempt.replay) {
+        const { post, sealedOwnerToken } = attempt.replay.body;
+        res.setHeader('Idempotent-Replayed', 'true');
+        json(res, attempt.replay.status, { post, ownerToken: openOwnerToken(sealedOwnerToken, sessionSecret()) });
         return;
       }
 
-      const mime = file.mimetype || '';
-      const ext = extForMime(mime);
-      if (!ext) {
-        json(res, 415, { error: 'Unsupported image type. Please upload JPG/PNG/WebP/GIF/AVIF.' });
+      let body;
+      try {
+        body = await createPost(form || (await readCommit(req.body)));
+      } catch (error) {
+        await attempt.abandon();
+        throw error;
+      }
+      if (!body) {
+        await attempt.abandon();
+        json(res, 400, { error: 'Missing photo file (field name must be "photo").' });
         return;
       }
 
-      const buf = await fs.readFile(file.filepath);
-      const row = await insertPost({
-        petName,
-        petType,
-        caption,
-        imageUrl: await persistImage({ buffer: buf, mime, ext })
-      });
-
-      json(res, 201, {
-        post: {
-          id: row.id,
-          petName: row.pet_name,
-          petType: row.pet_type,
-          caption: row.caption,
-          createdAt: isoToMs(row.created_at),
-          imageUrl: row.image_url
-        }
+      // The idempotency record only holds the owner token sealed, for a retry
+      // whose first response was lost.
+      await attempt.finish(201, {
+        post: body.post,
+        sealedOwnerToken: sealOwnerToken(body.ownerToken, sessionSecret())
       });
+      json(res, 201, body);
       return;
     }
 
@@ -155,14 +245,15 @@ module.exports = async function handler(req, res) {
       return;
     }
     // Formidable v3 uses http errors sometimes
-    if (String(error?.message || '').toLowerCase().includes('maxfilesize')) {
+    if (/maxfilesize|maxtotalfilesize/.test(String(error?.message || '').toLowerCase())) {
       json(res, 413, { error: 'File too large.' });
       return;
     }
-    if (error?.code === 'PET_FEED_STORAGE_UNAVAILABLE') {
-      json(res, 503, { error: 'Public feed storage is not configured on the server.' });
+    if (String(error?.message || '').toLowerCase().includes('maxfiles')) {
+      json(res, 400, { error: tooManyPhotos().message });
       return;
     }
+    if (sendStoreError(res, error)) return;
     json(res, 500, { error: 'Server error.' });
   } finally {
     // best-effort cleanup of formidable tmp file if present
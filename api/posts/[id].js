@@ -1,23 +1,8 @@
-const { del } = require('@vercel/blob');
-const { ensureSchema, deletePostById } = require('../_petFeedStore');
-
-const json = (res, status, body) => {
-  res.statusCode = status;
-  res.setHeader('Content-Type', 'application/json; charset=utf-8');
-  res.end(JSON.stringify(body));
-};
-
-const getBearerToken = (req) => {
-  const auth = String(req.headers?.authorization || '');
-  if (!auth.startsWith('Bearer ')) return '';
-  return auth.slice('Bearer '.length).trim();
-};
-
-const getModeratorPassword = (req) => {
-  const fromHeader = String(req.headers?.['x-moderator-password'] || '').trim();
-  if (fromHeader) return fromHeader;
-  return getBearerToken(req);
-};
+const { ensureSchema, deleteOwnPost, deletePostById } = require('../_petFeedStore');
+const { deleteRetentionMs } = require('../_petFeed/config');
+const { json, queryParam, sendStoreError } = require('../_petFeed/http');
+const { authorizeModerator, getModerationMeta } = require('../_petFeed/moderator');
+const { toMs } = require('../_petFeed/rows');
 
 module.exports = async function handler(req, res) {
   try {
@@ -26,40 +11,29 @@ module.exports = async function handler(req, res) {
       return;
     }
 
-    // Keep moderation intentionally simple: shared password, no usernames.
-    const moderatorPassword = String(process.env.MODERATOR_PASSWORD || 'Remove').trim();
-    const password = getModeratorPassword(req);
-    if (!password || password !== moderatorPassword) {
-      json(res, 401, { error: 'Unauthorized.' });
-      return;
-    }
+    // The uploader proves ownership with the token from their POST /api/posts
+    // response; everyone else needs a moderator login.
+    const ownerToken = String(req.headers?.['x-owner-token'] || '').trim();
+    if (!ownerToken && !(await authorizeModerator(req, res, 'moderator'))) return;
 
-    const rawId = req.query?.id;
-    const id = String(Array.isArray(rawId) ? rawId[0] : rawId || '').trim();
+    const id = queryParam(req, 'id');
     if (!id) {
       json(res, 400, { error: 'Missing id.' });
       return;
     }
 
+    // Soft delete: the image is kept until /api/purge runs after the retention window.
     await ensureSchema();
-    const removed = await deletePostById(id);
+    const removed = ownerToken ? await deleteOwnPost(id, ownerToken) : await deletePostById(id, getModerationMeta(req));
     if (!removed) {
       json(res, 404, { error: 'Not found.' });
       return;
     }
 
-    // Best-effort delete of blob object.
-    if (removed.image_url && /^https?:\/\//i.test(removed.image_url)) {
-      del(removed.image_url).catch(() => {});
-    }
-
-    json(res, 200, { ok: true });
+    const deletedAt = toMs(removed.deleted_at);
+    json(res, 200, { ok: true, deletedAt, purgeAfter: deletedAt + deleteRetentionMs() });
   } catch (error) {
-    if (error?.code === 'PET_FEED_STORAGE_UNAVAILABLE') {
-      json(res, 503, { error: 'Public feed storage is not configured on the server.' });
-      return;
-    }
+    if (sendStoreError(res, error)) return;
     json(res, 500, { error: 'Server error.' });
   }
 };
-
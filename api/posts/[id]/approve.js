@@ -0,0 +1,34 @@
+const { ensureSchema, approvePost } = require('../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { authorizeModerator, getModerationMeta } = require('../../_petFeed/moderator');
+const { toApiPost } = require('../../_petFeed/rows');
+
+// POST publishes a post held by pre-moderation.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'moderator'))) return;
+
+    const id = queryParam(req, 'id');
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    await ensureSchema();
+    const post = await approvePost(id, getModerationMeta(req));
+    if (!post) {
+      json(res, 404, { error: 'No pending post with that id.' });
+      return;
+    }
+
+    json(res, 200, { ok: true, post: toApiPost(post) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,50 @@
+const { addComment, ensureSchema, listComments } = require('../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { rateLimit } = require('../../_petFeed/rateLimits');
+const { toApiComment } = require('../../_petFeed/rows');
+
+// GET lists a post's comments oldest first (?limit=&cursor=); POST
+// { authorName, body, parentId } adds one.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    const id = queryParam(req, 'id');
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    if (!(await rateLimit(req, res, req.method === 'GET' ? 'feed' : 'comment'))) return;
+    await ensureSchema();
+
+    if (req.method === 'GET') {
+      const page = await listComments(id, { limit: queryParam(req, 'limit'), cursor: queryParam(req, 'cursor') });
+      if (!page) {
+        json(res, 404, { error: 'Not found.' });
+        return;
+      }
+      json(res, 200, { comments: page.comments.map(toApiComment), nextCursor: page.nextCursor });
+      return;
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const comment = await addComment(id, {
+      authorName: body.authorName,
+      body: body.body,
+      parentId: body.parentId
+    });
+    if (!comment) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    json(res, 201, { comment: toApiComment(comment) });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,34 @@
+const { deleteComment, ensureSchema } = require('../../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../../_petFeed/http');
+const { authorizeModerator, getModerationMeta } = require('../../../_petFeed/moderator');
+
+// Moderator-only. Hides the comment and its replies; takes an optional { reason }.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'DELETE') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'moderator'))) return;
+
+    const id = queryParam(req, 'id');
+    const commentId = queryParam(req, 'commentId');
+    if (!id || !commentId) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    await ensureSchema();
+    const removed = await deleteComment(id, commentId, getModerationMeta(req));
+    if (!removed) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    json(res, 200, { ok: true });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,43 @@
+const { ensureSchema, getPostById, getPostHistory } = require('../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { authorizeModerator } = require('../../_petFeed/moderator');
+const { toApiEvent, toMs } = require('../../_petFeed/rows');
+
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await authorizeModerator(req, res, 'viewer'))) return;
+
+    const id = queryParam(req, 'id');
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    await ensureSchema();
+    const [post, events] = await Promise.all([getPostById(id, { includeDeleted: true }), getPostHistory(id)]);
+    if (!post && !events.length) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    // Purged posts keep their history; `deleted` then reflects the last known state.
+    json(res, 200, {
+      id,
+      exists: Boolean(post),
+      deleted: post ? Boolean(post.deleted_at) : true,
+      deletedAt: post?.deleted_at ? toMs(post.deleted_at) : null,
+      deletedBy: post?.deleted_by || null,
+      deleteReason: post?.delete_reason || null,
+      pending: Boolean(post?.pending_at),
+      events: events.map(toApiEvent)
+    });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,38 @@
+const { ensureSchema, reactToPost } = require('../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { rateLimit } = require('../../_petFeed/rateLimits');
+
+// POST { reaction } adds this device's reaction; DELETE ?reaction= withdraws it.
+// Both answer with the post's current counts and this device's reactions.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    const id = queryParam(req, 'id');
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    if (!(await rateLimit(req, res, 'react'))) return;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    await ensureSchema();
+    const result = await reactToPost(id, {
+      reaction: body.reaction || queryParam(req, 'reaction'),
+      deviceToken: req.headers?.['x-device-token'],
+      remove: req.method === 'DELETE'
+    });
+    if (!result) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    json(res, 200, { reactions: result.reactions, myReactions: result.my_reactions });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
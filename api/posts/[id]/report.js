@@ -0,0 +1,38 @@
+const { ensureSchema, reportPost } = require('../../_petFeedStore');
+const { json, queryParam, sendStoreError } = require('../../_petFeed/http');
+const { rateLimit } = require('../../_petFeed/rateLimits');
+
+// POST { reason, details } files this device's report. Reporting the same post
+// twice is accepted but only counted once.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    const id = queryParam(req, 'id');
+    if (!id) {
+      json(res, 400, { error: 'Missing id.' });
+      return;
+    }
+
+    if (!(await rateLimit(req, res, 'report'))) return;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    await ensureSchema();
+    const result = await reportPost(id, {
+      reason: body.reason,
+      details: body.details,
+      deviceToken: req.headers?.['x-device-token']
+    });
+    if (!result) {
+      json(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    json(res, 202, { ok: true, alreadyReported: !result.added });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
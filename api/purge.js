@@ -0,0 +1,40 @@
+const { ensureSchema, purgeDeletedPosts } = require('./_petFeedStore');
+const { hasBlobConfig } = require('./_petFeed/config');
+const { json, sendStoreError } = require('./_petFeed/http');
+const { sweepIdempotencyKeys } = require('./_petFeed/idempotency');
+const { authorizeModerator, isCronRequest } = require('./_petFeed/moderator');
+const { createBlobObjectStore, createFsObjectStore } = require('./_petFeed/objectStores');
+const { sweepRateLimits } = require('./_petFeed/rateLimits');
+const { UPLOAD_TTL_MS } = require('./_petFeed/uploadGrants');
+const { createBlobUploadStore } = require('./_petFeed/uploadStores');
+
+// Blob objects and local /media files are deleted; each store skips the other's URLs.
+const removeImage = async (url) => {
+  await createBlobObjectStore().remove(url);
+  await createFsObjectStore().remove(url);
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    json(res, 405, { error: 'Method not allowed.' });
+    return;
+  }
+
+  try {
+    if (!isCronRequest(req) && !(await authorizeModerator(req, res, 'admin'))) return;
+
+    await ensureSchema();
+    const { before, purged } = await purgeDeletedPosts({ removeImage });
+    // Direct uploads whose post was never committed.
+    const staleUploads = hasBlobConfig()
+      ? await createBlobUploadStore().sweep({ before: Date.now() - 2 * UPLOAD_TTL_MS })
+      : 0;
+    // Rate limit windows that have ended, forgotten login failures and expired Idempotency-Keys.
+    const staleRateLimits = await sweepRateLimits();
+    const staleIdempotencyKeys = await sweepIdempotencyKeys();
+    json(res, 200, { ok: true, before, purged, staleUploads, staleRateLimits, staleIdempotencyKeys });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,23 @@
+const { reconcile } = require('./_petFeedStore');
+const { json, sendStoreError } = require('./_petFeed/http');
+const { authorizeModerator, isCronRequest } = require('./_petFeed/moderator');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    json(res, 405, { error: 'Method not allowed.' });
+    return;
+  }
+
+  try {
+    if (!isCronRequest(req) && !(await authorizeModerator(req, res, 'admin'))) return;
+
+    const rawDryRun = String(req.query?.dryRun || '').toLowerCase();
+    const dryRun = ['1', 'true', 'yes'].includes(rawDryRun);
+    const report = await reconcile({ dryRun });
+    json(res, 200, report);
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    console.warn('Could not reconcile pet feed posts.', error?.message || error);
+    json(res, 500, { error: 'Server error.' });
+  }
+};
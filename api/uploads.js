@@ -0,0 +1,31 @@
+const { directUploadMaxBytes, hasBlobConfig, uploadSecret } = require('./_petFeed/config');
+const { createStorageUnavailableError } = require('./_petFeed/errors');
+const { json, sendStoreError } = require('./_petFeed/http');
+const { rateLimit } = require('./_petFeed/rateLimits');
+const { createUploadGrant } = require('./_petFeed/uploadGrants');
+const { createBlobUploadStore } = require('./_petFeed/uploadStores');
+
+// Step one of a direct upload: { contentType, size } in, a short-lived grant
+// and the request to upload the photo with out. The post is committed with
+// POST /api/posts { upload: token, ... } once the upload has finished.
+module.exports = async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      json(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+
+    if (!(await rateLimit(req, res, 'upload'))) return;
+
+    // Without Blob there is nowhere to upload to; the app falls back to a form post.
+    if (!hasBlobConfig()) throw createStorageUnavailableError();
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const grant = createUploadGrant(body, { secret: uploadSecret(), maxBytes: directUploadMaxBytes() });
+    const upload = await createBlobUploadStore().target(grant);
+    json(res, 201, { ...grant, upload });
+  } catch (error) {
+    if (sendStoreError(res, error)) return;
+    json(res, 500, { error: 'Server error.' });
+  }
+};
@@ -0,0 +1,548 @@
+(() => {
+  const apiMeta = document.querySelector('meta[name="happy-pet-photos-api-base"]');
+  const apiFromMeta = (apiMeta?.getAttribute('content') || '').trim();
+  const API_BASE = (window.HAPPY_PET_PHOTOS_API_BASE || apiFromMeta || '').replace(/\/+$/, '');
+  const apiUrl = (path) => `${API_BASE}${path}`;
+  // Shared with pet-photos-app.js, so logging in on either page covers both.
+  const MODERATOR_SESSION_KEY = 'happyPetModeratorSession:v1';
+  const PAGE_SIZE = 24;
+  // Mirrors BULK_LIMIT in api/_petFeedStore.js.
+  const BULK_LIMIT = 50;
+  // Mirrors ROLES in api/_petFeed/moderatorAccounts.js.
+  const ROLES = ['viewer', 'moderator', 'admin'];
+
+  // Past tense for status messages, and whether to ask before running.
+  const BULK_ACTIONS = {
+    delete: { done: 'deleted', confirm: true },
+    hide: { done: 'hidden' },
+    restore: { done: 'restored' },
+    keep: { done: 'kept and shown again' },
+    approve: { done: 'approved' },
+    reject: { done: 'rejected', confirm: true }
+  };
+
+  const EVENT_LABELS = {
+    delete: 'Deleted',
+    restore: 'Restored',
+    purge: 'Purged',
+    hide: 'Hidden',
+    dismiss: 'Reports dismissed',
+    approve: 'Approved',
+    reject: 'Rejected'
+  };
+
+  const qs = (selector, scope = document) => scope.querySelector(selector);
+  const qsa = (selector, scope = document) => Array.from(scope.querySelectorAll(selector));
+
+  const els = {
+    loginPanel: qs('[data-login-panel]'),
+    loginForm: qs('[data-login-form]'),
+    loginSubmit: qs('[data-login-submit]'),
+    loginStatus: qs('[data-login-status]'),
+    dashboard: qs('[data-dashboard]'),
+    sessionLabel: qs('[data-session-label]'),
+    logOut: qs('[data-log-out]'),
+    filters: qsa('[data-filter]'),
+    searchForm: qs('[data-search-form]'),
+    search: qs('[data-search]'),
+    selectAll: qs('[data-select-all]'),
+    selectedCount: qs('[data-selected-count]'),
+    reason: qs('[data-reason]'),
+    bulkButtons: qsa('[data-bulk]'),
+    status: qs('[data-status]'),
+    grid: qs('[data-grid]'),
+    empty: qs('[data-empty]'),
+    loadMore: qs('[data-load-more]'),
+    pageStatus: qs('[data-page-status]')
+  };
+
+  if (!els.dashboard || !els.grid) return;
+
+  const state = {
+    moderator: null,
+    // The shared password is only kept in memory, never in storage.
+    sharedPassword: '',
+    filter: 'recent',
+    q: '',
+    posts: [],
+    cursor: null,
+    hasMore: false,
+    isLoading: false,
+    isBusy: false,
+    selected: new Set()
+  };
+
+  const safeText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const humanDate = (timestamp) => {
+    try {
+      return new Date(timestamp).toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    } catch {
+      return '';
+    }
+  };
+
+  const setFormStatus = (el, type, message) => {
+    if (!el) return;
+    el.classList.remove('form-status--success', 'form-status--error');
+    if (!message) {
+      el.hidden = true;
+      el.textContent = '';
+      return;
+    }
+    if (type === 'success') el.classList.add('form-status--success');
+    if (type === 'error') el.classList.add('form-status--error');
+    el.hidden = false;
+    el.textContent = message;
+  };
+
+  const setStatus = (type, message) => setFormStatus(els.status, type, message);
+
+  const readSession = () => {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(MODERATOR_SESSION_KEY) || 'null');
+      return session?.token && session.expiresAt > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const saveSession = (session) => {
+    try {
+      sessionStorage.setItem(MODERATOR_SESSION_KEY, JSON.stringify(session));
+    } catch {
+      // ignore
+    }
+  };
+
+  const forgetSession = () => {
+    state.sharedPassword = '';
+    try {
+      sessionStorage.removeItem(MODERATOR_SESSION_KEY);
+    } catch {
+      // ignore
+    }
+  };
+
+  const credentials = () => {
+    if (state.sharedPassword) return { 'x-moderator-password': state.sharedPassword };
+    const session = readSession();
+    return session ? { Authorization: `Bearer ${session.token}` } : {};
+  };
+
+  // Resolves to the parsed JSON body. A 401 means the session is over, so the
+  // login form comes back.
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const headers = { ...credentials() };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(apiUrl(path), {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (res.status === 401) {
+        forgetSession();
+        showLogin('Your session has ended. Please log in again.');
+      }
+      throw new Error(data?.error || `Request failed (${res.status}).`);
+    }
+    return data;
+  };
+
+  const canChange = () => ROLES.indexOf(state.moderator?.role) >= ROLES.indexOf('moderator');
+
+  const showLogin = (message) => {
+    state.moderator = null;
+    els.dashboard.hidden = true;
+    if (els.loginPanel) els.loginPanel.hidden = false;
+    setFormStatus(els.loginStatus, message ? 'error' : null, message || '');
+  };
+
+  const showDashboard = () => {
+    if (els.loginPanel) els.loginPanel.hidden = true;
+    els.dashboard.hidden = false;
+    if (els.sessionLabel) {
+      const { name, role } = state.moderator;
+      els.sessionLabel.textContent = name === 'shared' ? 'Shared password' : `${name} (${role})`;
+    }
+    els.bulkButtons.forEach((button) => {
+      button.hidden = !canChange();
+    });
+    if (els.reason) els.reason.hidden = !canChange();
+  };
+
+  // Who the stored session (or shared password) belongs to, or null.
+  const whoAmI = async () => {
+    try {
+      const { moderator } = await request('/api/moderation/login');
+      return moderator || null;
+    } catch {
+      return null;
+    }
+  };
+
+  const logIn = async (name, password) => {
+    if (!name) {
+      state.sharedPassword = password;
+      return whoAmI();
+    }
+    const data = await request('/api/moderation/login', { method: 'POST', body: { name, password } });
+    if (!data?.token) throw new Error('Could not log in.');
+    saveSession({ token: data.token, expiresAt: data.expiresAt });
+    return data.moderator || { name, role: 'viewer' };
+  };
+
+  const updateSelection = () => {
+    qsa('[data-post-id]', els.grid).forEach((card) => {
+      const selected = state.selected.has(card.getAttribute('data-post-id'));
+      card.classList.toggle('is-selected', selected);
+      const box = qs('[data-select]', card);
+      if (box) box.checked = selected;
+    });
+    const count = state.selected.size;
+    if (els.selectedCount) els.selectedCount.textContent = `${count} selected`;
+    if (els.selectAll) {
+      els.selectAll.checked = count > 0 && count === state.posts.length;
+      els.selectAll.indeterminate = count > 0 && count < state.posts.length;
+    }
+    els.bulkButtons.forEach((button) => {
+      button.disabled = state.isBusy || !count;
+    });
+  };
+
+  const pill = (text, modifier) => {
+    const label = document.createElement('span');
+    label.className = modifier ? `label label--${modifier}` : 'label';
+    label.textContent = text;
+    return label;
+  };
+
+  const buildHistory = (post) => {
+    const details = document.createElement('details');
+    details.className = 'mod-history';
+    const summary = document.createElement('summary');
+    summary.textContent = 'History';
+    const list = document.createElement('ul');
+    details.append(summary, list);
+
+    details.addEventListener('toggle', async () => {
+      if (!details.open || details.dataset.loaded) return;
+      list.innerHTML = '<li>Loading…</li>';
+      try {
+        const { events } = await request(`/api/posts/${encodeURIComponent(post.id)}/history`);
+        details.dataset.loaded = 'true';
+        list.innerHTML = '';
+        if (!events?.length) {
+          list.innerHTML = '<li>No moderation yet.</li>';
+          return;
+        }
+        events.forEach((event) => {
+          const item = document.createElement('li');
+          const who = event.actor ? ` by ${event.actor}` : '';
+          const why = event.reason ? ` — ${event.reason}` : '';
+          item.textContent = `${EVENT_LABELS[event.action] || event.action}${who}, ${humanDate(event.createdAt)}${why}`;
+          list.appendChild(item);
+        });
+      } catch (error) {
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.textContent = error?.message || 'Could not load history.';
+        list.appendChild(item);
+      }
+    });
+    return details;
+  };
+
+  const buildCard = (post) => {
+    const card = document.createElement('article');
+    card.className = 'pet-post mod-card';
+    card.setAttribute('data-post-id', post.id);
+
+    const select = document.createElement('label');
+    select.className = 'mod-card__select';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.setAttribute('data-select', '');
+    box.setAttribute('aria-label', `Select ${safeText(post.petName) || 'post'}`);
+    box.addEventListener('change', () => {
+      if (box.checked) state.selected.add(post.id);
+      else state.selected.delete(post.id);
+      updateSelection();
+    });
+    select.appendChild(box);
+
+    // Clips show their poster frame; open the post's media from the link below.
+    const image = document.createElement('img');
+    image.className = 'pet-post__image';
+    image.alt = safeText(post.caption) || `${safeText(post.petName) || 'Pet'} photo`;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.src = post.imageUrl;
+
+    const body = document.createElement('div');
+    body.className = 'pet-post__body';
+
+    const title = document.createElement('div');
+    title.className = 'pet-post__title';
+    const name = document.createElement('h3');
+    name.textContent = safeText(post.petName) || 'Unnamed pet';
+    const pills = document.createElement('div');
+    pills.className = 'pet-post__pills';
+    if (post.deletedAt) pills.appendChild(pill('Deleted', 'orange'));
+    else if (post.hiddenAt) pills.appendChild(pill('Hidden', 'orange'));
+    if (post.status === 'pending') {
+      pills.appendChild(pill(post.heldFor === 'premoderation' ? 'Awaiting review' : `Held: ${post.heldFor}`, 'gold'));
+    }
+    if (post.reportCount)
+      pills.appendChild(pill(`${post.reportCount} report${post.reportCount === 1 ? '' : 's'}`, 'blue'));
+    if (post.duplicateOf) pills.appendChild(pill('Possible duplicate'));
+    if (post.mediaType === 'video') pills.appendChild(pill('Clip', 'green'));
+    else if (post.images?.length > 1) pills.appendChild(pill(`${post.images.length} photos`, 'green'));
+    title.append(name, pills);
+
+    const caption = document.createElement('p');
+    caption.className = 'pet-post__caption';
+    caption.textContent = safeText(post.caption) || 'No caption.';
+
+    const meta = document.createElement('p');
+    meta.className = 'small-print mod-card__meta';
+    const parts = [`${safeText(post.petType) || 'Pet'} · ${humanDate(post.createdAt)}`, `ID ${post.id}`];
+    if (post.deletedAt) {
+      const why = post.deleteReason ? `: ${post.deleteReason}` : '';
+      parts.push(`Deleted by ${post.deletedBy || 'a moderator'} ${humanDate(post.deletedAt)}${why}`);
+    }
+    meta.textContent = parts.join('\n');
+
+    const actions = document.createElement('div');
+    actions.className = 'pet-post__actions';
+    const open = document.createElement('a');
+    open.className = 'btn btn-outline';
+    open.href = post.mediaType === 'video' && post.video?.url ? post.video.url : post.imageUrl;
+    open.target = '_blank';
+    open.rel = 'noopener';
+    open.textContent = 'Open';
+    actions.appendChild(open);
+
+    // Single posts go through the same endpoints as the public feed's Remove button.
+    if (canChange()) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'btn btn-outline';
+      toggle.textContent = post.deletedAt ? 'Restore' : 'Delete';
+      toggle.addEventListener('click', () => (post.deletedAt ? restoreOne(post) : deleteOne(post)));
+      actions.appendChild(toggle);
+    }
+
+    body.append(title, caption, meta, actions, buildHistory(post));
+    card.append(select, image, body);
+    return card;
+  };
+
+  const render = () => {
+    els.grid.innerHTML = '';
+    if (els.empty) {
+      els.empty.hidden = state.posts.length > 0;
+      if (!els.empty.hidden) els.grid.appendChild(els.empty);
+    }
+    state.posts.forEach((post) => els.grid.appendChild(buildCard(post)));
+    updateSelection();
+
+    if (els.loadMore) {
+      els.loadMore.disabled = state.isLoading || !state.hasMore;
+      els.loadMore.textContent = state.hasMore ? 'Load more' : 'No more posts';
+    }
+    if (els.pageStatus) {
+      els.pageStatus.textContent = state.isLoading
+        ? 'Loading…'
+        : `${state.posts.length} post${state.posts.length === 1 ? '' : 's'} shown`;
+    }
+  };
+
+  const fetchPage = async ({ reset = false } = {}) => {
+    if (state.isLoading) return;
+    if (reset) {
+      state.posts = [];
+      state.cursor = null;
+      state.hasMore = false;
+      state.selected.clear();
+    }
+    state.isLoading = true;
+    render();
+
+    try {
+      const params = new URLSearchParams({ filter: state.filter, limit: String(PAGE_SIZE) });
+      if (state.q) params.set('q', state.q);
+      if (state.cursor) params.set('cursor', state.cursor);
+      const data = await request(`/api/moderation/posts?${params}`);
+      const seen = new Set(state.posts.map((post) => post.id));
+      state.posts = state.posts.concat((data.posts || []).filter((post) => !seen.has(post.id)));
+      state.cursor = data.nextCursor || null;
+      state.hasMore = Boolean(state.cursor);
+    } catch (error) {
+      setStatus('error', error?.message || 'Could not load posts.');
+    } finally {
+      state.isLoading = false;
+      render();
+    }
+  };
+
+  const setBusy = (busy) => {
+    state.isBusy = busy;
+    updateSelection();
+  };
+
+  const runBulk = async (action) => {
+    const ids = Array.from(state.selected);
+    const config = BULK_ACTIONS[action];
+    if (!config || !ids.length || state.isBusy) return;
+    if (ids.length > BULK_LIMIT) {
+      setStatus('error', `Pick at most ${BULK_LIMIT} posts at a time.`);
+      return;
+    }
+    const noun = `${ids.length} post${ids.length === 1 ? '' : 's'}`;
+    if (config.confirm && !window.confirm(`${action === 'delete' ? 'Delete' : 'Reject'} ${noun}?`)) return;
+
+    setBusy(true);
+    setStatus(null, '');
+    try {
+      const { results = [] } = await request('/api/moderation/bulk', {
+        method: 'POST',
+        body: { ids, action, reason: safeText(els.reason?.value) }
+      });
+      const changed = results.filter((result) => result.ok).length;
+      const skipped = results.length - changed;
+      setStatus(
+        changed ? 'success' : 'error',
+        `${changed} of ${noun} ${config.done}.${skipped ? ` ${skipped} didn't apply to this action.` : ''}`
+      );
+      if (els.reason) els.reason.value = '';
+      await fetchPage({ reset: true });
+    } catch (error) {
+      setStatus('error', error?.message || 'Could not update posts.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteOne = async (post) => {
+    if (!window.confirm(`Delete ${safeText(post.petName) || 'this post'}?`)) return;
+    try {
+      const { purgeAfter } = await request(`/api/posts/${encodeURIComponent(post.id)}`, {
+        method: 'DELETE',
+        body: { reason: safeText(els.reason?.value) }
+      });
+      setStatus(
+        'success',
+        purgeAfter
+          ? `Post deleted. It can be restored until ${new Date(purgeAfter).toLocaleDateString()}.`
+          : 'Post deleted.'
+      );
+      await fetchPage({ reset: true });
+    } catch (error) {
+      setStatus('error', error?.message || 'Could not delete post.');
+    }
+  };
+
+  const restoreOne = async (post) => {
+    try {
+      await request(`/api/posts/${encodeURIComponent(post.id)}/restore`, {
+        method: 'POST',
+        body: { reason: safeText(els.reason?.value) }
+      });
+      setStatus('success', 'Post restored.');
+      await fetchPage({ reset: true });
+    } catch (error) {
+      setStatus('error', error?.message || 'Could not restore post.');
+    }
+  };
+
+  const setFilter = (filter) => {
+    state.filter = filter;
+    els.filters.forEach((button) => {
+      const active = button.getAttribute('data-filter') === filter;
+      button.classList.toggle('is-active', active);
+      button.setAttribute('aria-selected', String(active));
+    });
+    setStatus(null, '');
+    fetchPage({ reset: true });
+  };
+
+  els.loginForm?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = new FormData(els.loginForm);
+    const name = safeText(form.get('name'));
+    const password = String(form.get('password') || '');
+    if (!password) {
+      setFormStatus(els.loginStatus, 'error', 'Enter your password.');
+      return;
+    }
+    if (els.loginSubmit) els.loginSubmit.disabled = true;
+    try {
+      const moderator = await logIn(name, password);
+      if (!moderator) throw new Error('That password was not accepted.');
+      state.moderator = moderator;
+      els.loginForm.reset();
+      setFormStatus(els.loginStatus, null, '');
+      showDashboard();
+      await fetchPage({ reset: true });
+    } catch (error) {
+      forgetSession();
+      setFormStatus(els.loginStatus, 'error', error?.message || 'Could not log in.');
+    } finally {
+      if (els.loginSubmit) els.loginSubmit.disabled = false;
+    }
+  });
+
+  els.logOut?.addEventListener('click', () => {
+    forgetSession();
+    state.posts = [];
+    state.selected.clear();
+    showLogin();
+  });
+
+  els.filters.forEach((button) => {
+    button.addEventListener('click', () => setFilter(button.getAttribute('data-filter')));
+  });
+
+  els.searchForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    state.q = safeText(els.search?.value);
+    setStatus(null, '');
+    fetchPage({ reset: true });
+  });
+
+  els.selectAll?.addEventListener('change', () => {
+    if (els.selectAll.checked) state.posts.forEach((post) => state.selected.add(post.id));
+    else state.selected.clear();
+    updateSelection();
+  });
+
+  els.bulkButtons.forEach((button) => {
+    button.addEventListener('click', () => runBulk(button.getAttribute('data-bulk')));
+  });
+
+  els.loadMore?.addEventListener('click', () => fetchPage());
+
+  (async () => {
+    if (!readSession()) {
+      showLogin();
+      return;
+    }
+    state.moderator = await whoAmI();
+    if (!state.moderator) {
+      forgetSession();
+      showLogin();
+      return;
+    }
+    showDashboard();
+    await fetchPage({ reset: true });
+  })();
+})();
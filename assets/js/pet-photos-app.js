@@ -4,6 +4,37 @@
   const API_BASE = (window.HAPPY_PET_PHOTOS_API_BASE || apiFromMeta || '').replace(/\/+$/, '');
   const apiUrl = (path) => `${API_BASE}${path}`;
   const LOCAL_POSTS_KEY = 'happyPetPosts:v1';
+  const PUBLIC_TYPE_KEY = 'happyPetPublicType:v1';
+  const DEVICE_TOKEN_KEY = 'happyPetDevice:v1';
+  const COMMENT_NAME_KEY = 'happyPetCommentName:v1';
+  const MODERATOR_SESSION_KEY = 'happyPetModeratorSession:v1';
+
+  // Mirrors REACTIONS in api/_petFeed/reactions.js.
+  const REACTIONS = [
+    { id: 'love', emoji: '❤️', label: 'Love' },
+    { id: 'paw', emoji: '🐾', label: 'Paws up' },
+    { id: 'haha', emoji: '😂', label: 'Haha' },
+    { id: 'wow', emoji: '😮', label: 'Wow' }
+  ];
+
+  // Mirrors REPORT_REASONS in api/_petFeed/reports.js.
+  const REPORT_REASONS = [
+    { id: 'spam', label: 'Spam or advertising' },
+    { id: 'inappropriate', label: 'Inappropriate or offensive' },
+    { id: 'not-a-pet', label: 'Not a pet photo' },
+    { id: 'privacy', label: 'Shares personal information' },
+    { id: 'other', label: 'Something else' }
+  ];
+
+  // Mirrors the PET_FEED_MAX_PHOTOS default in api/_petFeed/config.js.
+  const MAX_PHOTOS = 6;
+  // Mirror the PET_FEED_VIDEO_MAX_SECONDS and PET_FEED_VIDEO_MAX_BYTES defaults.
+  const MAX_CLIP_SECONDS = 15;
+  const MAX_CLIP_BYTES = 20 * 1024 * 1024;
+  const CLIP_TYPES = ['video/mp4', 'video/webm'];
+  // Waits before retrying a post whose response never arrived or that the server
+  // asked to retry. The Idempotency-Key keeps a retry from posting twice.
+  const COMMIT_RETRY_DELAYS_MS = [1000, 3000];
 
   const DB_NAME = 'happyPetPhotos';
   const DB_VERSION = 1;
@@ -20,7 +51,7 @@
     petType: qs('#pet-type'),
     caption: qs('#pet-caption'),
     preview: qs('[data-preview]'),
-    previewImg: qs('[data-preview-img]'),
+    previewList: qs('[data-preview-list]'),
     removePhoto: qs('[data-remove-photo]'),
     tabs: qsa('[data-tab]'),
     localControls: qs('[data-local-controls]'),
@@ -33,6 +64,7 @@
     publicEmpty: qs('[data-public-empty-state]'),
     publicSearch: qs('[data-public-search]'),
     publicSort: qs('[data-public-sort]'),
+    publicTypes: qs('[data-public-types]'),
     publicLoadMore: qs('[data-public-load-more]'),
     publicFooter: qs('[data-public-footer]'),
     publicStatus: qs('[data-public-status]'),
@@ -41,8 +73,8 @@
   };
 
   const state = {
-    selectedFile: null,
-    selectedPreviewUrl: '',
+    selectedFiles: [],
+    selectedPreviewUrls: [],
     posts: [],
     filter: '',
     sort: 'newest',
@@ -52,6 +84,7 @@
     publicHasMore: true,
     publicFilter: '',
     publicSort: 'newest',
+    publicType: '',
     publicIsLoading: false
   };
   let storageBackend = 'indexeddb';
@@ -165,17 +198,47 @@
     localStorage.setItem(LOCAL_POSTS_KEY, JSON.stringify(rows));
   };
 
+  const isImageDataUrl = (value) => typeof value === 'string' && value.startsWith('data:image/');
+
+  // Album photos in order: Blobs in IndexedDB, data: URLs in localStorage. Records
+  // saved before albums hold a single imageBlob or imageDataUrl.
+  const getPostImages = (post) => {
+    const blobs = (Array.isArray(post?.imageBlobs) ? post.imageBlobs : [post?.imageBlob]).filter(
+      (blob) => blob instanceof Blob
+    );
+    if (blobs.length) return blobs;
+    return (Array.isArray(post?.imageDataUrls) ? post.imageDataUrls : [post?.imageDataUrl]).filter(isImageDataUrl);
+  };
+
+  // A clip post keeps the clip next to its poster frame, which is imageBlobs[0].
+  const getPostClip = (post) => (post?.clipBlob instanceof Blob ? post.clipBlob : null);
+
+  const isClipFile = (file) => CLIP_TYPES.includes(file?.type);
+
+  // Which public post a local one was shared as, whether it is still waiting for
+  // a moderator (the feed may hold new posts for review), and the owner token that
+  // lets this device take it down again.
+  const publicStatusOf = (post) =>
+    safeText(post?.publicId)
+      ? {
+          publicId: safeText(post.publicId),
+          publicStatus: post.publicStatus === 'pending' ? 'pending' : 'live',
+          ...(safeText(post.ownerToken) ? { ownerToken: safeText(post.ownerToken) } : {})
+        }
+      : {};
+
   const sanitizeLocalPostRow = (row) => {
     if (!row || typeof row !== 'object') return null;
-    const imageDataUrl = typeof row.imageDataUrl === 'string' ? row.imageDataUrl : '';
-    if (!imageDataUrl) return null;
+    const imageDataUrls = getPostImages(row);
+    if (!imageDataUrls.length) return null;
     return {
       id: safeText(row.id) || uid(),
       petName: safeText(row.petName),
       petType: safeText(row.petType) || 'Other',
       caption: safeText(row.caption),
       createdAt: Number.isFinite(Number(row.createdAt)) ? Number(row.createdAt) : Date.now(),
-      imageDataUrl
+      imageDataUrls,
+      ...publicStatusOf(row)
     };
   };
 
@@ -183,13 +246,15 @@
     return readLocalPostsRaw().map(sanitizeLocalPostRow).filter(Boolean);
   };
 
+  // localStorage is far too small for clips, so their poster frame stands in.
   const putLocalStoragePost = async (post) => {
     const rows = readLocalPostsRaw();
-    const imageDataUrl =
-      safeText(post.imageDataUrl) ||
-      (post.imageBlob instanceof Blob ? await blobToDataUrl(post.imageBlob) : '');
+    const imageDataUrls = [];
+    for (const image of getPostImages(post)) {
+      imageDataUrls.push(image instanceof Blob ? await blobToDataUrl(image) : image);
+    }
 
-    if (!imageDataUrl) {
+    if (!imageDataUrls.length) {
       throw new Error('Could not save image.');
     }
 
@@ -199,7 +264,8 @@
       petType: safeText(post.petType) || 'Other',
       caption: safeText(post.caption),
       createdAt: Number.isFinite(Number(post.createdAt)) ? Number(post.createdAt) : Date.now(),
-      imageDataUrl
+      imageDataUrls,
+      ...publicStatusOf(post)
     };
     const idx = rows.findIndex((row) => row?.id === stored.id);
     if (idx >= 0) rows[idx] = stored;
@@ -287,10 +353,10 @@
     await clearAllLocalStoragePosts();
   };
 
-  const getPostImageBlob = async (post) => {
-    if (post?.imageBlob instanceof Blob) return post.imageBlob;
-    if (safeText(post?.imageDataUrl)) return dataUrlToBlob(post.imageDataUrl);
-    throw new Error('Image data unavailable for this post.');
+  const getPostImageBlobs = async (post) => {
+    const images = getPostImages(post);
+    if (!images.length) throw new Error('Image data unavailable for this post.');
+    return Promise.all(images.map((image) => (image instanceof Blob ? image : dataUrlToBlob(image))));
   };
 
   const uid = () => {
@@ -298,6 +364,22 @@
     return `post_${Date.now()}_${Math.random().toString(16).slice(2)}`;
   };
 
+  // Anonymous per-browser id; the API uses it to count one reaction per device.
+  let deviceToken = '';
+  const getDeviceToken = () => {
+    if (deviceToken) return deviceToken;
+    try {
+      deviceToken = localStorage.getItem(DEVICE_TOKEN_KEY) || '';
+      if (!deviceToken) {
+        deviceToken = uid();
+        localStorage.setItem(DEVICE_TOKEN_KEY, deviceToken);
+      }
+    } catch {
+      deviceToken = deviceToken || uid();
+    }
+    return deviceToken;
+  };
+
   const loadImageFromFile = (file) =>
     new Promise((resolve, reject) => {
       const url = URL.createObjectURL(file);
@@ -313,13 +395,11 @@
       img.src = url;
     });
 
-  const resizeToJpegBlob = async (file, options = {}) => {
+  // Draws an image or video frame scaled down to maxDim and encodes it as JPEG.
+  const drawToJpegBlob = async (source, srcW, srcH, options = {}) => {
     const maxDim = options.maxDim ?? 1600;
     const quality = options.quality ?? 0.85;
 
-    const img = await loadImageFromFile(file);
-    const srcW = img.naturalWidth || img.width;
-    const srcH = img.naturalHeight || img.height;
     const scale = Math.min(1, maxDim / Math.max(srcW, srcH));
     const dstW = Math.max(1, Math.round(srcW * scale));
     const dstH = Math.max(1, Math.round(srcH * scale));
@@ -329,32 +409,91 @@
     canvas.height = dstH;
     const ctx = canvas.getContext('2d', { alpha: false });
     if (!ctx) throw new Error('Canvas not supported.');
-    ctx.drawImage(img, 0, 0, dstW, dstH);
+    ctx.drawImage(source, 0, 0, dstW, dstH);
 
     const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality));
     if (!blob) throw new Error('Could not process image.');
     return blob;
   };
 
-  const setPreview = (file) => {
-    state.selectedFile = file || null;
+  const resizeToJpegBlob = async (file, options = {}) => {
+    const img = await loadImageFromFile(file);
+    return drawToJpegBlob(img, img.naturalWidth || img.width, img.naturalHeight || img.height, options);
+  };
+
+  // The server can't decode video, so the poster is a frame grabbed here from
+  // half a second in. Resolves to { durationSeconds, posterBlob }; the duration
+  // is Infinity for live recordings that don't store it.
+  const captureClipPoster = (file) =>
+    new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      const finish = (settle, value) => {
+        video.onloadedmetadata = null;
+        video.onseeked = null;
+        video.onerror = null;
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+        settle(value);
+      };
+      video.onerror = () => finish(reject, new Error('Could not read this clip. Please use an MP4 or WebM video.'));
+      video.onloadedmetadata = () => {
+        if (!video.videoWidth || !video.videoHeight) {
+          finish(reject, new Error('This clip has no picture.'));
+          return;
+        }
+        const duration = Number.isFinite(video.duration) ? video.duration : 1;
+        video.currentTime = Math.min(0.5, duration / 2);
+      };
+      video.onseeked = async () => {
+        try {
+          const posterBlob = await drawToJpegBlob(video, video.videoWidth, video.videoHeight);
+          finish(resolve, { durationSeconds: video.duration, posterBlob });
+        } catch (error) {
+          finish(reject, error);
+        }
+      };
+      video.src = url;
+    });
 
-    if (!els.preview || !els.previewImg || !els.fileInput) return;
+  const setPreview = (files) => {
+    state.selectedFiles = files || [];
 
-    if (state.selectedPreviewUrl) {
-      URL.revokeObjectURL(state.selectedPreviewUrl);
-      state.selectedPreviewUrl = '';
-    }
+    if (!els.preview || !els.previewList || !els.fileInput) return;
 
-    if (!file) {
+    state.selectedPreviewUrls.forEach((url) => URL.revokeObjectURL(url));
+    state.selectedPreviewUrls = [];
+    els.previewList.innerHTML = '';
+
+    if (!state.selectedFiles.length) {
       els.preview.hidden = true;
-      els.previewImg.removeAttribute('src');
       els.fileInput.value = '';
       return;
     }
 
-    state.selectedPreviewUrl = URL.createObjectURL(file);
-    els.previewImg.src = state.selectedPreviewUrl;
+    state.selectedFiles.forEach((file, index) => {
+      const url = URL.createObjectURL(file);
+      state.selectedPreviewUrls.push(url);
+      if (isClipFile(file)) {
+        const video = document.createElement('video');
+        video.src = url;
+        video.muted = true;
+        video.playsInline = true;
+        video.controls = true;
+        video.preload = 'metadata';
+        video.setAttribute('aria-label', 'Selected clip');
+        els.previewList.appendChild(video);
+        return;
+      }
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = `Selected photo ${index + 1} of ${state.selectedFiles.length}`;
+      els.previewList.appendChild(img);
+    });
     els.preview.hidden = false;
   };
 
@@ -400,12 +539,120 @@
 
   const revokeAllRenderedImageUrls = () => {
     if (!els.localFeed) return;
-    els.localFeed.querySelectorAll('[data-object-url]').forEach((img) => {
-      const url = img.getAttribute('data-object-url');
-      if (url) URL.revokeObjectURL(url);
+    els.localFeed.querySelectorAll('[data-object-url]').forEach((media) => {
+      ['data-object-url', 'data-poster-url'].forEach((name) => {
+        const url = media.getAttribute(name);
+        if (url) URL.revokeObjectURL(url);
+      });
     });
   };
 
+  const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  let clipObserver = null;
+
+  // Clips play while at least half of them is on screen and pause otherwise.
+  const observeClip = (video) => {
+    if (reducedMotion?.matches || !('IntersectionObserver' in window)) return;
+    if (!clipObserver) {
+      clipObserver = new IntersectionObserver(
+        (entries) => {
+          entries.forEach(({ target, intersectionRatio }) => {
+            if (intersectionRatio >= 0.5) target.play().catch(() => {});
+            else target.pause();
+          });
+        },
+        { threshold: [0, 0.5] }
+      );
+    }
+    clipObserver.observe(video);
+  };
+
+  // Call before a feed is re-rendered so removed clips are no longer watched.
+  const forgetClips = (scope) => {
+    if (!clipObserver || !scope) return;
+    scope.querySelectorAll('video').forEach((video) => clipObserver.unobserve(video));
+  };
+
+  // Inline, muted and looping, like a moving photo; the controls let people
+  // unmute or pause. With reduced motion the clip waits for a tap on play.
+  const buildClip = ({ src, type, poster, label }) => {
+    const video = document.createElement('video');
+    video.className = 'pet-post__image pet-post__video';
+    video.muted = true;
+    video.defaultMuted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.controls = true;
+    video.preload = 'metadata';
+    video.setAttribute('aria-label', label);
+    if (poster) video.poster = poster;
+    const source = document.createElement('source');
+    source.src = src;
+    if (type) source.type = type;
+    video.appendChild(source);
+    observeClip(video);
+    return video;
+  };
+
+  // Album photos side by side in a scroll-snapping track: swipe on touch screens,
+  // arrow buttons or keys elsewhere. A single photo is returned as is. The current
+  // photo's index is kept in data-carousel-index.
+  const buildCarousel = (slides, label) => {
+    if (slides.length < 2) return slides[0];
+
+    const carousel = document.createElement('div');
+    carousel.className = 'pet-carousel';
+    carousel.setAttribute('role', 'group');
+    carousel.setAttribute('aria-roledescription', 'carousel');
+    carousel.setAttribute('aria-label', label);
+    carousel.dataset.carouselIndex = '0';
+
+    const track = document.createElement('div');
+    track.className = 'pet-carousel__track';
+    track.tabIndex = 0;
+    slides.forEach((content, index) => {
+      const slide = document.createElement('div');
+      slide.className = 'pet-carousel__slide';
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', 'slide');
+      slide.setAttribute('aria-label', `${index + 1} of ${slides.length}`);
+      slide.appendChild(content);
+      track.appendChild(slide);
+    });
+
+    const navButton = (direction, text, ariaLabel) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `pet-carousel__nav pet-carousel__nav--${direction}`;
+      button.textContent = text;
+      button.setAttribute('aria-label', ariaLabel);
+      button.addEventListener('click', () => {
+        track.scrollBy({ left: (direction === 'next' ? 1 : -1) * track.clientWidth, behavior: 'smooth' });
+      });
+      return button;
+    };
+    const prev = navButton('prev', '‹', 'Previous photo');
+    const next = navButton('next', '›', 'Next photo');
+
+    const count = document.createElement('span');
+    count.className = 'pet-carousel__count';
+    count.setAttribute('aria-hidden', 'true');
+
+    const update = () => {
+      const index = Math.round(track.scrollLeft / (track.clientWidth || 1));
+      const current = Math.max(0, Math.min(slides.length - 1, index));
+      carousel.dataset.carouselIndex = String(current);
+      count.textContent = `${current + 1} / ${slides.length}`;
+      prev.disabled = current === 0;
+      next.disabled = current === slides.length - 1;
+    };
+    track.addEventListener('scroll', update, { passive: true });
+    update();
+
+    carousel.append(track, prev, next, count);
+    return carousel;
+  };
+
   const setActiveTab = (tab) => {
     state.activeTab = tab === 'public' ? 'public' : 'local';
     if (els.localControls) els.localControls.hidden = state.activeTab !== 'local';
@@ -421,10 +668,42 @@
     });
   };
 
+  // One chip per option of the upload form's type select, so both share a taxonomy.
+  const renderPublicTypes = () => {
+    if (!els.publicTypes) return;
+    els.publicTypes.innerHTML = '';
+    const types = [{ value: '', label: 'All pets' }].concat(
+      Array.from(els.petType?.options || []).map((option) => ({ value: option.value, label: option.textContent }))
+    );
+
+    types.forEach(({ value, label }) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'chip';
+      chip.textContent = label;
+      const isActive = value === state.publicType;
+      chip.classList.toggle('is-active', isActive);
+      chip.setAttribute('aria-pressed', String(isActive));
+      chip.addEventListener('click', async () => {
+        if (state.publicType === value) return;
+        state.publicType = value;
+        try {
+          localStorage.setItem(PUBLIC_TYPE_KEY, value);
+        } catch {
+          // ignore
+        }
+        renderPublicTypes();
+        await fetchPublicPage({ reset: true });
+      });
+      els.publicTypes.appendChild(chip);
+    });
+  };
+
   const renderLocal = () => {
     if (!els.localFeed) return;
 
     revokeAllRenderedImageUrls();
+    forgetClips(els.localFeed);
     els.localFeed.innerHTML = '';
 
     const visible = getVisiblePosts();
@@ -438,18 +717,35 @@
       card.className = 'pet-post';
       card.setAttribute('data-post-id', post.id);
 
-      const hasDataUrl = typeof post.imageDataUrl === 'string' && post.imageDataUrl.startsWith('data:image/');
-      const hasBlob = post.imageBlob instanceof Blob;
-      if (!hasDataUrl && !hasBlob) return;
-
-      const imageUrl = hasDataUrl ? post.imageDataUrl : URL.createObjectURL(post.imageBlob);
-      const img = document.createElement('img');
-      img.className = 'pet-post__image';
-      img.alt = safeText(post.caption) || `${safeText(post.petName) || 'Pet'} photo`;
-      img.loading = 'lazy';
-      img.src = imageUrl;
-      if (!hasDataUrl) {
-        img.setAttribute('data-object-url', imageUrl);
+      const images = getPostImages(post);
+      if (!images.length) return;
+
+      const imageUrls = images.map((image) => (image instanceof Blob ? URL.createObjectURL(image) : image));
+      const slides = imageUrls.map((imageUrl, index) => {
+        const img = document.createElement('img');
+        img.className = 'pet-post__image';
+        img.alt = safeText(post.caption) || `${safeText(post.petName) || 'Pet'} photo`;
+        img.loading = 'lazy';
+        img.src = imageUrl;
+        if (images[index] instanceof Blob) {
+          img.setAttribute('data-object-url', imageUrl);
+        }
+        return img;
+      });
+      const clip = getPostClip(post);
+      const clipUrl = clip ? URL.createObjectURL(clip) : '';
+      let media;
+      if (clip) {
+        media = buildClip({
+          src: clipUrl,
+          type: clip.type,
+          poster: imageUrls[0],
+          label: safeText(post.caption) || `${safeText(post.petName) || 'Pet'} clip`
+        });
+        media.setAttribute('data-object-url', clipUrl);
+        if (images[0] instanceof Blob) media.setAttribute('data-poster-url', imageUrls[0]);
+      } else {
+        media = buildCarousel(slides, `${safeText(post.petName) || 'Pet'} photos`);
       }
 
       const body = document.createElement('div');
@@ -473,6 +769,13 @@
       datePill.textContent = humanDate(post.createdAt);
 
       pills.append(typePill, datePill);
+      if (post.publicStatus === 'pending') {
+        const pendingPill = document.createElement('span');
+        pendingPill.className = 'label label--orange';
+        pendingPill.textContent = 'Awaiting review';
+        pendingPill.title = 'Shows in the public feed once a moderator approves it.';
+        pills.appendChild(pendingPill);
+      }
       title.append(name, pills);
 
       const caption = document.createElement('p');
@@ -488,20 +791,25 @@
       shareBtn.textContent = 'Share';
       shareBtn.addEventListener('click', async () => {
         const baseName = safeText(post.petName) || 'pet-photo';
-        const fileName = `${baseName.replace(/\s+/g, '-').toLowerCase() || 'pet-photo'}.jpg`;
-        const imageBlob = await getPostImageBlob(post);
-        const file = new File([imageBlob], fileName, { type: imageBlob.type || 'image/jpeg' });
+        const slug = baseName.replace(/\s+/g, '-').toLowerCase() || 'pet-photo';
+        const fileNameAt = (index) => (imageUrls.length > 1 ? `${slug}-${index + 1}.jpg` : `${slug}.jpg`);
+        const clipName = clip ? `${slug}.${clip.type === 'video/webm' ? 'webm' : 'mp4'}` : '';
+        const files = clip
+          ? [new File([clip], clipName, { type: clip.type })]
+          : (await getPostImageBlobs(post)).map(
+              (imageBlob, index) => new File([imageBlob], fileNameAt(index), { type: imageBlob.type || 'image/jpeg' })
+            );
         const shareTextParts = [];
         if (safeText(post.petName)) shareTextParts.push(post.petName);
         if (safeText(post.petType)) shareTextParts.push(`(${post.petType})`);
         const text = shareTextParts.join(' ') || 'Happy pet photo';
 
         try {
-          if (navigator.canShare && navigator.canShare({ files: [file] }) && navigator.share) {
+          if (navigator.canShare && navigator.canShare({ files }) && navigator.share) {
             await navigator.share({
               title: 'Happy Pet Photo',
               text: safeText(post.caption) ? `${text} — ${post.caption}` : text,
-              files: [file]
+              files
             });
             return;
           }
@@ -509,10 +817,11 @@
           console.warn('Share failed', error);
         }
 
-        // Fallback: download
+        // Fallback: download the clip or the photo on screen
+        const index = Number(media.dataset.carouselIndex) || 0;
         const a = document.createElement('a');
-        a.href = imageUrl;
-        a.download = fileName;
+        a.href = clip ? clipUrl : imageUrls[index];
+        a.download = clip ? clipName : fileNameAt(index);
         document.body.appendChild(a);
         a.click();
         a.remove();
@@ -525,6 +834,18 @@
       deleteBtn.addEventListener('click', async () => {
         const ok = confirm('Delete this post?');
         if (!ok) return;
+        // Posts shared from this device can come down from the public feed too.
+        if (post.publicId && post.ownerToken && confirm('Also remove it from the public feed?')) {
+          deleteBtn.disabled = true;
+          try {
+            await deleteOwnPublicPost(post.publicId, post.ownerToken);
+          } catch (error) {
+            deleteBtn.disabled = false;
+            setStatus('error', `Could not remove it from the public feed: ${error?.message || 'Unknown error.'}`);
+            return;
+          }
+          await fetchPublicPage({ reset: true });
+        }
         await deletePost(post.id);
         await refresh();
       });
@@ -532,13 +853,343 @@
       actions.append(shareBtn, deleteBtn);
 
       body.append(title, caption, actions);
-      card.append(img, body);
+      card.append(media, body);
       els.localFeed.appendChild(card);
     });
   };
 
+  const buildReactionBar = (post) => {
+    const bar = document.createElement('div');
+    bar.className = 'pet-post__reactions';
+    const counts = post.reactions || {};
+    const mine = Array.isArray(post.myReactions) ? post.myReactions : [];
+
+    REACTIONS.forEach((reaction) => {
+      const isMine = mine.includes(reaction.id);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'reaction-btn';
+      btn.classList.toggle('is-active', isMine);
+      btn.setAttribute('aria-pressed', String(isMine));
+      btn.setAttribute('aria-label', `${reaction.label} (${Number(counts[reaction.id]) || 0})`);
+      btn.textContent = `${reaction.emoji} ${Number(counts[reaction.id]) || 0}`;
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          const data = await reactToPublicPost(post.id, reaction.id, isMine);
+          post.reactions = data.reactions;
+          post.myReactions = data.myReactions;
+          bar.replaceWith(buildReactionBar(post));
+        } catch (error) {
+          btn.disabled = false;
+          setPublicStatus(error?.message || 'Could not save reaction.');
+        }
+      });
+      bar.appendChild(btn);
+    });
+    return bar;
+  };
+
+  const readCommentName = () => {
+    try {
+      return localStorage.getItem(COMMENT_NAME_KEY) || '';
+    } catch {
+      return '';
+    }
+  };
+
+  const rememberCommentName = (name) => {
+    try {
+      localStorage.setItem(COMMENT_NAME_KEY, name);
+    } catch {
+      // ignore
+    }
+  };
+
+  // Collapsed by default; comments load the first time the section is opened.
+  const buildCommentsSection = (post) => {
+    const thread = { comments: [], cursor: null, loaded: false, replyTo: null };
+
+    const section = document.createElement('details');
+    section.className = 'pet-post__comments';
+
+    const summary = document.createElement('summary');
+    const setSummary = () => {
+      summary.textContent = `💬 Comments (${Number(post.commentCount) || 0})`;
+    };
+    setSummary();
+
+    const list = document.createElement('div');
+    list.className = 'comment-list';
+
+    const moreBtn = document.createElement('button');
+    moreBtn.type = 'button';
+    moreBtn.className = 'comment-link';
+    moreBtn.textContent = 'Load more comments';
+    moreBtn.hidden = true;
+
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+
+    const replyNote = document.createElement('p');
+    replyNote.className = 'comment-form__reply';
+    replyNote.hidden = true;
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 40;
+    nameInput.placeholder = 'Your name (optional)';
+    nameInput.setAttribute('aria-label', 'Your name');
+    nameInput.value = readCommentName();
+
+    const textInput = document.createElement('textarea');
+    textInput.maxLength = 500;
+    textInput.rows = 2;
+    textInput.required = true;
+    textInput.placeholder = 'Say something nice…';
+    textInput.setAttribute('aria-label', 'Comment');
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn btn-outline';
+    submitBtn.textContent = 'Post comment';
+
+    form.append(replyNote, nameInput, textInput, submitBtn);
+
+    const setReplyTo = (comment) => {
+      thread.replyTo = comment;
+      replyNote.innerHTML = '';
+      replyNote.hidden = !comment;
+      if (!comment) return;
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'comment-link';
+      cancel.textContent = 'Cancel';
+      cancel.addEventListener('click', () => setReplyTo(null));
+      replyNote.append(`Replying to ${safeText(comment.authorName) || 'a comment'} · `, cancel);
+      textInput.focus();
+    };
+
+    const load = async ({ reset } = { reset: false }) => {
+      if (reset) {
+        thread.comments = [];
+        thread.cursor = null;
+      }
+      moreBtn.disabled = true;
+      try {
+        const data = await fetchComments(post.id, thread.cursor);
+        thread.comments = thread.comments.concat(Array.isArray(data.comments) ? data.comments : []);
+        thread.cursor = data.nextCursor || null;
+        thread.loaded = true;
+        renderThread();
+      } catch (error) {
+        setPublicStatus(error?.message || 'Could not load comments.');
+      } finally {
+        moreBtn.disabled = false;
+        moreBtn.hidden = !thread.cursor;
+      }
+    };
+
+    const buildComment = (comment) => {
+      const item = document.createElement('div');
+      item.className = 'comment';
+
+      const meta = document.createElement('div');
+      meta.className = 'comment__meta';
+      const author = document.createElement('strong');
+      author.textContent = safeText(comment.authorName) || 'Someone';
+      const when = document.createElement('span');
+      when.textContent = humanDate(comment.createdAt);
+      meta.append(author, when);
+
+      const text = document.createElement('p');
+      text.className = 'comment__body';
+      text.textContent = comment.body;
+
+      const replyBtn = document.createElement('button');
+      replyBtn.type = 'button';
+      replyBtn.className = 'comment-link';
+      replyBtn.textContent = 'Reply';
+      replyBtn.addEventListener('click', () => setReplyTo(comment));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'comment-link';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        try {
+          const credentials = await moderatorCredentials();
+          if (!credentials) return;
+          const reason = window.prompt('Reason for removing (optional):', '');
+          if (reason === null) return;
+          await deletePublicComment(post.id, comment.id, credentials, reason);
+          const hidden = thread.comments.filter((c) => c.id === comment.id || c.parentId === comment.id).length;
+          post.commentCount = Math.max(0, (Number(post.commentCount) || 0) - hidden);
+          setSummary();
+          if (thread.replyTo?.id === comment.id) setReplyTo(null);
+          await load({ reset: true });
+        } catch (error) {
+          setPublicStatus(error?.message || 'Could not remove comment.');
+        }
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'comment__actions';
+      actions.append(replyBtn, removeBtn);
+
+      item.append(meta, text, actions);
+      return item;
+    };
+
+    const renderThread = () => {
+      list.innerHTML = '';
+      if (!thread.comments.length) {
+        const empty = document.createElement('p');
+        empty.className = 'comment-list__empty';
+        empty.textContent = 'No comments yet.';
+        list.appendChild(empty);
+        return;
+      }
+      thread.comments
+        .filter((comment) => !comment.parentId)
+        .forEach((comment) => {
+          const item = buildComment(comment);
+          const replies = thread.comments.filter((reply) => reply.parentId === comment.id);
+          if (replies.length) {
+            const nested = document.createElement('div');
+            nested.className = 'comment-replies';
+            replies.forEach((reply) => nested.appendChild(buildComment(reply)));
+            item.appendChild(nested);
+          }
+          list.appendChild(item);
+        });
+    };
+
+    section.addEventListener('toggle', () => {
+      if (section.open && !thread.loaded) load();
+    });
+    moreBtn.addEventListener('click', () => load());
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const body = textInput.value.trim();
+      if (!body) return;
+      const authorName = safeText(nameInput.value);
+      toggleButtonLoading(submitBtn, true);
+      try {
+        const { comment } = await postComment(post.id, {
+          authorName,
+          body,
+          parentId: thread.replyTo?.id || null
+        });
+        rememberCommentName(authorName);
+        thread.comments.push(comment);
+        post.commentCount = (Number(post.commentCount) || 0) + 1;
+        setSummary();
+        renderThread();
+        textInput.value = '';
+        setReplyTo(null);
+      } catch (error) {
+        setPublicStatus(error?.message || 'Could not post comment.');
+      } finally {
+        toggleButtonLoading(submitBtn, false);
+      }
+    });
+
+    section.append(summary, list, moreBtn, form);
+    return section;
+  };
+
+  // Inline form shown under a card's actions; a sent report hides the card here.
+  const buildReportForm = (post, onClose) => {
+    const form = document.createElement('form');
+    form.className = 'report-form';
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Reason for reporting');
+    REPORT_REASONS.forEach((reason) => {
+      const option = document.createElement('option');
+      option.value = reason.id;
+      option.textContent = reason.label;
+      select.appendChild(option);
+    });
+
+    const details = document.createElement('input');
+    details.type = 'text';
+    details.maxLength = 240;
+    details.placeholder = 'Anything moderators should know? (optional)';
+    details.setAttribute('aria-label', 'Details');
+
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'submit';
+    sendBtn.className = 'btn btn-outline';
+    sendBtn.textContent = 'Send report';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'comment-link';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', onClose);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      toggleButtonLoading(sendBtn, true);
+      try {
+        await reportPublicPost(post.id, select.value, safeText(details.value));
+        state.publicPosts = state.publicPosts.filter((item) => item.id !== post.id);
+        renderPublic();
+        setPublicStatus('Thanks for the report. Moderators will take a look.');
+      } catch (error) {
+        toggleButtonLoading(sendBtn, false);
+        setPublicStatus(error?.message || 'Could not send report.');
+      }
+    });
+
+    form.append(select, details, sendBtn, cancelBtn);
+    return form;
+  };
+
+  // Cards are about 340px wide, or the full width on phones.
+  const PUBLIC_IMAGE_SIZES = '(max-width: 639px) 92vw, 340px';
+
+  const toSrcset = (variants) =>
+    (Array.isArray(variants) ? variants : [])
+      .filter((variant) => variant && variant.url && variant.width)
+      .map((variant) => `${variant.url} ${variant.width}w`)
+      .join(', ');
+
+  // Resized AVIF/WebP copies when the server made them; the original otherwise.
+  const buildPublicImage = (post) => {
+    const img = document.createElement('img');
+    img.className = 'pet-post__image';
+    img.alt = safeText(post.caption) || `${safeText(post.petName) || 'Pet'} photo`;
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.src = post.imageUrl;
+
+    const variants = post.imageVariants || {};
+    const sources = [
+      ['image/avif', toSrcset(variants.avif)],
+      ['image/webp', toSrcset(variants.webp)]
+    ].filter(([, srcset]) => srcset);
+    if (!sources.length) return img;
+
+    const picture = document.createElement('picture');
+    picture.className = 'pet-post__picture';
+    sources.forEach(([type, srcset]) => {
+      const source = document.createElement('source');
+      source.type = type;
+      source.srcset = srcset;
+      source.sizes = PUBLIC_IMAGE_SIZES;
+      picture.appendChild(source);
+    });
+    picture.appendChild(img);
+    return picture;
+  };
+
   const renderPublic = () => {
     if (!els.publicFeed) return;
+    forgetClips(els.publicFeed);
     els.publicFeed.innerHTML = '';
 
     if (els.publicEmpty) {
@@ -551,11 +1202,21 @@
       card.className = 'pet-post';
       card.setAttribute('data-public-post-id', post.id);
 
-      const img = document.createElement('img');
-      img.className = 'pet-post__image';
-      img.alt = safeText(post.caption) || `${safeText(post.petName) || 'Pet'} photo`;
-      img.loading = 'lazy';
-      img.src = post.imageUrl;
+      // Posts from older servers have no images list, only the cover. A clip's
+      // cover is its poster frame.
+      const photos = Array.isArray(post.images) && post.images.length ? post.images : [post];
+      const image =
+        post.mediaType === 'video' && post.video?.url
+          ? buildClip({
+              src: post.video.url,
+              type: post.video.mimeType,
+              poster: post.imageUrl,
+              label: safeText(post.caption) || `${safeText(post.petName) || 'Pet'} clip`
+            })
+          : buildCarousel(
+              photos.map((photo) => buildPublicImage({ ...post, ...photo })),
+              `${safeText(post.petName) || 'Pet'} photos`
+            );
 
       const body = document.createElement('div');
       body.className = 'pet-post__body';
@@ -623,20 +1284,41 @@
       removeBtn.className = 'btn btn-outline';
       removeBtn.textContent = 'Remove';
       removeBtn.addEventListener('click', async () => {
-        const password = window.prompt('Moderator password to remove this photo:');
-        if (password === null) return;
         try {
-          await deletePublicPost(post.id, password);
-          setPublicStatus('Post removed.');
+          const credentials = await moderatorCredentials();
+          if (!credentials) return;
+          const reason = window.prompt('Reason for removing (optional):', '');
+          if (reason === null) return;
+          const { purgeAfter } = await deletePublicPost(post.id, credentials, reason);
+          setPublicStatus(
+            purgeAfter
+              ? `Post removed. Moderators can restore it until ${new Date(purgeAfter).toLocaleDateString()}.`
+              : 'Post removed.'
+          );
           await fetchPublicPage({ reset: true });
         } catch (error) {
           setPublicStatus(error?.message || 'Could not remove post.');
         }
       });
 
-      actions.append(shareBtn, removeBtn);
-      body.append(title, caption, actions);
-      card.append(img, body);
+      const reportBtn = document.createElement('button');
+      reportBtn.type = 'button';
+      reportBtn.className = 'btn btn-outline';
+      reportBtn.textContent = 'Report';
+      reportBtn.addEventListener('click', () => {
+        const open = qs('.report-form', body);
+        if (open) {
+          open.remove();
+          return;
+        }
+        const form = buildReportForm(post, () => form.remove());
+        actions.after(form);
+        qs('select', form)?.focus();
+      });
+
+      actions.append(shareBtn, reportBtn, removeBtn);
+      body.append(title, caption, buildReactionBar(post), actions, buildCommentsSection(post));
+      card.append(image, body);
       els.publicFeed.appendChild(card);
     });
 
@@ -661,6 +1343,31 @@
     els.publicStatus.textContent = message || '';
   };
 
+  // A held post that shows up in the public feed has been approved.
+  const markApproved = async (publicPosts) => {
+    const liveIds = new Set(publicPosts.map((post) => post?.id));
+    const approved = state.posts.filter((post) => post.publicStatus === 'pending' && liveIds.has(post.publicId));
+    if (!approved.length) return;
+    for (const post of approved) await putPost({ ...post, publicStatus: 'live' });
+    await refresh();
+  };
+
+  // Remembers which public post this local one became, with the owner token the
+  // server sends only once. Resolves to true when the feed holds it for review.
+  const rememberShared = async (post, shared) => {
+    const publicPost = shared?.post;
+    if (!publicPost?.id) return false;
+    const pending = publicPost.status === 'pending';
+    await putPost({
+      ...post,
+      publicId: publicPost.id,
+      publicStatus: pending ? 'pending' : 'live',
+      ownerToken: safeText(shared.ownerToken) || post.ownerToken
+    });
+    await refresh();
+    return pending;
+  };
+
   const fetchPublicPage = async ({ reset } = { reset: false }) => {
     if (state.publicIsLoading) return;
     state.publicIsLoading = true;
@@ -677,12 +1384,17 @@
       params.set('limit', '20');
       params.set('sort', state.publicSort);
       if (state.publicFilter) params.set('q', state.publicFilter);
+      if (state.publicType) params.set('type', state.publicType);
       if (state.publicCursor) params.set('cursor', state.publicCursor);
 
-      const res = await fetch(apiUrl(`/api/posts?${params.toString()}`), { cache: 'no-store' });
+      const res = await fetch(apiUrl(`/api/posts?${params.toString()}`), {
+        cache: 'no-store',
+        headers: { 'x-device-token': getDeviceToken() }
+      });
       if (!res.ok) throw new Error(`Public feed request failed (${res.status}).`);
       const data = await res.json();
       const posts = Array.isArray(data.posts) ? data.posts : [];
+      await markApproved(posts);
       state.publicPosts = state.publicPosts.concat(posts);
       state.publicCursor = data.nextCursor || null;
       state.publicHasMore = Boolean(data.nextCursor);
@@ -696,42 +1408,306 @@
     }
   };
 
-  const sharePublic = async ({ petName, petType, caption, imageBlob }) => {
+  const shareError = async (res) => {
+    let message = `Public share failed (${res.status}).`;
+    try {
+      const data = await res.json();
+      if (data?.error) message = data.error;
+    } catch {
+      // ignore
+    }
+    return new Error(message);
+  };
+
+  // POST /api/posts with the local post id as its Idempotency-Key. Network
+  // failures and answers with Retry-After (a first attempt still running, a busy
+  // store) are retried; the server replays the first response for the same key.
+  const commitPost = async (init, idempotencyKey) => {
+    const headers = { ...(init.headers || {}), 'Idempotency-Key': idempotencyKey };
+    for (let attempt = 0; ; attempt += 1) {
+      const retryDelay = COMMIT_RETRY_DELAYS_MS[attempt];
+      let res;
+      try {
+        res = await fetch(apiUrl('/api/posts'), { ...init, method: 'POST', headers });
+      } catch (error) {
+        if (retryDelay === undefined) throw error;
+      }
+      if (res) {
+        const retryable = [409, 503].includes(res.status) && res.headers.has('Retry-After');
+        if (retryDelay === undefined || !retryable) return res;
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelay));
+    }
+  };
+
+  const sharePublicForm = async ({ petName, petType, caption, imageBlobs, clipBlob, idempotencyKey }) => {
     const form = new FormData();
     form.set('petName', petName || '');
     form.set('petType', petType || 'Other');
     form.set('caption', caption || '');
-    const file = new File([imageBlob], 'photo.jpg', { type: 'image/jpeg' });
-    form.set('photo', file);
+    if (clipBlob) {
+      const ext = clipBlob.type === 'video/webm' ? 'webm' : 'mp4';
+      form.append('clip', new File([clipBlob], `clip.${ext}`, { type: clipBlob.type }));
+      form.append('poster', new File([imageBlobs[0]], 'poster.jpg', { type: 'image/jpeg' }));
+    } else {
+      imageBlobs.forEach((imageBlob, index) => {
+        form.append('photo', new File([imageBlob], `photo-${index + 1}.jpg`, { type: 'image/jpeg' }));
+      });
+    }
+
+    const res = await commitPost({ body: form }, idempotencyKey);
+    if (!res.ok) throw await shareError(res);
+    return res.json();
+  };
+
+  // Blob takes the file through put() from @vercel/blob/client, bundled at build
+  // time and only loaded when a grant asks for it; other servers name a request.
+  let blobClient = null;
+  const sendUpload = async (upload, fileBlob) => {
+    if (upload.via === 'blob') {
+      blobClient =
+        blobClient ||
+        import('/assets/js/vendor/blob-client.js').catch((error) => {
+          blobClient = null;
+          throw error;
+        });
+      const { put } = await blobClient;
+      await put(upload.pathname, fileBlob, { access: 'public', token: upload.token, contentType: upload.contentType });
+      return;
+    }
+    const uploadRes = await fetch(upload.url, {
+      method: upload.method || 'PUT',
+      headers: upload.headers,
+      body: fileBlob
+    });
+    if (!uploadRes.ok) throw await shareError(uploadRes);
+  };
+
+  // Uploads each photo (or the clip and its poster) straight to storage with a
+  // short-lived grant, then commits the post. Servers without direct uploads get
+  // the multipart form instead.
+  const sharePublic = async ({ petName, petType, caption, imageBlobs, clipBlob, idempotencyKey }) => {
+    const tokens = [];
+    for (const fileBlob of clipBlob ? [clipBlob, imageBlobs[0]] : imageBlobs) {
+      const contentType = fileBlob.type || 'image/jpeg';
+      const grantRes = await fetch(apiUrl('/api/uploads'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contentType, size: fileBlob.size })
+      });
+      if (!tokens.length && [404, 405, 503].includes(grantRes.status)) {
+        return sharePublicForm({ petName, petType, caption, imageBlobs, clipBlob, idempotencyKey });
+      }
+      if (!grantRes.ok) throw await shareError(grantRes);
+      const grant = await grantRes.json();
+
+      await sendUpload(grant.upload, fileBlob);
+      tokens.push(grant.token);
+    }
+
+    const files = clipBlob ? { clip: tokens[0], poster: tokens[1] } : { uploads: tokens };
+    const res = await commitPost(
+      {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...files,
+          petName: petName || '',
+          petType: petType || 'Other',
+          caption: caption || ''
+        })
+      },
+      idempotencyKey
+    );
+    if (!res.ok) throw await shareError(res);
+    return res.json();
+  };
+
+  // Adds the reaction, or withdraws it when remove is true.
+  const reactToPublicPost = async (postId, reaction, remove) => {
+    const query = remove ? `?reaction=${encodeURIComponent(reaction)}` : '';
+    const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(postId)}/reactions${query}`), {
+      method: remove ? 'DELETE' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-device-token': getDeviceToken()
+      },
+      body: remove ? undefined : JSON.stringify({ reaction })
+    });
+
+    if (!res.ok) {
+      let message = `Could not save reaction (${res.status}).`;
+      try {
+        const data = await res.json();
+        if (data?.error) message = data.error;
+      } catch {
+        // ignore
+      }
+      throw new Error(message);
+    }
+
+    return res.json();
+  };
+
+  const reportPublicPost = async (postId, reason, details) => {
+    const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(postId)}/report`), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-device-token': getDeviceToken()
+      },
+      body: JSON.stringify({ reason, details })
+    });
+
+    if (!res.ok) {
+      let message = `Could not send report (${res.status}).`;
+      try {
+        const data = await res.json();
+        if (data?.error) message = data.error;
+      } catch {
+        // ignore
+      }
+      throw new Error(message);
+    }
+
+    return res.json().catch(() => ({}));
+  };
+
+  const fetchComments = async (postId, cursor) => {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(postId)}/comments${query}`), {
+      headers: { Accept: 'application/json' }
+    });
+    if (!res.ok) throw new Error(`Could not load comments (${res.status}).`);
+    return res.json();
+  };
+
+  const postComment = async (postId, { authorName, body, parentId }) => {
+    const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(postId)}/comments`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ authorName, body, parentId })
+    });
 
-    const res = await fetch(apiUrl('/api/posts'), { method: 'POST', body: form });
     if (!res.ok) {
-      let msg = `Public share failed (${res.status}).`;
+      let message = `Could not post comment (${res.status}).`;
       try {
         const data = await res.json();
-        if (data?.error) msg = data.error;
+        if (data?.error) message = data.error;
       } catch {
         // ignore
       }
-      throw new Error(msg);
+      throw new Error(message);
     }
+
     return res.json();
   };
 
-  const deletePublicPost = async (postId, moderatorPassword) => {
+  // Moderators log in once per tab; the session token is kept in sessionStorage
+  // until it expires or the server turns it down. Leaving the name empty sends
+  // the old shared password instead, for servers that still accept it.
+  const readModeratorSession = () => {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(MODERATOR_SESSION_KEY) || 'null');
+      return session?.token && session.expiresAt > Date.now() ? session : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const forgetModeratorSession = () => {
+    try {
+      sessionStorage.removeItem(MODERATOR_SESSION_KEY);
+    } catch {
+      // ignore
+    }
+  };
+
+  // Headers that authorize a moderator request, or null when the prompt was cancelled.
+  const moderatorCredentials = async () => {
+    const stored = readModeratorSession();
+    if (stored) return { Authorization: `Bearer ${stored.token}` };
+
+    const name = window.prompt('Moderator name (leave empty to use the shared password):', '');
+    if (name === null) return null;
+    const password = window.prompt('Moderator password:');
+    if (password === null) return null;
+    if (!safeText(password)) throw new Error('Moderator password is required.');
+    if (!safeText(name)) return { 'x-moderator-password': safeText(password) };
+
+    const res = await fetch(apiUrl('/api/moderation/login'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: safeText(name), password })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data?.token) throw new Error(data?.error || `Could not log in (${res.status}).`);
+    try {
+      sessionStorage.setItem(MODERATOR_SESSION_KEY, JSON.stringify({ token: data.token, expiresAt: data.expiresAt }));
+    } catch {
+      // ignore
+    }
+    return { Authorization: `Bearer ${data.token}` };
+  };
+
+  const deletePublicComment = async (postId, commentId, credentials, reason) => {
+    const res = await fetch(
+      apiUrl(`/api/posts/${encodeURIComponent(postId)}/comments/${encodeURIComponent(commentId)}`),
+      {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...credentials },
+        body: JSON.stringify({ reason: safeText(reason) })
+      }
+    );
+
+    if (!res.ok) {
+      if (res.status === 401) forgetModeratorSession();
+      let message = `Could not remove comment (${res.status}).`;
+      try {
+        const data = await res.json();
+        if (data?.error) message = data.error;
+      } catch {
+        // ignore
+      }
+      throw new Error(message);
+    }
+
+    return res.json().catch(() => ({}));
+  };
+
+  const deletePublicPost = async (postId, credentials, reason) => {
     const id = safeText(postId);
-    const password = safeText(moderatorPassword);
     if (!id) throw new Error('Missing post id.');
-    if (!password) throw new Error('Moderator password is required.');
 
     const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(id)}`), {
       method: 'DELETE',
-      headers: {
-        'x-moderator-password': password
-      }
+      headers: { 'Content-Type': 'application/json', ...credentials },
+      body: JSON.stringify({ reason: safeText(reason) })
     });
 
     if (!res.ok) {
+      if (res.status === 401) forgetModeratorSession();
+      let message = `Could not remove post (${res.status}).`;
+      try {
+        const data = await res.json();
+        if (data?.error) message = data.error;
+      } catch {
+        // ignore
+      }
+      throw new Error(message);
+    }
+
+    return res.json().catch(() => ({}));
+  };
+
+  // Removes a post this device shared, using its owner token instead of a login.
+  // A post that is already gone counts as removed.
+  const deleteOwnPublicPost = async (postId, ownerToken) => {
+    const res = await fetch(apiUrl(`/api/posts/${encodeURIComponent(postId)}`), {
+      method: 'DELETE',
+      headers: { 'x-owner-token': ownerToken }
+    });
+
+    if (!res.ok && res.status !== 404) {
       let message = `Could not remove post (${res.status}).`;
       try {
         const data = await res.json();
@@ -763,18 +1739,28 @@
   };
 
   const onFileChange = () => {
-    const file = els.fileInput?.files?.[0];
-    if (!file) {
+    const files = Array.from(els.fileInput?.files || []);
+    if (!files.length) {
       setPreview(null);
       return;
     }
-    if (!file.type.startsWith('image/')) {
-      setStatus('error', 'Please choose an image file.');
+    if (files.some(isClipFile) && files.length > 1) {
+      setStatus('error', 'Please choose one clip on its own, or photos only.');
+      setPreview(null);
+      return;
+    }
+    if (!files.every((file) => file.type.startsWith('image/') || isClipFile(file))) {
+      setStatus('error', 'Please choose image files or one MP4/WebM clip.');
+      setPreview(null);
+      return;
+    }
+    if (files.length > MAX_PHOTOS) {
+      setStatus('error', `Please choose up to ${MAX_PHOTOS} photos.`);
       setPreview(null);
       return;
     }
     setStatus('', '');
-    setPreview(file);
+    setPreview(files);
   };
 
   const onSubmit = async (event) => {
@@ -784,35 +1770,59 @@
     const submitBtn = qs('[data-submit-post]', els.form);
     setStatus('', '');
 
-    const file = state.selectedFile || els.fileInput?.files?.[0];
-    if (!file) {
-      setStatus('error', 'Please add a photo.');
+    const files = state.selectedFiles.length ? state.selectedFiles : Array.from(els.fileInput?.files || []);
+    if (!files.length) {
+      setStatus('error', 'Please add a photo or a clip.');
       return;
     }
 
     toggleButtonLoading(submitBtn, true);
     try {
-      const imageBlob = await resizeToJpegBlob(file, { maxDim: 1600, quality: 0.85 });
+      const imageBlobs = [];
+      const clipBlob = isClipFile(files[0]) ? files[0] : null;
+      if (clipBlob) {
+        if (clipBlob.size > MAX_CLIP_BYTES) {
+          throw new Error(`Clips can be at most ${Math.floor(MAX_CLIP_BYTES / (1024 * 1024))}MB.`);
+        }
+        const { durationSeconds, posterBlob } = await captureClipPoster(clipBlob);
+        if (Number.isFinite(durationSeconds) && Math.round(durationSeconds) > MAX_CLIP_SECONDS) {
+          throw new Error(`Clips can be at most ${MAX_CLIP_SECONDS} seconds long.`);
+        }
+        imageBlobs.push(posterBlob);
+      } else {
+        for (const file of files.slice(0, MAX_PHOTOS)) {
+          imageBlobs.push(await resizeToJpegBlob(file, { maxDim: 1600, quality: 0.85 }));
+        }
+      }
       const post = {
         id: uid(),
         petName: safeText(els.petName?.value) || '',
         petType: safeText(els.petType?.value) || 'Other',
         caption: safeText(els.caption?.value) || '',
         createdAt: Date.now(),
-        imageBlob
+        imageBlobs,
+        clipBlob
       };
       await putPost(post);
       await refresh();
 
       try {
-        await sharePublic({
+        const shared = await sharePublic({
           petName: post.petName,
           petType: post.petType,
           caption: post.caption,
-          imageBlob: post.imageBlob
+          imageBlobs: post.imageBlobs,
+          clipBlob: post.clipBlob,
+          idempotencyKey: post.id
         });
+        const pending = await rememberShared(post, shared);
         await fetchPublicPage({ reset: true });
-        setStatus('success', 'Posted and shared to the public feed.');
+        setStatus(
+          'success',
+          pending
+            ? 'Posted. It will show in the public feed once a moderator approves it.'
+            : 'Posted and shared to the public feed.'
+        );
       } catch (error) {
         setStatus(
           'error',
@@ -884,19 +1894,24 @@
           petType: 'Dog',
           caption: 'Happy zoomies after a long walk.',
           createdAt: Date.now(),
-          imageBlob: blob
+          imageBlobs: [blob]
         };
         await putPost(post);
         await refresh();
         try {
-          await sharePublic({
+          const shared = await sharePublic({
             petName: post.petName,
             petType: post.petType,
             caption: post.caption,
-            imageBlob: post.imageBlob
+            imageBlobs: post.imageBlobs,
+            idempotencyKey: post.id
           });
+          const pending = await rememberShared(post, shared);
           await fetchPublicPage({ reset: true });
-          setStatus('success', 'Demo post added and shared publicly.');
+          setStatus(
+            'success',
+            pending ? 'Demo post added and waiting for review.' : 'Demo post added and shared publicly.'
+          );
         } catch (error) {
           setStatus(
             'error',
@@ -921,6 +1936,14 @@
 
     state.sort = els.sort?.value || 'newest';
     state.publicSort = els.publicSort?.value || 'newest';
+    try {
+      state.publicType = localStorage.getItem(PUBLIC_TYPE_KEY) || '';
+    } catch {
+      state.publicType = '';
+    }
+    const knownTypes = Array.from(els.petType?.options || []).map((option) => option.value);
+    if (!knownTypes.includes(state.publicType)) state.publicType = '';
+    renderPublicTypes();
     setActiveTab('public');
     await ensureStorageBackend();
     await refresh();
@@ -1,5 +1,4 @@
 const path = require('node:path');
-const fs = require('node:fs');
 const fsp = require('node:fs/promises');
 const crypto = require('node:crypto');
 
@@ -10,51 +9,66 @@ const compression = require('compression');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 
+const { createPetFeedStore } = require('../api/_petFeedStore');
+const {
+  deleteRetentionMs,
+  directUploadMaxBytes,
+  maxPhotos,
+  mediaDir,
+  preModeration,
+  rateLimitsEnabled,
+  sessionSecret,
+  storeDriver,
+  uploadSecret,
+  videoLimits
+} = require('../api/_petFeed/config');
+const { createBadRequestError } = require('../api/_petFeed/errors');
+const { sendStoreError } = require('../api/_petFeed/http');
+const { createIdempotency, postFingerprint } = require('../api/_petFeed/idempotency');
+const { createImageVariants, perceptualHash, prepareImageUpload } = require('../api/_petFeed/images');
+const { createModeratorAuth, getModerationMeta } = require('../api/_petFeed/moderator');
+const { createModeratorAccounts, createModeratorStore, toApiModerator } = require('../api/_petFeed/moderatorAccounts');
+const { createFsObjectStore } = require('../api/_petFeed/objectStores');
+const { openOwnerToken, sealOwnerToken } = require('../api/_petFeed/ownerTokens');
+const { createRateLimiter } = require('../api/_petFeed/rateLimits');
+const {
+  toApiComment,
+  toApiDuplicateCluster,
+  toApiEvent,
+  toApiModeratedPost,
+  toApiPost,
+  toApiReportedPost,
+  toMs
+} = require('../api/_petFeed/rows');
+const {
+  UPLOAD_TTL_MS,
+  createUploadGrant,
+  normalizeUploadMime,
+  verifyUploadGrant
+} = require('../api/_petFeed/uploadGrants');
+const {
+  createFsUploadStore,
+  discardIfRejected,
+  readGrantedUpload,
+  removeStaged
+} = require('../api/_petFeed/uploadStores');
+const { postStills, prepareVideoUpload } = require('../api/_petFeed/videos');
+
 const PORT = Number(process.env.PORT || 8787);
 const WEB_ROOT = process.env.WEB_ROOT || path.join(__dirname, '..');
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+// Direct uploads wait here until committed; never serve this folder statically.
+const STAGING_DIR = process.env.STAGING_DIR || path.join(DATA_DIR, 'staging');
 const POSTS_FILE = process.env.POSTS_FILE || path.join(DATA_DIR, 'posts.json');
 const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''); // optional
 const CORS_ORIGIN = (process.env.CORS_ORIGIN || '').trim(); // optional
-const MODERATOR_PASSWORD = (process.env.MODERATOR_PASSWORD || 'Remove').trim();
 const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES || 6 * 1024 * 1024); // 6MB
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
 const ensureDirs = async () => {
   await fsp.mkdir(DATA_DIR, { recursive: true });
   await fsp.mkdir(UPLOADS_DIR, { recursive: true });
-  try {
-    await fsp.access(POSTS_FILE, fs.constants.F_OK);
-  } catch {
-    await fsp.writeFile(POSTS_FILE, JSON.stringify({ posts: [] }, null, 2), 'utf8');
-  }
-};
-
-const safeText = (value, maxLen) => {
-  if (typeof value !== 'string') return '';
-  const trimmed = value.trim();
-  if (!maxLen) return trimmed;
-  return trimmed.slice(0, maxLen);
-};
-
-const now = () => Date.now();
-const uid = () => (crypto.randomUUID ? crypto.randomUUID() : `post_${now()}_${crypto.randomBytes(6).toString('hex')}`);
-
-const mimeToExt = (mime) => {
-  switch (mime) {
-    case 'image/jpeg':
-      return 'jpg';
-    case 'image/png':
-      return 'png';
-    case 'image/webp':
-      return 'webp';
-    case 'image/gif':
-      return 'gif';
-    case 'image/avif':
-      return 'avif';
-    default:
-      return '';
-  }
 };
 
 const absoluteUrl = (req, relativePath) => {
@@ -64,66 +78,19 @@ const absoluteUrl = (req, relativePath) => {
   return `${proto}://${host}${relativePath}`;
 };
 
-const parseCursor = (cursor) => {
-  if (!cursor) return null;
-  try {
-    const json = Buffer.from(String(cursor), 'base64url').toString('utf8');
-    const parsed = JSON.parse(json);
-    if (!parsed || typeof parsed !== 'object') return null;
-    if (typeof parsed.createdAt !== 'number' || typeof parsed.id !== 'string') return null;
-    return { createdAt: parsed.createdAt, id: parsed.id };
-  } catch {
-    return null;
-  }
-};
-
-const makeCursor = ({ createdAt, id }) =>
-  Buffer.from(JSON.stringify({ createdAt, id }), 'utf8').toString('base64url');
-
-const createStore = () => {
-  let writeChain = Promise.resolve();
-
-  const readAll = async () => {
-    const raw = await fsp.readFile(POSTS_FILE, 'utf8');
-    const data = JSON.parse(raw || '{}');
-    const posts = Array.isArray(data.posts) ? data.posts : [];
-    return posts;
-  };
-
-  const writeAll = async (posts) => {
-    // serialize writes to avoid clobbering
-    writeChain = writeChain.then(() =>
-      fsp.writeFile(POSTS_FILE, JSON.stringify({ posts }, null, 2), 'utf8')
-    );
-    return writeChain;
-  };
-
-  const add = async (post) => {
-    const posts = await readAll();
-    posts.push(post);
-    await writeAll(posts);
-    return post;
-  };
-
-  const remove = async (id) => {
-    const posts = await readAll();
-    const idx = posts.findIndex((p) => p.id === id);
-    if (idx === -1) return null;
-    const [removed] = posts.splice(idx, 1);
-    await writeAll(posts);
-    return removed;
-  };
-
-  const clear = async () => {
-    await writeAll([]);
-  };
-
-  return { readAll, writeAll, add, remove, clear };
-};
+// Stored image URLs are either absolute (Blob) or site-relative (/uploads/..., /media/...).
+const resolveImageUrl = (req, url) => (/^(https?:|data:)/i.test(url || '') ? url : absoluteUrl(req, url));
 
 const createApp = async () => {
   await ensureDirs();
-  const store = createStore();
+  // Defaults to posts.json on disk; PET_FEED_STORE=sqlite|postgres|blob|auto reuses the Vercel backends.
+  const store = createPetFeedStore({ driver: storeDriver('fs'), dir: DATA_DIR, files: { posts: POSTS_FILE } });
+  await store.ensureSchema();
+  // Stand-in for Blob direct uploads (PUT /api/uploads/:id). Without a configured
+  // secret, grants are signed with a per-process key and end with a restart.
+  const uploadStore = createFsUploadStore({ dir: STAGING_DIR, urlFor: (grant) => `/api/uploads/${grant.id}` });
+  const uploadKey = uploadSecret() || crypto.randomBytes(32).toString('hex');
+  const mediaStore = createFsObjectStore({ dir: mediaDir() });
 
   const app = express();
   app.disable('x-powered-by');
@@ -165,6 +132,16 @@ const createApp = async () => {
       etag: true
     })
   );
+  // Files the Vercel functions keep without Blob, including photos migration 012
+  // moved out of Postgres rows.
+  app.use(
+    '/media',
+    express.static(mediaStore.dir, {
+      fallthrough: true,
+      maxAge: '365d',
+      immutable: true
+    })
+  );
 
   // Serve the static website from the same origin (same domain deployment).
   // Block accidental exposure of backend source/data via the static server.
@@ -175,66 +152,38 @@ const createApp = async () => {
     }
     next();
   });
-  app.use(
-    express.static(WEB_ROOT, {
-      extensions: ['html'],
-      maxAge: '1h',
-      etag: true
-    })
-  );
+  const serveWebRoot = express.static(WEB_ROOT, {
+    extensions: ['html'],
+    maxAge: '1h',
+    etag: true
+  });
+  // The repo's api/ folder holds the shared Vercel sources; never let the static
+  // server answer (or redirect) /api requests meant for the routes below.
+  app.use((req, res, next) => {
+    if (req.path === '/api' || req.path.startsWith('/api/')) {
+      next();
+      return;
+    }
+    serveWebRoot(req, res, next);
+  });
 
   app.get('/api/health', (_req, res) => {
     res.json({ ok: true });
   });
 
   app.get('/api/posts', async (req, res) => {
-    const limitRaw = Number(req.query.limit || 20);
-    const limit = Number.isFinite(limitRaw) ? Math.max(1, Math.min(50, limitRaw)) : 20;
-    const sort = String(req.query.sort || 'newest');
-    const q = safeText(req.query.q, 80).toLowerCase();
-    const cursor = parseCursor(req.query.cursor);
-
-    const posts = await store.readAll();
-
-    let items = posts.map((p) => ({
-      id: p.id,
-      petName: p.petName || '',
-      petType: p.petType || '',
-      caption: p.caption || '',
-      createdAt: p.createdAt || 0,
-      imagePath: p.imagePath || ''
-    }));
-
-    if (q) {
-      items = items.filter((p) => {
-        const haystack = `${p.petName} ${p.petType} ${p.caption}`.toLowerCase();
-        return haystack.includes(q);
-      });
-    }
-
-    if (sort === 'oldest') items.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0) || a.id.localeCompare(b.id));
-    else items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0) || b.id.localeCompare(a.id));
-
-    if (cursor) {
-      items = items.filter((p) => {
-        if (sort === 'oldest') return p.createdAt > cursor.createdAt || (p.createdAt === cursor.createdAt && p.id > cursor.id);
-        return p.createdAt < cursor.createdAt || (p.createdAt === cursor.createdAt && p.id < cursor.id);
-      });
-    }
-
-    const slice = items.slice(0, limit);
-    const next = slice.length === limit ? slice[slice.length - 1] : null;
+    const { posts, nextCursor } = await store.listPosts({
+      limit: req.query.limit,
+      sort: req.query.sort,
+      q: req.query.q,
+      type: req.query.type,
+      cursor: req.query.cursor,
+      deviceToken: req.get('x-device-token')
+    });
 
     res.json({
-      posts: slice.map((p) => ({
-        id: p.id,
-        petName: p.petName,
-        petType: p.petType,
-        caption: p.caption,
-        createdAt: p.createdAt,
-        imageUrl: absoluteUrl(req, p.imagePath)
-      })),
-      nextCursor: next ? makeCursor({ createdAt: next.createdAt, id: next.id }) : null
+      posts: posts.map((row) => toApiPost(row, { resolveUrl: (url) => resolveImageUrl(req, url) })),
+      nextCursor
     });
   });
 
@@ -250,95 +199,548 @@ const createApp = async () => {
     legacyHeaders: false
   });
 
-  app.post('/api/posts', postLimiter, upload.single('photo'), async (req, res) => {
-    const file = req.file;
-    if (!file) {
-      res.status(400).json({ error: 'Missing photo file.' });
+  const uploadLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 40,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false
+  });
+
+  // Direct uploads: grant, PUT the photo, then commit it with POST /api/posts.
+  app.post('/api/uploads', uploadLimiter, express.json({ limit: '4kb' }), async (req, res) => {
+    const grant = createUploadGrant(req.body || {}, { secret: uploadKey, maxBytes: directUploadMaxBytes() });
+    const target = await uploadStore.target(grant);
+    res.status(201).json({ ...grant, upload: { ...target, url: absoluteUrl(req, target.url) } });
+  });
+
+  // Checks the grant before any of the body is read.
+  const requireUploadGrant = (req, res, next) => {
+    const token = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const grant = verifyUploadGrant(token, { secret: uploadKey });
+    if (!grant || grant.id !== req.params.id) {
+      res.status(403).json({ error: 'The upload has expired or is not valid.' });
       return;
     }
-
-    const ext = mimeToExt(file.mimetype);
-    if (!ext) {
-      res.status(415).json({ error: 'Unsupported image type. Please upload JPG/PNG/WebP/GIF/AVIF.' });
+    if (Number(req.get('content-length')) > grant.maxBytes) {
+      res.status(413).json({ error: 'The photo is bigger than the upload allows.' });
+      return;
+    }
+    if (normalizeUploadMime(req.get('content-type')) !== grant.contentType) {
+      res.status(415).json({ error: 'The photo type does not match the upload.' });
       return;
     }
+    req.uploadGrant = grant;
+    next();
+  };
 
-    // Basic payload sanitation.
-    const petName = safeText(req.body.petName, 40);
-    const petType = safeText(req.body.petType, 24) || 'Other';
-    const caption = safeText(req.body.caption, 240);
+  app.put(
+    '/api/uploads/:id',
+    uploadLimiter,
+    requireUploadGrant,
+    express.raw({ type: () => true, limit: Math.max(directUploadMaxBytes(), videoLimits().maxBytes) }),
+    async (req, res) => {
+      const grant = req.uploadGrant;
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        res.status(400).json({ error: 'Missing photo.' });
+        return;
+      }
+      if (req.body.length > grant.maxBytes) {
+        res.status(413).json({ error: 'The photo is bigger than the upload allows.' });
+        return;
+      }
+      await uploadStore.write(grant, req.body);
+      res.status(201).json({ ok: true });
+    }
+  );
 
-    const id = uid();
-    const createdAt = now();
-    const fileName = `${id}.${ext}`;
-    const relPath = `/uploads/${fileName}`;
-    const absPath = path.join(UPLOADS_DIR, fileName);
+  // A form carries the photo; a JSON body { upload, petName, ... } commits a direct upload.
+  const saveImage = async (image) => {
+    const base = crypto.randomUUID();
+    const fileName = `${base}.${image.ext}`;
+    await fsp.writeFile(path.join(UPLOADS_DIR, fileName), image.buffer);
+
+    // Resized WebP/AVIF copies for the feed's srcset, stored next to the original.
+    const imageVariants = [];
+    for (const variant of await createImageVariants(image)) {
+      const variantName = `${base}-${variant.width}w.${variant.ext}`;
+      await fsp.writeFile(path.join(UPLOADS_DIR, variantName), variant.buffer);
+      imageVariants.push({ width: variant.width, format: variant.format, url: `/uploads/${variantName}` });
+    }
+    return { imageUrl: `/uploads/${fileName}`, imageVariants };
+  };
 
-    await fsp.writeFile(absPath, file.buffer);
+  const saveVideo = async (video) => {
+    const fileName = `${crypto.randomUUID()}.${video.ext}`;
+    await fsp.writeFile(path.join(UPLOADS_DIR, fileName), video.buffer);
+    return { videoUrl: `/uploads/${fileName}`, mimeType: video.mime, durationMs: video.durationMs };
+  };
 
-    const record = {
-      id,
-      petName,
-      petType,
-      caption,
-      createdAt,
-      imagePath: relPath
+  // Album photos arrive as repeated "photo" fields, or as { uploads: [token, ...] }
+  // (or a single { upload }) when committing direct uploads. Clip posts send a
+  // "clip" and its "poster" frame, as files or as { clip, poster } tokens.
+  const readPhotos = async (req) => {
+    if (!req.is('application/json')) {
+      const filesIn = (field) =>
+        (req.files?.[field] || []).map((file) => ({ buffer: file.buffer, declaredMime: file.mimetype }));
+      return { photos: filesIn('photo'), clip: filesIn('clip')[0], poster: filesIn('poster')[0], grants: [] };
+    }
+    const tokens = Array.isArray(req.body?.uploads) ? req.body.uploads : [req.body?.upload].filter(Boolean);
+    if (tokens.length > maxPhotos()) throw createBadRequestError(`A post can have at most ${maxPhotos()} photos.`);
+    const grants = [];
+    const read = async (token) => {
+      const { grant, buffer } = await readGrantedUpload(uploadStore, token, { secret: uploadKey });
+      grants.push(grant);
+      return { buffer, declaredMime: grant.contentType };
     };
+    const photos = [];
+    for (const token of tokens) photos.push(await read(token));
+    const clip = req.body.clip ? await read(req.body.clip) : undefined;
+    const poster = req.body.poster ? await read(req.body.poster) : undefined;
+    return { photos, clip, poster, grants };
+  };
 
-    await store.add(record);
+  // Checks and stores the files, then inserts the post. Resolves to the 201 body,
+  // { post, ownerToken }, or null when there is no photo.
+  const createPost = async (req) => {
+    const { photos, clip, poster, grants } = await readPhotos(req);
+    const stills = postStills({ photos, clip, poster });
+    if (!stills.length) return null;
+
+    // The text and every photo and the clip are checked before any of them is stored.
+    // screenContent runs the content filter; prepareImageUpload sniffs the real type,
+    // rejects polyglots and strips EXIF; prepareVideoUpload checks the clip's
+    // container, length and metadata.
+    // Direct uploads of a post they reject are removed right away.
+    const { heldFor, video, prepared, duplicateOf } = await discardIfRejected(uploadStore, grants, async () => {
+      const checked = {
+        ...store.screenContent({ petName: req.body.petName, caption: req.body.caption }),
+        prepared: [],
+        duplicateOf: null
+      };
+      checked.video = clip ? await prepareVideoUpload(clip) : null;
+      for (const photo of stills) {
+        const image = await prepareImageUpload(photo);
+        const imageHash = await perceptualHash(image.buffer);
+        const album = checked.prepared.map((item) => item.imageHash);
+        const screened = await store.screenDuplicate(imageHash, { album });
+        checked.duplicateOf = checked.duplicateOf || screened.duplicateOf;
+        checked.prepared.push({ image, imageHash });
+      }
+      return checked;
+    });
 
-    res.status(201).json({
-      post: {
-        id,
-        petName,
-        petType,
-        caption,
-        createdAt,
-        imageUrl: absoluteUrl(req, relPath)
+    const stored = video ? await saveVideo(video) : null;
+    const images = [];
+    for (const { image, imageHash } of prepared) images.push({ ...(await saveImage(image)), imageHash });
+
+    const row = await store.insertPost({
+      petName: req.body.petName,
+      petType: req.body.petType,
+      caption: req.body.caption,
+      images,
+      video: stored,
+      duplicateOf,
+      heldFor
+    });
+    // The post is in; a staged upload that can't be removed is left for the purge.
+    await removeStaged(uploadStore, grants);
+
+    return { post: toApiPost(row, { resolveUrl: (url) => resolveImageUrl(req, url) }), ownerToken: row.owner_token };
+  };
+
+  // Retries with the same Idempotency-Key get the first response back. One
+  // process, so keys are remembered in memory, and so is the key that seals
+  // owner tokens in them.
+  const idempotency = createIdempotency();
+  const sealSecret = crypto.randomBytes(32).toString('hex');
+
+  app.post(
+    '/api/posts',
+    postLimiter,
+    upload.fields([
+      { name: 'photo', maxCount: maxPhotos() },
+      { name: 'clip', maxCount: 1 },
+      { name: 'poster', maxCount: 1 }
+    ]),
+    express.json({ limit: '8kb' }),
+    async (req, res) => {
+      const fingerprint = req.is('application/json')
+        ? postFingerprint(req.body)
+        : postFingerprint({
+            ...req.body,
+            photos: req.files?.photo,
+            clip: req.files?.clip?.[0],
+            poster: req.files?.poster?.[0]
+          });
+      const attempt = await idempotency.begin(req, fingerprint);
+      if (attempt.replay) {
+        const { post, sealedOwnerToken } = attempt.replay.body;
+        res.set('Idempotent-Replayed', 'true');
+        res.status(attempt.replay.status).json({ post, ownerToken: openOwnerToken(sealedOwnerToken, sealSecret) });
+        return;
+      }
+
+      let body;
+      try {
+        body = await createPost(req);
+      } catch (error) {
+        await attempt.abandon();
+        throw error;
+      }
+      if (!body) {
+        await attempt.abandon();
+        res.status(400).json({ error: 'Missing photo file.' });
+        return;
       }
+
+      // The owner token is kept sealed, for a retry whose first response was lost.
+      await attempt.finish(201, { post: body.post, sealedOwnerToken: sealOwnerToken(body.ownerToken, sealSecret) });
+      res.status(201).json(body);
+    }
+  );
+
+  const reactionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 120,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false
+  });
+
+  const react = (remove) => async (req, res) => {
+    const result = await store.reactToPost(String(req.params.id || '').trim(), {
+      reaction: req.body?.reaction || req.query.reaction,
+      deviceToken: req.get('x-device-token'),
+      remove
+    });
+    if (!result) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({ reactions: result.reactions, myReactions: result.my_reactions });
+  };
+
+  app.post('/api/posts/:id/reactions', reactionLimiter, express.json({ limit: '4kb' }), react(false));
+  app.delete('/api/posts/:id/reactions', reactionLimiter, react(true));
+
+  const commentLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 30,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false
+  });
+
+  app.get('/api/posts/:id/comments', async (req, res) => {
+    const page = await store.listComments(String(req.params.id || '').trim(), {
+      limit: req.query.limit,
+      cursor: req.query.cursor
     });
+    if (!page) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({ comments: page.comments.map(toApiComment), nextCursor: page.nextCursor });
   });
 
-  app.delete('/api/posts/:id', async (req, res) => {
-    const fromHeader = String(req.headers['x-moderator-password'] || '').trim();
-    const auth = String(req.headers.authorization || '');
-    const bearer = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : '';
-    const password = fromHeader || bearer;
-    if (!password || password !== MODERATOR_PASSWORD) {
-      res.status(401).json({ error: 'Unauthorized.' });
+  app.post('/api/posts/:id/comments', commentLimiter, express.json({ limit: '8kb' }), async (req, res) => {
+    const comment = await store.addComment(String(req.params.id || '').trim(), {
+      authorName: req.body?.authorName,
+      body: req.body?.body,
+      parentId: req.body?.parentId
+    });
+    if (!comment) {
+      res.status(404).json({ error: 'Not found.' });
       return;
     }
+    res.status(201).json({ comment: toApiComment(comment) });
+  });
 
+  const reportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    limit: 20,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false
+  });
+
+  app.post('/api/posts/:id/report', reportLimiter, express.json({ limit: '4kb' }), async (req, res) => {
+    const result = await store.reportPost(String(req.params.id || '').trim(), {
+      reason: req.body?.reason,
+      details: req.body?.details,
+      deviceToken: req.get('x-device-token')
+    });
+    if (!result) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.status(202).json({ ok: true, alreadyReported: !result.added });
+  });
+
+  // Same moderator accounts, roles and login lockout as the Vercel functions.
+  // Accounts sit next to the posts (data/moderators.json by default); one
+  // process, so failed logins are counted in memory. Without
+  // PET_FEED_SESSION_SECRET, sessions are signed with a key of their own and end
+  // with a restart.
+  const moderatorLogins = createRateLimiter({ enabled: rateLimitsEnabled() });
+  const moderatorAuth = createModeratorAuth({
+    accounts: createModeratorAccounts({
+      store: createModeratorStore(storeDriver('fs'), { dir: DATA_DIR }),
+      secret: sessionSecret() || crypto.randomBytes(32).toString('hex')
+    }),
+    guard: moderatorLogins.guardLogin
+  });
+  const requireModerator = (role) => async (req, res, next) => {
+    if (await moderatorAuth.authorize(req, res, role)) next();
+  };
+  const moderatorJson = express.json({ limit: '16kb' });
+  // The uploader can delete their own post with the owner token from its 201.
+  const ownerToken = (req) => String(req.get('x-owner-token') || '').trim();
+  const requireOwnerOrModerator = (role) => (req, res, next) =>
+    ownerToken(req) ? next() : requireModerator(role)(req, res, next);
+
+  app.post('/api/moderation/login', moderatorJson, async (req, res) => {
+    await moderatorAuth.logIn(req, res, {
+      name: String(req.body?.name || ''),
+      password: String(req.body?.password || '')
+    });
+  });
+
+  app.get('/api/moderation/login', requireModerator('viewer'), (req, res) => {
+    res.json({ moderator: { name: req.moderator.name, role: req.moderator.role } });
+  });
+
+  app.get('/api/moderation/accounts', requireModerator('admin'), async (_req, res) => {
+    res.json({ moderators: (await moderatorAuth.accounts.list()).map(toApiModerator) });
+  });
+
+  app.post('/api/moderation/accounts', requireModerator('admin'), moderatorJson, async (req, res) => {
+    const account = await moderatorAuth.accounts.create({
+      name: req.body?.name,
+      password: req.body?.password,
+      role: req.body?.role
+    });
+    res.status(201).json({ moderator: toApiModerator(account) });
+  });
+
+  app.patch('/api/moderation/accounts/:name', requireModerator('admin'), moderatorJson, async (req, res) => {
+    const account = await moderatorAuth.accounts.change(req.params.name, {
+      role: req.body?.role,
+      password: req.body?.password,
+      disabled: typeof req.body?.disabled === 'boolean' ? req.body.disabled : undefined
+    });
+    if (!account) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({ moderator: toApiModerator(account) });
+  });
+
+  app.delete('/api/moderation/accounts/:name', requireModerator('admin'), async (req, res) => {
+    if (!(await moderatorAuth.accounts.remove(req.params.name))) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  // Soft delete: the upload stays on disk until the purge job runs after the retention window.
+  app.delete('/api/posts/:id', requireOwnerOrModerator('moderator'), moderatorJson, async (req, res) => {
     const id = String(req.params.id || '').trim();
     if (!id) {
       res.status(400).json({ error: 'Missing id.' });
       return;
     }
 
-    const removed = await store.remove(id);
+    const removed = ownerToken(req)
+      ? await store.deleteOwnPost(id, ownerToken(req))
+      : await store.deletePostById(id, getModerationMeta(req));
     if (!removed) {
       res.status(404).json({ error: 'Not found.' });
       return;
     }
 
-    if (removed.imagePath) {
-      const fileName = removed.imagePath.split('/').pop();
-      if (fileName) {
-        const absPath = path.join(UPLOADS_DIR, fileName);
-        fsp.unlink(absPath).catch(() => {});
-      }
+    const deletedAt = toMs(removed.deleted_at);
+    res.json({ ok: true, deletedAt, purgeAfter: deletedAt + deleteRetentionMs() });
+  });
+
+  app.post('/api/posts/:id/restore', requireModerator('moderator'), moderatorJson, async (req, res) => {
+    const restored = await store.restorePostById(String(req.params.id || '').trim(), getModerationMeta(req));
+    if (!restored) {
+      res.status(404).json({ error: 'No deleted post with that id.' });
+      return;
     }
+    res.json({ ok: true, post: toApiPost(restored, { resolveUrl: (url) => resolveImageUrl(req, url) }) });
+  });
 
+  // Pre-moderation: publish a held post, or turn it down (a soft delete).
+  const decide = (method) => async (req, res) => {
+    const post = await store[method](String(req.params.id || '').trim(), getModerationMeta(req));
+    if (!post) {
+      res.status(404).json({ error: 'No pending post with that id.' });
+      return;
+    }
+    res.json({ ok: true, post: toApiPost(post, { resolveUrl: (url) => resolveImageUrl(req, url) }) });
+  };
+  app.post('/api/posts/:id/approve', requireModerator('moderator'), moderatorJson, decide('approvePost'));
+  app.post('/api/posts/:id/reject', requireModerator('moderator'), moderatorJson, decide('rejectPost'));
+
+  app.delete('/api/posts/:id/comments/:commentId', requireModerator('moderator'), moderatorJson, async (req, res) => {
+    const removed = await store.deleteComment(
+      String(req.params.id || '').trim(),
+      String(req.params.commentId || '').trim(),
+      getModerationMeta(req)
+    );
+    if (!removed) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
     res.json({ ok: true });
   });
 
-  // Multer errors (file size etc.)
+  app.get('/api/posts/:id/history', requireModerator('viewer'), async (req, res) => {
+    const id = String(req.params.id || '').trim();
+    const [post, events] = await Promise.all([
+      store.getPostById(id, { includeDeleted: true }),
+      store.getPostHistory(id)
+    ]);
+    if (!post && !events.length) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({
+      id,
+      exists: Boolean(post),
+      deleted: post ? Boolean(post.deleted_at) : true,
+      deletedAt: post?.deleted_at ? toMs(post.deleted_at) : null,
+      deletedBy: post?.deleted_by || null,
+      deleteReason: post?.delete_reason || null,
+      pending: Boolean(post?.pending_at),
+      events: events.map(toApiEvent)
+    });
+  });
+
+  app.get('/api/moderation/queue', requireModerator('viewer'), async (req, res) => {
+    const page = await store.listModerationQueue({ limit: req.query.limit, cursor: req.query.cursor });
+    res.json({
+      posts: page.posts.map((row) => toApiReportedPost(row, { resolveUrl: (url) => resolveImageUrl(req, url) })),
+      nextCursor: page.nextCursor
+    });
+  });
+
+  app.get('/api/moderation/pending', requireModerator('viewer'), async (req, res) => {
+    const page = await store.listPendingPosts({ limit: req.query.limit, cursor: req.query.cursor });
+    res.json({
+      preModeration: preModeration(),
+      posts: page.posts.map((row) => toApiPost(row, { resolveUrl: (url) => resolveImageUrl(req, url) })),
+      nextCursor: page.nextCursor
+    });
+  });
+
+  app.get('/api/moderation/posts', requireModerator('viewer'), async (req, res) => {
+    const page = await store.listModeratedPosts({
+      filter: req.query.filter,
+      q: req.query.q,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.json({
+      posts: page.posts.map((row) => toApiModeratedPost(row, { resolveUrl: (url) => resolveImageUrl(req, url) })),
+      nextCursor: page.nextCursor
+    });
+  });
+
+  app.post('/api/moderation/bulk', requireModerator('moderator'), moderatorJson, async (req, res) => {
+    const results = await store.moderatePosts(req.body?.ids, { action: req.body?.action, ...getModerationMeta(req) });
+    res.json({
+      action: req.body.action,
+      results: results.map(({ id, post }) => ({
+        id,
+        ok: Boolean(post),
+        post: post ? toApiModeratedPost(post, { resolveUrl: (url) => resolveImageUrl(req, url) }) : null
+      }))
+    });
+  });
+
+  app.get('/api/moderation/duplicates', requireModerator('viewer'), async (req, res) => {
+    const { since, clusters } = await store.listDuplicateClusters({ days: req.query.days, limit: req.query.limit });
+    res.json({
+      since,
+      clusters: clusters.map((rows) => toApiDuplicateCluster(rows, { resolveUrl: (url) => resolveImageUrl(req, url) }))
+    });
+  });
+
+  app.post('/api/moderation/review', requireModerator('moderator'), moderatorJson, async (req, res) => {
+    const id = String(req.body?.id || '').trim();
+    if (!id) {
+      res.status(400).json({ error: 'Missing id.' });
+      return;
+    }
+    const post = await store.reviewPost(id, { action: req.body?.action, ...getModerationMeta(req) });
+    if (!post) {
+      res.status(404).json({ error: 'Not found.' });
+      return;
+    }
+    res.json({
+      ok: true,
+      action: req.body.action,
+      post: toApiPost(post, { resolveUrl: (url) => resolveImageUrl(req, url) })
+    });
+  });
+
+  const removeUpload = async (url) => {
+    await mediaStore.remove(url);
+    if (!url.startsWith('/uploads/')) return;
+    const fileName = url.split('/').pop();
+    if (fileName) await fsp.unlink(path.join(UPLOADS_DIR, fileName));
+  };
+  // Also drops direct uploads that were never committed, old moderator login
+  // failures and expired Idempotency-Keys.
+  const purge = async () => {
+    const result = await store.purgeDeletedPosts({ removeImage: removeUpload });
+    const staleUploads = await uploadStore.sweep({ before: Date.now() - 2 * UPLOAD_TTL_MS });
+    const staleRateLimits = await moderatorLogins.sweep();
+    const staleIdempotencyKeys = await idempotency.sweep();
+    return { ...result, staleUploads, staleRateLimits, staleIdempotencyKeys };
+  };
+
+  app.post('/api/purge', requireModerator('admin'), async (_req, res) => {
+    res.json({ ok: true, ...(await purge()) });
+  });
+
+  // No cron here: purge hourly while the server runs.
+  const purgeTimer = setInterval(() => {
+    purge().catch((error) => {
+      // eslint-disable-next-line no-console
+      console.warn('Pet feed purge failed.', error?.message || error);
+    });
+  }, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+
+  // Multer and body parser errors (file size etc.), then the feed store's.
   // eslint-disable-next-line no-unused-vars
   app.use((err, _req, res, _next) => {
     if (err?.code === 'LIMIT_FILE_SIZE') {
       res.status(413).json({ error: `File too large. Max is ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))}MB.` });
       return;
     }
+    if (err?.code === 'LIMIT_UNEXPECTED_FILE') {
+      const error =
+        err.field === 'photo'
+          ? `A post can have at most ${maxPhotos()} photos.`
+          : ['clip', 'poster'].includes(err.field)
+          ? `A post can have only one ${err.field}.`
+          : 'Unexpected file field.';
+      res.status(400).json({ error });
+      return;
+    }
+    if (err?.type === 'entity.too.large') {
+      res.status(413).json({ error: 'Request body too large.' });
+      return;
+    }
+    if (err?.type === 'entity.parse.failed') {
+      res.status(400).json({ error: 'Invalid JSON body.' });
+      return;
+    }
+    // Feed store errors answer exactly as they do from the Vercel functions.
+    if (sendStoreError(res, err)) return;
     res.status(500).json({ error: 'Server error.' });
   });
 
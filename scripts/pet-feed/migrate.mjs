@@ -0,0 +1,48 @@
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { createMigrator } = require('../../api/_petFeed/migrator.js');
+const { hasPostgresConfig } = require('../../api/_petFeed/config.js');
+
+const USAGE = 'Usage: node scripts/pet-feed/migrate.mjs [up|status|check]';
+
+const run = async (command) => {
+  if (!hasPostgresConfig()) {
+    throw new Error('POSTGRES_URL (or another Vercel Postgres variable) must be set.');
+  }
+
+  const { sql } = require('@vercel/postgres');
+  const migrator = createMigrator({ sql });
+
+  if (command === 'up') {
+    const ran = await migrator.apply();
+    console.log(ran.length ? `Applied ${ran.join(', ')}` : 'Schema is up to date.');
+    return 0;
+  }
+
+  if (command === 'status') {
+    const entries = await migrator.status();
+    entries.forEach(({ id, applied }) => console.log(`${applied ? '[x]' : '[ ]'} ${id}`));
+    return 0;
+  }
+
+  if (command === 'check') {
+    const pending = await migrator.pending();
+    if (!pending.length) {
+      console.log('Schema is up to date.');
+      return 0;
+    }
+    console.error(`Pending migrations: ${pending.join(', ')}`);
+    return 1;
+  }
+
+  console.error(USAGE);
+  return 2;
+};
+
+run(process.argv[2] || 'up')
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error?.migrationId ? `Migration ${error.migrationId} failed:` : 'Migration failed:', error);
+    process.exit(1);
+  });
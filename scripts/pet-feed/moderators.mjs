@@ -0,0 +1,80 @@
+import { createInterface } from 'node:readline/promises';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { ensureSchema } = require('../../api/_petFeedStore.js');
+const { createModeratorAccounts, toApiModerator } = require('../../api/_petFeed/moderatorAccounts.js');
+
+const USAGE = `Usage: node scripts/pet-feed/moderators.mjs <command>
+  list
+  add <name> [viewer|moderator|admin]   reads the password from stdin
+  password <name>                       reads the new password from stdin
+  role <name> <viewer|moderator|admin>
+  disable <name> | enable <name> | remove <name>`;
+
+// One line from stdin, so the password can be typed or piped in.
+const readPassword = async () => {
+  const rl = createInterface({ input: process.stdin, output: process.stderr, terminal: false });
+  if (process.stdin.isTTY) process.stderr.write('Password: ');
+  for await (const line of rl) {
+    rl.close();
+    return line;
+  }
+  return '';
+};
+
+const show = (account) => {
+  const { name, role, disabled } = toApiModerator(account);
+  console.log(`${name}\t${role}${disabled ? '\tdisabled' : ''}`);
+};
+
+const run = async ([command, name, role]) => {
+  const accounts = createModeratorAccounts({ ready: ensureSchema });
+
+  if (command === 'list') {
+    (await accounts.list()).forEach(show);
+    return 0;
+  }
+
+  if (!name) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (command === 'add') {
+    show(await accounts.create({ name, role: role || 'moderator', password: await readPassword() }));
+    return 0;
+  }
+
+  if (command === 'remove') {
+    if (await accounts.remove(name)) return 0;
+    console.error(`No moderator called "${name}".`);
+    return 1;
+  }
+
+  const changes = {
+    password: async () => ({ password: await readPassword() }),
+    role: async () => ({ role: role || '' }),
+    disable: async () => ({ disabled: true }),
+    enable: async () => ({ disabled: false })
+  }[command];
+  if (!changes) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const account = await accounts.change(name, await changes());
+  if (!account) {
+    console.error(`No moderator called "${name}".`);
+    return 1;
+  }
+  show(account);
+  return 0;
+};
+
+run(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(String(error?.code || '').startsWith('PET_FEED_') ? error.message : error);
+    process.exit(1);
+  });
@@ -0,0 +1,24 @@
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { moveInlineImages } = require('../../api/_petFeed/inlineImages.js');
+const { hasPostgresConfig } = require('../../api/_petFeed/config.js');
+
+const run = async () => {
+  if (!hasPostgresConfig()) {
+    throw new Error('POSTGRES_URL (or another Vercel Postgres variable) must be set.');
+  }
+
+  const { sql } = require('@vercel/postgres');
+  const { moved, skipped } = await moveInlineImages({ sql });
+  if (skipped) return 1;
+  console.log(moved ? `Moved ${moved} inline photos.` : 'No inline photos left.');
+  return 0;
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Moving inline photos failed:', error);
+    process.exit(1);
+  });
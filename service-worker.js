@@ -1,6 +1,6 @@
 /* eslint-disable no-restricted-globals */
 (() => {
-  const VERSION = 'pet-photos-v7';
+  const VERSION = 'pet-photos-v24';
   const CORE_ASSETS = [
     '/',
     '/index.html',
@@ -54,8 +54,15 @@
     const url = new URL(request.url);
     const isSameOrigin = url.origin === self.location.origin;
 
+    // Leave video clips to the browser: they are streamed with range requests
+    // and far too big to keep in the cache.
+    if (request.destination === 'video' || request.headers.has('range') || /\.(mp4|webm)$/i.test(url.pathname)) {
+      return;
+    }
+
     // Don't cache API responses or uploaded images (can be large / dynamic).
-    if (isSameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/uploads/'))) {
+    const isUpload = ['/api/', '/uploads/', '/media/'].some((prefix) => url.pathname.startsWith(prefix));
+    if (isSameOrigin && isUpload) {
       event.respondWith(fetch(request));
       return;
     }